@@ -86,6 +86,7 @@ app.use('/api/offers', require('./routes/offers'));
 app.use('/api/assignments', require('./routes/assignments'));
 app.use('/api/dispatch', dispatchRoutes);
 app.use('/api/rates', ratesRoutes);
+app.use('/api/quotes', require('./routes/quotes'));
 app.use('/api/matching', matchingRoutes);
 app.use('/api/notifications', notificationsRoutes);
 app.use('/api/broker', brokerRoutes);
@@ -96,6 +97,7 @@ app.use('/api', require('./routes/activity'));
 app.use('/api/documents', require('./routes/documents'));
 app.use('/api/verification', require('./routes/verification'));
 app.use('/api/tracking', require('./routes/tracking'));
+app.use('/api/messages', require('./routes/messages'));
 app.use('/api/disputes', require('./routes/disputes'));
 app.use('/api/support', require('./routes/support'));
 app.use('/api/admin', require('./routes/admin'));
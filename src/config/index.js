@@ -24,6 +24,7 @@ const config = {
     name: process.env.DB_NAME || 'hotshot',
     user: process.env.DB_USER || 'postgres',
     password: process.env.DB_PASSWORD || '',
+    migrateOnBoot: process.env.MIGRATE_ON_BOOT !== 'false',
   },
   
   // Redis
@@ -31,6 +32,11 @@ const config = {
     host: process.env.REDIS_HOST || 'localhost',
     port: parseInt(process.env.REDIS_PORT) || 6379,
   },
+
+  // Background jobs
+  jobs: {
+    workerEnabled: process.env.JOB_WORKER !== 'false', // set false on web-only instances
+  },
   
   // JWT
   jwt: {
@@ -68,16 +74,140 @@ const config = {
     baseFee: 25.00,           // Base fee per load
     perMileRate: 2.50,        // Rate per mile
     perPoundRate: 0.10,       // Rate per pound over 500lbs
-    fuelSurchargePercent: 15, // Fuel surcharge percentage
     platformFeePercent: 10,   // Hotshot platform fee
     minPrice: 50.00,          // Minimum load price
+    quoteValidityHours: parseInt(process.env.QUOTE_VALIDITY_HOURS) || 72, // Saved quotes lock their price this long
+    // A load converted from a quote must be the quoted shipment
+    quoteMatch: {
+      endpointMiles: 25,      // First pickup / last delivery this close to the quoted origin / destination
+      distancePct: 15,        // Road miles within this share of the quoted miles
+    },
+    // Blend our own lane history (lane_rate_observations) into the quoting benchmark
+    laneBlend: {
+      enabled: process.env.LANE_BLEND_ENABLED === 'true',
+      weeks: parseInt(process.env.LANE_BLEND_WEEKS) || 12, // History window
+      minLoads: 5,            // Fewer loads on a lane = no blend
+      fullWeightLoads: 30,    // Loads needed for maxWeight
+      maxWeight: 0.5,         // Lane share of the blended RPM at most
+    },
   },
   
+  // Geocoding
+  geocoding: {
+    provider: process.env.GEOCODING_PROVIDER || 'gazetteer', // 'gazetteer' (offline) or 'google'
+    googleApiKey: process.env.GOOGLE_MAPS_API_KEY || '',
+    gazetteerDir: process.env.GEOCODING_GAZETTEER_DIR || '', // extra/replacement gazetteer CSVs
+    cacheTtlDays: parseInt(process.env.GEOCODE_CACHE_TTL_DAYS) || 90,
+  },
+
+  // Routing (road miles / drive time)
+  routing: {
+    provider: process.env.ROUTING_PROVIDER || 'circuity', // 'circuity' (offline estimate) or 'osrm'
+    osrmUrl: process.env.OSRM_URL || '',
+    timeoutMs: parseInt(process.env.ROUTING_TIMEOUT_MS) || 4000,
+    circuityFactor: 1.2,      // Road miles per straight-line mile
+    avgSpeedMph: 50,          // Truck average for drive time estimates
+  },
+
+  // Stop timezones (services/timezones.js)
+  timezones: {
+    defaultZone: process.env.DEFAULT_TIMEZONE || 'America/Chicago', // Stops with no coordinates, ZIP or state
+    afterHoursStart: 22,      // Closeouts at stop-local hours outside 6am-10pm go to review
+    afterHoursEnd: 6,
+  },
+
+  // Stop geofences (services/geofence.js)
+  geofence: {
+    radiusMeters: parseInt(process.env.GEOFENCE_RADIUS_METERS) || 300,          // Inside = arrived
+    exitRadiusMeters: parseInt(process.env.GEOFENCE_EXIT_RADIUS_METERS) || 500, // Beyond = departed (hysteresis)
+    maxAccuracyMeters: 200,   // Coarser GPS fixes are ignored
+    defaultFreeMinutes: 120,  // Free time when the org has no detention rate
+    departureTimeoutMinutes: 60, // Completed stop with no exit fix: depart at completion after this
+  },
+
+  // Live ETA (services/eta.js)
+  eta: {
+    minRecomputeSeconds: 60,  // Location updates refresh a load's ETA at most this often
+    refreshMinutes: 5,        // eta.refresh job: loads not refreshed within this
+    stopServiceMinutes: 30,   // Time on site assumed at each remaining stop
+    lateGraceMinutes: parseInt(process.env.ETA_LATE_GRACE_MINUTES) || 15, // ETA past window end by more = running late
+    staleMinutes: 30,         // Position older than this is flagged stale
+    speedProfileDays: 14,     // Breadcrumb history for the driver's speed profile
+    priorSamples: 100,        // Weight of routing.avgSpeedMph in the profile, in samples
+    minSpeedMph: 25,
+    maxSpeedMph: 70,
+  },
+
+  // Realtime presence (services/presence.js)
+  presence: {
+    heartbeatSeconds: 30,     // Each instance refreshes its connected sockets this often
+    onlineWindowSeconds: 90,  // Online = seen by some instance within this
+    deviceRetentionDays: 30,  // Last-seen per device kept this long
+  },
+
+  // Load messaging threads (services/loadMessages.js)
+  messaging: {
+    maxBodyLength: 4000,
+    maxAttachments: 5,
+    pageSize: 50,
+    attachmentUrlSeconds: 3600, // Lifetime of attachment view URLs in responses
+  },
+
+  // Public tracking links (services/trackingLinks.js)
+  trackingLinks: {
+    secret: process.env.TRACKING_LINK_SECRET || process.env.JWT_SECRET || 'change-this-in-production',
+    defaultValidityHours: 72,
+    maxValidityHours: 30 * 24,
+    baseUrl: process.env.APP_URL || 'https://hotshot.app', // Public page: {baseUrl}/track/{token}
+  },
+
+  // Location breadcrumbs (services/breadcrumbs.js)
+  breadcrumbs: {
+    minIntervalSeconds: 15,   // Never store fixes closer together than this
+    minDistanceMeters: 50,    // ...or that moved less than this
+    maxIntervalSeconds: 300,  // Stationary driver: one breadcrumb per interval
+    maxAccuracyMeters: 500,   // Coarser fixes update the position but are not stored
+    replayToleranceMeters: 25, // Douglas-Peucker tolerance for replay polylines
+    replayMaxPoints: 20000,
+    partitionMonthsAhead: 2,
+    retentionMonths: parseInt(process.env.BREADCRUMB_RETENTION_MONTHS) || 13, // Monthly partitions older than this are dropped
+  },
+
+  // Hours of service (FMCSA property-carrying, 70-hour/8-day cycle), minutes
+  hos: {
+    maxDrivingMinutes: 11 * 60,       // Driving after 10 hours off
+    windowMinutes: 14 * 60,           // On-duty window after 10 hours off
+    breakAfterDrivingMinutes: 8 * 60, // Driving before a 30-minute break
+    breakMinutes: 30,
+    cycleMinutes: 70 * 60,            // On duty per cycle
+    cycleDays: 8,
+    resetMinutes: 10 * 60,            // Off duty that resets the daily clocks
+    restartMinutes: 34 * 60,          // Off duty that restarts the cycle
+    loadingMinutes: 30,               // On duty at each stop
+    driveTimeBuffer: 1.2,             // Routed drive time multiplier (stops, traffic, truck speeds)
+    maxImportRecords: 2000,           // Duty status records per ELD import
+  },
+
   // Matching
   matching: {
     radiusMiles: 25,          // Default driver search radius
     maxRadiusMiles: 100,      // Maximum search radius
   },
+
+  // Driver match feed (services/matchFeed.js)
+  matchFeed: {
+    minScore: 50,             // Matches kept in the feed ("Decent" and up)
+    pushScore: parseInt(process.env.MATCH_PUSH_SCORE) || 85, // Socket + push at or above this
+    maxMatchesPerLoad: 200,
+    maxLoadsPerAvailability: 200, // Board loads scored for a new availability post
+    sweepBatch: 50,           // matches.sweep job: loads re-scored per run
+  },
+
+  // Recurring driver availability (services/availabilityRecurrence.js)
+  availability: {
+    recurrenceHorizonDays: parseInt(process.env.AVAILABILITY_HORIZON_DAYS) || 14, // Instances expanded this far ahead
+    calendarMaxDays: 62,      // Longest range GET /dispatchers/drivers/:driverId/availability returns
+  },
 };
 
 module.exports = config;
@@ -1,12 +1,72 @@
-// Generated by ScriptBuilder - 303 – Database Schema
-// Feature: database | Role: schema
-
-// =========================================================
-// 004 – Database Schema
-// Feature: database
-// Role: schema
-// Group: Database
-// =========================================================
-// FILE: src/db/migrate.js
-// Run with: npm run db:migrate
-// =========================================================
+// Database Migration CLI
+//
+// Usage:
+//   npm run db:migrate                 apply all pending migrations
+//   npm run db:migrate -- --to 3       apply pending migrations up to version 3
+//   npm run db:rollback                revert the latest migration
+//   npm run db:rollback -- --steps 2   revert the latest two migrations
+//   npm run db:rollback -- --to 1      revert everything above version 1
+//   npm run db:status                  list applied / pending migrations
+
+require('dotenv').config();
+
+const { pool } = require('./pool');
+const { migrate, rollback, status } = require('./migrator');
+
+const parseFlag = (args, flag) => {
+  const index = args.indexOf(flag);
+  if (index === -1) return null;
+
+  const value = parseInt(args[index + 1], 10);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${flag} expects a non-negative integer`);
+  }
+  return value;
+};
+
+const printStatus = (rows) => {
+  if (rows.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  for (const row of rows) {
+    const version = String(row.version).padStart(3, '0');
+    const appliedAt = row.appliedAt ? new Date(row.appliedAt).toISOString() : '';
+    console.log(`${row.state.padEnd(9)} ${version}_${row.name} ${appliedAt}`.trimEnd());
+  }
+};
+
+const main = async () => {
+  const [command = 'migrate', ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'migrate':
+    case 'up': {
+      const applied = await migrate({ to: parseFlag(args, '--to') });
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+      break;
+    }
+    case 'rollback':
+    case 'down': {
+      const to = parseFlag(args, '--to');
+      const steps = parseFlag(args, '--steps');
+      const reverted = await rollback({ to, steps: steps === null ? 1 : steps });
+      console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : 'Nothing to roll back');
+      break;
+    }
+    case 'status':
+      printStatus(await status());
+      break;
+    default:
+      throw new Error(`Unknown command "${command}" (expected migrate, rollback or status)`);
+  }
+};
+
+main()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('[DB] Migration error:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
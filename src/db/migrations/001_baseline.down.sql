@@ -0,0 +1,9 @@
+-- Baseline schema
+-- Rolling back the baseline would drop every table in the database.
+-- Refuse instead; restore from a backup if the schema really must go.
+
+DO $$
+BEGIN
+    RAISE EXCEPTION 'The baseline migration cannot be rolled back';
+END
+$$;
@@ -0,0 +1,902 @@
+-- Baseline schema
+-- Every table the API queries, as of the introduction of versioned migrations.
+-- Statements are idempotent so an existing database can adopt the ledger
+-- without being rebuilt: tables that already exist are left untouched and
+-- any columns previously added at boot by migrations_v2 are back-filled.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- ============================================
+-- COMPANIES / USERS
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS subscription_plans (
+    id VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    price_monthly DECIMAL(10, 2) DEFAULT 0,
+    max_users INTEGER,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS companies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    display_name VARCHAR(255),
+    slug VARCHAR(255) UNIQUE,
+    email VARCHAR(255),
+    phone VARCHAR(50),
+    address VARCHAR(255),
+    city VARCHAR(100),
+    state VARCHAR(2),
+    zip VARCHAR(20),
+    logo_url TEXT,
+    owner_id UUID,
+    plan_id VARCHAR(50) REFERENCES subscription_plans(id),
+    subscription_status VARCHAR(20) DEFAULT 'active',
+    subscription_started_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    phone VARCHAR(50),
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    name VARCHAR(255),
+    role VARCHAR(20) NOT NULL DEFAULT 'driver',
+    user_type VARCHAR(20),
+    status VARCHAR(20) DEFAULT 'active',
+    is_active BOOLEAN DEFAULT true,
+    is_verified BOOLEAN DEFAULT false,
+    is_available BOOLEAN DEFAULT false,
+    verified_driver BOOLEAN DEFAULT false,
+    verification_status VARCHAR(20) DEFAULT 'pending',
+    verified_at TIMESTAMP WITH TIME ZONE,
+    -- Shipper accounts
+    account_type VARCHAR(20) DEFAULT 'individual',
+    company_id UUID REFERENCES companies(id) ON DELETE SET NULL,
+    company_name VARCHAR(255),
+    department VARCHAR(100),
+    job_title VARCHAR(100),
+    shipper_role VARCHAR(20),
+    shipper_name VARCHAR(255),
+    -- Admin approval
+    approval_status VARCHAR(20) DEFAULT 'pending',
+    approval_notes TEXT,
+    approved_at TIMESTAMP WITH TIME ZONE,
+    approved_by UUID,
+    rejection_reason TEXT,
+    rejection_category VARCHAR(50),
+    -- Referrals
+    referral_code VARCHAR(20) UNIQUE,
+    referred_by UUID,
+    -- Driver location / equipment
+    vehicle_type VARCHAR(50),
+    license_plate VARCHAR(20),
+    current_lat DECIMAL(10, 7),
+    current_lng DECIMAL(10, 7),
+    driver_lat DECIMAL(10, 7),
+    driver_lng DECIMAL(10, 7),
+    last_location_update TIMESTAMP WITH TIME ZONE,
+    location_updated_at TIMESTAMP WITH TIME ZONE,
+    -- Driver profile
+    has_cdl BOOLEAN DEFAULT false,
+    cdl_number VARCHAR(50),
+    cdl_state VARCHAR(2),
+    cdl_expiration DATE,
+    insurance_provider VARCHAR(255),
+    insurance_policy_number VARCHAR(100),
+    insurance_expiration DATE,
+    bio TEXT,
+    profile_picture_url TEXT,
+    profile_image_url TEXT,
+    avatar_url TEXT,
+    -- Ratings / stats
+    rating DECIMAL(3, 2) DEFAULT 5.00,
+    rating_count INTEGER DEFAULT 0,
+    average_rating DECIMAL(3, 2),
+    total_ratings INTEGER DEFAULT 0,
+    total_deliveries INTEGER DEFAULT 0,
+    load_count INTEGER DEFAULT 0,
+    shipper_rating DECIMAL(3, 2),
+    shipper_rating_count INTEGER DEFAULT 0,
+    shipper_score INTEGER,
+    shipper_loads_posted INTEGER DEFAULT 0,
+    shipper_loads_completed INTEGER DEFAULT 0,
+    shipper_cancellations INTEGER DEFAULT 0,
+    shipper_disputes INTEGER DEFAULT 0,
+    shipper_on_time_rate DECIMAL(5, 2),
+    -- Dispatchers
+    is_dispatcher BOOLEAN DEFAULT false,
+    dispatcher_company_name VARCHAR(255),
+    dispatcher_bio TEXT,
+    dispatcher_accepting_drivers BOOLEAN DEFAULT true,
+    dispatcher_rating DECIMAL(3, 2),
+    dispatcher_rating_count INTEGER DEFAULT 0,
+    dispatcher_total_loads INTEGER DEFAULT 0,
+    default_commission_rate DECIMAL(5, 2),
+    -- Payments / payouts
+    stripe_account_id VARCHAR(255),
+    stripe_customer_id VARCHAR(255),
+    payout_schedule VARCHAR(20) DEFAULT 'daily',
+    instant_payout_enabled BOOLEAN DEFAULT false,
+    default_payout_method VARCHAR(255),
+    billing_address_line1 VARCHAR(255),
+    billing_address_line2 VARCHAR(255),
+    billing_city VARCHAR(100),
+    billing_state VARCHAR(2),
+    billing_postal_code VARCHAR(20),
+    billing_country VARCHAR(2) DEFAULT 'US',
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Columns previously added at boot by migrations_v2
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS payout_schedule VARCHAR(20) DEFAULT 'daily',
+    ADD COLUMN IF NOT EXISTS instant_payout_enabled BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS default_payout_method VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS has_cdl BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS cdl_number VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS cdl_state VARCHAR(2),
+    ADD COLUMN IF NOT EXISTS cdl_expiration DATE,
+    ADD COLUMN IF NOT EXISTS insurance_provider VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS insurance_policy_number VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS insurance_expiration DATE,
+    ADD COLUMN IF NOT EXISTS bio TEXT,
+    ADD COLUMN IF NOT EXISTS profile_picture_url TEXT,
+    ADD COLUMN IF NOT EXISTS billing_address_line1 VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS billing_address_line2 VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS billing_city VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS billing_state VARCHAR(2),
+    ADD COLUMN IF NOT EXISTS billing_postal_code VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS billing_country VARCHAR(2) DEFAULT 'US';
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+CREATE INDEX IF NOT EXISTS idx_users_company_id ON users(company_id);
+
+CREATE TABLE IF NOT EXISTS admin_users (
+    id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) DEFAULT 'admin',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS company_invitations (
+    id SERIAL PRIMARY KEY,
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    department VARCHAR(100),
+    role VARCHAR(20) DEFAULT 'shipper',
+    token VARCHAR(64) UNIQUE NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending',
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS password_reset_codes (
+    id SERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code VARCHAR(6) NOT NULL,
+    reset_token VARCHAR(64),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_codes_user_id ON password_reset_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_password_reset_codes_code ON password_reset_codes(code);
+CREATE INDEX IF NOT EXISTS idx_password_reset_codes_reset_token ON password_reset_codes(reset_token);
+CREATE INDEX IF NOT EXISTS idx_password_reset_codes_expires_at ON password_reset_codes(expires_at);
+
+CREATE TABLE IF NOT EXISTS referrals (
+    id SERIAL PRIMARY KEY,
+    referrer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    referred_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'pending',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS device_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token TEXT NOT NULL,
+    platform VARCHAR(20) DEFAULT 'android',
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, token)
+);
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id SERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(255),
+    body TEXT,
+    data JSONB,
+    is_read BOOLEAN DEFAULT false,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at);
+
+-- ============================================
+-- ORGS / MEMBERSHIPS
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS orgs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    org_type VARCHAR(20) NOT NULL CHECK (org_type IN ('shipper', 'broker', 'carrier')),
+    name VARCHAR(255) NOT NULL,
+    dba_name VARCHAR(255),
+    mc_number VARCHAR(20),
+    dot_number VARCHAR(20),
+    broker_mc_number VARCHAR(20),
+    email VARCHAR(255),
+    phone VARCHAR(50),
+    address VARCHAR(255),
+    city VARCHAR(100),
+    state VARCHAR(2),
+    zip VARCHAR(20),
+    verification_status VARCHAR(20) DEFAULT 'pending',
+    verified_at TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN DEFAULT true,
+    loads_completed INTEGER DEFAULT 0,
+    on_time_rate DECIMAL(5, 2),
+    claim_rate DECIMAL(5, 2),
+    payment_terms VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS memberships (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    org_id UUID NOT NULL REFERENCES orgs(id) ON DELETE CASCADE,
+    role VARCHAR(30) NOT NULL,
+    permissions JSONB,
+    is_active BOOLEAN DEFAULT true,
+    is_primary BOOLEAN DEFAULT false,
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, org_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_memberships_org_id ON memberships(org_id);
+
+-- Legacy membership table still read by orgs-drivers
+CREATE TABLE IF NOT EXISTS org_memberships (
+    id SERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    org_id UUID NOT NULL REFERENCES orgs(id) ON DELETE CASCADE,
+    role VARCHAR(30) NOT NULL,
+    is_primary BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, org_id)
+);
+
+CREATE TABLE IF NOT EXISTS org_invites (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    org_id UUID NOT NULL REFERENCES orgs(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(30) NOT NULL,
+    token VARCHAR(64) UNIQUE NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending',
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS trust_signals (
+    org_id UUID PRIMARY KEY REFERENCES orgs(id) ON DELETE CASCADE,
+    insurance_verified BOOLEAN DEFAULT false,
+    authority_verified BOOLEAN DEFAULT false,
+    safety_rating VARCHAR(20),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- BROKER NETWORKS
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS broker_carriers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    broker_org_id UUID NOT NULL REFERENCES orgs(id) ON DELETE CASCADE,
+    carrier_org_id UUID REFERENCES orgs(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'pending',
+    is_preferred BOOLEAN DEFAULT false,
+    loads_completed INTEGER DEFAULT 0,
+    notes TEXT,
+    external_company_name VARCHAR(255),
+    external_mc_number VARCHAR(20),
+    primary_contact_name VARCHAR(255),
+    primary_contact_email VARCHAR(255),
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    decline_reason TEXT,
+    blocked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    blocked_at TIMESTAMP WITH TIME ZONE,
+    blocked_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(broker_org_id, carrier_org_id)
+);
+
+CREATE TABLE IF NOT EXISTS broker_shippers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    broker_org_id UUID NOT NULL REFERENCES orgs(id) ON DELETE CASCADE,
+    shipper_org_id UUID NOT NULL REFERENCES orgs(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'active',
+    total_revenue DECIMAL(12, 2) DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(broker_org_id, shipper_org_id)
+);
+
+CREATE TABLE IF NOT EXISTS broker_connection_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    broker_org_id UUID NOT NULL REFERENCES orgs(id) ON DELETE CASCADE,
+    shipper_org_id UUID NOT NULL REFERENCES orgs(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'pending',
+    message TEXT,
+    attempt_number INTEGER DEFAULT 1,
+    sent_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS broker_connection_attempts (
+    id SERIAL PRIMARY KEY,
+    broker_org_id UUID NOT NULL REFERENCES orgs(id) ON DELETE CASCADE,
+    shipper_org_id UUID NOT NULL REFERENCES orgs(id) ON DELETE CASCADE,
+    request_id UUID REFERENCES broker_connection_requests(id) ON DELETE SET NULL,
+    attempt_number INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- LOADS
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS loads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    shipper_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    posted_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    posted_by_org_id UUID REFERENCES orgs(id) ON DELETE SET NULL,
+    assigned_carrier_org_id UUID REFERENCES orgs(id) ON DELETE SET NULL,
+    driver_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    accepted_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    accepted_by_dispatcher_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(30) NOT NULL DEFAULT 'posted',
+    load_type VARCHAR(30) DEFAULT 'standard',
+    visibility VARCHAR(20) DEFAULT 'public',
+    -- Pickup
+    pickup_company_name VARCHAR(255),
+    pickup_address VARCHAR(255),
+    pickup_city VARCHAR(100),
+    pickup_state VARCHAR(2),
+    pickup_zip VARCHAR(20),
+    pickup_lat DECIMAL(10, 7),
+    pickup_lng DECIMAL(10, 7),
+    pickup_date DATE,
+    pickup_time_start TIME,
+    pickup_time_end TIME,
+    pickup_contact_name VARCHAR(255),
+    pickup_contact_phone VARCHAR(50),
+    pickup_instructions TEXT,
+    -- Delivery
+    delivery_company_name VARCHAR(255),
+    delivery_address VARCHAR(255),
+    delivery_city VARCHAR(100),
+    delivery_state VARCHAR(2),
+    delivery_zip VARCHAR(20),
+    delivery_lat DECIMAL(10, 7),
+    delivery_lng DECIMAL(10, 7),
+    delivery_date DATE,
+    delivery_time_start TIME,
+    delivery_time_end TIME,
+    delivery_contact_name VARCHAR(255),
+    delivery_contact_phone VARCHAR(50),
+    delivery_instructions TEXT,
+    -- Freight
+    description TEXT,
+    weight_lbs INTEGER,
+    pieces INTEGER,
+    dimensions VARCHAR(100),
+    vehicle_type_required VARCHAR(50),
+    is_fragile BOOLEAN DEFAULT false,
+    requires_liftgate BOOLEAN DEFAULT false,
+    requires_pallet_jack BOOLEAN DEFAULT false,
+    special_requirements TEXT,
+    tracking_required BOOLEAN DEFAULT false,
+    verified_only BOOLEAN DEFAULT false,
+    distance_miles DECIMAL(10, 2),
+    -- Customer (broker loads)
+    customer_name VARCHAR(255),
+    customer_load_number VARCHAR(100),
+    customer_po VARCHAR(100),
+    customer_rate DECIMAL(10, 2),
+    -- Pricing
+    price DECIMAL(10, 2),
+    expedited_fee DECIMAL(10, 2),
+    platform_fee DECIMAL(10, 2),
+    carrier_pay DECIMAL(10, 2),
+    driver_payout DECIMAL(10, 2),
+    driver_net_payout DECIMAL(10, 2),
+    dispatcher_commission DECIMAL(10, 2),
+    dispatcher_commission_rate DECIMAL(5, 2),
+    total_price_cents INTEGER,
+    driver_payout_cents INTEGER,
+    min_offer DECIMAL(10, 2),
+    allow_offers BOOLEAN DEFAULT true,
+    allow_book_now BOOLEAN DEFAULT true,
+    -- Preferred carrier window
+    is_preferred_broker BOOLEAN DEFAULT false,
+    preferred_window_minutes INTEGER,
+    release_to_public_at TIMESTAMP WITH TIME ZONE,
+    released_early_at TIMESTAMP WITH TIME ZONE,
+    views_by_preferred INTEGER DEFAULT 0,
+    -- Route planner
+    route_sequence INTEGER,
+    -- Payments
+    payment_status VARCHAR(20) DEFAULT 'pending',
+    payout_status VARCHAR(20),
+    stripe_payment_intent_id VARCHAR(255),
+    stripe_transfer_id VARCHAR(255),
+    payout_at TIMESTAMP WITH TIME ZONE,
+    -- Ratings
+    driver_rated BOOLEAN DEFAULT false,
+    driver_rating INTEGER,
+    driver_review TEXT,
+    shipper_rated BOOLEAN DEFAULT false,
+    -- Lifecycle
+    cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    posted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    assigned_at TIMESTAMP WITH TIME ZONE,
+    picked_up_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_loads_status ON loads(status);
+CREATE INDEX IF NOT EXISTS idx_loads_shipper_id ON loads(shipper_id);
+CREATE INDEX IF NOT EXISTS idx_loads_driver_id ON loads(driver_id);
+CREATE INDEX IF NOT EXISTS idx_loads_posted_by_org_id ON loads(posted_by_org_id);
+CREATE INDEX IF NOT EXISTS idx_loads_assigned_carrier_org_id ON loads(assigned_carrier_org_id);
+
+CREATE TABLE IF NOT EXISTS offers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    carrier_org_id UUID NOT NULL REFERENCES orgs(id) ON DELETE CASCADE,
+    submitted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    submitted_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    amount DECIMAL(10, 2),
+    offered_amount DECIMAL(10, 2),
+    counter_amount DECIMAL(10, 2),
+    counter_message TEXT,
+    final_amount DECIMAL(10, 2),
+    notes TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    expires_at TIMESTAMP WITH TIME ZONE,
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    accepted_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    declined_at TIMESTAMP WITH TIME ZONE,
+    decline_reason TEXT,
+    countered_at TIMESTAMP WITH TIME ZONE,
+    countered_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    withdrawn_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_offers_load_id ON offers(load_id);
+CREATE INDEX IF NOT EXISTS idx_offers_carrier_org_id ON offers(carrier_org_id);
+
+-- Direct-to-driver offers from the matching engine
+CREATE TABLE IF NOT EXISTS load_offers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    driver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    offer_amount DECIMAL(10, 2),
+    driver_payout DECIMAL(10, 2),
+    counter_amount DECIMAL(10, 2),
+    deadhead_miles DECIMAL(10, 2),
+    route_fit_score DECIMAL(5, 2),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    expires_at TIMESTAMP WITH TIME ZONE,
+    responded_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_load_offers_driver_id ON load_offers(driver_id, status);
+
+CREATE TABLE IF NOT EXISTS assignments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    carrier_org_id UUID REFERENCES orgs(id) ON DELETE SET NULL,
+    driver_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    dispatcher_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    carrier_pay DECIMAL(10, 2),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    assigned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignments_load_id ON assignments(load_id);
+CREATE INDEX IF NOT EXISTS idx_assignments_driver_user_id ON assignments(driver_user_id);
+
+-- ============================================
+-- CLOSEOUTS (proof of delivery)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS closeouts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    assignment_id UUID REFERENCES assignments(id) ON DELETE SET NULL,
+    status VARCHAR(30) NOT NULL DEFAULT 'pending',
+    closeout_method VARCHAR(20),
+    -- Driver capture
+    driver_name VARCHAR(255),
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    device_timestamp TIMESTAMP WITH TIME ZONE,
+    server_timestamp TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    gps_lat DECIMAL(10, 7),
+    gps_lng DECIMAL(10, 7),
+    gps_accuracy DECIMAL(10, 2),
+    photo_urls JSONB,
+    location_photos JSONB,
+    signature_url TEXT,
+    signature_data TEXT,
+    signed_by VARCHAR(255),
+    -- Recipient
+    recipient_name VARCHAR(255),
+    recipient_title VARCHAR(100),
+    recipient_email VARCHAR(255),
+    recipient_phone VARCHAR(50),
+    recipient_notes TEXT,
+    -- QR confirmation
+    qr_token VARCHAR(64) UNIQUE,
+    qr_generated_at TIMESTAMP WITH TIME ZONE,
+    qr_expires_at TIMESTAMP WITH TIME ZONE,
+    qr_completed_at TIMESTAMP WITH TIME ZONE,
+    qr_completed_by_ip VARCHAR(64),
+    qr_device_info TEXT,
+    -- No-document closeout
+    no_doc_reason VARCHAR(50),
+    no_doc_explanation TEXT,
+    -- Exceptions
+    has_exceptions BOOLEAN DEFAULT false,
+    issue_type VARCHAR(50),
+    issue_severity VARCHAR(20),
+    issue_description TEXT,
+    damage_photo_urls JSONB,
+    damage_acknowledged_by_recipient BOOLEAN DEFAULT false,
+    -- Review / settlement
+    requires_review BOOLEAN DEFAULT false,
+    review_status VARCHAR(20),
+    review_notes TEXT,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    adjustments JSONB,
+    final_carrier_pay DECIMAL(10, 2),
+    pod_received_at TIMESTAMP WITH TIME ZONE,
+    shipper_notified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_closeouts_load_id ON closeouts(load_id);
+
+CREATE TABLE IF NOT EXISTS closeout_attachments (
+    id SERIAL PRIMARY KEY,
+    closeout_id UUID NOT NULL REFERENCES closeouts(id) ON DELETE CASCADE,
+    attachment_type VARCHAR(30) NOT NULL,
+    file_url TEXT NOT NULL,
+    file_name VARCHAR(255),
+    captured_at TIMESTAMP WITH TIME ZONE,
+    captured_lat DECIMAL(10, 7),
+    captured_lng DECIMAL(10, 7),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- DRIVERS
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS driver_profiles (
+    id SERIAL PRIMARY KEY,
+    user_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    vehicle_type VARCHAR(50),
+    license_number VARCHAR(50),
+    license_state VARCHAR(2),
+    insurance_policy VARCHAR(100),
+    verification_status VARCHAR(20) DEFAULT 'pending',
+    verification_notes TEXT,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    verified_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    checkr_candidate_id VARCHAR(100),
+    checkr_report_id VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS driver_documents (
+    id SERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    document_type VARCHAR(50) NOT NULL,
+    s3_key TEXT,
+    file_url TEXT,
+    file_name VARCHAR(255),
+    status VARCHAR(20) DEFAULT 'pending',
+    rejection_reason TEXT,
+    expires_at DATE,
+    uploaded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(user_id, document_type)
+);
+
+ALTER TABLE driver_documents
+    ADD COLUMN IF NOT EXISTS file_url TEXT,
+    ADD COLUMN IF NOT EXISTS file_name VARCHAR(255);
+
+CREATE TABLE IF NOT EXISTS driver_locations (
+    driver_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    latitude DECIMAL(10, 7) NOT NULL,
+    longitude DECIMAL(10, 7) NOT NULL,
+    heading DECIMAL(5, 2),
+    speed_mph DECIMAL(6, 2),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS driver_availability (
+    id SERIAL PRIMARY KEY,
+    driver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    mode VARCHAR(20) DEFAULT 'local',
+    status VARCHAR(20) DEFAULT 'active',
+    is_active BOOLEAN DEFAULT true,
+    current_lat DECIMAL(10, 7),
+    current_lng DECIMAL(10, 7),
+    start_city VARCHAR(100),
+    start_state VARCHAR(2),
+    destination_lat DECIMAL(10, 7),
+    destination_lng DECIMAL(10, 7),
+    destination_city VARCHAR(100),
+    destination_state VARCHAR(2),
+    available_from TIMESTAMP WITH TIME ZONE,
+    available_until TIMESTAMP WITH TIME ZONE,
+    departure_window_start TIMESTAMP WITH TIME ZONE,
+    departure_window_end TIMESTAMP WITH TIME ZONE,
+    equipment_type VARCHAR(50),
+    max_weight_lbs INTEGER,
+    pallet_capacity INTEGER,
+    service_types_accepted JSONB,
+    max_deadhead_miles INTEGER,
+    max_detour_miles INTEGER,
+    min_payout DECIMAL(10, 2),
+    min_rate_per_mile DECIMAL(6, 2),
+    is_recurring BOOLEAN DEFAULT false,
+    recurrence_days JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_driver_availability_driver_id ON driver_availability(driver_id);
+
+CREATE TABLE IF NOT EXISTS driver_schedule (
+    id SERIAL PRIMARY KEY,
+    driver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    load_id UUID REFERENCES loads(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL DEFAULT 'load',
+    start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    end_time TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_driver_schedule_driver_id ON driver_schedule(driver_id, start_time);
+
+-- ============================================
+-- DISPATCHERS
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS dispatcher_drivers (
+    id SERIAL PRIMARY KEY,
+    dispatcher_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    driver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'pending',
+    connection_type VARCHAR(20),
+    commission_rate DECIMAL(5, 2),
+    invite_code VARCHAR(20),
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    removed_at TIMESTAMP WITH TIME ZONE,
+    removed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(dispatcher_id, driver_id)
+);
+
+CREATE TABLE IF NOT EXISTS dispatcher_requests (
+    id SERIAL PRIMARY KEY,
+    driver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    dispatcher_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    message TEXT,
+    status VARCHAR(20) DEFAULT 'pending',
+    responded_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(driver_id, dispatcher_id)
+);
+
+CREATE TABLE IF NOT EXISTS dispatcher_invite_codes (
+    id SERIAL PRIMARY KEY,
+    dispatcher_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code VARCHAR(20) UNIQUE NOT NULL,
+    commission_rate DECIMAL(5, 2),
+    max_uses INTEGER,
+    use_count INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- RATINGS / DISPUTES / SUPPORT
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS driver_ratings (
+    id SERIAL PRIMARY KEY,
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    driver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    shipper_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+    comment TEXT,
+    tags JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(load_id, shipper_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_driver_ratings_driver_id ON driver_ratings(driver_id);
+CREATE INDEX IF NOT EXISTS idx_driver_ratings_shipper_id ON driver_ratings(shipper_id);
+CREATE INDEX IF NOT EXISTS idx_driver_ratings_load_id ON driver_ratings(load_id);
+
+CREATE TABLE IF NOT EXISTS shipper_ratings (
+    id SERIAL PRIMARY KEY,
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    shipper_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    driver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+    comment TEXT,
+    tags JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(load_id, driver_id)
+);
+
+CREATE TABLE IF NOT EXISTS disputes (
+    id SERIAL PRIMARY KEY,
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    filed_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    filed_against UUID REFERENCES users(id) ON DELETE SET NULL,
+    reason VARCHAR(50) NOT NULL,
+    description TEXT,
+    evidence_urls JSONB,
+    status VARCHAR(20) DEFAULT 'open',
+    resolution VARCHAR(50),
+    resolution_notes TEXT,
+    refund_amount_cents INTEGER,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS dispute_messages (
+    id SERIAL PRIMARY KEY,
+    dispute_id INTEGER NOT NULL REFERENCES disputes(id) ON DELETE CASCADE,
+    sender_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    message TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS support_tickets (
+    id SERIAL PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    user_name VARCHAR(255),
+    user_email VARCHAR(255),
+    user_phone VARCHAR(50),
+    user_role VARCHAR(20),
+    load_id UUID REFERENCES loads(id) ON DELETE SET NULL,
+    category VARCHAR(50),
+    priority VARCHAR(20) DEFAULT 'normal',
+    subject VARCHAR(255),
+    message TEXT,
+    attachments JSONB,
+    status VARCHAR(20) DEFAULT 'open',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS announcements (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    message TEXT,
+    type VARCHAR(20) DEFAULT 'info',
+    priority INTEGER DEFAULT 0,
+    target_role VARCHAR(20),
+    action_text VARCHAR(100),
+    action_url TEXT,
+    start_date TIMESTAMP WITH TIME ZONE,
+    end_date TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS announcement_dismissals (
+    id SERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    announcement_id INTEGER NOT NULL REFERENCES announcements(id) ON DELETE CASCADE,
+    dismissed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, announcement_id)
+);
+
+-- ============================================
+-- PAYMENTS / RATES
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    amount DECIMAL(10, 2),
+    status VARCHAR(20) DEFAULT 'pending',
+    stripe_payment_intent_id VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS payout_history (
+    id SERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    amount DECIMAL(10, 2) NOT NULL,
+    type VARCHAR(20) NOT NULL DEFAULT 'standard',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    stripe_payout_id VARCHAR(255),
+    fee DECIMAL(10, 2) DEFAULT 0,
+    arrival_date TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_history_user_id ON payout_history(user_id);
+
+CREATE TABLE IF NOT EXISTS market_benchmarks (
+    id SERIAL PRIMARY KEY,
+    date DATE NOT NULL,
+    equipment_group VARCHAR(30) NOT NULL,
+    benchmark_rpm DECIMAL(6, 2) NOT NULL,
+    source VARCHAR(30) DEFAULT 'manual',
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(date, equipment_group)
+);
@@ -1,23 +0,0 @@
--- Password Reset Codes Table
--- Required for /auth/forgot-password, /auth/verify-reset-code, /auth/reset-password endpoints
-
-CREATE TABLE IF NOT EXISTS password_reset_codes (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    code VARCHAR(6) NOT NULL,
-    reset_token VARCHAR(64),
-    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
-    attempts INTEGER DEFAULT 0,
-    verified_at TIMESTAMP WITH TIME ZONE,
-    used_at TIMESTAMP WITH TIME ZONE,
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-);
-
--- Index for fast lookups
-CREATE INDEX IF NOT EXISTS idx_password_reset_codes_user_id ON password_reset_codes(user_id);
-CREATE INDEX IF NOT EXISTS idx_password_reset_codes_code ON password_reset_codes(code);
-CREATE INDEX IF NOT EXISTS idx_password_reset_codes_reset_token ON password_reset_codes(reset_token);
-CREATE INDEX IF NOT EXISTS idx_password_reset_codes_expires_at ON password_reset_codes(expires_at);
-
--- Clean up expired codes periodically (optional - can be run as a cron job)
--- DELETE FROM password_reset_codes WHERE expires_at < NOW() - INTERVAL '1 day';
@@ -0,0 +1,5 @@
+-- Load Stops
+
+ALTER TABLE closeouts DROP COLUMN IF EXISTS stop_id;
+
+DROP TABLE IF EXISTS load_stops;
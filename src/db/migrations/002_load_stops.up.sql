@@ -0,0 +1,38 @@
+-- Load Stops
+-- Ordered pickup/delivery stops for multi-stop loads. Closeouts are captured
+-- per delivery stop.
+
+CREATE TABLE IF NOT EXISTS load_stops (
+    id SERIAL PRIMARY KEY,
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    sequence INTEGER NOT NULL,
+    stop_type VARCHAR(20) NOT NULL CHECK (stop_type IN ('pickup', 'delivery')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    company_name VARCHAR(255),
+    address VARCHAR(255) NOT NULL,
+    city VARCHAR(100) NOT NULL,
+    state VARCHAR(2) NOT NULL,
+    zip VARCHAR(20),
+    lat DECIMAL(10, 7),
+    lng DECIMAL(10, 7),
+    scheduled_date DATE,
+    window_start TIME,
+    window_end TIME,
+    contact_name VARCHAR(255),
+    contact_phone VARCHAR(50),
+    instructions TEXT,
+    reference_number VARCHAR(100),
+    pieces INTEGER,
+    weight_lbs INTEGER,
+    arrived_at TIMESTAMP WITH TIME ZONE,
+    departed_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(load_id, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_load_stops_load_id ON load_stops(load_id);
+
+ALTER TABLE closeouts
+    ADD COLUMN IF NOT EXISTS stop_id INTEGER REFERENCES load_stops(id) ON DELETE SET NULL;
@@ -0,0 +1,3 @@
+-- Load Status Events
+
+DROP TABLE IF EXISTS load_status_events;
@@ -0,0 +1,23 @@
+-- Load Status Events
+-- Audit trail of load, assignment, closeout and stop status transitions.
+
+CREATE TABLE IF NOT EXISTS load_status_events (
+    id SERIAL PRIMARY KEY,
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    entity_type VARCHAR(20) NOT NULL DEFAULT 'load',
+    entity_id VARCHAR(64),
+    from_status VARCHAR(30),
+    to_status VARCHAR(30) NOT NULL,
+    actor_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_role VARCHAR(30),
+    source VARCHAR(30) NOT NULL DEFAULT 'api',
+    reason TEXT,
+    lat DECIMAL(10, 7),
+    lng DECIMAL(10, 7),
+    gps_accuracy DECIMAL(10, 2),
+    stop_id INTEGER REFERENCES load_stops(id) ON DELETE SET NULL,
+    metadata JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_load_status_events_load_id ON load_status_events(load_id, created_at);
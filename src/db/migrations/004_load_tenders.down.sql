@@ -0,0 +1,7 @@
+-- Tender Waterfall
+
+DROP TABLE IF EXISTS load_tender_events;
+DROP TABLE IF EXISTS load_tenders;
+
+ALTER TABLE loads DROP COLUMN IF EXISTS current_tender_tier;
+ALTER TABLE broker_carriers DROP COLUMN IF EXISTS tender_tier;
@@ -0,0 +1,45 @@
+-- Tender Waterfall
+-- Brokers rank network carriers into tiers (1 = preferred). A preferred_first
+-- load is tendered tier by tier, each with a timed exclusive window, before it
+-- reaches the public board.
+
+ALTER TABLE broker_carriers
+    ADD COLUMN IF NOT EXISTS tender_tier INTEGER CHECK (tender_tier BETWEEN 1 AND 5);
+
+-- Highest tier currently allowed to see the load (NULL = not tendering)
+ALTER TABLE loads
+    ADD COLUMN IF NOT EXISTS current_tender_tier INTEGER;
+
+CREATE TABLE IF NOT EXISTS load_tenders (
+    id SERIAL PRIMARY KEY,
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    step INTEGER NOT NULL,
+    tier INTEGER NOT NULL,
+    window_minutes INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'active', 'expired', 'declined', 'closed')),
+    carrier_count INTEGER DEFAULT 0,
+    opened_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    close_reason VARCHAR(30),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(load_id, step)
+);
+
+CREATE INDEX IF NOT EXISTS idx_load_tenders_load_id ON load_tenders(load_id);
+
+-- Who was notified, viewed and declined at each step
+CREATE TABLE IF NOT EXISTS load_tender_events (
+    id SERIAL PRIMARY KEY,
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    tender_id INTEGER NOT NULL REFERENCES load_tenders(id) ON DELETE CASCADE,
+    carrier_org_id UUID NOT NULL REFERENCES orgs(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    event VARCHAR(20) NOT NULL CHECK (event IN ('notified', 'viewed', 'declined')),
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(tender_id, carrier_org_id, event)
+);
+
+CREATE INDEX IF NOT EXISTS idx_load_tender_events_load_id ON load_tender_events(load_id);
@@ -0,0 +1,3 @@
+-- Geocode Cache
+
+DROP TABLE IF EXISTS geocode_cache;
@@ -0,0 +1,16 @@
+-- Geocode Cache
+-- Results from hosted geocoding providers, keyed by normalized address
+
+CREATE TABLE IF NOT EXISTS geocode_cache (
+    query_key TEXT PRIMARY KEY,
+    provider VARCHAR(30) NOT NULL,
+    latitude DECIMAL(10, 7) NOT NULL,
+    longitude DECIMAL(10, 7) NOT NULL,
+    formatted_address TEXT,
+    precision VARCHAR(20),
+    hit_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_geocode_cache_created_at ON geocode_cache(created_at);
@@ -0,0 +1,6 @@
+-- Load Routes
+
+ALTER TABLE loads
+    DROP COLUMN IF EXISTS drive_time_minutes,
+    DROP COLUMN IF EXISTS route_polyline,
+    DROP COLUMN IF EXISTS route_provider;
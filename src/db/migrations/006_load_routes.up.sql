@@ -0,0 +1,7 @@
+-- Load Routes
+-- Road route computed at posting time by the routing service
+
+ALTER TABLE loads
+    ADD COLUMN IF NOT EXISTS drive_time_minutes INTEGER,
+    ADD COLUMN IF NOT EXISTS route_polyline TEXT,
+    ADD COLUMN IF NOT EXISTS route_provider VARCHAR(30);
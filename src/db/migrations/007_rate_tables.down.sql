@@ -0,0 +1,13 @@
+-- Rate Tables
+
+ALTER TABLE closeouts DROP COLUMN IF EXISTS rate_table_version;
+
+ALTER TABLE offers
+    DROP COLUMN IF EXISTS rate_table_version,
+    DROP COLUMN IF EXISTS rate_breakdown;
+
+ALTER TABLE loads
+    DROP COLUMN IF EXISTS rate_table_version,
+    DROP COLUMN IF EXISTS rate_breakdown;
+
+DROP TABLE IF EXISTS rate_tables;
@@ -0,0 +1,102 @@
+-- Rate Tables
+-- Versioned pricing config for the rating engine (services/pricing.js).
+-- Exactly one table is active; loads, offers and closeouts record the version they were rated with.
+
+CREATE TABLE IF NOT EXISTS rate_tables (
+    id SERIAL PRIMARY KEY,
+    version INTEGER NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'active', 'retired')),
+    config JSONB NOT NULL,
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    activated_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rate_tables_one_active ON rate_tables(status) WHERE status = 'active';
+
+-- Version 1 = the rates GET /rates/quote used before rate tables existed
+INSERT INTO rate_tables (version, name, status, config, activated_at)
+VALUES (1, 'Launch rates', 'active', '{
+      "defaultRpm": 2,
+      "loadTypes": {
+        "standard": {
+          "baseFee": 150,
+          "urgencyMultiplier": 1,
+          "marketAdjustment": 0.97
+        },
+        "hotshot": {
+          "baseFee": 200,
+          "urgencyMultiplier": 1.25,
+          "marketAdjustment": 1.15
+        },
+        "emergency": {
+          "baseFee": 250,
+          "urgencyMultiplier": 1.5,
+          "marketAdjustment": 1.35
+        }
+      },
+      "backhaul": {
+        "marketAdjustment": 0.82,
+        "discountPct": 0.2
+      },
+      "distancePremiums": [
+        {
+          "upToMiles": 50,
+          "multiplier": 1.35
+        },
+        {
+          "upToMiles": 100,
+          "multiplier": 1.2
+        },
+        {
+          "upToMiles": 200,
+          "multiplier": 1.1
+        }
+      ],
+      "minimumCharges": [
+        {
+          "upToMiles": 25,
+          "amount": 200
+        },
+        {
+          "upToMiles": 50,
+          "amount": 275
+        },
+        {
+          "upToMiles": 100,
+          "amount": 350
+        }
+      ],
+      "platformFee": {
+        "tiers": [
+          {
+            "upTo": 500,
+            "pct": 0.15
+          },
+          {
+            "upTo": 1500,
+            "pct": 0.12
+          },
+          {
+            "upTo": null,
+            "pct": 0.1
+          }
+        ],
+        "min": 25,
+        "max": 250
+      }
+    }'::jsonb, CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
+
+ALTER TABLE loads
+    ADD COLUMN IF NOT EXISTS rate_table_version INTEGER,
+    ADD COLUMN IF NOT EXISTS rate_breakdown JSONB;
+
+ALTER TABLE offers
+    ADD COLUMN IF NOT EXISTS rate_table_version INTEGER,
+    ADD COLUMN IF NOT EXISTS rate_breakdown JSONB;
+
+ALTER TABLE closeouts
+    ADD COLUMN IF NOT EXISTS rate_table_version INTEGER;
@@ -0,0 +1,6 @@
+-- Quotes
+
+DROP INDEX IF EXISTS idx_loads_quote;
+ALTER TABLE loads DROP COLUMN IF EXISTS quote_id;
+
+DROP TABLE IF EXISTS quotes;
@@ -0,0 +1,58 @@
+-- Quotes
+-- Saved rate quotes with the full breakdown and benchmark they were rated with.
+-- A quote is open until it expires, is cancelled, or is converted into a load;
+-- converted loads carry quote_id and the quoted price, fee and payout unchanged.
+
+CREATE TABLE IF NOT EXISTS quotes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    quote_number VARCHAR(20) NOT NULL UNIQUE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    org_id UUID REFERENCES orgs(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'converted', 'cancelled')),
+    share_token VARCHAR(64) UNIQUE,
+
+    -- What was quoted
+    origin_city VARCHAR(100),
+    origin_state VARCHAR(2),
+    origin_zip VARCHAR(10),
+    origin_lat DECIMAL(10, 7),
+    origin_lng DECIMAL(10, 7),
+    destination_city VARCHAR(100),
+    destination_state VARCHAR(2),
+    destination_zip VARCHAR(10),
+    destination_lat DECIMAL(10, 7),
+    destination_lng DECIMAL(10, 7),
+    distance_miles DECIMAL(10, 2) NOT NULL,
+    drive_time_minutes INTEGER,
+    route_polyline TEXT,
+    route_provider VARCHAR(30),
+    load_type VARCHAR(20) NOT NULL DEFAULT 'standard',
+    equipment VARCHAR(50),
+    is_backhaul_saver BOOLEAN DEFAULT false,
+    expedited_fee DECIMAL(10, 2) DEFAULT 0,
+
+    -- How it was rated
+    rate_table_version INTEGER,
+    equipment_group VARCHAR(50),
+    benchmark_rpm DECIMAL(10, 4),
+    benchmark_date DATE,
+    benchmark_source VARCHAR(30),
+    total DECIMAL(10, 2) NOT NULL,
+    platform_fee DECIMAL(10, 2) NOT NULL,
+    driver_payout DECIMAL(10, 2) NOT NULL,
+    breakdown JSONB NOT NULL,
+
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    converted_load_id UUID REFERENCES loads(id) ON DELETE SET NULL,
+    converted_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_quotes_user ON quotes(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_quotes_org ON quotes(org_id, created_at DESC);
+
+ALTER TABLE loads
+    ADD COLUMN IF NOT EXISTS quote_id UUID REFERENCES quotes(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_loads_quote ON loads(quote_id) WHERE quote_id IS NOT NULL;
@@ -0,0 +1,3 @@
+-- Lane Rates
+
+DROP TABLE IF EXISTS lane_rate_observations;
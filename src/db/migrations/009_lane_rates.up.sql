@@ -0,0 +1,26 @@
+-- Lane Rates
+-- One observed market rate per load, taken from delivered/completed loads and
+-- accepted offers, grouped by origin/destination region for lane history
+-- (GET /rates/lanes) and the optional benchmark blend in the quote engine.
+
+CREATE TABLE IF NOT EXISTS lane_rate_observations (
+    load_id UUID PRIMARY KEY REFERENCES loads(id) ON DELETE CASCADE,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('completed', 'offer')),
+    origin_zip3 VARCHAR(3),
+    origin_state VARCHAR(2),
+    destination_zip3 VARCHAR(3),
+    destination_state VARCHAR(2),
+    equipment_group VARCHAR(50) NOT NULL,
+    distance_miles DECIMAL(10, 2) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    rpm DECIMAL(10, 4) NOT NULL,
+    week_start DATE NOT NULL,
+    observed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_lane_obs_state
+    ON lane_rate_observations(origin_state, destination_state, equipment_group, week_start);
+CREATE INDEX IF NOT EXISTS idx_lane_obs_zip3
+    ON lane_rate_observations(origin_zip3, destination_zip3, equipment_group, week_start);
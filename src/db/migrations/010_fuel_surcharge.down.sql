@@ -0,0 +1,12 @@
+-- Fuel Surcharge
+
+ALTER TABLE quotes DROP COLUMN IF EXISTS fuel_surcharge;
+
+ALTER TABLE loads
+    DROP COLUMN IF EXISTS fuel_surcharge,
+    DROP COLUMN IF EXISTS fuel_schedule_id,
+    DROP COLUMN IF EXISTS fuel_index_week,
+    DROP COLUMN IF EXISTS fuel_index_price;
+
+DROP TABLE IF EXISTS fuel_surcharge_schedules;
+DROP TABLE IF EXISTS fuel_index_prices;
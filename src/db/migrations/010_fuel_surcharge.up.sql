@@ -0,0 +1,52 @@
+-- Fuel Surcharge
+-- Weekly diesel index prices (DOE-style, imported by admins) and surcharge
+-- schedules. org_id NULL = platform schedule used by the rating engine;
+-- an org's own default schedule is its contracted fuel terms.
+
+CREATE TABLE IF NOT EXISTS fuel_index_prices (
+    id SERIAL PRIMARY KEY,
+    region VARCHAR(30) NOT NULL DEFAULT 'US',
+    week_start DATE NOT NULL,
+    price_per_gallon DECIMAL(6, 3) NOT NULL CHECK (price_per_gallon > 0),
+    source VARCHAR(30) NOT NULL DEFAULT 'import',
+    imported_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (region, week_start)
+);
+
+CREATE TABLE IF NOT EXISTS fuel_surcharge_schedules (
+    id SERIAL PRIMARY KEY,
+    org_id UUID REFERENCES orgs(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    region VARCHAR(30) NOT NULL DEFAULT 'US',
+    -- per_mile: rate_per_step dollars per mile; percent: rate_per_step percent of linehaul
+    method VARCHAR(20) NOT NULL DEFAULT 'per_mile' CHECK (method IN ('per_mile', 'percent')),
+    base_price DECIMAL(6, 3) NOT NULL,
+    price_step DECIMAL(6, 3) NOT NULL CHECK (price_step > 0),
+    rate_per_step DECIMAL(8, 4) NOT NULL CHECK (rate_per_step >= 0),
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_fuel_schedules_org ON fuel_surcharge_schedules(org_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fuel_schedules_org_default
+    ON fuel_surcharge_schedules(COALESCE(org_id, '00000000-0000-0000-0000-000000000000'::uuid))
+    WHERE is_default AND is_active;
+
+-- Platform schedule: $0.01/mile per $0.06 the national average is over $1.20
+INSERT INTO fuel_surcharge_schedules (org_id, name, region, method, base_price, price_step, rate_per_step, is_default)
+SELECT NULL, 'Platform standard (DOE US)', 'US', 'per_mile', 1.200, 0.060, 0.0100, true
+WHERE NOT EXISTS (SELECT 1 FROM fuel_surcharge_schedules WHERE org_id IS NULL);
+
+ALTER TABLE loads
+    ADD COLUMN IF NOT EXISTS fuel_surcharge DECIMAL(10, 2) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS fuel_schedule_id INTEGER REFERENCES fuel_surcharge_schedules(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS fuel_index_week DATE,
+    ADD COLUMN IF NOT EXISTS fuel_index_price DECIMAL(6, 3);
+
+ALTER TABLE quotes
+    ADD COLUMN IF NOT EXISTS fuel_surcharge DECIMAL(10, 2) DEFAULT 0;
@@ -0,0 +1,7 @@
+-- Accessorials
+
+ALTER TABLE loads DROP COLUMN IF EXISTS accessorial_total;
+
+DROP TABLE IF EXISTS load_accessorials;
+DROP TABLE IF EXISTS org_accessorial_rates;
+DROP TABLE IF EXISTS accessorial_types;
@@ -0,0 +1,82 @@
+-- Accessorials
+-- Catalog of billable extras (detention, layover, TONU, lumper, ...) with
+-- platform default rates, per-org rate overrides, and the accessorials a
+-- driver requests on a load. Approved amounts are added to the load's price
+-- and carrier pay and itemized on the invoice.
+
+CREATE TABLE IF NOT EXISTS accessorial_types (
+    code VARCHAR(40) PRIMARY KEY,
+    label VARCHAR(100) NOT NULL,
+    -- hour: billed per hour after free time; day/flat: rate x quantity;
+    -- receipt: reimbursed at the receipt amount
+    unit VARCHAR(20) NOT NULL CHECK (unit IN ('hour', 'day', 'flat', 'receipt')),
+    default_rate DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (default_rate >= 0),
+    free_minutes INTEGER NOT NULL DEFAULT 0 CHECK (free_minutes >= 0),
+    requires_evidence BOOLEAN NOT NULL DEFAULT false,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO accessorial_types (code, label, unit, default_rate, free_minutes, requires_evidence, sort_order) VALUES
+    ('detention_pickup', 'Detention at Pickup', 'hour', 75.00, 120, false, 10),
+    ('detention_delivery', 'Detention at Delivery', 'hour', 75.00, 120, false, 20),
+    ('layover', 'Layover', 'day', 250.00, 0, false, 30),
+    ('tonu', 'Truck Ordered Not Used', 'flat', 200.00, 0, false, 40),
+    ('lumper', 'Lumper', 'receipt', 0, 0, true, 50),
+    ('liftgate', 'Liftgate', 'flat', 75.00, 0, false, 60),
+    ('pallet_jack', 'Pallet Jack', 'flat', 50.00, 0, false, 70),
+    ('driver_assist', 'Driver Assist', 'flat', 100.00, 0, false, 80)
+ON CONFLICT (code) DO NOTHING;
+
+-- An org's contracted rates (shipper/broker posting the load)
+CREATE TABLE IF NOT EXISTS org_accessorial_rates (
+    id SERIAL PRIMARY KEY,
+    org_id UUID NOT NULL REFERENCES orgs(id) ON DELETE CASCADE,
+    code VARCHAR(40) NOT NULL REFERENCES accessorial_types(code) ON DELETE CASCADE,
+    rate DECIMAL(10, 2) NOT NULL CHECK (rate >= 0),
+    free_minutes INTEGER CHECK (free_minutes >= 0),
+    -- Most an approver can be asked for in one request (NULL = no cap)
+    max_amount DECIMAL(10, 2) CHECK (max_amount >= 0),
+    is_enabled BOOLEAN NOT NULL DEFAULT true,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (org_id, code)
+);
+
+CREATE TABLE IF NOT EXISTS load_accessorials (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    closeout_id UUID REFERENCES closeouts(id) ON DELETE SET NULL,
+    stop_id INTEGER REFERENCES load_stops(id) ON DELETE SET NULL,
+    code VARCHAR(40) NOT NULL REFERENCES accessorial_types(code),
+    status VARCHAR(20) NOT NULL DEFAULT 'requested'
+        CHECK (status IN ('requested', 'approved', 'rejected', 'cancelled')),
+    -- Request: rate and free time are snapshotted when the driver submits
+    unit VARCHAR(20) NOT NULL,
+    quantity DECIMAL(10, 2) NOT NULL DEFAULT 1,
+    rate DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    free_minutes INTEGER NOT NULL DEFAULT 0,
+    started_at TIMESTAMP WITH TIME ZONE,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    requested_amount DECIMAL(10, 2) NOT NULL CHECK (requested_amount >= 0),
+    evidence_urls JSONB NOT NULL DEFAULT '[]'::jsonb,
+    notes TEXT,
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    -- Review
+    approved_amount DECIMAL(10, 2),
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    review_notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_load_accessorials_load ON load_accessorials(load_id);
+CREATE INDEX IF NOT EXISTS idx_load_accessorials_pending ON load_accessorials(status) WHERE status = 'requested';
+
+-- Running total of approved accessorials already folded into price/carrier pay
+ALTER TABLE loads
+    ADD COLUMN IF NOT EXISTS accessorial_total DECIMAL(10, 2) NOT NULL DEFAULT 0;
@@ -0,0 +1,20 @@
+-- Stop Dwell & Detention
+
+DELETE FROM load_accessorials WHERE status = 'candidate';
+ALTER TABLE load_accessorials DROP COLUMN IF EXISTS source;
+ALTER TABLE load_accessorials DROP CONSTRAINT IF EXISTS load_accessorials_status_check;
+ALTER TABLE load_accessorials ADD CONSTRAINT load_accessorials_status_check
+    CHECK (status IN ('requested', 'approved', 'rejected', 'cancelled'));
+
+DROP TABLE IF EXISTS geofence_events;
+
+ALTER TABLE load_stops
+    DROP COLUMN IF EXISTS arrival_source,
+    DROP COLUMN IF EXISTS departure_source,
+    DROP COLUMN IF EXISTS geofence_state,
+    DROP COLUMN IF EXISTS arrival_timing,
+    DROP COLUMN IF EXISTS detention_clock_start,
+    DROP COLUMN IF EXISTS free_minutes,
+    DROP COLUMN IF EXISTS dwell_minutes,
+    DROP COLUMN IF EXISTS detention_minutes,
+    DROP COLUMN IF EXISTS detention_accessorial_id;
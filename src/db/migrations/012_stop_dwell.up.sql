@@ -0,0 +1,43 @@
+-- Stop Dwell & Detention
+-- Geofence arrival/departure at stops from driver location updates, dwell
+-- time against the appointment window, and system-opened detention
+-- accessorial candidates the driver confirms before they go to review.
+
+ALTER TABLE load_stops
+    ADD COLUMN IF NOT EXISTS arrival_source VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS departure_source VARCHAR(20),
+    -- Last geofence reading for the stop: inside / outside (NULL = never seen nearby)
+    ADD COLUMN IF NOT EXISTS geofence_state VARCHAR(10),
+    -- early / on_time / late relative to the appointment window; NULL = no appointment
+    ADD COLUMN IF NOT EXISTS arrival_timing VARCHAR(10),
+    -- When the detention clock starts: arrival, or the window start for early arrivals
+    ADD COLUMN IF NOT EXISTS detention_clock_start TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS free_minutes INTEGER,
+    ADD COLUMN IF NOT EXISTS dwell_minutes INTEGER,
+    ADD COLUMN IF NOT EXISTS detention_minutes INTEGER,
+    ADD COLUMN IF NOT EXISTS detention_accessorial_id UUID REFERENCES load_accessorials(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS geofence_events (
+    id SERIAL PRIMARY KEY,
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    stop_id INTEGER NOT NULL REFERENCES load_stops(id) ON DELETE CASCADE,
+    driver_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    event_type VARCHAR(10) NOT NULL CHECK (event_type IN ('enter', 'exit')),
+    lat DECIMAL(10, 7) NOT NULL,
+    lng DECIMAL(10, 7) NOT NULL,
+    gps_accuracy DECIMAL(10, 2),
+    distance_meters INTEGER NOT NULL,
+    occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_geofence_events_stop ON geofence_events(stop_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_geofence_events_load ON geofence_events(load_id, occurred_at);
+
+-- Candidates are opened by the system; the driver confirms them into requests
+ALTER TABLE load_accessorials DROP CONSTRAINT IF EXISTS load_accessorials_status_check;
+ALTER TABLE load_accessorials ADD CONSTRAINT load_accessorials_status_check
+    CHECK (status IN ('candidate', 'requested', 'approved', 'rejected', 'cancelled'));
+
+ALTER TABLE load_accessorials
+    ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'driver';
@@ -0,0 +1,3 @@
+-- Location Breadcrumbs
+
+DROP TABLE IF EXISTS location_breadcrumbs CASCADE;
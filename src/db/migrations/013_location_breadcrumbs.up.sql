@@ -0,0 +1,45 @@
+-- Location Breadcrumbs
+-- Append-only GPS trail per driver (and load, while one is active), kept
+-- alongside the latest-position columns so a trip can be replayed later.
+-- Range-partitioned by month on recorded_at: the breadcrumbs job creates
+-- partitions ahead of time and drops ones past the retention window.
+-- No foreign keys, so old partitions can be detached or dropped cheaply.
+
+CREATE TABLE IF NOT EXISTS location_breadcrumbs (
+    id BIGSERIAL,
+    driver_id UUID NOT NULL,
+    load_id UUID,
+    lat DECIMAL(10, 7) NOT NULL,
+    lng DECIMAL(10, 7) NOT NULL,
+    heading DECIMAL(5, 2),
+    speed_mph DECIMAL(6, 2),
+    -- true when speed_mph came from the device rather than the previous point
+    speed_reported BOOLEAN NOT NULL DEFAULT false,
+    gps_accuracy DECIMAL(10, 2),
+    -- tracking / socket / load / driver: which API wrote the fix
+    source VARCHAR(20) NOT NULL,
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id, recorded_at)
+) PARTITION BY RANGE (recorded_at);
+
+CREATE INDEX IF NOT EXISTS idx_location_breadcrumbs_driver ON location_breadcrumbs(driver_id, recorded_at);
+CREATE INDEX IF NOT EXISTS idx_location_breadcrumbs_load ON location_breadcrumbs(load_id, recorded_at);
+
+-- Catches fixes outside every monthly partition; should stay empty
+CREATE TABLE IF NOT EXISTS location_breadcrumbs_default PARTITION OF location_breadcrumbs DEFAULT;
+
+-- Current month and the next two
+DO $$
+DECLARE
+    month_start DATE := date_trunc('month', CURRENT_DATE)::date;
+BEGIN
+    FOR i IN 0..2 LOOP
+        EXECUTE format(
+            'CREATE TABLE IF NOT EXISTS %I PARTITION OF location_breadcrumbs FOR VALUES FROM (%L) TO (%L)',
+            'location_breadcrumbs_' || to_char(month_start + (i || ' months')::interval, 'YYYYMM'),
+            month_start + (i || ' months')::interval,
+            month_start + ((i + 1) || ' months')::interval
+        );
+    END LOOP;
+END $$;
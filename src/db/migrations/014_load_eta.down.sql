@@ -0,0 +1,15 @@
+-- Live ETA
+
+DROP INDEX IF EXISTS idx_loads_eta_updated;
+
+ALTER TABLE load_stops
+    DROP COLUMN IF EXISTS eta_at,
+    DROP COLUMN IF EXISTS late_alerted_at;
+
+ALTER TABLE loads
+    DROP COLUMN IF EXISTS eta_pickup_at,
+    DROP COLUMN IF EXISTS eta_delivery_at,
+    DROP COLUMN IF EXISTS eta_remaining_miles,
+    DROP COLUMN IF EXISTS eta_speed_mph,
+    DROP COLUMN IF EXISTS eta_updated_at,
+    DROP COLUMN IF EXISTS eta_late_alerted_at;
@@ -0,0 +1,19 @@
+-- Live ETA
+-- Pickup/delivery ETAs recomputed from the driver's latest breadcrumb, the
+-- remaining route and their speed profile, plus the late-alert stamps that
+-- keep "running late" notifications to one per stop.
+
+ALTER TABLE loads
+    ADD COLUMN IF NOT EXISTS eta_pickup_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS eta_delivery_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS eta_remaining_miles DECIMAL(10, 2),
+    ADD COLUMN IF NOT EXISTS eta_speed_mph DECIMAL(6, 2),
+    ADD COLUMN IF NOT EXISTS eta_updated_at TIMESTAMP WITH TIME ZONE,
+    -- Late alert for loads without stop rows (legacy pickup/delivery columns)
+    ADD COLUMN IF NOT EXISTS eta_late_alerted_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE load_stops
+    ADD COLUMN IF NOT EXISTS eta_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS late_alerted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_loads_eta_updated ON loads(eta_updated_at) WHERE driver_id IS NOT NULL;
@@ -0,0 +1,3 @@
+-- Public Tracking Links
+
+DROP TABLE IF EXISTS tracking_links;
@@ -0,0 +1,26 @@
+-- Public Tracking Links
+-- Expiring, revocable read-only links to a load's status, coarse location,
+-- ETA and stop timeline for consignees and customers without accounts.
+-- The URL token is token_id plus an HMAC signature over the link's load and
+-- expiry (services/trackingLinks.js); only token_id is stored.
+
+CREATE TABLE IF NOT EXISTS tracking_links (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    token_id VARCHAR(32) NOT NULL UNIQUE,
+    label VARCHAR(100),
+    -- hidden / coarse (~10 km) / approximate (~1 km)
+    location_precision VARCHAR(12) NOT NULL DEFAULT 'coarse'
+        CHECK (location_precision IN ('hidden', 'coarse', 'approximate')),
+    show_driver_name BOOLEAN NOT NULL DEFAULT true,
+    show_driver_phone BOOLEAN NOT NULL DEFAULT false,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tracking_links_load ON tracking_links(load_id, created_at);
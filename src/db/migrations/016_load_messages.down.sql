@@ -0,0 +1,6 @@
+-- Load Messaging
+
+ALTER TABLE disputes DROP COLUMN IF EXISTS thread_attached_at;
+
+DROP TABLE IF EXISTS load_message_reads;
+DROP TABLE IF EXISTS load_messages;
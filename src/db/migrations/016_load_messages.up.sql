@@ -0,0 +1,34 @@
+-- Load Messaging
+-- One thread per load between the shipper, the posting (broker/shipper) org,
+-- the carrier org and the driver(s). Messages are append-only so the thread
+-- can be attached to a dispute as evidence; attachments are S3 keys uploaded
+-- through the presigned upload-URL flow.
+
+CREATE TABLE IF NOT EXISTS load_messages (
+    id BIGSERIAL PRIMARY KEY,
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    sender_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    -- text / photo (has image attachments)
+    kind VARCHAR(10) NOT NULL DEFAULT 'text' CHECK (kind IN ('text', 'photo')),
+    body TEXT,
+    -- [{ key, contentType, fileName }]
+    attachments JSONB NOT NULL DEFAULT '[]',
+    -- Sender's role on the load when sent (shipper / broker / carrier / driver / admin)
+    sender_role VARCHAR(20),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_load_messages_load ON load_messages(load_id, id);
+
+-- Read receipts: each participant's high-water mark in the thread
+CREATE TABLE IF NOT EXISTS load_message_reads (
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    last_read_message_id BIGINT NOT NULL,
+    read_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (load_id, user_id)
+);
+
+-- Load thread attached to a dispute: messages up to this time are evidence
+ALTER TABLE disputes
+    ADD COLUMN IF NOT EXISTS thread_attached_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,3 @@
+-- Geofence Auto-Status
+
+ALTER TABLE users DROP COLUMN IF EXISTS auto_status_enabled;
@@ -0,0 +1,10 @@
+-- Geofence Auto-Status
+-- Drivers opt in to having their load status advanced from stop geofence
+-- arrivals and departures (services/autoStatus.js). Inferred transitions are
+-- written to load_status_events with source 'geofence' and
+-- metadata.inferred = true; a driver override reverts them with source
+-- 'driver_override'.
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS auto_status_enabled BOOLEAN NOT NULL DEFAULT false;
+
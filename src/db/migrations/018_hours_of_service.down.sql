@@ -0,0 +1,6 @@
+-- Hours of Service
+
+ALTER TABLE load_offers DROP COLUMN IF EXISTS hos_warnings;
+
+DROP TABLE IF EXISTS driver_hos_logs;
+DROP TABLE IF EXISTS driver_hos_status;
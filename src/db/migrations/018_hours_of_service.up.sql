@@ -0,0 +1,39 @@
+-- Hours of Service
+-- Drivers' remaining HOS clocks (11-hour driving, 14-hour window, 30-minute
+-- break, 70-hour/8-day cycle), self-reported or computed from an imported
+-- ELD log, used by matching, offers and the route planner
+-- (services/hos.js). Clocks are minutes remaining as of as_of.
+
+CREATE TABLE IF NOT EXISTS driver_hos_status (
+    driver_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    -- self_reported / eld_import
+    source VARCHAR(20) NOT NULL CHECK (source IN ('self_reported', 'eld_import')),
+    drive_remaining_minutes INTEGER NOT NULL,
+    window_remaining_minutes INTEGER NOT NULL,
+    break_due_minutes INTEGER NOT NULL,
+    cycle_remaining_minutes INTEGER NOT NULL,
+    -- Whether the 14-hour window had started (on duty since the last reset)
+    on_duty BOOLEAN NOT NULL DEFAULT false,
+    as_of TIMESTAMP WITH TIME ZONE NOT NULL,
+    eld_import_id UUID,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Duty status records from imported ELD logs
+CREATE TABLE IF NOT EXISTS driver_hos_logs (
+    id BIGSERIAL PRIMARY KEY,
+    driver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    import_id UUID NOT NULL,
+    -- off_duty / sleeper_berth / driving / on_duty
+    duty_status VARCHAR(20) NOT NULL
+        CHECK (duty_status IN ('off_duty', 'sleeper_berth', 'driving', 'on_duty')),
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ended_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_driver_hos_logs_driver ON driver_hos_logs(driver_id, started_at);
+
+-- HOS check at the time a driver offer was sent (flagged, not blocked)
+ALTER TABLE load_offers
+    ADD COLUMN IF NOT EXISTS hos_warnings JSONB;
@@ -0,0 +1,15 @@
+-- Stop Timezones
+
+ALTER TABLE loads
+    DROP COLUMN IF EXISTS delivery_window_end_at,
+    DROP COLUMN IF EXISTS delivery_window_start_at,
+    DROP COLUMN IF EXISTS delivery_timezone,
+    DROP COLUMN IF EXISTS pickup_window_end_at,
+    DROP COLUMN IF EXISTS pickup_window_start_at,
+    DROP COLUMN IF EXISTS pickup_timezone;
+
+ALTER TABLE load_stops
+    DROP COLUMN IF EXISTS window_end_at,
+    DROP COLUMN IF EXISTS window_start_at,
+    DROP COLUMN IF EXISTS timezone_source,
+    DROP COLUMN IF EXISTS timezone;
@@ -0,0 +1,22 @@
+-- Stop Timezones
+-- IANA timezone for every stop, resolved offline from its coordinates, ZIP or
+-- state (services/timezones.js), and appointment windows stored as instants.
+-- The DATE / TIME window columns stay as entered (stop-local wall clock);
+-- comparisons use the *_at columns. Rows written before this migration get
+-- their zone and instants resolved on read.
+
+ALTER TABLE load_stops
+    ADD COLUMN IF NOT EXISTS timezone VARCHAR(64),
+    -- coordinates / zip / state / provided / default
+    ADD COLUMN IF NOT EXISTS timezone_source VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS window_start_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS window_end_at TIMESTAMP WITH TIME ZONE;
+
+-- Legacy load columns mirror the first pickup and last delivery stop
+ALTER TABLE loads
+    ADD COLUMN IF NOT EXISTS pickup_timezone VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS pickup_window_start_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS pickup_window_end_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS delivery_timezone VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS delivery_window_start_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS delivery_window_end_at TIMESTAMP WITH TIME ZONE;
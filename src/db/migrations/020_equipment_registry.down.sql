@@ -0,0 +1,11 @@
+-- Equipment Registry
+
+ALTER TABLE loads
+    DROP COLUMN IF EXISTS requires_reefer,
+    DROP COLUMN IF EXISTS requires_tarps;
+
+ALTER TABLE driver_availability
+    DROP COLUMN IF EXISTS equipment_features;
+
+ALTER TABLE users
+    DROP COLUMN IF EXISTS equipment_features;
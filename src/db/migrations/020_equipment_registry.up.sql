@@ -0,0 +1,16 @@
+-- Equipment Registry
+-- Capacity, features and substitution rules per equipment type live in
+-- services/equipment.js. Drivers record the optional features their
+-- equipment carries (liftgate, pallet_jack, tarps, ramps) on their profile
+-- or per availability post; loads can require tarps or a reefer alongside
+-- the existing liftgate / pallet jack flags.
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS equipment_features JSONB DEFAULT '[]'::jsonb;
+
+ALTER TABLE driver_availability
+    ADD COLUMN IF NOT EXISTS equipment_features JSONB DEFAULT '[]'::jsonb;
+
+ALTER TABLE loads
+    ADD COLUMN IF NOT EXISTS requires_tarps BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS requires_reefer BOOLEAN DEFAULT false;
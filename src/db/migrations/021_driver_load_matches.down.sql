@@ -0,0 +1,7 @@
+-- Driver Load Matches
+
+ALTER TABLE loads
+    DROP COLUMN IF EXISTS matched_payout,
+    DROP COLUMN IF EXISTS matched_at;
+
+DROP TABLE IF EXISTS driver_load_matches;
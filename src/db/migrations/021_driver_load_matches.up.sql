@@ -0,0 +1,36 @@
+-- Driver Load Matches
+-- The driver-side match feed (services/matchFeed.js). Posted loads are scored
+-- against every active availability post when they go up, are released to
+-- the public board or change price; new availability posts are scored against
+-- the open board. One row per driver and load keeps the best-scoring post.
+
+CREATE TABLE IF NOT EXISTS driver_load_matches (
+    id BIGSERIAL PRIMARY KEY,
+    driver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    availability_id INTEGER REFERENCES driver_availability(id) ON DELETE CASCADE,
+    score INTEGER NOT NULL,
+    deadhead_miles INTEGER,
+    detour_miles INTEGER,
+    -- Driver payout the load was scored at
+    driver_payout DECIMAL(10, 2),
+    -- Full scoring output (equipment fit, HOS, arrival times)
+    details JSONB NOT NULL DEFAULT '{}',
+    -- active / dismissed / closed (load left the board or no longer matches)
+    status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'dismissed', 'closed')),
+    notified_at TIMESTAMP WITH TIME ZONE,
+    scored_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (driver_id, load_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_driver_load_matches_feed
+    ON driver_load_matches(driver_id, score DESC) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_driver_load_matches_load ON driver_load_matches(load_id);
+
+-- Last match run per load; a payout that differs from matched_payout means
+-- the price changed and the load is re-scored
+ALTER TABLE loads
+    ADD COLUMN IF NOT EXISTS matched_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS matched_payout DECIMAL(10, 2);
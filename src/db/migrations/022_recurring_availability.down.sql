@@ -0,0 +1,17 @@
+-- Recurring Availability
+
+DROP TABLE IF EXISTS driver_availability_exceptions;
+
+DELETE FROM driver_availability WHERE recurrence_parent_id IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_driver_availability_rules;
+DROP INDEX IF EXISTS idx_driver_availability_occurrence;
+
+ALTER TABLE driver_availability
+    DROP COLUMN IF EXISTS occurrence_date,
+    DROP COLUMN IF EXISTS recurrence_parent_id,
+    DROP COLUMN IF EXISTS expanded_through,
+    DROP COLUMN IF EXISTS recurrence_until,
+    DROP COLUMN IF EXISTS recurrence_timezone,
+    DROP COLUMN IF EXISTS recurrence_end_time,
+    DROP COLUMN IF EXISTS recurrence_start_time;
@@ -0,0 +1,39 @@
+-- Recurring Availability
+-- A recurring availability post (is_recurring, recurrence_days) is a rule:
+-- services/availabilityRecurrence.js expands it into one concrete
+-- driver_availability row per occurrence over a rolling horizon. Instances
+-- are ordinary posts, so matching and the match feed score them like any
+-- other; the rule row itself is never matched. Per-date skips and changes
+-- live in driver_availability_exceptions.
+
+ALTER TABLE driver_availability
+    -- Rule: daily window on the driver's wall clock (end <= start runs overnight)
+    ADD COLUMN IF NOT EXISTS recurrence_start_time TIME,
+    ADD COLUMN IF NOT EXISTS recurrence_end_time TIME,
+    ADD COLUMN IF NOT EXISTS recurrence_timezone VARCHAR(64),
+    -- Last date the rule runs (NULL = until deactivated)
+    ADD COLUMN IF NOT EXISTS recurrence_until DATE,
+    -- Instances exist through this date
+    ADD COLUMN IF NOT EXISTS expanded_through DATE,
+    -- Instance: the rule it came from and the local date it covers
+    ADD COLUMN IF NOT EXISTS recurrence_parent_id INTEGER REFERENCES driver_availability(id) ON DELETE CASCADE,
+    ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_driver_availability_occurrence
+    ON driver_availability(recurrence_parent_id, occurrence_date);
+CREATE INDEX IF NOT EXISTS idx_driver_availability_rules
+    ON driver_availability(expanded_through) WHERE is_recurring = true AND is_active = true;
+
+CREATE TABLE IF NOT EXISTS driver_availability_exceptions (
+    id SERIAL PRIMARY KEY,
+    availability_id INTEGER NOT NULL REFERENCES driver_availability(id) ON DELETE CASCADE,
+    occurrence_date DATE NOT NULL,
+    -- skip: no instance that day; modify: instance with overrides applied
+    action VARCHAR(10) NOT NULL CHECK (action IN ('skip', 'modify')),
+    -- startTime / endTime / start and destination fields for that date
+    overrides JSONB NOT NULL DEFAULT '{}',
+    reason TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (availability_id, occurrence_date)
+);
@@ -0,0 +1,5 @@
+-- Lane Rate Payout Basis
+-- Nothing to restore: observations are derived data and re-ingest on the
+-- next lane ingest job.
+
+SELECT 1;
@@ -0,0 +1,6 @@
+-- Lane Rate Payout Basis
+-- Observations moved from mixed amounts (offer, carrier pay or posted price)
+-- to the load's linehaul payout. Completed rows are never rewritten, so clear
+-- them all; the next lane ingest job rebuilds them on the new basis.
+
+DELETE FROM lane_rate_observations;
@@ -0,0 +1,3 @@
+-- Stop Geocode Precision
+
+ALTER TABLE load_stops DROP COLUMN IF EXISTS geocode_precision;
@@ -0,0 +1,9 @@
+-- Stop Geocode Precision
+-- How a stop's location was resolved when the poster gave no coordinates
+-- (services/geocoding.js): address / street / zip / city are stored as the
+-- stop's lat/lng; zip3 / state centroids only feed distance estimates, so
+-- those stops keep NULL coordinates and get no geofence. NULL means the
+-- coordinates came with the request (or the stop could not be located).
+
+ALTER TABLE load_stops
+    ADD COLUMN IF NOT EXISTS geocode_precision VARCHAR(20);
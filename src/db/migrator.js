@@ -0,0 +1,232 @@
+// Versioned Migration Runner
+// Applies numbered SQL migrations from src/db/migrations and records them
+// in the schema_migrations ledger.
+//
+// Migration files come in pairs:
+//   NNN_description.up.sql
+//   NNN_description.down.sql
+//
+// Each migration runs in its own transaction. A session-level advisory lock
+// is held for the whole run so several API instances booting at once apply
+// migrations exactly once.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pool } = require('./pool');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary constant shared by every instance of the API
+const ADVISORY_LOCK_KEY = 827364501;
+
+// ============================================
+// MIGRATION FILES
+// ============================================
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+/**
+ * Read the migrations directory into an ordered list of
+ * { version, name, up, down, checksum }
+ */
+const listMigrations = (dir = MIGRATIONS_DIR) => {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const [, versionStr, name, direction] = match;
+    const version = parseInt(versionStr, 10);
+    const entry = byVersion.get(version) || { version, name };
+
+    if (entry.name !== name) {
+      throw new Error(`Migration ${versionStr} has mismatched names: ${entry.name} / ${name}`);
+    }
+
+    entry[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, entry);
+  }
+
+  return [...byVersion.values()]
+    .sort((a, b) => a.version - b.version)
+    .map((m) => {
+      if (!m.up || !m.down) {
+        throw new Error(`Migration ${m.version}_${m.name} is missing its ${m.up ? 'down' : 'up'} file`);
+      }
+      return { ...m, checksum: checksum(m.up) };
+    });
+};
+
+// ============================================
+// LEDGER
+// ============================================
+
+const ensureLedger = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      execution_ms INTEGER,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getApplied = async (client) => {
+  const result = await client.query(
+    'SELECT version, name, checksum, execution_ms, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return result.rows;
+};
+
+/**
+ * Run `callback(client)` on a dedicated connection holding the migration lock
+ */
+const withMigrationLock = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY]);
+    try {
+      await ensureLedger(client);
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+// ============================================
+// COMMANDS
+// ============================================
+
+/**
+ * Apply pending migrations up to and including `to` (default: latest).
+ * Returns the migrations that were applied.
+ */
+const migrate = async ({ to = null } = {}) => {
+  const migrations = listMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getApplied(client);
+    const appliedVersions = new Map(applied.map((row) => [row.version, row]));
+
+    for (const m of migrations) {
+      const row = appliedVersions.get(m.version);
+      if (row && row.checksum !== m.checksum) {
+        console.warn(`[DB] Migration ${m.version}_${m.name} has changed since it was applied`);
+      }
+    }
+
+    const pending = migrations.filter((m) =>
+      !appliedVersions.has(m.version) && (to === null || m.version <= to)
+    );
+    const done = [];
+
+    for (const m of pending) {
+      const started = Date.now();
+      await client.query('BEGIN');
+      try {
+        await client.query(m.up);
+        await client.query(
+          `INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+           VALUES ($1, $2, $3, $4)`,
+          [m.version, m.name, m.checksum, Date.now() - started]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        error.message = `Migration ${m.version}_${m.name} failed: ${error.message}`;
+        throw error;
+      }
+      console.log(`[DB] ✓ applied ${m.version}_${m.name}`);
+      done.push({ version: m.version, name: m.name });
+    }
+
+    return done;
+  });
+};
+
+/**
+ * Revert the most recent `steps` migrations, or every migration above `to`.
+ * Returns the migrations that were reverted.
+ */
+const rollback = async ({ steps = 1, to = null } = {}) => {
+  const migrations = listMigrations();
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+
+  return withMigrationLock(async (client) => {
+    const applied = (await getApplied(client)).reverse();
+    const targets = to === null
+      ? applied.slice(0, steps)
+      : applied.filter((row) => row.version > to);
+    const done = [];
+
+    for (const row of targets) {
+      const m = byVersion.get(row.version);
+      if (!m) {
+        throw new Error(`Migration ${row.version}_${row.name} is applied but its files are missing`);
+      }
+
+      await client.query('BEGIN');
+      try {
+        await client.query(m.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [m.version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        error.message = `Rollback of ${m.version}_${m.name} failed: ${error.message}`;
+        throw error;
+      }
+      console.log(`[DB] ✓ reverted ${m.version}_${m.name}`);
+      done.push({ version: m.version, name: m.name });
+    }
+
+    return done;
+  });
+};
+
+/**
+ * Applied/pending state of every known migration
+ */
+const status = async () => {
+  const migrations = listMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getApplied(client);
+    const appliedVersions = new Map(applied.map((row) => [row.version, row]));
+    const known = new Set(migrations.map((m) => m.version));
+
+    const rows = migrations.map((m) => {
+      const row = appliedVersions.get(m.version);
+      return {
+        version: m.version,
+        name: m.name,
+        state: row ? (row.checksum === m.checksum ? 'applied' : 'modified') : 'pending',
+        appliedAt: row ? row.applied_at : null,
+      };
+    });
+
+    // Applied in the database but no longer on disk
+    for (const row of applied) {
+      if (!known.has(row.version)) {
+        rows.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+      }
+    }
+
+    return rows.sort((a, b) => a.version - b.version);
+  });
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  listMigrations,
+  migrate,
+  rollback,
+  status,
+};
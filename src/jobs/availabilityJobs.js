@@ -0,0 +1,28 @@
+// backend_api/src/jobs/availabilityJobs.js
+// Hourly roll-forward of recurring availability instances
+//
+// Each active rule is expanded through the horizon on its own wall clock, so
+// the run that crosses a driver's local midnight adds their next occurrence.
+// New instances are queued for a match feed run like a freshly posted post.
+
+const availabilityRecurrence = require('../services/availabilityRecurrence');
+const matchJobs = require('./matchJobs');
+
+const EXPAND = 'availability.expand';
+
+const expandRecurring = async () => {
+  const { rules, instanceIds } = await availabilityRecurrence.expandAll();
+
+  for (const id of instanceIds) {
+    await matchJobs.scheduleAvailabilityRefresh(id);
+  }
+
+  if (instanceIds.length) {
+    console.log(`[Jobs] Recurring availability: ${rules} rule(s) expanded, ${instanceIds.length} instance(s) created`);
+  }
+};
+
+module.exports = {
+  EXPAND,
+  expandRecurring,
+};
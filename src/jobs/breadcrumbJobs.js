@@ -0,0 +1,23 @@
+// backend_api/src/jobs/breadcrumbJobs.js
+// Monthly partitions for location_breadcrumbs
+//
+// Runs daily so the next months always exist before fixes arrive for them
+// (anything that misses lands in the default partition), and drops months
+// past config.breadcrumbs.retentionMonths.
+
+const breadcrumbs = require('../services/breadcrumbs');
+
+const MAINTAIN_PARTITIONS = 'breadcrumbs.maintain_partitions';
+
+const maintainPartitions = async () => {
+  const { created, dropped } = await breadcrumbs.maintainPartitions();
+
+  if (created.length || dropped.length) {
+    console.log(`[Jobs] Breadcrumb partitions: created ${created.join(', ') || 'none'}, dropped ${dropped.join(', ') || 'none'}`);
+  }
+};
+
+module.exports = {
+  MAINTAIN_PARTITIONS,
+  maintainPartitions,
+};
@@ -0,0 +1,61 @@
+// backend_api/src/jobs/closeoutJobs.js
+// Delivery QR code expiry
+
+const { pool } = require('../db/pool');
+const jobQueue = require('../services/jobQueue');
+const notificationService = require('../services/notificationService');
+const { emitToLoad } = require('../realtime/socket');
+
+const QR_EXPIRED = 'closeouts.qr_expired';
+
+/**
+ * Queue the expiry notice for a freshly generated QR code.
+ * Regenerating replaces the pending job for the closeout.
+ */
+const scheduleQrExpiry = (closeout) => {
+  if (!closeout.qr_token || !closeout.qr_expires_at) return Promise.resolve(null);
+
+  return jobQueue.enqueue(QR_EXPIRED, { closeoutId: closeout.id, qrToken: closeout.qr_token }, {
+    runAt: closeout.qr_expires_at,
+    jobId: `${QR_EXPIRED}:${closeout.id}`,
+    replace: true,
+  });
+};
+
+/**
+ * The recipient never scanned: prompt the driver to regenerate or switch method.
+ * The token is left in place so the public page can still explain it expired.
+ */
+const qrExpired = async ({ closeoutId, qrToken }) => {
+  const result = await pool.query(`
+    SELECT c.id, c.load_id, c.status, c.qr_token, c.qr_expires_at,
+           l.driver_id, l.delivery_city
+    FROM closeouts c
+    JOIN loads l ON c.load_id = l.id
+    WHERE c.id = $1
+  `, [closeoutId]);
+
+  const closeout = result.rows[0];
+  if (!closeout || closeout.status !== 'pending_qr') return;
+  if (closeout.qr_token !== qrToken) return;
+  if (!closeout.qr_expires_at || new Date(closeout.qr_expires_at) > new Date()) return;
+
+  if (closeout.driver_id) {
+    await notificationService.sendNotification(closeout.driver_id, 'QR_CODE_EXPIRED', {
+      closeoutId: closeout.id,
+      loadId: closeout.load_id,
+      deliveryCity: closeout.delivery_city,
+    });
+  }
+
+  emitToLoad(closeout.load_id, 'closeout:qr_expired', {
+    closeoutId: closeout.id,
+    loadId: closeout.load_id,
+  });
+};
+
+module.exports = {
+  QR_EXPIRED,
+  scheduleQrExpiry,
+  qrExpired,
+};
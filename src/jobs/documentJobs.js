@@ -0,0 +1,64 @@
+// backend_api/src/jobs/documentJobs.js
+// Daily scan for expiring driver documents
+//
+// Drivers are reminded at fixed points before expiry and on the day itself;
+// carrier admins/dispatchers of the driver's org get the same notice, which is
+// what GET /orgs/:orgId/compliance lists.
+
+const { pool } = require('../db/pool');
+const notificationService = require('../services/notificationService');
+const { DOCUMENT_TYPES } = require('../services/documentService');
+
+const EXPIRY_SCAN = 'documents.expiry_scan';
+const REMINDER_DAYS = [30, 14, 7, 1, 0];
+
+const documentLabel = (type) =>
+  DOCUMENT_TYPES[type]?.label || String(type).replace(/_/g, ' ');
+
+const scanExpiringDocuments = async () => {
+  const result = await pool.query(`
+    SELECT d.id, d.user_id, d.document_type, d.expires_at,
+           (d.expires_at::date - CURRENT_DATE) as days_left,
+           u.first_name, u.last_name
+    FROM driver_documents d
+    JOIN users u ON d.user_id = u.id
+    WHERE d.status = 'approved'
+      AND d.expires_at IS NOT NULL
+      AND (d.expires_at::date - CURRENT_DATE) = ANY($1::int[])
+  `, [REMINDER_DAYS]);
+
+  for (const doc of result.rows) {
+    const data = {
+      documentId: doc.id,
+      userId: doc.user_id,
+      documentLabel: documentLabel(doc.document_type),
+      daysLeft: parseInt(doc.days_left, 10),
+    };
+
+    await notificationService.sendNotification(doc.user_id, 'DOCUMENT_EXPIRING', data);
+
+    const managers = await pool.query(`
+      SELECT DISTINCT admin.user_id
+      FROM memberships driver
+      JOIN memberships admin ON admin.org_id = driver.org_id
+      WHERE driver.user_id = $1 AND driver.role = 'driver' AND driver.is_active = true
+        AND admin.role IN ('carrier_admin', 'dispatcher') AND admin.is_active = true
+        AND admin.user_id != $1
+    `, [doc.user_id]);
+
+    const ownerName = `${doc.first_name || ''} ${doc.last_name || ''}`.trim() || 'A driver';
+    for (const manager of managers.rows) {
+      await notificationService.sendNotification(manager.user_id, 'DOCUMENT_EXPIRING', { ...data, ownerName });
+    }
+  }
+
+  if (result.rows.length) {
+    console.log(`[Jobs] Sent expiry reminders for ${result.rows.length} documents`);
+  }
+};
+
+module.exports = {
+  EXPIRY_SCAN,
+  REMINDER_DAYS,
+  scanExpiringDocuments,
+};
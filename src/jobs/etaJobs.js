@@ -0,0 +1,27 @@
+// backend_api/src/jobs/etaJobs.js
+// ETA refresh for loads whose driver stopped reporting location
+//
+// Location updates keep ETAs current while the app is sending fixes; this
+// pass recomputes the rest from the last known position so ETAs (and late
+// alerts) still move forward with the clock.
+
+const eta = require('../services/eta');
+const { emitToLoadParties } = require('../realtime/socket');
+
+const REFRESH = 'eta.refresh';
+
+const refreshEtas = async () => {
+  const events = await eta.refreshStale();
+  for (const { event, loadId, payload } of events) {
+    await emitToLoadParties(loadId, event, payload);
+  }
+
+  if (events.length) {
+    console.log(`[Jobs] ETA refresh: ${events.length} load(s)`);
+  }
+};
+
+module.exports = {
+  REFRESH,
+  refreshEtas,
+};
@@ -0,0 +1,27 @@
+// backend_api/src/jobs/geofenceJobs.js
+// Detention clock for drivers who stop reporting location while at a stop
+//
+// Location updates open detention as they arrive (services/geofence.js); this
+// sweep catches stops whose free time ran out between fixes, and departs
+// completed stops that never produced a geofence exit.
+
+const geofence = require('../services/geofence');
+const { emitToLoadParties } = require('../realtime/socket');
+
+const DETENTION_SWEEP = 'geofence.detention_sweep';
+
+const sweepDetention = async () => {
+  const events = await geofence.sweepDetention();
+  for (const { event, loadId, payload } of events) {
+    await emitToLoadParties(loadId, event, payload);
+  }
+
+  if (events.length) {
+    console.log(`[Jobs] Detention sweep: ${events.length} stop event(s)`);
+  }
+};
+
+module.exports = {
+  DETENTION_SWEEP,
+  sweepDetention,
+};
@@ -0,0 +1,74 @@
+// backend_api/src/jobs/index.js
+// Registers every background job handler and cron schedule with the queue
+
+const jobQueue = require('../services/jobQueue');
+const loadJobs = require('./loadJobs');
+const offerJobs = require('./offerJobs');
+const closeoutJobs = require('./closeoutJobs');
+const payoutJobs = require('./payoutJobs');
+const documentJobs = require('./documentJobs');
+const tenderJobs = require('./tenderJobs');
+const laneJobs = require('./laneJobs');
+const geofenceJobs = require('./geofenceJobs');
+const breadcrumbJobs = require('./breadcrumbJobs');
+const etaJobs = require('./etaJobs');
+const matchJobs = require('./matchJobs');
+const availabilityJobs = require('./availabilityJobs');
+
+let registered = false;
+
+const registerJobs = () => {
+  if (registered) return;
+  registered = true;
+
+  // Time-triggered, enqueued by the routes
+  jobQueue.registerHandler(loadJobs.RELEASE_TO_PUBLIC, loadJobs.releaseToPublic);
+  jobQueue.registerHandler(offerJobs.EXPIRE_OFFER, offerJobs.expireOffer);
+  jobQueue.registerHandler(offerJobs.EXPIRE_LOAD_OFFER, offerJobs.expireLoadOffer);
+  jobQueue.registerHandler(closeoutJobs.QR_EXPIRED, closeoutJobs.qrExpired);
+  jobQueue.registerHandler(tenderJobs.ADVANCE, tenderJobs.advance);
+  jobQueue.registerHandler(matchJobs.REFRESH_LOAD, matchJobs.refreshLoadMatches);
+  jobQueue.registerHandler(matchJobs.REFRESH_AVAILABILITY, matchJobs.refreshAvailabilityMatches);
+
+  // Recurring (cron times are UTC)
+  jobQueue.registerHandler(offerJobs.EXPIRE_OVERDUE, offerJobs.expireOverdue);
+  jobQueue.registerCron(offerJobs.EXPIRE_OVERDUE, '*/15 * * * *');
+
+  jobQueue.registerHandler(payoutJobs.PAYOUT_SWEEP, payoutJobs.sweepPayouts, {
+    maxAttempts: 4,
+    backoffMs: 15 * 60 * 1000,
+  });
+  jobQueue.registerCron(payoutJobs.PAYOUT_SWEEP, '0 14 * * *');
+
+  jobQueue.registerHandler(documentJobs.EXPIRY_SCAN, documentJobs.scanExpiringDocuments);
+  jobQueue.registerCron(documentJobs.EXPIRY_SCAN, '0 13 * * *');
+
+  jobQueue.registerHandler(laneJobs.INGEST, laneJobs.ingestLaneRates);
+  jobQueue.registerCron(laneJobs.INGEST, '20 * * * *');
+
+  jobQueue.registerHandler(geofenceJobs.DETENTION_SWEEP, geofenceJobs.sweepDetention);
+  jobQueue.registerCron(geofenceJobs.DETENTION_SWEEP, '*/5 * * * *');
+
+  jobQueue.registerHandler(etaJobs.REFRESH, etaJobs.refreshEtas);
+  jobQueue.registerCron(etaJobs.REFRESH, '*/5 * * * *');
+
+  jobQueue.registerHandler(matchJobs.SWEEP, matchJobs.sweepMatches);
+  jobQueue.registerCron(matchJobs.SWEEP, '*/5 * * * *');
+
+  jobQueue.registerHandler(availabilityJobs.EXPAND, availabilityJobs.expandRecurring);
+  jobQueue.registerCron(availabilityJobs.EXPAND, '25 * * * *');
+
+  jobQueue.registerHandler(breadcrumbJobs.MAINTAIN_PARTITIONS, breadcrumbJobs.maintainPartitions);
+  jobQueue.registerCron(breadcrumbJobs.MAINTAIN_PARTITIONS, '10 4 * * *');
+};
+
+const startJobs = async () => {
+  registerJobs();
+  await jobQueue.startWorker();
+};
+
+module.exports = {
+  registerJobs,
+  startJobs,
+  stopJobs: jobQueue.stopWorker,
+};
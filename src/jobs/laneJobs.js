@@ -0,0 +1,21 @@
+// backend_api/src/jobs/laneJobs.js
+// Hourly refresh of lane_rate_observations from delivered loads and accepted offers
+//
+// The ingest is idempotent, so the first run backfills all history.
+
+const laneRates = require('../services/laneRates');
+const { EQUIPMENT_TO_GROUP } = require('../services/pricing');
+
+const INGEST = 'lanes.ingest';
+
+const ingestLaneRates = async () => {
+  const { upserted, removed } = await laneRates.ingestObservations(EQUIPMENT_TO_GROUP);
+  if (upserted || removed) {
+    console.log(`[Jobs] Lane rates: ${upserted} observations upserted, ${removed} removed`);
+  }
+};
+
+module.exports = {
+  INGEST,
+  ingestLaneRates,
+};
@@ -0,0 +1,76 @@
+// backend_api/src/jobs/loadJobs.js
+// Background jobs for posted loads
+
+const { pool } = require('../db/pool');
+const jobQueue = require('../services/jobQueue');
+const notificationService = require('../services/notificationService');
+const { emitToDrivers, emitToUser } = require('../realtime/socket');
+const matchJobs = require('./matchJobs');
+
+const RELEASE_TO_PUBLIC = 'loads.release_to_public';
+
+/**
+ * Queue the public release of a preferred_first load at release_to_public_at
+ */
+const scheduleRelease = (load) => {
+  if (!load.release_to_public_at) return Promise.resolve(null);
+
+  return jobQueue.enqueue(RELEASE_TO_PUBLIC, { loadId: load.id }, {
+    runAt: load.release_to_public_at,
+    jobId: `${RELEASE_TO_PUBLIC}:${load.id}`,
+    replace: true,
+  });
+};
+
+/**
+ * Preferred window ended: tell the poster and push the load to driver boards.
+ * Visibility itself is derived from release_to_public_at at query time.
+ */
+const releaseToPublic = async ({ loadId }) => {
+  const result = await pool.query(`
+    SELECT id, status, visibility, release_to_public_at, released_early_at,
+           posted_by_user_id, shipper_id,
+           pickup_city, pickup_state, delivery_city, delivery_state,
+           carrier_pay, price, vehicle_type_required
+    FROM loads
+    WHERE id = $1
+  `, [loadId]);
+
+  const load = result.rows[0];
+  if (!load || load.status !== 'posted') return;
+  if (load.visibility === 'public' || load.released_early_at) return;
+  if (!load.release_to_public_at || new Date(load.release_to_public_at) > new Date()) return;
+
+  const posterId = load.posted_by_user_id || load.shipper_id;
+  if (posterId) {
+    await notificationService.sendNotification(posterId, 'LOAD_RELEASED_TO_PUBLIC', {
+      loadId: load.id,
+      pickupCity: load.pickup_city,
+      deliveryCity: load.delivery_city,
+    });
+    emitToUser(posterId, 'load:released', { loadId: load.id });
+  }
+
+  emitToDrivers('load:released', {
+    loadId: load.id,
+    pickupCity: load.pickup_city,
+    pickupState: load.pickup_state,
+    deliveryCity: load.delivery_city,
+    deliveryState: load.delivery_state,
+    pay: parseFloat(load.carrier_pay || load.price) || null,
+    vehicleTypeRequired: load.vehicle_type_required,
+  });
+
+  // Now on the public board: run it against driver availability
+  matchJobs.scheduleLoadRefresh(load.id).catch(err =>
+    console.error('[Jobs] Failed to schedule match run:', err)
+  );
+
+  console.log(`[Jobs] Load ${load.id} released to public board`);
+};
+
+module.exports = {
+  RELEASE_TO_PUBLIC,
+  scheduleRelease,
+  releaseToPublic,
+};
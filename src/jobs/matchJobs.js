@@ -0,0 +1,109 @@
+// backend_api/src/jobs/matchJobs.js
+// Driver match feed: re-score loads and availability posts, push strong matches
+//
+// Loads are refreshed when posted or released to the public board; new and
+// edited availability posts are scored against the board. The sweep catches
+// what no route announces: repriced loads (driver payout moved since the last
+// run), preferred_first loads whose window lapsed, and matches whose load or
+// post went away. Strong matches go to the driver over socket.io, with a push
+// for drivers who are not connected.
+
+const matchFeed = require('../services/matchFeed');
+const presence = require('../services/presence');
+const jobQueue = require('../services/jobQueue');
+const notificationService = require('../services/notificationService');
+const { emitToUser } = require('../realtime/socket');
+
+const REFRESH_LOAD = 'matches.refresh_load';
+const REFRESH_AVAILABILITY = 'matches.refresh_availability';
+const SWEEP = 'matches.sweep';
+
+// ============================================
+// ENQUEUE
+// ============================================
+
+/**
+ * Queue a load's match run (one pending run per load)
+ */
+const scheduleLoadRefresh = (loadId) => jobQueue.enqueue(REFRESH_LOAD, { loadId }, {
+  jobId: `${REFRESH_LOAD}:${loadId}`,
+  replace: true,
+});
+
+/**
+ * Queue an availability post's match run (one pending run per post)
+ */
+const scheduleAvailabilityRefresh = (availabilityId) => jobQueue.enqueue(REFRESH_AVAILABILITY, { availabilityId }, {
+  jobId: `${REFRESH_AVAILABILITY}:${availabilityId}`,
+  replace: true,
+});
+
+// ============================================
+// HANDLERS
+// ============================================
+
+/**
+ * Socket event for every strong match, push for drivers without a socket
+ */
+const notifyDrivers = async (notify) => {
+  if (notify.length === 0) return;
+
+  const presenceByDriver = await presence.getPresence(notify.map(({ row }) => row.driver_id));
+  for (const { load, match, row } of notify) {
+    const alert = matchFeed.formatMatchAlert(load, match);
+    emitToUser(row.driver_id, 'match:new', alert);
+
+    if (!presenceByDriver[row.driver_id]?.online) {
+      await notificationService.sendNotification(row.driver_id, 'LOAD_MATCH', {
+        ...alert,
+        payout: alert.payout != null ? alert.payout.toFixed(2) : '—',
+      });
+    }
+  }
+  await matchFeed.markNotified(notify.map(({ row }) => row.id));
+};
+
+const refreshLoadMatches = async ({ loadId }) => {
+  const result = await matchFeed.refreshLoad(loadId);
+  if (!result) return;
+
+  await notifyDrivers(result.notify);
+  if (result.matched || result.closed) {
+    console.log(`[Jobs] Load ${loadId} matches: ${result.matched} driver(s), ${result.notify.length} notified, ${result.closed} closed`);
+  }
+};
+
+const refreshAvailabilityMatches = async ({ availabilityId }) => {
+  const result = await matchFeed.refreshAvailability(availabilityId);
+  if (!result) return;
+
+  await notifyDrivers(result.notify);
+};
+
+const sweepMatches = async () => {
+  const closed = await matchFeed.closeStale();
+
+  const loadIds = await matchFeed.getLoadsDue();
+  for (const loadId of loadIds) {
+    try {
+      await refreshLoadMatches({ loadId });
+    } catch (error) {
+      console.error(`[Jobs] Match sweep failed for load ${loadId}:`, error.message);
+    }
+  }
+
+  if (closed || loadIds.length) {
+    console.log(`[Jobs] Match sweep: ${loadIds.length} load(s) re-scored, ${closed} match(es) closed`);
+  }
+};
+
+module.exports = {
+  REFRESH_LOAD,
+  REFRESH_AVAILABILITY,
+  SWEEP,
+  scheduleLoadRefresh,
+  scheduleAvailabilityRefresh,
+  refreshLoadMatches,
+  refreshAvailabilityMatches,
+  sweepMatches,
+};
@@ -0,0 +1,131 @@
+// backend_api/src/jobs/offerJobs.js
+// Expiry for carrier bids (offers) and matching-engine driver offers (load_offers)
+
+const { pool } = require('../db/pool');
+const jobQueue = require('../services/jobQueue');
+const notificationService = require('../services/notificationService');
+const { emitToUser } = require('../realtime/socket');
+
+const EXPIRE_OFFER = 'offers.expire';
+const EXPIRE_LOAD_OFFER = 'load_offers.expire';
+const EXPIRE_OVERDUE = 'offers.expire_overdue';
+
+// ============================================
+// SCHEDULING
+// ============================================
+
+const scheduleOfferExpiry = (offer) => {
+  if (!offer.expires_at) return Promise.resolve(null);
+
+  return jobQueue.enqueue(EXPIRE_OFFER, { offerId: offer.id }, {
+    runAt: offer.expires_at,
+    jobId: `${EXPIRE_OFFER}:${offer.id}`,
+    replace: true,
+  });
+};
+
+const scheduleLoadOfferExpiry = (loadOffer) => {
+  if (!loadOffer.expires_at) return Promise.resolve(null);
+
+  return jobQueue.enqueue(EXPIRE_LOAD_OFFER, { loadOfferId: loadOffer.id }, {
+    runAt: loadOffer.expires_at,
+    jobId: `${EXPIRE_LOAD_OFFER}:${loadOffer.id}`,
+    replace: true,
+  });
+};
+
+// ============================================
+// HANDLERS
+// ============================================
+
+const notifyOfferExpired = async (offer) => {
+  const userId = offer.submitted_by_user_id || offer.submitted_by;
+  if (!userId) return;
+
+  await notificationService.sendNotification(userId, 'OFFER_EXPIRED', {
+    offerId: offer.id,
+    loadId: offer.load_id,
+    amount: offer.amount || offer.offered_amount,
+    pickupCity: offer.pickup_city,
+    deliveryCity: offer.delivery_city,
+  });
+  emitToUser(userId, 'offer:expired', { offerId: offer.id, loadId: offer.load_id });
+};
+
+/**
+ * Expire a carrier bid that is still open past expires_at
+ */
+const expireOffer = async ({ offerId }) => {
+  const result = await pool.query(`
+    UPDATE offers o
+    SET status = 'expired'
+    FROM loads l
+    WHERE o.id = $1
+      AND l.id = o.load_id
+      AND o.status IN ('pending', 'countered')
+      AND o.expires_at <= CURRENT_TIMESTAMP
+    RETURNING o.*, l.pickup_city, l.delivery_city
+  `, [offerId]);
+
+  if (result.rows.length === 0) return;
+
+  await notifyOfferExpired(result.rows[0]);
+};
+
+/**
+ * Expire a pending matching-engine offer past expires_at
+ */
+const expireLoadOffer = async ({ loadOfferId }) => {
+  const result = await pool.query(`
+    UPDATE load_offers
+    SET status = 'expired', responded_at = NOW()
+    WHERE id = $1 AND status = 'pending' AND expires_at <= NOW()
+    RETURNING id, load_id, driver_id
+  `, [loadOfferId]);
+
+  const offer = result.rows[0];
+  if (offer) {
+    emitToUser(offer.driver_id, 'offer:expired', { offerId: offer.id, loadId: offer.load_id });
+  }
+};
+
+/**
+ * Safety net: expire anything whose job was never queued (e.g. Redis was down)
+ */
+const expireOverdue = async () => {
+  const offers = await pool.query(`
+    UPDATE offers o
+    SET status = 'expired'
+    FROM loads l
+    WHERE l.id = o.load_id
+      AND o.status IN ('pending', 'countered')
+      AND o.expires_at <= CURRENT_TIMESTAMP
+    RETURNING o.*, l.pickup_city, l.delivery_city
+  `);
+
+  for (const offer of offers.rows) {
+    await notifyOfferExpired(offer);
+  }
+
+  const loadOffers = await pool.query(`
+    UPDATE load_offers
+    SET status = 'expired', responded_at = NOW()
+    WHERE status = 'pending' AND expires_at <= NOW()
+    RETURNING id
+  `);
+
+  if (offers.rows.length || loadOffers.rows.length) {
+    console.log(`[Jobs] Expired ${offers.rows.length} overdue offers, ${loadOffers.rows.length} driver offers`);
+  }
+};
+
+module.exports = {
+  EXPIRE_OFFER,
+  EXPIRE_LOAD_OFFER,
+  EXPIRE_OVERDUE,
+  scheduleOfferExpiry,
+  scheduleLoadOfferExpiry,
+  expireOffer,
+  expireLoadOffer,
+  expireOverdue,
+};
@@ -0,0 +1,120 @@
+// backend_api/src/jobs/payoutJobs.js
+// Scheduled driver payouts
+//
+// Captured loads whose transfer did not happen at capture time (no Connect
+// account yet, Stripe error) are swept here on each driver's payout_schedule:
+//   daily   - every run
+//   weekly  - Fridays (matches the Stripe weekly_anchor set in payout-settings)
+//   monthly - the 1st
+//   manual  - never; the driver requests payouts themselves
+
+const { pool } = require('../db/pool');
+const stripeService = require('../services/stripeService');
+const loadNotifications = require('../services/loadNotifications');
+
+const PAYOUT_SWEEP = 'payouts.sweep';
+
+const isPayoutDay = (schedule, date = new Date()) => {
+  switch (schedule || 'daily') {
+    case 'daily': return true;
+    case 'weekly': return date.getUTCDay() === 5;
+    case 'monthly': return date.getUTCDate() === 1;
+    default: return false;
+  }
+};
+
+/**
+ * Claim a load's payout and transfer it to the driver's Connect account.
+ * The claim (payout_status pending -> processing) makes the capture route and
+ * the sweep mutually exclusive, and the Stripe idempotency key makes a
+ * retried transfer return the first one. Returns { transferId, amount,
+ * driverId }, or null when the payout was already claimed or paid. A Stripe
+ * error releases the claim and is rethrown; a load whose transfer went out
+ * but could not be recorded stays 'processing' for manual review.
+ */
+const payoutLoad = async (loadId, stripeAccountId) => {
+  const claimed = await pool.query(`
+    UPDATE loads
+    SET payout_status = 'processing', updated_at = NOW()
+    WHERE id = $1
+      AND COALESCE(payout_status, 'pending') = 'pending'
+      AND stripe_transfer_id IS NULL
+    RETURNING id, driver_id, driver_payout
+  `, [loadId]);
+  const load = claimed.rows[0];
+  if (!load) return null;
+
+  const amount = parseFloat(load.driver_payout);
+  let transfer;
+  try {
+    transfer = await stripeService.transferToDriver(stripeAccountId, amount, loadId, {
+      idempotencyKey: `payout:${loadId}`,
+    });
+  } catch (error) {
+    await pool.query(
+      "UPDATE loads SET payout_status = 'pending' WHERE id = $1 AND payout_status = 'processing'",
+      [loadId]
+    );
+    throw error;
+  }
+
+  await pool.query(`
+    UPDATE loads
+    SET payout_status = 'transferred',
+        stripe_transfer_id = $1,
+        payout_at = NOW()
+    WHERE id = $2
+  `, [transfer.transferId, loadId]);
+
+  return { transferId: transfer.transferId, amount, driverId: load.driver_id };
+};
+
+/**
+ * Transfer every pending, captured driver payout that is due today.
+ * Throws if any transfer fails so the job is retried; loads already
+ * transferred drop out of the query on the next attempt.
+ */
+const sweepPayouts = async () => {
+  const result = await pool.query(`
+    SELECT l.id, l.driver_id, l.driver_payout,
+           u.stripe_account_id, u.payout_schedule
+    FROM loads l
+    JOIN users u ON l.driver_id = u.id
+    WHERE l.payment_status = 'captured'
+      AND COALESCE(l.payout_status, 'pending') = 'pending'
+      AND l.stripe_transfer_id IS NULL
+      AND l.driver_payout > 0
+      AND u.stripe_account_id IS NOT NULL
+    ORDER BY l.delivered_at ASC NULLS LAST
+  `);
+
+  const due = result.rows.filter((load) => isPayoutDay(load.payout_schedule));
+  const failures = [];
+
+  for (const load of due) {
+    try {
+      const payout = await payoutLoad(load.id, load.stripe_account_id);
+      if (!payout) continue;
+
+      loadNotifications.onPaymentProcessed(load.id, payout.driverId, payout.amount, payout.transferId);
+    } catch (error) {
+      console.error(`[Jobs] Payout for load ${load.id} failed:`, error.message);
+      failures.push(load.id);
+    }
+  }
+
+  if (due.length) {
+    console.log(`[Jobs] Payout sweep: ${due.length - failures.length}/${due.length} transferred`);
+  }
+
+  if (failures.length) {
+    throw new Error(`Payout transfer failed for loads: ${failures.join(', ')}`);
+  }
+};
+
+module.exports = {
+  PAYOUT_SWEEP,
+  isPayoutDay,
+  payoutLoad,
+  sweepPayouts,
+};
@@ -0,0 +1,85 @@
+// backend_api/src/jobs/tenderJobs.js
+// Tender waterfall steps for preferred_first broker loads
+//
+// One advance job per step, keyed by tender id and due at the step's
+// expires_at. The job that ends a step is still running when it schedules the
+// next one, so each step needs its own id (jobQueue.enqueue never replaces an
+// active job). When a step ends (window expired or every eligible carrier
+// declined) the next tier is opened and notified; after the last step
+// loads.release_to_public takes over.
+
+const jobQueue = require('../services/jobQueue');
+const tendering = require('../services/tendering');
+const loadJobs = require('./loadJobs');
+const { emitToUser } = require('../realtime/socket');
+
+const ADVANCE = 'tenders.advance';
+
+const scheduleAdvance = (tender) => {
+  return jobQueue.enqueue(ADVANCE, { loadId: tender.load_id, tenderId: tender.id }, {
+    runAt: tender.expires_at,
+    jobId: `${ADVANCE}:${tender.id}`,
+    replace: true,
+  });
+};
+
+/**
+ * Notify the tier that was just opened and queue what comes next
+ */
+const onTenderOpened = async (load, tender, previousTier = 0) => {
+  if (tender) {
+    const reached = await tendering.notifyTender(load, tender, previousTier);
+    await scheduleAdvance(tender);
+    console.log(`[Jobs] Load ${load.id} tendered to tier ${tender.tier} (${reached} carriers)`);
+  }
+
+  // release_to_public_at moves with every step
+  await loadJobs.scheduleRelease(load);
+};
+
+/**
+ * First step was opened in the load's creation transaction
+ */
+const startWaterfall = (load, tender) => onTenderOpened(load, tender, 0);
+
+const runAdvance = async (loadId, options) => {
+  const result = await tendering.advanceTender(loadId, options);
+  if (!result || result.closed) return result;
+
+  const posterId = result.load.posted_by_user_id || result.load.shipper_id;
+  if (posterId) {
+    emitToUser(posterId, 'load:tender_advanced', {
+      loadId,
+      closedTier: result.previousTier,
+      closeReason: result.closedTender.close_reason,
+      currentTier: result.tender ? result.tender.tier : null,
+      expiresAt: result.tender ? result.tender.expires_at : null,
+    });
+  }
+
+  // A step closed early (all declined) leaves its expiry job behind
+  await jobQueue.cancel(`${ADVANCE}:${result.closedTender.id}`);
+
+  await onTenderOpened(result.load, result.tender, result.previousTier);
+  return result;
+};
+
+/**
+ * Job handler: the active step's window ran out
+ */
+const advance = async ({ loadId, tenderId }) => {
+  await runAdvance(loadId, { reason: 'expired', expectedTenderId: tenderId });
+};
+
+/**
+ * Move on immediately (every eligible carrier declined)
+ */
+const advanceNow = (loadId, reason = 'all_declined') => runAdvance(loadId, { reason });
+
+module.exports = {
+  ADVANCE,
+  scheduleAdvance,
+  startWaterfall,
+  advance,
+  advanceNow,
+};
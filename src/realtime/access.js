@@ -0,0 +1,120 @@
+// backend_api/src/realtime/access.js
+// Who may see a load's realtime events
+//
+// Mirrors the REST checks: admins, the shipper, the driver (on the load or an
+// active assignment), and non-driver members of the posting org or the
+// assigned carrier org, resolved through the user's primary org like the
+// routes' getUserPrimaryOrg helper.
+//
+// Rooms:
+//   user:{id}   every socket of a user
+//   org:{id}    non-driver members of an org (drivers get load events on
+//               their own user room, not their carrier's whole board)
+//   load:{id}   sockets that subscribed to a load after passing canAccessLoad
+
+const { pool } = require('../db/pool');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Load parties change on assignment, so the audience cache stays short
+const AUDIENCE_TTL_MS = 30 * 1000;
+const AUDIENCE_CACHE_MAX = 5000;
+const audienceCache = new Map();
+
+/**
+ * User's primary org membership ({ org_id, org_type, role }) or null
+ */
+const getUserPrimaryOrg = async (userId) => {
+  const result = await pool.query(`
+    SELECT o.id as org_id, o.org_type, m.role
+    FROM memberships m
+    JOIN orgs o ON m.org_id = o.id
+    WHERE m.user_id = $1 AND m.is_active = true AND o.is_active = true
+    ORDER BY m.is_primary DESC, m.joined_at ASC
+    LIMIT 1
+  `, [userId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Org room a user joins: their primary org unless they are a driver in it
+ */
+const getOrgRoom = async (userId) => {
+  const userOrg = await getUserPrimaryOrg(userId);
+  return userOrg && userOrg.role !== 'driver' ? `org:${userOrg.org_id}` : null;
+};
+
+/**
+ * Users and orgs with access to a load: { userIds, orgIds }, or null when
+ * the load does not exist
+ */
+const getLoadAudience = async (loadId) => {
+  const cached = audienceCache.get(loadId);
+  if (cached && cached.expiresAt > Date.now()) return cached.audience;
+
+  const result = await pool.query(`
+    SELECT l.shipper_id, l.driver_id, l.posted_by_org_id, l.assigned_carrier_org_id,
+      COALESCE(array_agg(a.driver_user_id) FILTER (WHERE a.driver_user_id IS NOT NULL), '{}') AS assigned_driver_ids
+    FROM loads l
+    LEFT JOIN assignments a ON a.load_id = l.id AND a.status != 'cancelled'
+    WHERE l.id = $1
+    GROUP BY l.id
+  `, [loadId]);
+  if (result.rows.length === 0) return null;
+
+  const load = result.rows[0];
+  const audience = {
+    userIds: [...new Set([load.shipper_id, load.driver_id, ...load.assigned_driver_ids].filter(Boolean))],
+    orgIds: [...new Set([load.posted_by_org_id, load.assigned_carrier_org_id].filter(Boolean))],
+  };
+
+  if (audienceCache.size >= AUDIENCE_CACHE_MAX) audienceCache.clear();
+  audienceCache.set(loadId, { audience, expiresAt: Date.now() + AUDIENCE_TTL_MS });
+  return audience;
+};
+
+/**
+ * Drop a load's cached audience (after assignment or cancellation)
+ */
+const invalidateLoad = (loadId) => {
+  audienceCache.delete(loadId);
+};
+
+/**
+ * Whether a socket user ({ id, role }) may receive a load's events
+ */
+const canAccessLoad = async (user, loadId) => {
+  if (!UUID_PATTERN.test(String(loadId))) return false;
+  if (user.role === 'admin') return true;
+
+  const audience = await getLoadAudience(loadId);
+  if (!audience) return false;
+  if (audience.userIds.includes(user.id)) return true;
+
+  const userOrg = await getUserPrimaryOrg(user.id);
+  return !!userOrg && userOrg.role !== 'driver' && audience.orgIds.includes(userOrg.org_id);
+};
+
+/**
+ * Rooms that reach every party of a load (its subscribers included)
+ */
+const getLoadRooms = async (loadId) => {
+  const audience = await getLoadAudience(loadId);
+  if (!audience) return [`load:${loadId}`];
+
+  return [
+    `load:${loadId}`,
+    ...audience.userIds.map((id) => `user:${id}`),
+    ...audience.orgIds.map((id) => `org:${id}`),
+  ];
+};
+
+module.exports = {
+  getUserPrimaryOrg,
+  getOrgRoom,
+  getLoadAudience,
+  invalidateLoad,
+  canAccessLoad,
+  getLoadRooms,
+};
@@ -0,0 +1,75 @@
+// backend_api/src/realtime/redisBridge.js
+// Cross-instance socket fan-out over Redis pub/sub
+//
+// Every emit goes to the local socket.io server and is published on
+// CHANNEL; the other API instances receive it on a duplicated subscriber
+// connection and emit it to their own sockets in the same rooms. Messages
+// carry the publishing instance id so nobody delivers their own twice.
+// Without Redis the bridge stays off and emits only reach local sockets.
+
+const { v4: uuidv4 } = require('uuid');
+const { redisClient } = require('../db/redis');
+
+const CHANNEL = 'realtime:emit';
+const INSTANCE_ID = uuidv4();
+
+let subscriber = null;
+
+// Publishing needs only the shared client, so job-only processes reach sockets too
+const canPublish = () => Boolean(redisClient && redisClient.isOpen);
+
+const isActive = () => Boolean(subscriber && canPublish());
+
+/**
+ * Subscribe to emits from other instances; deliver(rooms, event, data)
+ * emits them locally. No-op without a connected Redis client.
+ */
+const start = async (deliver) => {
+  if (subscriber || !redisClient || !redisClient.isOpen) return false;
+
+  const client = redisClient.duplicate();
+  client.on('error', (err) => console.error('[Realtime] Redis subscriber error:', err.message));
+  await client.connect();
+
+  await client.subscribe(CHANNEL, (message) => {
+    try {
+      const { origin, rooms, event, data } = JSON.parse(message);
+      if (origin === INSTANCE_ID) return;
+      deliver(rooms, event, data);
+    } catch (error) {
+      console.error('[Realtime] Bad bridge message:', error.message);
+    }
+  });
+
+  subscriber = client;
+  console.log(`[Realtime] Redis fan-out enabled (instance ${INSTANCE_ID})`);
+  return true;
+};
+
+/**
+ * Publish an emit for the other instances
+ */
+const publish = async (rooms, event, data) => {
+  if (!canPublish()) return;
+  await redisClient.publish(CHANNEL, JSON.stringify({ origin: INSTANCE_ID, rooms, event, data }));
+};
+
+const stop = async () => {
+  if (!subscriber) return;
+  const client = subscriber;
+  subscriber = null;
+  try {
+    await client.unsubscribe(CHANNEL);
+    await client.quit();
+  } catch (error) {
+    console.error('[Realtime] Redis subscriber close error:', error.message);
+  }
+};
+
+module.exports = {
+  INSTANCE_ID,
+  isActive,
+  start,
+  publish,
+  stop,
+};
@@ -14,9 +14,47 @@ const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
 const config = require('../config');
 const { pool } = require('../db/pool');
-const { cacheDriverLocation } = require('../db/redis');
+const geofence = require('../services/geofence');
+const breadcrumbs = require('../services/breadcrumbs');
+const eta = require('../services/eta');
+const autoStatus = require('../services/autoStatus');
+const access = require('./access');
+const redisBridge = require('./redisBridge');
+const presence = require('../services/presence');
 
 let io;
+let heartbeatTimer = null;
+
+/**
+ * Emit on this instance only (also the delivery path for bridged emits)
+ */
+const deliverLocal = (rooms, event, data) => {
+  if (io) {
+    io.to(rooms).emit(event, data);
+  }
+};
+
+/**
+ * Emit to rooms on every instance: locally, then through the Redis bridge
+ */
+const broadcast = (rooms, event, data) => {
+  deliverLocal(rooms, event, data);
+  redisBridge.publish(rooms, event, data)
+    .catch((error) => console.error('[Socket] Bridge publish error:', error.message));
+};
+
+/**
+ * Presence heartbeat for every socket connected to this instance
+ */
+const heartbeatPresence = async () => {
+  if (!io) return;
+  const entries = [...io.of('/').sockets.values()].map((s) => ({
+    userId: s.user.id,
+    role: s.user.user_type,
+    deviceId: s.device.deviceId,
+  }));
+  if (entries.length) await presence.heartbeat(entries);
+};
 
 const initializeSocket = (server) => {
   io = new Server(server, {
@@ -38,7 +76,7 @@ const initializeSocket = (server) => {
       const decoded = jwt.verify(token, config.jwt.secret);
       
       const result = await pool.query(
-        'SELECT id, user_type, name FROM users WHERE id = $1 AND is_active = true',
+        'SELECT id, COALESCE(user_type, role) AS user_type, role, name FROM users WHERE id = $1 AND is_active = true',
         [decoded.userId]
       );
       
@@ -53,49 +91,62 @@ const initializeSocket = (server) => {
     }
   });
   
+  // Cross-instance fan-out (needs Redis; otherwise emits stay local)
+  redisBridge.start(deliverLocal)
+    .catch((error) => console.error('[Socket] Redis bridge error:', error));
+
+  heartbeatTimer = setInterval(() => {
+    heartbeatPresence().catch((error) => console.error('[Socket] Presence heartbeat error:', error));
+  }, config.presence.heartbeatSeconds * 1000);
+  heartbeatTimer.unref();
+  
   io.on('connection', (socket) => {
     console.log(`[Socket] User connected: ${socket.user.id} (${socket.user.user_type})`);
     
+    // Presence (device from handshake auth/query: deviceId, platform, appVersion)
+    socket.device = presence.deviceFromHandshake(socket.handshake);
+    const presenceUser = { userId: socket.user.id, role: socket.user.user_type };
+    presence.connect(presenceUser, socket.device)
+      .catch((error) => console.error('[Socket] Presence connect error:', error));
+    
     // Join user-specific room
     socket.join(`user:${socket.user.id}`);
     
     // Join role-specific room
     socket.join(`role:${socket.user.user_type}`);
     
+    // Join org room (dispatch / shipper / broker staff, not drivers)
+    access.getOrgRoom(socket.user.id)
+      .then((room) => { if (room) socket.join(room); })
+      .catch((error) => console.error('[Socket] Org room error:', error));
+    
     // Driver location updates
     if (socket.user.user_type === 'driver') {
       socket.on('location:update', async (data) => {
         try {
-          const { latitude, longitude, heading, speedMph } = data;
+          // Current position (cache, users, driver_locations) and breadcrumb trail
+          const recorded = await breadcrumbs.recordLocation(socket.user.id, data, { source: 'socket' });
+          if (!recorded.ok) return;
           
-          // Cache location
-          await cacheDriverLocation(socket.user.id, latitude, longitude);
+          // Everyone with access to the driver's active loads
+          await broadcastDriverLocation(socket.user.id, data);
           
-          // Update database
-          await pool.query(
-            `INSERT INTO driver_locations (driver_id, latitude, longitude, heading, speed_mph)
-             VALUES ($1, $2, $3, $4, $5)
-             ON CONFLICT (driver_id)
-             DO UPDATE SET latitude = $2, longitude = $3, heading = $4, speed_mph = $5, updated_at = CURRENT_TIMESTAMP`,
-            [socket.user.id, latitude, longitude, heading, speedMph]
-          );
+          // Stop arrival/departure and detention
+          const stopEvents = await geofence.processLocation(socket.user.id, data);
+          for (const { event, loadId, payload } of stopEvents) {
+            await emitToLoadParties(loadId, event, payload);
+          }
           
-          // Broadcast to shipper if driver has active load
-          const activeLoad = await pool.query(
-            `SELECT shipper_id FROM loads
-             WHERE driver_id = $1 AND status IN ('confirmed', 'en_route_pickup', 'picked_up', 'en_route_delivery')`,
-            [socket.user.id]
-          );
+          // Opted-in drivers: load status inferred from those stop events
+          const statusChanges = await autoStatus.applyGeofenceEvents(socket.user.id, stopEvents, data);
+          for (const { load, fromStatus } of statusChanges) {
+            await emitLoadStatus(load, fromStatus);
+          }
           
-          if (activeLoad.rows.length > 0) {
-            io.to(`user:${activeLoad.rows[0].shipper_id}`).emit('driver:location', {
-              driverId: socket.user.id,
-              latitude,
-              longitude,
-              heading,
-              speedMph,
-              updatedAt: new Date().toISOString(),
-            });
+          // Pickup/delivery ETAs (throttled per load)
+          const etaEvents = await eta.refreshForDriver(socket.user.id);
+          for (const { event, loadId, payload } of etaEvents) {
+            await emitToLoadParties(loadId, event, payload);
           }
         } catch (error) {
           console.error('[Socket] Location update error:', error);
@@ -103,10 +154,22 @@ const initializeSocket = (server) => {
       });
     }
     
-    // Subscribe to load updates
-    socket.on('load:subscribe', (loadId) => {
-      socket.join(`load:${loadId}`);
-      console.log(`[Socket] ${socket.user.id} subscribed to load ${loadId}`);
+    // Subscribe to load updates (same access as the load's REST endpoints)
+    // Optional ack callback receives { ok } or { ok: false, error }
+    socket.on('load:subscribe', async (loadId, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        if (!(await access.canAccessLoad(socket.user, loadId))) {
+          socket.emit('load:subscribe_error', { loadId, error: 'Load not found' });
+          return reply({ ok: false, error: 'Load not found' });
+        }
+        socket.join(`load:${loadId}`);
+        console.log(`[Socket] ${socket.user.id} subscribed to load ${loadId}`);
+        reply({ ok: true });
+      } catch (error) {
+        console.error('[Socket] Load subscribe error:', error);
+        reply({ ok: false, error: 'Failed to subscribe' });
+      }
     });
     
     socket.on('load:unsubscribe', (loadId) => {
@@ -115,34 +178,102 @@ const initializeSocket = (server) => {
     
     socket.on('disconnect', () => {
       console.log(`[Socket] User disconnected: ${socket.user.id}`);
+      
+      const others = [...io.of('/').sockets.values()].filter((s) => s.user.id === socket.user.id);
+      presence.disconnect(presenceUser, socket.device.deviceId, {
+        userConnected: others.length > 0,
+        deviceConnected: others.some((s) => s.device.deviceId === socket.device.deviceId),
+      }).catch((error) => console.error('[Socket] Presence disconnect error:', error));
     });
   });
   
   return io;
 };
 
-// Emit functions for use in routes/services
+/**
+ * Stop the presence heartbeat and the Redis bridge (graceful shutdown)
+ */
+const closeSocket = async () => {
+  if (heartbeatTimer) clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+  await redisBridge.stop();
+};
+
+// Emit functions for use in routes/services (reach every instance)
 const emitToUser = (userId, event, data) => {
-  if (io) {
-    io.to(`user:${userId}`).emit(event, data);
-  }
+  broadcast([`user:${userId}`], event, data);
 };
 
 const emitToLoad = (loadId, event, data) => {
-  if (io) {
-    io.to(`load:${loadId}`).emit(event, data);
-  }
+  broadcast([`load:${loadId}`], event, data);
 };
 
 const emitToDrivers = (event, data) => {
-  if (io) {
-    io.to('role:driver').emit(event, data);
+  broadcast(['role:driver'], event, data);
+};
+
+const emitToOrg = (orgId, event, data) => {
+  broadcast([`org:${orgId}`], event, data);
+};
+
+/**
+ * Emit to every party with access to a load: subscribers, shipper, driver,
+ * and the posting and carrier orgs (each socket receives it once)
+ */
+const emitToLoadParties = async (loadId, event, data) => {
+  let rooms = [`load:${loadId}`];
+  try {
+    rooms = await access.getLoadRooms(loadId);
+  } catch (error) {
+    console.error('[Socket] Load fan-out error:', error);
+  }
+  broadcast(rooms, event, data);
+};
+
+/**
+ * load:status to every party after a load transition (parties may have
+ * changed, so the cached audience is dropped first)
+ */
+const emitLoadStatus = async (load, fromStatus) => {
+  access.invalidateLoad(load.id);
+  await emitToLoadParties(load.id, 'load:status', {
+    loadId: load.id,
+    status: load.status,
+    fromStatus,
+    updatedAt: load.updated_at,
+  });
+};
+
+/**
+ * driver:location to the parties of each of the driver's active loads
+ */
+const broadcastDriverLocation = async (driverId, { latitude, longitude, heading, speedMph }) => {
+  const activeLoads = await pool.query(
+    'SELECT id FROM loads WHERE driver_id = $1 AND status = ANY($2)',
+    [driverId, geofence.ACTIVE_LOAD_STATUSES]
+  );
+
+  for (const { id } of activeLoads.rows) {
+    await emitToLoadParties(id, 'driver:location', {
+      loadId: id,
+      driverId,
+      latitude,
+      longitude,
+      heading,
+      speedMph,
+      updatedAt: new Date().toISOString(),
+    });
   }
 };
 
 module.exports = {
   initializeSocket,
+  closeSocket,
   emitToUser,
   emitToLoad,
   emitToDrivers,
+  emitToOrg,
+  emitToLoadParties,
+  emitLoadStatus,
+  broadcastDriverLocation,
 };
@@ -16,6 +16,11 @@ const { pool } = require('../db/pool');
 const { authenticate, requireAdmin } = require('../middleware/auth');
 const verificationService = require('../services/verificationService');
 const documentService = require('../services/documentService');
+const jobQueue = require('../services/jobQueue');
+const pricing = require('../services/pricing');
+const fuelSurcharge = require('../services/fuelSurcharge');
+const accessorials = require('../services/accessorials');
+const loadMessages = require('../services/loadMessages');
 
 // All routes require admin
 router.use(authenticate, requireAdmin);
@@ -387,6 +392,35 @@ router.get('/disputes', async (req, res) => {
   }
 });
 
+// Load message thread attached to a dispute (evidence for review)
+router.get('/disputes/:id/thread', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, load_id, thread_attached_at FROM disputes WHERE id = $1',
+      [req.params.id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+    
+    const dispute = result.rows[0];
+    const messages = dispute.thread_attached_at
+      ? await loadMessages.getThreadEvidence(dispute.load_id, dispute.thread_attached_at)
+      : [];
+    
+    res.json({
+      disputeId: dispute.id,
+      loadId: dispute.load_id,
+      threadAttachedAt: dispute.thread_attached_at,
+      messages: await Promise.all(messages.map((m) => loadMessages.formatMessage(m))),
+    });
+  } catch (error) {
+    console.error('[Admin] Dispute thread error:', error);
+    res.status(500).json({ error: 'Failed to get dispute thread' });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // Payments & Revenue
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -416,4 +450,340 @@ router.get('/revenue', async (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// Background Jobs
+// ═══════════════════════════════════════════════════════════════════════════════
+
+router.get('/jobs', async (req, res) => {
+  try {
+    res.json(await jobQueue.getStats());
+  } catch (error) {
+    console.error('[Admin] Job stats error:', error);
+    res.status(500).json({ error: 'Failed to get job stats' });
+  }
+});
+
+router.get('/jobs/list/:state', async (req, res) => {
+  try {
+    const { state } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+
+    if (!jobQueue.JOB_STATES.includes(state)) {
+      return res.status(400).json({ error: 'Invalid job state', validStates: jobQueue.JOB_STATES });
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const jobs = await jobQueue.listJobs(state, {
+      limit: pageSize,
+      offset: (Math.max(parseInt(page) || 1, 1) - 1) * pageSize,
+    });
+
+    res.json({ state, jobs });
+  } catch (error) {
+    console.error('[Admin] List jobs error:', error);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job });
+  } catch (error) {
+    console.error('[Admin] Get job error:', error);
+    res.status(500).json({ error: 'Failed to get job' });
+  }
+});
+
+// Re-queue a dead-lettered job
+router.post('/jobs/:id/retry', async (req, res) => {
+  try {
+    const job = await jobQueue.retryJob(req.params.id);
+    if (!job) {
+      return res.status(400).json({ error: 'Only dead-lettered jobs can be retried' });
+    }
+    res.json({ message: 'Job re-queued', job });
+  } catch (error) {
+    console.error('[Admin] Retry job error:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+router.delete('/jobs/:id', async (req, res) => {
+  try {
+    const removed = await jobQueue.removeJob(req.params.id);
+    if (!removed) {
+      return res.status(400).json({ error: 'Job not found or currently running' });
+    }
+    res.json({ message: 'Job removed' });
+  } catch (error) {
+    console.error('[Admin] Remove job error:', error);
+    res.status(500).json({ error: 'Failed to remove job' });
+  }
+});
+
+// Trigger a recurring job outside its schedule
+router.post('/jobs/cron/:name/run', async (req, res) => {
+  try {
+    const jobId = await jobQueue.runCronNow(req.params.name);
+    if (!jobId) {
+      return res.status(404).json({ error: 'Cron job not found or queue unavailable' });
+    }
+    res.json({ message: 'Job queued', jobId });
+  } catch (error) {
+    console.error('[Admin] Run cron error:', error);
+    res.status(500).json({ error: 'Failed to queue job' });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Rate Tables
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const formatRateTable = (row) => ({
+  id: row.id,
+  version: row.version,
+  name: row.name,
+  status: row.status,
+  config: row.config,
+  notes: row.notes,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  activatedAt: row.activated_at,
+});
+
+router.get('/rate-tables', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM rate_tables ORDER BY version DESC');
+    res.json({ rateTables: result.rows.map(formatRateTable) });
+  } catch (error) {
+    console.error('[Admin] List rate tables error:', error);
+    res.status(500).json({ error: 'Failed to list rate tables' });
+  }
+});
+
+router.get('/rate-tables/:version', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM rate_tables WHERE version = $1', [req.params.version]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Rate table not found' });
+    }
+    res.json({ rateTable: formatRateTable(result.rows[0]) });
+  } catch (error) {
+    console.error('[Admin] Get rate table error:', error);
+    res.status(500).json({ error: 'Failed to get rate table' });
+  }
+});
+
+// New draft version; tables are never edited in place so old ratings stay explainable
+router.post('/rate-tables', async (req, res) => {
+  try {
+    const { name, config, notes } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const errors = pricing.validateRateTable(config);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid rate table', details: errors });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO rate_tables (version, name, config, notes, created_by)
+      SELECT COALESCE(MAX(version), 0) + 1, $1, $2, $3, $4 FROM rate_tables
+      RETURNING *
+    `, [name, JSON.stringify(config), notes || null, req.user.id]);
+
+    res.status(201).json({ message: 'Rate table draft created', rateTable: formatRateTable(result.rows[0]) });
+  } catch (error) {
+    console.error('[Admin] Create rate table error:', error);
+    res.status(500).json({ error: 'Failed to create rate table' });
+  }
+});
+
+// Preview a quote against any version (draft included)
+router.post('/rate-tables/:version/preview', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT version, name, config FROM rate_tables WHERE version = $1', [req.params.version]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Rate table not found' });
+    }
+
+    const { distanceMiles, loadType, equipment, isBackhaulSaver, expeditedFee } = req.body;
+    if (!(parseFloat(distanceMiles) > 0)) {
+      return res.status(400).json({ error: 'Valid distanceMiles required' });
+    }
+
+    const benchmark = await pricing.getBenchmark(equipment);
+    const quote = pricing.calculateQuote({
+      distanceMiles: parseFloat(distanceMiles),
+      loadType,
+      isBackhaulSaver: !!isBackhaulSaver,
+      benchmarkRpm: benchmark.benchmarkRpm,
+      equipment,
+      expeditedFee,
+    }, result.rows[0]);
+
+    res.json({ quote });
+  } catch (error) {
+    console.error('[Admin] Preview rate table error:', error);
+    res.status(500).json({ error: 'Failed to preview rate table' });
+  }
+});
+
+router.post('/rate-tables/:version/activate', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const target = await client.query('SELECT * FROM rate_tables WHERE version = $1 FOR UPDATE', [req.params.version]);
+    if (target.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Rate table not found' });
+    }
+
+    await client.query(`UPDATE rate_tables SET status = 'retired' WHERE status = 'active' AND version != $1`, [req.params.version]);
+    const result = await client.query(`
+      UPDATE rate_tables
+      SET status = 'active', activated_at = CURRENT_TIMESTAMP
+      WHERE version = $1
+      RETURNING *
+    `, [req.params.version]);
+
+    await client.query('COMMIT');
+    pricing.clearRateTableCache();
+
+    res.json({ message: 'Rate table activated', rateTable: formatRateTable(result.rows[0]) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[Admin] Activate rate table error:', error);
+    res.status(500).json({ error: 'Failed to activate rate table' });
+  } finally {
+    client.release();
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Fuel Index & Platform Fuel Schedules
+// ═══════════════════════════════════════════════════════════════════════════════
+
+router.get('/fuel-index', async (req, res) => {
+  try {
+    const region = String(req.query.region || 'US').toUpperCase();
+    const limit = Math.min(parseInt(req.query.limit) || 52, 520);
+    const rows = await fuelSurcharge.listIndexPrices({ region, limit });
+    res.json({ region, prices: rows.map(fuelSurcharge.formatIndexPrice) });
+  } catch (error) {
+    console.error('[Admin] List fuel index error:', error);
+    res.status(500).json({ error: 'Failed to list fuel index' });
+  }
+});
+
+// Weekly diesel prices: { csv: "week,price[,region]\n..." } or { prices: [{ weekStart, price, region }] }
+router.post('/fuel-index/import', async (req, res) => {
+  try {
+    const { csv, prices, region } = req.body;
+
+    const rows = csv ? fuelSurcharge.parseIndexCsv(csv) : prices;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ error: 'csv or prices array required' });
+    }
+
+    const normalized = fuelSurcharge.normalizeIndexRows(rows, region || 'US');
+    if (normalized.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid fuel index rows', details: normalized.errors });
+    }
+
+    const imported = await fuelSurcharge.importIndexPrices(normalized.prices, {
+      userId: req.user.id,
+      source: csv ? 'csv_import' : 'json_import',
+    });
+
+    res.json({ message: `Imported ${imported} weekly prices`, imported });
+  } catch (error) {
+    console.error('[Admin] Import fuel index error:', error);
+    res.status(500).json({ error: 'Failed to import fuel index' });
+  }
+});
+
+router.get('/fuel-schedules', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM fuel_surcharge_schedules WHERE org_id IS NULL ORDER BY is_default DESC, created_at'
+    );
+    res.json({ schedules: result.rows.map(fuelSurcharge.formatSchedule) });
+  } catch (error) {
+    console.error('[Admin] List fuel schedules error:', error);
+    res.status(500).json({ error: 'Failed to list fuel schedules' });
+  }
+});
+
+router.post('/fuel-schedules', async (req, res) => {
+  try {
+    const { fields, errors } = fuelSurcharge.validateSchedule(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid fuel schedule', details: errors });
+    }
+
+    const schedule = await fuelSurcharge.createSchedule(null, fields, req.user.id);
+    res.status(201).json({ message: 'Fuel schedule created', schedule: fuelSurcharge.formatSchedule(schedule) });
+  } catch (error) {
+    console.error('[Admin] Create fuel schedule error:', error);
+    res.status(500).json({ error: 'Failed to create fuel schedule' });
+  }
+});
+
+router.put('/fuel-schedules/:id', async (req, res) => {
+  try {
+    const { fields, errors } = fuelSurcharge.validateSchedule(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid fuel schedule', details: errors });
+    }
+
+    const schedule = await fuelSurcharge.updateSchedule(req.params.id, null, fields);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Fuel schedule not found' });
+    }
+    res.json({ message: 'Fuel schedule updated', schedule: fuelSurcharge.formatSchedule(schedule) });
+  } catch (error) {
+    console.error('[Admin] Update fuel schedule error:', error);
+    res.status(500).json({ error: 'Failed to update fuel schedule' });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Accessorial Catalog (platform default rates)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+router.get('/accessorial-types', async (req, res) => {
+  try {
+    const rows = await accessorials.listRates(null, { includeInactive: true });
+    res.json({ types: rows.map(accessorials.formatRate) });
+  } catch (error) {
+    console.error('[Admin] List accessorial types error:', error);
+    res.status(500).json({ error: 'Failed to list accessorial types' });
+  }
+});
+
+// { label?, defaultRate?, freeMinutes?, requiresEvidence?, isActive? }
+router.put('/accessorial-types/:code', async (req, res) => {
+  try {
+    const result = await accessorials.updateType(req.params.code, req.body);
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid accessorial type', details: result.errors });
+    }
+    if (!result.type) {
+      return res.status(404).json({ error: 'Accessorial type not found' });
+    }
+    res.json({ message: 'Accessorial type updated', type: accessorials.formatRate(result.type) });
+  } catch (error) {
+    console.error('[Admin] Update accessorial type error:', error);
+    res.status(500).json({ error: 'Failed to update accessorial type' });
+  }
+});
+
 module.exports = router;
@@ -2,6 +2,9 @@
 const express = require('express');
 const { pool } = require('../db/pool');
 const { authenticate } = require('../middleware/auth');
+const loadStatus = require('../services/loadStatus');
+const equipment = require('../services/equipment');
+const { emitLoadStatus } = require('../realtime/socket');
 
 const router = express.Router();
 
@@ -104,6 +107,16 @@ router.post('/', authenticate, async (req, res) => {
 
     const driver = driverCheck.rows[0];
 
+    // Driver's equipment must be able to take the freight
+    const equipmentFit = equipment.formatFit(await equipment.checkDriverForLoad(driverUserId, load));
+    if (!equipmentFit.compatible) {
+      return res.status(409).json({
+        error: equipmentFit.reasons[0],
+        code: 'EQUIPMENT_MISMATCH',
+        equipmentFit,
+      });
+    }
+
     // Check if driver already has an active assignment
     const activeAssignment = await pool.query(
       `SELECT a.id, l.delivery_city 
@@ -148,6 +161,16 @@ router.post('/', authenticate, async (req, res) => {
 
     const assignment = result.rows[0];
 
+    await loadStatus.recordStatusEvent({
+      loadId,
+      entityType: 'assignment',
+      entityId: assignment.id,
+      fromStatus: null,
+      toStatus: 'pending',
+      actor: { id: req.user.id, role: req.user.role },
+      source: 'assignment',
+    }, client);
+
     // Update load with driver_id
     await client.query(
       `UPDATE loads SET driver_id = $1, updated_at = NOW() WHERE id = $2`,
@@ -439,10 +462,13 @@ router.put('/:id/confirm', authenticate, async (req, res) => {
     }
 
     // Update assignment
-    await pool.query(
-      `UPDATE assignments SET status = 'confirmed', confirmed_at = NOW() WHERE id = $1`,
-      [req.params.id]
-    );
+    const transition = await loadStatus.transitionAssignment(req.params.id, 'confirmed', {
+      actor: { id: req.user.id, role: req.user.role },
+    });
+
+    if (!transition.ok) {
+      return res.status(400).json({ error: transition.error, allowedStatuses: transition.allowedStatuses });
+    }
 
     // Notify dispatcher
     if (notificationService && assignment.dispatcher_user_id) {
@@ -508,10 +534,16 @@ router.put('/:id/reject', authenticate, async (req, res) => {
     await client.query('BEGIN');
 
     // Update assignment (use 'cancelled' since 'rejected' isn't allowed)
-    await client.query(
-      `UPDATE assignments SET status = 'cancelled' WHERE id = $1`,
-      [req.params.id]
-    );
+    const transition = await loadStatus.transitionAssignment(req.params.id, 'cancelled', {
+      actor: { id: req.user.id, role: req.user.role },
+      reason: reason ? `Rejected by driver: ${reason}` : 'Rejected by driver',
+      client,
+    });
+
+    if (!transition.ok) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: transition.error, allowedStatuses: transition.allowedStatuses });
+    }
 
     // Remove driver from load
     await client.query(
@@ -577,20 +609,38 @@ router.put('/:id/start', authenticate, async (req, res) => {
 
     await client.query('BEGIN');
 
+    const actor = { id: req.user.id, role: req.user.role };
+
     // Update assignment
-    await client.query(
-      `UPDATE assignments SET status = 'in_progress', started_at = NOW() WHERE id = $1`,
-      [req.params.id]
-    );
+    const assignmentTransition = await loadStatus.transitionAssignment(req.params.id, 'in_progress', {
+      actor,
+      client,
+    });
 
     // Update load status
-    await client.query(
-      `UPDATE loads SET status = 'en_route_pickup', updated_at = NOW() WHERE id = $1`,
-      [assignment.load_id]
-    );
+    const loadTransition = assignmentTransition.ok
+      ? await loadStatus.transitionLoad(assignment.load_id, 'en_route_pickup', {
+        actor,
+        source: 'assignment',
+        gps: req.body.gps || null,
+        client,
+      })
+      : assignmentTransition;
+
+    if (!loadTransition.ok) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: loadTransition.error,
+        currentStatus: loadTransition.currentStatus,
+        allowedStatuses: loadTransition.allowedStatuses,
+      });
+    }
 
     await client.query('COMMIT');
 
+    emitLoadStatus(loadTransition.load, loadTransition.fromStatus)
+      .catch(err => console.error('[Assignments] Status emit error:', err));
+
     // Notify shipper
     if (notificationService && assignment.shipper_id) {
       try {
@@ -658,20 +708,38 @@ router.put('/:id/complete', authenticate, async (req, res) => {
 
     await client.query('BEGIN');
 
+    const actor = { id: req.user.id, role: req.user.role };
+
     // Update assignment
-    await client.query(
-      `UPDATE assignments SET status = 'completed', completed_at = NOW() WHERE id = $1`,
-      [req.params.id]
-    );
+    const assignmentTransition = await loadStatus.transitionAssignment(req.params.id, 'completed', {
+      actor,
+      client,
+    });
 
     // Update load status
-    await client.query(
-      `UPDATE loads SET status = 'delivered', delivered_at = NOW(), updated_at = NOW() WHERE id = $1`,
-      [assignment.load_id]
-    );
+    const loadTransition = assignmentTransition.ok
+      ? await loadStatus.transitionLoad(assignment.load_id, 'delivered', {
+        actor,
+        source: 'assignment',
+        gps: req.body.gps || null,
+        client,
+      })
+      : assignmentTransition;
+
+    if (!loadTransition.ok) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: loadTransition.error,
+        currentStatus: loadTransition.currentStatus,
+        allowedStatuses: loadTransition.allowedStatuses,
+      });
+    }
 
     await client.query('COMMIT');
 
+    emitLoadStatus(loadTransition.load, loadTransition.fromStatus)
+      .catch(err => console.error('[Assignments] Status emit error:', err));
+
     res.json({
       message: 'Assignment completed',
       assignment: { id: req.params.id, status: 'completed' },
@@ -726,10 +794,16 @@ router.put('/:id/cancel', authenticate, async (req, res) => {
     await client.query('BEGIN');
 
     // Update assignment
-    await client.query(
-      `UPDATE assignments SET status = 'cancelled' WHERE id = $1`,
-      [req.params.id]
-    );
+    const transition = await loadStatus.transitionAssignment(req.params.id, 'cancelled', {
+      actor: { id: req.user.id, role: req.user.role },
+      reason: reason || null,
+      client,
+    });
+
+    if (!transition.ok) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: transition.error, allowedStatuses: transition.allowedStatuses });
+    }
 
     // Remove driver from load (load stays assigned to carrier)
     await client.query(
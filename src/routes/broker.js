@@ -542,11 +542,12 @@ router.post('/carriers', authenticate, requireBroker, requireBrokerAdmin, async
 
 /**
  * PUT /broker/carriers/:id
- * Update carrier relationship (preferred, notes, etc.)
+ * Update carrier relationship (preferred, tender tier, notes, etc.)
+ * tenderTier: 1-5 for waterfall tendering, null = derive from isPreferred
  */
 router.put('/carriers/:id', authenticate, requireBroker, requireBrokerAdmin, async (req, res) => {
   try {
-    const { isPreferred, primaryContactName, primaryContactPhone, primaryContactEmail, notes } = req.body;
+    const { isPreferred, tenderTier, primaryContactName, primaryContactPhone, primaryContactEmail, notes } = req.body;
 
     const updates = [];
     const params = [];
@@ -556,6 +557,14 @@ router.put('/carriers/:id', authenticate, requireBroker, requireBrokerAdmin, asy
       updates.push(`is_preferred = $${paramIndex++}`);
       params.push(isPreferred);
     }
+    if (tenderTier !== undefined) {
+      const tier = tenderTier === null ? null : parseInt(tenderTier, 10);
+      if (tier !== null && (!Number.isInteger(tier) || tier < 1 || tier > 5)) {
+        return res.status(400).json({ error: 'tenderTier must be between 1 and 5, or null' });
+      }
+      updates.push(`tender_tier = $${paramIndex++}`);
+      params.push(tier);
+    }
     if (primaryContactName !== undefined) {
       updates.push(`primary_contact_name = $${paramIndex++}`);
       params.push(primaryContactName);
@@ -1500,6 +1509,7 @@ function formatCarrierResponse(row) {
     carrierVerification: row.carrier_verification,
     status: row.status,
     isPreferred: row.is_preferred,
+    tenderTier: row.tender_tier,
     loadsCompleted: row.loads_completed,
     onTimeCount: row.on_time_count,
     lateCount: row.late_count,
@@ -1,9 +1,17 @@
 // Closeout Routes - Complete Load Closeout/POD System
-// Supports: Photo POD, Digital Signature, QR Code, No-Documentation, Issue Reporting
+// Supports: Photo POD, Digital Signature, QR Code, No-Documentation, Issue Reporting,
+// Accessorial requests (detention, layover, TONU, lumper) with shipper/broker approval
 const express = require('express');
 const crypto = require('crypto');
 const { pool } = require('../db/pool');
+const config = require('../config');
 const { authenticate } = require('../middleware/auth');
+const loadStops = require('../services/loadStops');
+const timezones = require('../services/timezones');
+const loadStatus = require('../services/loadStatus');
+const accessorials = require('../services/accessorials');
+const closeoutJobs = require('../jobs/closeoutJobs');
+const { haversineMeters } = require('../services/geo');
 let notificationService;
 try {
   notificationService = require('../services/notifications');
@@ -54,25 +62,13 @@ const generateQRToken = () => {
 /**
  * Helper: Calculate distance between two GPS points (in meters)
  */
-const calculateDistance = (lat1, lng1, lat2, lng2) => {
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = lat1 * Math.PI / 180;
-  const φ2 = lat2 * Math.PI / 180;
-  const Δφ = (lat2 - lat1) * Math.PI / 180;
-  const Δλ = (lng2 - lng1) * Math.PI / 180;
-
-  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-            Math.cos(φ1) * Math.cos(φ2) *
-            Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-  return R * c; // in meters
-};
+const calculateDistance = haversineMeters;
 
 /**
  * Helper: Check if closeout requires review
+ * GPS is checked against the closeout's stop when it has one, else the load's delivery point
  */
-const checkRequiresReview = (closeout, load) => {
+const checkRequiresReview = (closeout, load, stop = null) => {
   const reasons = [];
   
   // No documentation always requires review
@@ -86,12 +82,14 @@ const checkRequiresReview = (closeout, load) => {
   }
   
   // GPS more than 500m from delivery location
-  if (closeout.gps_lat && closeout.gps_lng && load.delivery_lat && load.delivery_lng) {
+  const targetLat = stop?.lat || load.delivery_lat;
+  const targetLng = stop?.lng || load.delivery_lng;
+  if (closeout.gps_lat && closeout.gps_lng && targetLat && targetLng) {
     const distance = calculateDistance(
       parseFloat(closeout.gps_lat),
       parseFloat(closeout.gps_lng),
-      parseFloat(load.delivery_lat),
-      parseFloat(load.delivery_lng)
+      parseFloat(targetLat),
+      parseFloat(targetLng)
     );
     if (distance > 500) {
       reasons.push('gps_mismatch');
@@ -103,9 +101,10 @@ const checkRequiresReview = (closeout, load) => {
     reasons.push('high_value');
   }
   
-  // After-hours (before 6am or after 10pm)
-  const hour = new Date().getHours();
-  if (hour < 6 || hour >= 22) {
+  // After-hours (before 6am or after 10pm at the stop, not on the server clock)
+  const timezone = timezones.stopTimezone(stop || loadStops.buildLegacyStops(load)[1]);
+  const { hour } = timezones.localParts(new Date(), timezone);
+  if (hour < config.timezones.afterHoursEnd || hour >= config.timezones.afterHoursStart) {
     reasons.push('after_hours');
   }
   
@@ -122,6 +121,7 @@ const formatCloseoutResponse = (closeout, detailed = false) => {
   const response = {
     id: closeout.id,
     loadId: closeout.load_id,
+    stopId: closeout.stop_id || null,
     assignmentId: closeout.assignment_id,
     status: closeout.status,
     closeoutMethod: closeout.closeout_method,
@@ -178,6 +178,7 @@ const formatCloseoutResponse = (closeout, detailed = false) => {
       
       // Payment
       finalCarrierPay: closeout.final_carrier_pay ? parseFloat(closeout.final_carrier_pay) : null,
+      rateTableVersion: closeout.rate_table_version || null,
       adjustments: closeout.adjustments,
       
       // Review
@@ -194,6 +195,26 @@ const formatCloseoutResponse = (closeout, detailed = false) => {
   return response;
 };
 
+/**
+ * Helper: Check if user can request accessorials on a load (its driver, or carrier admins/dispatchers)
+ */
+const canRequestAccessorials = (load, user, userOrg) => {
+  if (load.driver_id === user.id) return true;
+  return !!load.assigned_carrier_org_id &&
+    load.assigned_carrier_org_id === userOrg?.org_id &&
+    ['carrier_admin', 'dispatcher'].includes(userOrg?.role);
+};
+
+/**
+ * Helper: Check if user can approve charges on a load (platform admin, the shipper,
+ * or a shipper/broker admin of the posting org)
+ */
+const canApproveCharges = (load, user, userOrg) => {
+  if (user.role === 'admin' || load.shipper_id === user.id) return true;
+  return load.posted_by_org_id === userOrg?.org_id &&
+    ['shipper_admin', 'broker_admin'].includes(userOrg?.role);
+};
+
 // ============================================
 // ROUTES
 // ============================================
@@ -207,6 +228,7 @@ router.post('/', authenticate, async (req, res) => {
     const {
       loadId,
       assignmentId,
+      stopId, // Delivery stop being closed out (multi-stop loads); defaults to next open delivery
       closeoutMethod, // 'photo', 'signature', 'qr_code', 'no_documentation', 'with_issues'
       gps, // { lat, lng, accuracy }
       deviceTimestamp,
@@ -263,10 +285,21 @@ router.post('/', authenticate, async (req, res) => {
       });
     }
     
-    // Check if closeout already exists for this load
+    // Resolve the delivery stop (loads without stop rows close out as a whole)
+    let stop = null;
+    if (stopId) {
+      stop = await loadStops.getStop(stopId);
+      if (!stop || stop.load_id !== loadId || stop.stop_type !== 'delivery') {
+        return res.status(400).json({ error: 'Stop is not a delivery stop on this load' });
+      }
+    } else {
+      stop = await loadStops.getNextOpenDeliveryStop(loadId);
+    }
+    
+    // Check if closeout already exists for this load/stop
     const existingCloseout = await pool.query(
-      'SELECT * FROM closeouts WHERE load_id = $1 AND status NOT IN ($2, $3)',
-      [loadId, 'rejected', 'cancelled']
+      'SELECT * FROM closeouts WHERE load_id = $1 AND stop_id IS NOT DISTINCT FROM $2 AND status NOT IN ($3, $4)',
+      [loadId, stop?.id || null, 'rejected', 'cancelled']
     );
     
     if (existingCloseout.rows.length > 0) {
@@ -296,8 +329,8 @@ router.post('/', authenticate, async (req, res) => {
         load_id, assignment_id, closeout_method, status,
         gps_lat, gps_lng, gps_accuracy,
         device_timestamp, server_timestamp,
-        delivered_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        delivered_at, stop_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, $9)
       RETURNING *
     `, [
       loadId,
@@ -308,10 +341,23 @@ router.post('/', authenticate, async (req, res) => {
       gps?.lng || null,
       gps?.accuracy || null,
       deviceTimestamp || null,
+      stop?.id || null,
     ]);
     
     const closeout = result.rows[0];
     
+    await loadStatus.recordStatusEvent({
+      loadId,
+      entityType: 'closeout',
+      entityId: closeout.id,
+      fromStatus: null,
+      toStatus: initialStatus,
+      actor: { id: req.user.id, role: req.user.role },
+      source: 'closeout',
+      gps: gps || null,
+      stopId: stop?.id || null,
+    });
+    
     // Generate pre-signed upload URL if photo method
     let uploadUrl = null;
     if (closeoutMethod === 'photo' && s3Service) {
@@ -417,11 +463,13 @@ router.get('/:id', authenticate, async (req, res) => {
 
 /**
  * GET /closeouts/load/:loadId
- * Get closeout by load ID
+ * Get closeout by load ID (latest one, or for ?stopId= on multi-stop loads)
+ * Also returns every stop closeout on the load
  */
 router.get('/load/:loadId', authenticate, async (req, res) => {
   try {
     const loadId = req.params.loadId;
+    const { stopId } = req.query;
     
     const result = await pool.query(`
       SELECT c.*, 
@@ -431,15 +479,19 @@ router.get('/load/:loadId', authenticate, async (req, res) => {
       JOIN loads l ON c.load_id = l.id
       WHERE c.load_id = $1
       ORDER BY c.created_at DESC
-      LIMIT 1
     `, [loadId]);
     
-    if (result.rows.length === 0) {
+    const match = stopId
+      ? result.rows.find(c => String(c.stop_id) === String(stopId))
+      : result.rows[0];
+    
+    if (!match) {
       return res.status(404).json({ error: 'No closeout found for this load' });
     }
     
     res.json({
-      closeout: formatCloseoutResponse(result.rows[0], true),
+      closeout: formatCloseoutResponse(match, true),
+      closeouts: result.rows.map(c => formatCloseoutResponse(c)),
     });
   } catch (error) {
     console.error('[Closeouts] Get by load error:', error);
@@ -496,12 +548,24 @@ router.post('/:id/photo', authenticate, async (req, res) => {
     const loadResult = await pool.query('SELECT * FROM loads WHERE id = $1', [closeout.load_id]);
     const load = loadResult.rows[0];
     
+    const stop = await loadStops.getStop(closeout.stop_id);
+    
     // Check if review is required
     const reviewCheck = checkRequiresReview({
       ...closeout,
       gps_lat: gps?.lat,
       gps_lng: gps?.lng,
-    }, load);
+    }, load, stop);
+    
+    const nextStatus = reviewCheck.requiresReview ? 'under_review' : 'completed';
+    const transition = await loadStatus.recordCloseoutTransition(closeout, nextStatus, {
+      actor: { id: req.user.id, role: req.user.role },
+      reason: reviewCheck.requiresReview ? `Review required: ${reviewCheck.reasons.join(', ')}` : null,
+      gps: gps || null,
+    });
+    if (!transition.ok) {
+      return res.status(400).json({ error: transition.error, allowedStatuses: transition.allowedStatuses });
+    }
     
     // Update closeout
     const updateResult = await pool.query(`
@@ -531,7 +595,7 @@ router.post('/:id/photo', authenticate, async (req, res) => {
       gps?.lat || null,
       gps?.lng || null,
       gps?.accuracy || null,
-      reviewCheck.requiresReview ? 'under_review' : 'completed',
+      nextStatus,
       reviewCheck.requiresReview,
       closeoutId,
     ]);
@@ -550,7 +614,7 @@ router.post('/:id/photo', authenticate, async (req, res) => {
     
     // Complete the load if closeout is complete
     if (!reviewCheck.requiresReview) {
-      await completeLoad(closeout.load_id, updatedCloseout);
+      await completeLoad(closeout.load_id, updatedCloseout, { id: req.user.id, role: req.user.role });
     }
     
     // Notify shipper
@@ -637,12 +701,24 @@ router.post('/:id/signature', authenticate, async (req, res) => {
     const loadResult = await pool.query('SELECT * FROM loads WHERE id = $1', [closeout.load_id]);
     const load = loadResult.rows[0];
     
+    const stop = await loadStops.getStop(closeout.stop_id);
+    
     // Check if review is required
     const reviewCheck = checkRequiresReview({
       ...closeout,
       gps_lat: gps?.lat,
       gps_lng: gps?.lng,
-    }, load);
+    }, load, stop);
+    
+    const nextStatus = reviewCheck.requiresReview ? 'under_review' : 'completed';
+    const transition = await loadStatus.recordCloseoutTransition(closeout, nextStatus, {
+      actor: { id: req.user.id, role: req.user.role },
+      reason: reviewCheck.requiresReview ? `Review required: ${reviewCheck.reasons.join(', ')}` : null,
+      gps: gps || null,
+    });
+    if (!transition.ok) {
+      return res.status(400).json({ error: transition.error, allowedStatuses: transition.allowedStatuses });
+    }
     
     // Update closeout
     const updateResult = await pool.query(`
@@ -674,7 +750,7 @@ router.post('/:id/signature', authenticate, async (req, res) => {
       gps?.lat || null,
       gps?.lng || null,
       gps?.accuracy || null,
-      reviewCheck.requiresReview ? 'under_review' : 'completed',
+      nextStatus,
       reviewCheck.requiresReview,
       closeoutId,
     ]);
@@ -691,7 +767,7 @@ router.post('/:id/signature', authenticate, async (req, res) => {
     
     // Complete the load if closeout is complete
     if (!reviewCheck.requiresReview) {
-      await completeLoad(closeout.load_id, updatedCloseout);
+      await completeLoad(closeout.load_id, updatedCloseout, { id: req.user.id, role: req.user.role });
     }
     
     // Notify shipper
@@ -750,6 +826,13 @@ router.post('/:id/generate-qr', authenticate, async (req, res) => {
       });
     }
     
+    const transition = await loadStatus.recordCloseoutTransition(closeout, 'pending_qr', {
+      actor: { id: req.user.id, role: req.user.role },
+    });
+    if (!transition.ok) {
+      return res.status(400).json({ error: transition.error, allowedStatuses: transition.allowedStatuses });
+    }
+    
     // Generate new QR token
     const qrToken = generateQRToken();
     const expiresAt = new Date(Date.now() + 4 * 60 * 60 * 1000); // 4 hours from now
@@ -765,6 +848,10 @@ router.post('/:id/generate-qr', authenticate, async (req, res) => {
       RETURNING *
     `, [qrToken, expiresAt, closeoutId]);
     
+    closeoutJobs.scheduleQrExpiry(updateResult.rows[0]).catch(err =>
+      console.error('[Closeouts] Failed to schedule QR expiry:', err)
+    );
+    
     const qrUrl = `${process.env.APP_URL || 'https://hotshot.app'}/pod/${qrToken}`;
     
     res.json({
@@ -920,6 +1007,13 @@ router.post('/qr/:token', async (req, res) => {
       }
     }
     
+    const transition = await loadStatus.recordCloseoutTransition(closeout, 'completed', {
+      reason: `Signed by recipient via QR: ${recipientName}`,
+    });
+    if (!transition.ok) {
+      return res.status(400).json({ error: transition.error });
+    }
+    
     // Get client IP
     const clientIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
     
@@ -1035,6 +1129,15 @@ router.post('/:id/no-doc', authenticate, async (req, res) => {
     const loadResult = await pool.query('SELECT * FROM loads WHERE id = $1', [closeout.load_id]);
     const load = loadResult.rows[0];
     
+    const transition = await loadStatus.recordCloseoutTransition(closeout, 'under_review', {
+      actor: { id: req.user.id, role: req.user.role },
+      reason: `No documentation: ${reason}`,
+      gps: gps || null,
+    });
+    if (!transition.ok) {
+      return res.status(400).json({ error: transition.error, allowedStatuses: transition.allowedStatuses });
+    }
+    
     // Update closeout - always requires review for no-doc
     const updateResult = await pool.query(`
       UPDATE closeouts SET
@@ -1248,6 +1351,14 @@ router.post('/:id/complete', authenticate, async (req, res) => {
       finalStatus = 'completed_no_doc';
     }
     
+    const transition = await loadStatus.recordCloseoutTransition(closeout, finalStatus, {
+      actor: { id: req.user.id, role: req.user.role },
+      gps: gps || null,
+    });
+    if (!transition.ok) {
+      return res.status(400).json({ error: transition.error, allowedStatuses: transition.allowedStatuses });
+    }
+    
     // Update closeout
     const updateResult = await pool.query(`
       UPDATE closeouts SET
@@ -1261,7 +1372,8 @@ router.post('/:id/complete', authenticate, async (req, res) => {
         gps_accuracy = COALESCE($8, gps_accuracy),
         status = $9,
         pod_received_at = COALESCE(pod_received_at, CURRENT_TIMESTAMP),
-        final_carrier_pay = $10
+        final_carrier_pay = $10,
+        rate_table_version = $12
       WHERE id = $11
       RETURNING *
     `, [
@@ -1276,13 +1388,14 @@ router.post('/:id/complete', authenticate, async (req, res) => {
       finalStatus,
       load.carrier_pay || load.driver_payout,
       closeoutId,
+      load.rate_table_version || null,
     ]);
     
     const updatedCloseout = updateResult.rows[0];
     
     // Complete load if not requiring review
     if (!closeout.requires_review) {
-      await completeLoad(closeout.load_id, updatedCloseout);
+      await completeLoad(closeout.load_id, updatedCloseout, { id: req.user.id, role: req.user.role });
     }
     
     // Notify shipper
@@ -1358,6 +1471,14 @@ router.put('/:id/review', authenticate, async (req, res) => {
       finalStatus = 'rejected';
     }
     
+    const transition = await loadStatus.recordCloseoutTransition(closeout, finalStatus, {
+      actor: { id: req.user.id, role: req.user.role },
+      reason: notes || `Review: ${decision}`,
+    });
+    if (!transition.ok) {
+      return res.status(400).json({ error: transition.error, allowedStatuses: transition.allowedStatuses });
+    }
+    
     // Update closeout
     const updateResult = await pool.query(`
       UPDATE closeouts SET
@@ -1386,7 +1507,7 @@ router.put('/:id/review', authenticate, async (req, res) => {
     
     // If approved, complete the load
     if (decision === 'approved') {
-      await completeLoad(closeout.load_id, updatedCloseout);
+      await completeLoad(closeout.load_id, updatedCloseout, { id: req.user.id, role: req.user.role });
     }
     
     res.json({
@@ -1454,6 +1575,328 @@ router.get('/pending-review', authenticate, async (req, res) => {
   }
 });
 
+// ============================================
+// ACCESSORIALS
+// ============================================
+
+/**
+ * GET /closeouts/accessorials/pending
+ * Accessorial requests awaiting review on the user's org's loads
+ */
+router.get('/accessorials/pending', authenticate, async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+
+    const userOrg = await getUserPrimaryOrg(req.user.id);
+    if (!userOrg || !['shipper_admin', 'broker_admin'].includes(userOrg.role)) {
+      return res.status(403).json({ error: 'Shipper or broker admin required' });
+    }
+
+    const rows = await accessorials.listPendingForOrg(userOrg.org_id, {
+      limit: Math.min(parseInt(limit) || 20, 100),
+      offset: parseInt(offset) || 0,
+    });
+
+    res.json({
+      accessorials: rows.map(a => ({
+        ...accessorials.formatAccessorial(a),
+        driverName: a.driver_name,
+        route: `${a.pickup_city}, ${a.pickup_state} → ${a.delivery_city}, ${a.delivery_state}`,
+      })),
+      count: rows.length,
+    });
+  } catch (error) {
+    console.error('[Closeouts] Pending accessorials error:', error);
+    res.status(500).json({ error: 'Failed to get pending accessorials' });
+  }
+});
+
+/**
+ * PUT /closeouts/accessorials/:accessorialId/review
+ * Approve or reject an accessorial request (shipper/broker admin or admin)
+ * Body: { decision: 'approved' | 'rejected', amount?, notes? }
+ * amount overrides the requested amount on approval
+ */
+router.put('/accessorials/:accessorialId/review', authenticate, async (req, res) => {
+  try {
+    const { decision, amount, notes } = req.body;
+
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({ error: 'Valid decision is required', validDecisions: ['approved', 'rejected'] });
+    }
+
+    const existing = await accessorials.getAccessorial(req.params.accessorialId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Accessorial not found' });
+    }
+
+    const loadResult = await pool.query(
+      'SELECT id, shipper_id, posted_by_org_id, driver_id FROM loads WHERE id = $1',
+      [existing.load_id]
+    );
+    const load = loadResult.rows[0];
+
+    const userOrg = await getUserPrimaryOrg(req.user.id);
+    if (!canApproveCharges(load, req.user, userOrg)) {
+      return res.status(403).json({ error: 'Not authorized to review this accessorial' });
+    }
+
+    const result = await accessorials.reviewRequest(existing.id, { decision, amount, notes }, req.user.id);
+    if (!result.ok) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    if (load.driver_id) {
+      const approvedAmount = parseFloat(result.accessorial.approved_amount || 0).toFixed(2);
+      notificationService.sendPushNotification(
+        load.driver_id,
+        decision === 'approved' ? 'Accessorial Approved' : 'Accessorial Rejected',
+        decision === 'approved'
+          ? `${result.accessorial.label}: $${approvedAmount} added to your pay`
+          : `${result.accessorial.label} was not approved${notes ? `: ${notes}` : ''}`,
+        { loadId: load.id, accessorialId: existing.id, type: 'accessorial_reviewed' }
+      ).catch(err => console.error('[Notify] Push failed:', err));
+    }
+
+    res.json({
+      message: `Accessorial ${decision}`,
+      accessorial: accessorials.formatAccessorial(result.accessorial),
+    });
+  } catch (error) {
+    console.error('[Closeouts] Review accessorial error:', error);
+    res.status(500).json({ error: 'Failed to review accessorial' });
+  }
+});
+
+/**
+ * POST /closeouts/accessorials/:accessorialId/submit
+ * Confirm a detention candidate opened from stop geofences into a request,
+ * or dismiss it (driver or carrier dispatcher)
+ * Body: { dismiss?, evidenceUrls?, notes? }
+ * Evidence comes from POST /closeouts/accessorials/:accessorialId/upload-url
+ */
+router.post('/accessorials/:accessorialId/submit', authenticate, async (req, res) => {
+  try {
+    const existing = await accessorials.getAccessorial(req.params.accessorialId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Accessorial not found' });
+    }
+
+    const loadResult = await pool.query(`
+      SELECT id, driver_id, shipper_id, posted_by_org_id, assigned_carrier_org_id,
+        delivery_city, payment_status, payout_status
+      FROM loads WHERE id = $1
+    `, [existing.load_id]);
+    const load = loadResult.rows[0];
+
+    const userOrg = await getUserPrimaryOrg(req.user.id);
+    if (!canRequestAccessorials(load, req.user, userOrg)) {
+      return res.status(403).json({ error: 'Only the load\'s driver or carrier can submit accessorials' });
+    }
+
+    const dismiss = req.body.dismiss === true;
+    if (!dismiss && (load.payment_status === 'captured' || load.payout_status === 'transferred')) {
+      return res.status(409).json({ error: 'Load has already been settled' });
+    }
+
+    const result = await accessorials.submitCandidate(existing.id, req.user.id, {
+      dismiss,
+      evidenceUrls: req.body.evidenceUrls,
+      notes: req.body.notes,
+    });
+    if (!result.ok) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    if (!dismiss && load.shipper_id) {
+      notificationService.sendPushNotification(
+        load.shipper_id,
+        'Accessorial Requested',
+        `${result.accessorial.label} for $${parseFloat(result.accessorial.requested_amount).toFixed(2)} requested on your shipment to ${load.delivery_city}. Review required.`,
+        { loadId: load.id, accessorialId: existing.id, type: 'accessorial_requested' }
+      ).catch(err => console.error('[Notify] Push failed:', err));
+    }
+
+    res.json({
+      message: dismiss ? 'Detention dismissed' : 'Accessorial requested',
+      accessorial: accessorials.formatAccessorial(result.accessorial),
+    });
+  } catch (error) {
+    console.error('[Closeouts] Submit accessorial error:', error);
+    res.status(500).json({ error: 'Failed to submit accessorial' });
+  }
+});
+
+/**
+ * POST /closeouts/accessorials/:accessorialId/upload-url
+ * Pre-signed URL for evidence on a detention candidate (which has no closeout)
+ */
+router.post('/accessorials/:accessorialId/upload-url', authenticate, async (req, res) => {
+  try {
+    if (!s3Service) {
+      return res.status(501).json({ error: 'File upload not configured' });
+    }
+
+    const existing = await accessorials.getAccessorial(req.params.accessorialId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Accessorial not found' });
+    }
+
+    const loadResult = await pool.query(
+      'SELECT id, driver_id, assigned_carrier_org_id FROM loads WHERE id = $1',
+      [existing.load_id]
+    );
+    const userOrg = await getUserPrimaryOrg(req.user.id);
+    if (!canRequestAccessorials(loadResult.rows[0], req.user, userOrg)) {
+      return res.status(403).json({ error: 'Only the load\'s driver or carrier can upload accessorial evidence' });
+    }
+
+    const { fileType } = req.body;
+    const extension = fileType === 'image/png' ? 'png' : 'jpg';
+    const key = accessorials.evidenceKey(existing.load_id, req.user.id, extension);
+    const uploadUrl = await s3Service.getPresignedUploadUrl(key, fileType);
+
+    res.json({
+      uploadUrl,
+      fileUrl: accessorials.evidenceUrl(key),
+      key,
+      expiresIn: 300, // 5 minutes
+    });
+  } catch (error) {
+    console.error('[Closeouts] Accessorial upload URL error:', error);
+    res.status(500).json({ error: 'Failed to generate upload URL' });
+  }
+});
+
+/**
+ * POST /closeouts/accessorials/:accessorialId/cancel
+ * Withdraw an accessorial request before it is reviewed (requester only)
+ */
+router.post('/accessorials/:accessorialId/cancel', authenticate, async (req, res) => {
+  try {
+    const cancelled = await accessorials.cancelRequest(req.params.accessorialId, req.user.id);
+    if (!cancelled) {
+      return res.status(404).json({ error: 'No open accessorial request found' });
+    }
+
+    const accessorial = await accessorials.getAccessorial(cancelled.id);
+    res.json({ message: 'Accessorial request cancelled', accessorial: accessorials.formatAccessorial(accessorial) });
+  } catch (error) {
+    console.error('[Closeouts] Cancel accessorial error:', error);
+    res.status(500).json({ error: 'Failed to cancel accessorial' });
+  }
+});
+
+/**
+ * GET /closeouts/:id/accessorials
+ * Accessorials on the closeout's load, plus the rates available to request
+ */
+router.get('/:id/accessorials', authenticate, async (req, res) => {
+  try {
+    const closeoutResult = await pool.query(`
+      SELECT c.id, c.load_id, l.driver_id, l.shipper_id, l.posted_by_org_id,
+        l.assigned_carrier_org_id, l.accessorial_total
+      FROM closeouts c
+      JOIN loads l ON c.load_id = l.id
+      WHERE c.id = $1
+    `, [req.params.id]);
+
+    if (closeoutResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Closeout not found' });
+    }
+
+    const load = closeoutResult.rows[0];
+    const userOrg = await getUserPrimaryOrg(req.user.id);
+    if (!canRequestAccessorials(load, req.user, userOrg) && !canApproveCharges(load, req.user, userOrg)) {
+      return res.status(403).json({ error: 'Not authorized to view accessorials for this load' });
+    }
+
+    const rows = await accessorials.listForLoad(load.load_id);
+    const rates = await accessorials.listRates(load.posted_by_org_id);
+
+    res.json({
+      accessorials: rows.map(accessorials.formatAccessorial),
+      approvedTotal: parseFloat(load.accessorial_total) || 0,
+      available: rates.map(accessorials.formatRate).filter(r => r.enabled),
+    });
+  } catch (error) {
+    console.error('[Closeouts] List accessorials error:', error);
+    res.status(500).json({ error: 'Failed to get accessorials' });
+  }
+});
+
+/**
+ * POST /closeouts/:id/accessorials
+ * Request an accessorial charge (driver or carrier dispatcher)
+ * Body: { code, quantity?, startedAt?, endedAt?, amount?, evidenceUrls?, notes?, stopId? }
+ * - hourly (detention): startedAt/endedAt on site, or billable hours as quantity
+ * - receipt (lumper): amount from the receipt, evidenceUrls required
+ * Evidence files are uploaded via POST /closeouts/:id/upload-url (attachmentType 'accessorial');
+ * evidenceUrls takes the returned keys or fileUrls, nothing else
+ */
+router.post('/:id/accessorials', authenticate, async (req, res) => {
+  try {
+    if (!req.body.code) {
+      return res.status(400).json({ error: 'Accessorial code is required' });
+    }
+
+    const closeoutResult = await pool.query('SELECT * FROM closeouts WHERE id = $1', [req.params.id]);
+    if (closeoutResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Closeout not found' });
+    }
+    const closeout = closeoutResult.rows[0];
+
+    const loadResult = await pool.query(`
+      SELECT id, driver_id, shipper_id, posted_by_org_id, assigned_carrier_org_id,
+        delivery_city, payment_status, payout_status
+      FROM loads WHERE id = $1
+    `, [closeout.load_id]);
+    const load = loadResult.rows[0];
+
+    const userOrg = await getUserPrimaryOrg(req.user.id);
+    if (!canRequestAccessorials(load, req.user, userOrg)) {
+      return res.status(403).json({ error: 'Only the load\'s driver or carrier can request accessorials' });
+    }
+
+    if (load.payment_status === 'captured' || load.payout_status === 'transferred') {
+      return res.status(409).json({ error: 'Load has already been settled' });
+    }
+
+    const result = await accessorials.createRequest({ load, closeout, userId: req.user.id, body: req.body });
+    if (!result.ok) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    // Evidence is kept with the closeout's other documents
+    const evidenceUrls = result.accessorial.evidence_urls || [];
+    for (const url of evidenceUrls) {
+      await pool.query(`
+        INSERT INTO closeout_attachments (closeout_id, attachment_type, file_url, captured_at, created_by)
+        VALUES ($1, 'accessorial', $2, CURRENT_TIMESTAMP, $3)
+      `, [closeout.id, url, req.user.id]);
+    }
+
+    // Notify shipper
+    if (load.shipper_id) {
+      notificationService.sendPushNotification(
+        load.shipper_id,
+        'Accessorial Requested',
+        `${result.accessorial.label} for $${parseFloat(result.accessorial.requested_amount).toFixed(2)} requested on your shipment to ${load.delivery_city}. Review required.`,
+        { loadId: load.id, accessorialId: result.accessorial.id, type: 'accessorial_requested' }
+      ).catch(err => console.error('[Notify] Push failed:', err));
+    }
+
+    res.status(201).json({
+      message: 'Accessorial requested',
+      accessorial: accessorials.formatAccessorial(result.accessorial),
+      capped: result.capped,
+    });
+  } catch (error) {
+    console.error('[Closeouts] Request accessorial error:', error);
+    res.status(500).json({ error: 'Failed to request accessorial' });
+  }
+});
+
 /**
  * POST /closeouts/:id/upload-url
  * Get pre-signed URL for file upload
@@ -1479,7 +1922,11 @@ router.post('/:id/upload-url', authenticate, async (req, res) => {
     
     const extension = fileType === 'image/png' ? 'png' : 'jpg';
     const folder = attachmentType || 'pod';
-    const key = `closeouts/${closeoutId}/${folder}-${Date.now()}.${extension}`;
+    // Accessorial evidence goes under the requester's own prefix, the only keys
+    // an accessorial request accepts
+    const key = folder === 'accessorial'
+      ? accessorials.evidenceKey(closeoutResult.rows[0].load_id, req.user.id, extension)
+      : `closeouts/${closeoutId}/${folder}-${Date.now()}.${extension}`;
     
     const uploadUrl = await s3Service.getPresignedUploadUrl(key, fileType);
     const fileUrl = `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
@@ -1503,25 +1950,42 @@ router.post('/:id/upload-url', authenticate, async (req, res) => {
 /**
  * Complete the load after successful closeout
  */
-async function completeLoad(loadId, closeout) {
+async function completeLoad(loadId, closeout, actor = null) {
   try {
-    await pool.query(`
-      UPDATE loads SET
-        status = 'delivered',
-        delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP),
-        completed_at = CURRENT_TIMESTAMP,
-        payout_status = 'pending'
-      WHERE id = $1
-    `, [loadId]);
+    // Multi-stop: close the stop, and only deliver the load once every delivery stop is done
+    if (closeout.stop_id) {
+      await loadStops.updateStopStatus(closeout.stop_id, 'completed');
+      
+      const openStops = await loadStops.countOpenDeliveryStops(loadId);
+      if (openStops > 0) {
+        console.log(`[Closeouts] Stop ${closeout.stop_id} closed, ${openStops} delivery stop(s) remaining on load ${loadId}`);
+        return;
+      }
+    }
     
-    // Update assignment if exists
+    const transition = await loadStatus.transitionLoad(loadId, 'delivered', {
+      actor,
+      source: 'closeout',
+      gps: closeout.gps_lat && closeout.gps_lng
+        ? { lat: closeout.gps_lat, lng: closeout.gps_lng, accuracy: closeout.gps_accuracy }
+        : null,
+      stopId: closeout.stop_id || null,
+      metadata: { closeoutId: closeout.id, confirmationNumber: closeout.confirmation_number },
+      fields: { payout_status: 'pending' },
+      timestamps: ['completed_at'],
+    });
+    
+    if (!transition.ok) {
+      console.error(`[Closeouts] Load ${loadId} not marked delivered: ${transition.error}`);
+      return;
+    }
+    
+    // Update assignment if it did not follow the load (e.g. load was already delivered)
     if (closeout.assignment_id) {
-      await pool.query(`
-        UPDATE assignments SET
-          status = 'completed',
-          completed_at = CURRENT_TIMESTAMP
-        WHERE id = $1
-      `, [closeout.assignment_id]);
+      await loadStatus.transitionAssignment(closeout.assignment_id, 'completed', {
+        actor,
+        source: 'closeout',
+      });
     }
     
     console.log(`[Closeouts] Load ${loadId} marked as delivered`);
@@ -8,6 +8,7 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../db/pool');
 const { authenticate } = require('../middleware/auth');
+const presence = require('../services/presence');
 
 // Helper to get user's primary org
 async function getUserPrimaryOrg(userId) {
@@ -23,7 +24,8 @@ async function getUserPrimaryOrg(userId) {
 
 /**
  * GET /dispatch/drivers
- * List all drivers in the carrier organization
+ * List all drivers in the carrier organization, with realtime presence.
+ * Query: online=true to list only drivers currently connected.
  */
 router.get('/drivers', authenticate, async (req, res) => {
   try {
@@ -58,7 +60,9 @@ router.get('/drivers', authenticate, async (req, res) => {
       ORDER BY u.first_name ASC
     `, [userOrg.org_id]);
 
-    const drivers = result.rows.map(d => ({
+    const presenceByUser = await presence.getPresence(result.rows.map(d => d.id));
+
+    let drivers = result.rows.map(d => ({
       id: d.id,
       email: d.email,
       phone: d.phone,
@@ -72,12 +76,20 @@ router.get('/drivers', authenticate, async (req, res) => {
       rating: parseFloat(d.average_rating) || 5.0,
       currentLoadId: null,
       orgRole: d.org_role,
+      online: presenceByUser[d.id]?.online || false,
+      lastSeenAt: presenceByUser[d.id]?.lastSeenAt || null,
+      devices: presenceByUser[d.id]?.devices || [],
     }));
 
+    if (req.query.online === 'true') {
+      drivers = drivers.filter(d => d.online);
+    }
+
     res.json({ 
       drivers,
       count: drivers.length,
       availableCount: drivers.filter(d => d.isAvailable).length,
+      onlineCount: drivers.filter(d => d.online).length,
     });
   } catch (error) {
     console.error('[Dispatch] Get drivers error:', error);
@@ -85,6 +97,53 @@ router.get('/drivers', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /dispatch/presence
+ * Who in the organization is connected right now (drivers and dispatchers)
+ */
+router.get('/presence', authenticate, async (req, res) => {
+  try {
+    const userOrg = await getUserPrimaryOrg(req.user.id);
+    
+    if (!userOrg) {
+      return res.status(400).json({ error: 'User is not part of any organization' });
+    }
+
+    // Dispatchers and org admins only; drivers do not see each other's status
+    if (!['carrier_admin', 'dispatcher', 'owner'].includes(userOrg.role)) {
+      return res.status(403).json({ error: 'You do not have permission to view presence' });
+    }
+
+    const result = await pool.query(`
+      SELECT u.id, CONCAT(u.first_name, ' ', u.last_name) as name, m.role as org_role
+      FROM users u
+      JOIN memberships m ON u.id = m.user_id
+      WHERE m.org_id = $1 AND m.is_active = true
+      ORDER BY u.first_name ASC
+    `, [userOrg.org_id]);
+
+    const presenceByUser = await presence.getPresence(result.rows.map(u => u.id));
+    const members = result.rows.map(u => ({
+      id: u.id,
+      name: (u.name || '').trim() || 'Unknown',
+      orgRole: u.org_role,
+      online: presenceByUser[u.id]?.online || false,
+      lastSeenAt: presenceByUser[u.id]?.lastSeenAt || null,
+      devices: presenceByUser[u.id]?.devices || [],
+    }));
+
+    const online = members.filter(m => m.online);
+    res.json({
+      members,
+      onlineDrivers: online.filter(m => m.orgRole === 'driver').length,
+      onlineDispatchers: online.filter(m => m.orgRole !== 'driver').length,
+    });
+  } catch (error) {
+    console.error('[Dispatch] Get presence error:', error);
+    res.status(500).json({ error: 'Failed to fetch presence' });
+  }
+});
+
 /**
  * GET /dispatch/loads
  * Get loads assigned to this carrier that need driver assignment
@@ -7,6 +7,9 @@ const router = express.Router();
 const { pool } = require('../db/pool');
 const { authenticate, requireUserType } = require('../middleware/auth');
 const crypto = require('crypto');
+const loadStatus = require('../services/loadStatus');
+const equipment = require('../services/equipment');
+const availabilityRecurrence = require('../services/availabilityRecurrence');
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // MIDDLEWARE: Require dispatcher role
@@ -821,7 +824,10 @@ router.get('/available-loads',
 
 /**
  * GET /dispatchers/drivers/:driverId/availability
- * Check driver availability for a time window
+ * With pickupDate: check driver availability for a time window.
+ * Otherwise a calendar for from..to (YYYY-MM-DD, default the next two weeks):
+ * availability posts, recurring occurrences (including skipped dates) and
+ * booked loads.
  */
 router.get('/drivers/:driverId/availability',
   authenticate,
@@ -840,6 +846,18 @@ router.get('/drivers/:driverId/availability',
       if (relationship.rows.length === 0) {
         return res.status(403).json({ error: 'Driver not in your fleet' });
       }
+
+      if (!pickupDate) {
+        const result = await availabilityRecurrence.getCalendar(driverId, {
+          from: req.query.from,
+          to: req.query.to,
+        });
+        if (!result.ok) {
+          return res.status(400).json({ error: result.error });
+        }
+
+        return res.json({ driverId, ...result.calendar });
+      }
       
       // Check for conflicts
       const conflicts = await pool.query(`
@@ -910,6 +928,16 @@ router.post('/loads/:loadId/assign',
       
       const loadData = load.rows[0];
       
+      // Driver's equipment must be able to take the freight
+      const equipmentFit = equipment.formatFit(await equipment.checkDriverForLoad(driverId, loadData));
+      if (!equipmentFit.compatible) {
+        return res.status(409).json({
+          error: equipmentFit.reasons[0],
+          code: 'EQUIPMENT_MISMATCH',
+          equipmentFit,
+        });
+      }
+      
       // Check for conflicts
       const conflicts = await pool.query(`
         SELECT id, delivery_city, delivery_time_end
@@ -934,23 +962,21 @@ router.post('/loads/:loadId/assign',
       const driverNetPayout = driverShare - dispatcherCommission;
       
       // Assign load
-      const result = await pool.query(`
-        UPDATE loads
-        SET 
-          driver_id = $1,
-          status = 'assigned',
-          assigned_at = CURRENT_TIMESTAMP,
-          accepted_by_user_id = $2,
-          accepted_by_dispatcher_id = $2,
-          dispatcher_commission_rate = $3,
-          dispatcher_commission = $4,
-          driver_net_payout = $5,
-          updated_at = CURRENT_TIMESTAMP
-        WHERE id = $6 AND status = 'posted'
-        RETURNING *
-      `, [driverId, req.user.id, commissionRate, dispatcherCommission, driverNetPayout, loadId]);
+      const transition = await loadStatus.transitionLoad(loadId, 'assigned', {
+        actor: { id: req.user.id, role: req.user.role },
+        source: 'dispatcher',
+        metadata: { driverId },
+        fields: {
+          driver_id: driverId,
+          accepted_by_user_id: req.user.id,
+          accepted_by_dispatcher_id: req.user.id,
+          dispatcher_commission_rate: commissionRate,
+          dispatcher_commission: dispatcherCommission,
+          driver_net_payout: driverNetPayout,
+        },
+      });
       
-      if (result.rows.length === 0) {
+      if (!transition.ok) {
         return res.status(409).json({ error: 'Load no longer available' });
       }
       
@@ -976,7 +1002,7 @@ router.post('/loads/:loadId/assign',
       
       res.json({
         message: 'Load assigned successfully',
-        load: result.rows[0],
+        load: transition.load,
         payout: {
           loadPrice: parseFloat(loadData.price),
           platformFee: parseFloat(loadData.platform_fee),
@@ -12,9 +12,11 @@
 
 const express = require('express');
 const router = express.Router();
-const { pool } = require('../db/pool');
+const { pool, withTransaction } = require('../db/pool');
 const { authenticate, requireAdmin } = require('../middleware/auth');
 const emailService = require('../services/emailService');
+const loadStatus = require('../services/loadStatus');
+const loadMessages = require('../services/loadMessages');
 
 const DISPUTE_REASONS = {
   DAMAGED_FREIGHT: 'damaged_freight',
@@ -48,7 +50,7 @@ const RESOLUTIONS = {
 // Open a dispute
 router.post('/', authenticate, async (req, res) => {
   try {
-    const { loadId, reason, description, evidence } = req.body;
+    const { loadId, reason, description, evidence, attachThread = true } = req.body;
     
     if (!loadId || !reason || !description) {
       return res.status(400).json({ error: 'Missing required fields' });
@@ -86,30 +88,65 @@ router.post('/', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Active dispute already exists for this load' });
     }
     
+    if (!loadStatus.canTransition('load', load.status, 'disputed')) {
+      return res.status(400).json({ 
+        error: `Cannot open a dispute on a load that is ${load.status}`,
+        currentStatus: load.status,
+      });
+    }
+    
     // Determine who is being disputed
     const isShipper = load.shipper_id === req.user.id;
     const filedBy = req.user.id;
     const filedAgainst = isShipper ? load.driver_id : load.shipper_id;
     
-    // Create dispute
-    const disputeResult = await pool.query(`
-      INSERT INTO disputes (
-        load_id, filed_by, filed_against, reason, description, 
-        evidence_urls, status, created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
-      RETURNING *
-    `, [
-      loadId, filedBy, filedAgainst, reason, description,
-      JSON.stringify(evidence || []), DISPUTE_STATUS.OPEN
-    ]);
-    
-    const dispute = disputeResult.rows[0];
-    
-    // Update load status
-    await pool.query(
-      `UPDATE loads SET status = 'disputed', updated_at = NOW() WHERE id = $1`,
-      [loadId]
-    );
+    // Create the dispute and move the load together: a dispute row never
+    // exists for a load that could not be disputed
+    const { dispute, conflict } = await withTransaction(async (client) => {
+      // Lock the load, then re-check its status and open disputes under the lock
+      const locked = await client.query('SELECT status FROM loads WHERE id = $1 FOR UPDATE', [loadId]);
+      const currentStatus = locked.rows[0]?.status;
+      if (!loadStatus.canTransition('load', currentStatus, 'disputed')) {
+        return { conflict: { error: `Cannot open a dispute on a load that is ${currentStatus}`, currentStatus } };
+      }
+
+      const concurrent = await client.query(
+        `SELECT id FROM disputes WHERE load_id = $1 AND status NOT IN ('resolved', 'closed')`,
+        [loadId]
+      );
+      if (concurrent.rows.length > 0) {
+        return { conflict: { error: 'Active dispute already exists for this load' } };
+      }
+
+      // The load's message thread is attached as evidence unless opted out
+      const disputeResult = await client.query(`
+        INSERT INTO disputes (
+          load_id, filed_by, filed_against, reason, description, 
+          evidence_urls, status, thread_attached_at, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $8 THEN NOW() END, NOW())
+        RETURNING *
+      `, [
+        loadId, filedBy, filedAgainst, reason, description,
+        JSON.stringify(evidence || []), DISPUTE_STATUS.OPEN, attachThread !== false
+      ]);
+
+      const dispute = disputeResult.rows[0];
+
+      // The load is locked and the move was checked above, so this lands with the dispute
+      await loadStatus.transitionLoad(loadId, 'disputed', {
+        actor: { id: req.user.id, role: req.user.role },
+        source: 'dispute',
+        reason,
+        metadata: { disputeId: dispute.id },
+        client,
+      });
+
+      return { dispute };
+    });
+
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
     
     // Notify the other party
     const otherPartyEmail = isShipper ? load.driver_email : load.shipper_email;
@@ -131,6 +168,7 @@ router.post('/', authenticate, async (req, res) => {
         loadId: dispute.load_id,
         reason: dispute.reason,
         status: dispute.status,
+        threadAttachedAt: dispute.thread_attached_at,
         createdAt: dispute.created_at,
       },
     });
@@ -223,6 +261,11 @@ router.get('/:id', authenticate, async (req, res) => {
       ORDER BY dm.created_at ASC
     `, [id]);
     
+    // Load thread attached as evidence
+    const threadMessages = dispute.thread_attached_at
+      ? await loadMessages.getThreadEvidence(dispute.load_id, dispute.thread_attached_at)
+      : [];
+    
     res.json({
       dispute: {
         id: dispute.id,
@@ -233,6 +276,7 @@ router.get('/:id', authenticate, async (req, res) => {
         resolution: dispute.resolution,
         resolutionNotes: dispute.resolution_notes,
         evidenceUrls: dispute.evidence_urls,
+        threadAttachedAt: dispute.thread_attached_at,
         load: {
           pickupCity: dispute.pickup_city,
           pickupState: dispute.pickup_state,
@@ -260,6 +304,7 @@ router.get('/:id', authenticate, async (req, res) => {
         isMe: m.sender_id === req.user.id,
         createdAt: m.created_at,
       })),
+      loadThread: await Promise.all(threadMessages.map((m) => loadMessages.formatMessage(m, req.user.id))),
     });
   } catch (error) {
     console.error('[Disputes] Get error:', error);
@@ -306,6 +351,37 @@ router.post('/:id/messages', authenticate, async (req, res) => {
   }
 });
 
+// Attach (or refresh) the load's message thread as evidence, up to now
+router.post('/:id/attach-thread', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const result = await pool.query(`
+      UPDATE disputes
+      SET thread_attached_at = NOW()
+      WHERE id = $1 AND (filed_by = $2 OR filed_against = $2)
+        AND status NOT IN ('resolved', 'closed')
+      RETURNING id, load_id, thread_attached_at
+    `, [id, req.user.id]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Open dispute not found' });
+    }
+    
+    const dispute = result.rows[0];
+    const messages = await loadMessages.getThreadEvidence(dispute.load_id, dispute.thread_attached_at);
+    
+    res.json({
+      message: 'Message thread attached',
+      threadAttachedAt: dispute.thread_attached_at,
+      messageCount: messages.length,
+    });
+  } catch (error) {
+    console.error('[Disputes] Attach thread error:', error);
+    res.status(500).json({ error: 'Failed to attach message thread' });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // Admin endpoints
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -349,11 +425,24 @@ router.post('/:id/resolve', authenticate, requireAdmin, async (req, res) => {
       WHERE id = $5
     `, [resolution, notes, refundAmount || 0, req.user.id, id]);
     
-    // Update load status
-    await pool.query(
-      `UPDATE loads SET status = 'delivered', updated_at = NOW() WHERE id = $1`,
-      [dispute.load_id]
-    );
+    // Put the load back where it was when this dispute was opened
+    const disputedEvent = await pool.query(`
+      SELECT from_status FROM load_status_events
+      WHERE load_id = $1 AND entity_type = 'load' AND to_status = 'disputed'
+      ORDER BY (metadata->>'disputeId' = $2::text) DESC NULLS LAST, created_at DESC, id DESC
+      LIMIT 1
+    `, [dispute.load_id, dispute.id]);
+    const restoreStatus = disputedEvent.rows[0]?.from_status || 'delivered';
+
+    const transition = await loadStatus.transitionLoad(dispute.load_id, restoreStatus, {
+      actor: { id: req.user.id, role: req.user.role },
+      source: 'dispute',
+      reason: `Dispute resolved: ${resolution}`,
+      metadata: { disputeId: dispute.id },
+    });
+    if (!transition.ok) {
+      console.error(`[Disputes] Load ${dispute.load_id} status not restored: ${transition.error}`);
+    }
     
     // Process refund if needed
     if (refundAmount > 0 && ['full_refund', 'partial_refund'].includes(resolution)) {
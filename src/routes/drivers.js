@@ -5,6 +5,14 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../db/pool');
 const { authenticate } = require('../middleware/auth');
+const breadcrumbs = require('../services/breadcrumbs');
+const autoStatus = require('../services/autoStatus');
+const hos = require('../services/hos');
+const matchFeed = require('../services/matchFeed');
+const matchJobs = require('../jobs/matchJobs');
+const availabilityRecurrence = require('../services/availabilityRecurrence');
+const equipment = require('../services/equipment');
+const { broadcastDriverLocation } = require('../realtime/socket');
 
 // ============================================
 // GET /api/drivers/profile
@@ -48,6 +56,7 @@ router.get('/profile', authenticate, async (req, res) => {
       phone: user.phone,
       role: user.role,
       vehicleType: user.vehicle_type || null,
+      equipmentFeatures: user.equipment_features || [],
       licensePlate: user.license_plate || null,
       driverLat: user.driver_lat || null,
       driverLng: user.driver_lng || null,
@@ -81,6 +90,7 @@ router.put('/profile', authenticate, async (req, res) => {
       lastName,
       phone,
       vehicleType,
+      equipmentFeatures,
       licensePlate,
       companyName,
       hasCdl,
@@ -110,6 +120,9 @@ router.put('/profile', authenticate, async (req, res) => {
     addUpdate('last_name', lastName);
     addUpdate('phone', phone);
     addUpdate('vehicle_type', vehicleType);
+    addUpdate('equipment_features', equipmentFeatures === undefined
+      ? undefined
+      : JSON.stringify(equipment.normalizeFeatures(equipmentFeatures)));
     addUpdate('license_plate', licensePlate);
     addUpdate('company_name', companyName);
     addUpdate('has_cdl', hasCdl);
@@ -134,7 +147,7 @@ router.put('/profile', authenticate, async (req, res) => {
       WHERE id = $${paramIndex}
       RETURNING
         id, email, phone, first_name, last_name,
-        vehicle_type, license_plate, company_name,
+        vehicle_type, equipment_features, license_plate, company_name,
         has_cdl, cdl_number, cdl_state, cdl_expiration,
         insurance_provider, insurance_policy_number, insurance_expiration,
         bio, profile_picture_url, rating, rating_count
@@ -155,6 +168,7 @@ router.put('/profile', authenticate, async (req, res) => {
         firstName: user.first_name,
         lastName: user.last_name,
         vehicleType: user.vehicle_type,
+        equipmentFeatures: user.equipment_features || [],
         licensePlate: user.license_plate,
         companyName: user.company_name,
         hasCdl: user.has_cdl,
@@ -554,18 +568,28 @@ router.post('/location', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'lat and lng required' });
     }
 
-    await pool.query(`
-      UPDATE users 
-      SET driver_lat = $1, driver_lng = $2, location_updated_at = NOW()
-      WHERE id = $3
-    `, [lat, lng, req.user.id]);
+    const recorded = await breadcrumbs.recordLocation(req.user.id, {
+      ...req.body,
+      latitude: lat,
+      longitude: lng,
+    }, { source: 'driver' });
+
+    if (!recorded.ok) {
+      return res.status(400).json({ error: recorded.error });
+    }
 
-    // Also update any active availability posts
+    broadcastDriverLocation(req.user.id, { ...req.body, latitude: lat, longitude: lng })
+      .catch(err => console.error('[Drivers] Location broadcast error:', err));
+
+    // Also update any active availability posts (not recurring rules or
+    // future occurrences, which start where the driver said they would)
     try {
       await pool.query(`
         UPDATE driver_availability
         SET current_lat = $1, current_lng = $2, updated_at = NOW()
         WHERE driver_id = $3 AND is_active = true
+          AND is_recurring IS NOT TRUE
+          AND (recurrence_parent_id IS NULL OR available_from <= NOW())
       `, [lat, lng, req.user.id]);
     } catch (e) {
       // Table might not exist yet, ignore
@@ -599,14 +623,97 @@ router.put('/availability-status', authenticate, async (req, res) => {
   }
 });
 
+// ============================================
+// GET/PUT /api/drivers/auto-status
+// Opt in to load status updates from stop geofences
+// ============================================
+
+router.get('/auto-status', authenticate, async (req, res) => {
+  try {
+    const enabled = await autoStatus.isEnabled(req.user.id);
+    res.json({ enabled });
+  } catch (error) {
+    console.error('[Drivers] Auto-status get error:', error);
+    res.status(500).json({ error: 'Failed to get auto-status setting' });
+  }
+});
+
+router.put('/auto-status', authenticate, async (req, res) => {
+  try {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+
+    const saved = await autoStatus.setEnabled(req.user.id, enabled);
+    res.json({ message: 'Auto-status updated', enabled: saved });
+  } catch (error) {
+    console.error('[Drivers] Auto-status update error:', error);
+    res.status(500).json({ error: 'Failed to update auto-status setting' });
+  }
+});
+
+// ============================================
+// HOURS OF SERVICE
+// GET /api/drivers/hos - Current clocks (fresh clocks assumed without data)
+// PUT /api/drivers/hos - Self-reported remaining hours
+// POST /api/drivers/hos/eld-import - Import an ELD duty status log
+// ============================================
+
+router.get('/hos', authenticate, async (req, res) => {
+  try {
+    const clocks = await hos.getClocks(req.user.id);
+    res.json({ hos: hos.formatClocks(clocks) });
+  } catch (error) {
+    console.error('[Drivers] HOS get error:', error);
+    res.status(500).json({ error: 'Failed to get hours of service' });
+  }
+});
+
+router.put('/hos', authenticate, async (req, res) => {
+  try {
+    const saved = await hos.saveSelfReported(req.user.id, req.body);
+    if (!saved.ok) {
+      return res.status(400).json({ error: saved.error });
+    }
+
+    res.json({ message: 'Hours of service updated', hos: hos.formatClocks(saved.clocks) });
+  } catch (error) {
+    console.error('[Drivers] HOS update error:', error);
+    res.status(500).json({ error: 'Failed to update hours of service' });
+  }
+});
+
+router.post('/hos/eld-import', authenticate, async (req, res) => {
+  try {
+    const { format = 'csv', content } = req.body;
+
+    const imported = await hos.importEldLog(req.user.id, { format, content });
+    if (!imported.ok) {
+      return res.status(400).json({ error: imported.error });
+    }
+
+    res.json({
+      message: `Imported ${imported.recordCount} duty status records`,
+      importId: imported.importId,
+      hos: hos.formatClocks(await hos.getClocks(req.user.id)),
+    });
+  } catch (error) {
+    console.error('[Drivers] ELD import error:', error);
+    res.status(500).json({ error: 'Failed to import ELD log' });
+  }
+});
+
 // ============================================
 // AVAILABILITY POSTS (Route Intent)
 // ============================================
 
 // GET /api/drivers/availability - Get driver's availability posts
+// Recurring rules are listed once; ?instances=true adds their expanded occurrences
 router.get('/availability', authenticate, async (req, res) => {
   try {
-    const { active } = req.query;
+    const { active, instances } = req.query;
     
     // Check if table exists first
     const tableCheck = await pool.query(`
@@ -629,6 +736,10 @@ router.get('/availability', authenticate, async (req, res) => {
     if (active === 'true') {
       query += ' AND is_active = true';
     }
+
+    if (instances !== 'true') {
+      query += ' AND recurrence_parent_id IS NULL';
+    }
     
     query += ' ORDER BY created_at DESC';
     
@@ -659,6 +770,7 @@ router.post('/availability', authenticate, async (req, res) => {
       departureWindowStart,
       departureWindowEnd,
       equipmentType,
+      equipmentFeatures = [],
       maxWeightLbs,
       palletCapacity,
       maxDeadheadMiles = 100,
@@ -667,7 +779,6 @@ router.post('/availability', authenticate, async (req, res) => {
       minPayout,
       minRatePerMile,
       isRecurring = false,
-      recurrenceDays,
     } = req.body;
 
     // Validate required fields
@@ -677,6 +788,23 @@ router.post('/availability', authenticate, async (req, res) => {
       });
     }
 
+    // Matching checks capacity against the registry, so the type must be one it knows
+    if (!equipment.normalizeEquipment(equipmentType)) {
+      return res.status(400).json({
+        error: `Unknown equipment type: ${equipmentType}`,
+        equipmentTypes: Object.values(equipment.EQUIPMENT).map(e => e.label),
+      });
+    }
+
+    // A recurring post is a rule expanded into one post per occurrence below
+    const ruleFields = availabilityRecurrence.normalizeRuleFields(isRecurring ? req.body : {});
+    if (!ruleFields.ok) {
+      return res.status(400).json({ error: ruleFields.error });
+    }
+    if (isRecurring && !ruleFields.fields.recurrence_days) {
+      return res.status(400).json({ error: 'recurrenceDays is required for a recurring post' });
+    }
+
     // Get current location from user if not provided
     let lat = currentLat;
     let lng = currentLng;
@@ -723,6 +851,8 @@ router.post('/availability', authenticate, async (req, res) => {
         max_deadhead_miles, max_detour_miles,
         service_types_accepted, min_payout, min_rate_per_mile,
         is_recurring, recurrence_days,
+        equipment_features,
+        recurrence_start_time, recurrence_end_time, recurrence_timezone, recurrence_until,
         is_active
       ) VALUES (
         $1, $2,
@@ -734,6 +864,8 @@ router.post('/availability', authenticate, async (req, res) => {
         $18, $19,
         $20, $21, $22,
         $23, $24,
+        $25,
+        $26, $27, $28, $29,
         true
       ) RETURNING *
     `, [
@@ -745,12 +877,36 @@ router.post('/availability', authenticate, async (req, res) => {
       equipmentType, maxWeightLbs, palletCapacity,
       maxDeadheadMiles, maxDetourMiles,
       serviceTypesAccepted, minPayout, minRatePerMile,
-      isRecurring, recurrenceDays,
+      !!isRecurring, ruleFields.fields.recurrence_days || null,
+      JSON.stringify(equipment.normalizeFeatures(equipmentFeatures)),
+      ruleFields.fields.recurrence_start_time || null,
+      ruleFields.fields.recurrence_end_time || null,
+      isRecurring
+        ? ruleFields.fields.recurrence_timezone || availabilityRecurrence.ruleTimezone({ current_lat: lat, current_lng: lng, start_state: startState })
+        : null,
+      ruleFields.fields.recurrence_until || null,
     ]);
 
+    const availability = result.rows[0];
+    let recurrence = null;
+    let postIds = [availability.id];
+    if (availabilityRecurrence.isRule(availability)) {
+      const expanded = await availabilityRecurrence.expandRule(availability);
+      recurrence = { ...availabilityRecurrence.formatRule(availability), instanceIds: expanded.instanceIds };
+      postIds = expanded.instanceIds;
+    }
+
+    // Score the open board against the new post (a rule's occurrences) for the match feed
+    for (const postId of postIds) {
+      matchJobs.scheduleAvailabilityRefresh(postId).catch(err =>
+        console.error('[Drivers] Failed to schedule match run:', err)
+      );
+    }
+
     res.status(201).json({
       message: 'Availability posted',
-      availability: result.rows[0],
+      availability,
+      recurrence,
     });
   } catch (error) {
     console.error('[Drivers] Post availability error:', error);
@@ -766,7 +922,7 @@ router.put('/availability/:id', authenticate, async (req, res) => {
 
     // Verify ownership
     const check = await pool.query(
-      'SELECT driver_id FROM driver_availability WHERE id = $1',
+      'SELECT driver_id, is_recurring, recurrence_parent_id FROM driver_availability WHERE id = $1',
       [id]
     );
 
@@ -778,16 +934,33 @@ router.put('/availability/:id', authenticate, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
+    // Occurrences are regenerated from their rule, so edits go through an exception
+    const parentId = check.rows[0].recurrence_parent_id;
+    if (parentId) {
+      return res.status(400).json({
+        error: `This is one occurrence of a recurring post; change it with POST /api/drivers/availability/${parentId}/exceptions (action: modify)`,
+        recurrenceId: parentId,
+      });
+    }
+
+    const ruleFields = availabilityRecurrence.normalizeRuleFields(
+      availabilityRecurrence.isRule(check.rows[0]) ? updates : {}
+    );
+    if (!ruleFields.ok) {
+      return res.status(400).json({ error: ruleFields.error });
+    }
+
     // Build dynamic update query
     const allowedFields = [
       'current_lat', 'current_lng', 'start_city', 'start_state',
       'destination_lat', 'destination_lng', 'destination_city', 'destination_state',
       'available_from', 'available_until',
       'departure_window_start', 'departure_window_end',
-      'equipment_type', 'max_weight_lbs', 'pallet_capacity',
+      'equipment_type', 'equipment_features', 'max_weight_lbs', 'pallet_capacity',
       'max_deadhead_miles', 'max_detour_miles',
       'service_types_accepted', 'min_payout', 'min_rate_per_mile',
       'is_active',
+      ...Object.keys(ruleFields.fields),
     ];
 
     const setClauses = [];
@@ -799,11 +972,24 @@ router.put('/availability/:id', authenticate, async (req, res) => {
       const snakeKey = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
       if (allowedFields.includes(snakeKey)) {
         setClauses.push(`${snakeKey} = $${paramIndex}`);
-        values.push(value);
+        if (snakeKey in ruleFields.fields) {
+          values.push(ruleFields.fields[snakeKey]);
+        } else {
+          values.push(snakeKey === 'equipment_features'
+            ? JSON.stringify(equipment.normalizeFeatures(value))
+            : value);
+        }
         paramIndex++;
       }
     });
 
+    if (updates.equipmentType !== undefined && !equipment.normalizeEquipment(updates.equipmentType)) {
+      return res.status(400).json({
+        error: `Unknown equipment type: ${updates.equipmentType}`,
+        equipmentTypes: Object.values(equipment.EQUIPMENT).map(e => e.label),
+      });
+    }
+
     if (setClauses.length === 0) {
       return res.status(400).json({ error: 'No valid fields to update' });
     }
@@ -818,9 +1004,23 @@ router.put('/availability/:id', authenticate, async (req, res) => {
       RETURNING *
     `, values);
 
+    // Editing a rule rewrites its occurrences that have not started yet
+    const availability = result.rows[0];
+    let postIds = [availability.id];
+    if (availabilityRecurrence.isRule(availability)) {
+      const expanded = await availabilityRecurrence.expandRule(availability, { refresh: true });
+      postIds = expanded.instanceIds;
+    }
+
+    for (const postId of postIds) {
+      matchJobs.scheduleAvailabilityRefresh(postId).catch(err =>
+        console.error('[Drivers] Failed to schedule match run:', err)
+      );
+    }
+
     res.json({
       message: 'Availability updated',
-      availability: result.rows[0],
+      availability,
     });
   } catch (error) {
     console.error('[Drivers] Update availability error:', error);
@@ -829,13 +1029,14 @@ router.put('/availability/:id', authenticate, async (req, res) => {
 });
 
 // DELETE /api/drivers/availability/:id - Delete availability post
+// (an occurrence of a recurring post is skipped on its rule instead)
 router.delete('/availability/:id', authenticate, async (req, res) => {
   try {
     const { id } = req.params;
 
     // Verify ownership
     const check = await pool.query(
-      'SELECT driver_id FROM driver_availability WHERE id = $1',
+      'SELECT driver_id, recurrence_parent_id, occurrence_date FROM driver_availability WHERE id = $1',
       [id]
     );
 
@@ -847,6 +1048,36 @@ router.delete('/availability/:id', authenticate, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
+    // Deleting the row alone would be undone by the next expansion
+    if (check.rows[0].recurrence_parent_id) {
+      const rule = await availabilityRecurrence.getRule(check.rows[0].recurrence_parent_id);
+      if (!rule) {
+        return res.status(404).json({ error: 'Recurring availability not found' });
+      }
+
+      const result = await availabilityRecurrence.setException(rule, {
+        date: availabilityRecurrence.dateColumn(check.rows[0].occurrence_date),
+        action: 'skip',
+      }, req.user.id);
+      if (!result.ok) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      // The expansion only clears occurrences that have not started yet
+      await pool.query('DELETE FROM driver_availability WHERE id = $1', [id]);
+
+      for (const postId of result.instanceIds) {
+        matchJobs.scheduleAvailabilityRefresh(postId).catch(err =>
+          console.error('[Drivers] Failed to schedule match run:', err)
+        );
+      }
+
+      return res.json({
+        message: 'Date skipped',
+        exception: availabilityRecurrence.formatException(result.exception),
+      });
+    }
+
     await pool.query('DELETE FROM driver_availability WHERE id = $1', [id]);
 
     res.json({ message: 'Availability deleted' });
@@ -856,6 +1087,143 @@ router.delete('/availability/:id', authenticate, async (req, res) => {
   }
 });
 
+// Load a recurring rule owned by the driver, or send the error response
+const getOwnRule = async (req, res) => {
+  const rule = await availabilityRecurrence.getRule(req.params.id);
+  if (!rule) {
+    res.status(404).json({ error: 'Recurring availability not found' });
+    return null;
+  }
+  if (rule.driver_id !== req.user.id) {
+    res.status(403).json({ error: 'Not authorized' });
+    return null;
+  }
+  return rule;
+};
+
+// GET /api/drivers/availability/:id/exceptions - Skipped and changed dates of a recurring post
+router.get('/availability/:id/exceptions', authenticate, async (req, res) => {
+  try {
+    const rule = await getOwnRule(req, res);
+    if (!rule) return;
+
+    const exceptions = await availabilityRecurrence.getExceptions(rule.id);
+
+    res.json({
+      recurrence: availabilityRecurrence.formatRule(rule),
+      exceptions: exceptions.map(availabilityRecurrence.formatException),
+    });
+  } catch (error) {
+    console.error('[Drivers] Get availability exceptions error:', error);
+    res.status(500).json({ error: 'Failed to get exceptions' });
+  }
+});
+
+// POST /api/drivers/availability/:id/exceptions - Skip or change one date of a recurring post
+// Body: date (YYYY-MM-DD), action (skip | modify), reason; modify takes
+// startTime, endTime and start / destination fields for that date
+router.post('/availability/:id/exceptions', authenticate, async (req, res) => {
+  try {
+    const rule = await getOwnRule(req, res);
+    if (!rule) return;
+
+    const result = await availabilityRecurrence.setException(rule, req.body, req.user.id);
+    if (!result.ok) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    for (const postId of result.instanceIds) {
+      matchJobs.scheduleAvailabilityRefresh(postId).catch(err =>
+        console.error('[Drivers] Failed to schedule match run:', err)
+      );
+    }
+
+    res.status(201).json({
+      message: result.exception.action === 'skip' ? 'Date skipped' : 'Date updated',
+      exception: availabilityRecurrence.formatException(result.exception),
+    });
+  } catch (error) {
+    console.error('[Drivers] Set availability exception error:', error);
+    res.status(500).json({ error: 'Failed to save exception' });
+  }
+});
+
+// DELETE /api/drivers/availability/:id/exceptions/:date - Restore a date to the recurring schedule
+router.delete('/availability/:id/exceptions/:date', authenticate, async (req, res) => {
+  try {
+    const rule = await getOwnRule(req, res);
+    if (!rule) return;
+
+    if (!availabilityRecurrence.isDateKey(req.params.date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    const result = await availabilityRecurrence.removeException(rule, req.params.date);
+    if (!result.ok) {
+      return res.status(404).json({ error: result.error });
+    }
+
+    for (const postId of result.instanceIds) {
+      matchJobs.scheduleAvailabilityRefresh(postId).catch(err =>
+        console.error('[Drivers] Failed to schedule match run:', err)
+      );
+    }
+
+    res.json({ message: 'Date restored', date: req.params.date });
+  } catch (error) {
+    console.error('[Drivers] Delete availability exception error:', error);
+    res.status(500).json({ error: 'Failed to remove exception' });
+  }
+});
+
+// ============================================
+// GET /api/drivers/matches
+// Posted loads matching this driver's availability, best first
+// Query: limit (max 50), offset, minScore
+// ============================================
+
+router.get('/matches', authenticate, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const offset = parseInt(req.query.offset) || 0;
+    const minScore = req.query.minScore !== undefined ? parseInt(req.query.minScore) : null;
+    if (minScore !== null && !Number.isFinite(minScore)) {
+      return res.status(400).json({ error: 'minScore must be a number' });
+    }
+
+    const { matches, total } = await matchFeed.getFeed(req.user.id, { limit, offset, minScore });
+
+    res.json({
+      matches: matches.map(matchFeed.formatFeedItem),
+      total,
+      limit,
+      offset,
+    });
+  } catch (error) {
+    console.error('[Drivers] Get matches error:', error);
+    res.status(500).json({ error: 'Failed to get matches' });
+  }
+});
+
+// ============================================
+// PUT /api/drivers/matches/:loadId/dismiss
+// Hide a load from the match feed (stays hidden when re-scored)
+// ============================================
+
+router.put('/matches/:loadId/dismiss', authenticate, async (req, res) => {
+  try {
+    const match = await matchFeed.dismiss(req.user.id, req.params.loadId);
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    res.json({ message: 'Match dismissed', loadId: req.params.loadId });
+  } catch (error) {
+    console.error('[Drivers] Dismiss match error:', error);
+    res.status(500).json({ error: 'Failed to dismiss match' });
+  }
+});
+
 // ============================================
 // GET /api/drivers/offers
 // Get offers sent to this driver
@@ -925,7 +1293,7 @@ router.get('/stats', authenticate, async (req, res) => {
     
     try {
       const availResult = await pool.query(
-        'SELECT COUNT(*) FROM driver_availability WHERE driver_id = $1 AND is_active = true',
+        'SELECT COUNT(*) FROM driver_availability WHERE driver_id = $1 AND is_active = true AND recurrence_parent_id IS NULL',
         [req.user.id]
       );
       activeAvailability = parseInt(availResult.rows[0].count) || 0;
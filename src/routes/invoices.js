@@ -7,8 +7,10 @@
 
 const express = require('express');
 const router = express.Router();
-const pool = require('../db/pool');
+const { pool } = require('../db/pool');
 const { authenticate } = require('../middleware/auth');
+const loadStops = require('../services/loadStops');
+const accessorials = require('../services/accessorials');
 const {
   generateShipperInvoice,
   generateDriverStatement,
@@ -73,6 +75,15 @@ router.get('/load/:loadId', authenticate, async (req, res) => {
       company_name: load.company_name,
     };
     
+    // Stops are drawn per row on multi-stop invoices
+    load.stops = await loadStops.getStopsForLoad(load);
+    
+    // Approved accessorials are itemized after the rated charges
+    const approvedAccessorials = await accessorials.listForLoad(load.id, { status: 'approved' });
+    load.accessorialLines = approvedAccessorials
+      .map(accessorials.toLineItem)
+      .filter(item => item.amount > 0);
+    
     // Generate PDF
     const { url } = await generateShipperInvoice(load, shipper, payment);
     
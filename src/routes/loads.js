@@ -1,11 +1,29 @@
 // Load Routes - Updated with Org Context for 5-Role Model
 // + Visibility & Tendering for Brokers
 const express = require('express');
-const { pool } = require('../db/pool');
+const { pool, withTransaction } = require('../db/pool');
 const { authenticate, requireUserType } = require('../middleware/auth');
 
 const router = express.Router();
 const notificationService = require('../services/notificationService');
+const loadStops = require('../services/loadStops');
+const loadStatus = require('../services/loadStatus');
+const loadJobs = require('../jobs/loadJobs');
+const tenderJobs = require('../jobs/tenderJobs');
+const matchJobs = require('../jobs/matchJobs');
+const tendering = require('../services/tendering');
+const geocoding = require('../services/geocoding');
+const timezones = require('../services/timezones');
+const equipmentRegistry = require('../services/equipment');
+const routing = require('../services/routing');
+const pricing = require('../services/pricing');
+const quotes = require('../services/quotes');
+const fuelSurcharge = require('../services/fuelSurcharge');
+const breadcrumbs = require('../services/breadcrumbs');
+const eta = require('../services/eta');
+const loadNotifications = require('../services/loadNotifications');
+const autoStatus = require('../services/autoStatus');
+const { emitToLoadParties, emitLoadStatus, broadcastDriverLocation } = require('../realtime/socket');
 
 /**
  * Helper: Get user's primary org and role
@@ -150,8 +168,7 @@ router.post('/seed', async (req, res) => {
     const insertedLoads = [];
 
     for (const load of testLoads) {
-      const driverPayout = load.price * 0.85;
-      const platformFee = load.price * 0.15;
+      const rating = await pricing.rateAmount(load.price, { expeditedFee: load.expedited_fee, source: 'posted' });
 
       const result = await pool.query(
         `INSERT INTO loads (
@@ -162,17 +179,19 @@ router.post('/seed', async (req, res) => {
           distance_miles, weight_lbs, price, driver_payout, platform_fee,
           vehicle_type_required, is_fragile, requires_liftgate, requires_pallet_jack,
           load_type, expedited_fee,
+          rate_table_version, rate_breakdown,
           status, posted_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, 'posted', CURRENT_TIMESTAMP)
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, 'posted', CURRENT_TIMESTAMP)
         RETURNING id`,
         [
           shipperId, shipperId, userOrg?.org_id || null,
           load.description,
           load.pickup_address, load.pickup_city, load.pickup_state, load.pickup_zip,
           load.delivery_address, load.delivery_city, load.delivery_state, load.delivery_zip,
-          load.distance_miles, load.weight_lbs, load.price, driverPayout, platformFee,
+          load.distance_miles, load.weight_lbs, rating.total, rating.driverPayout, rating.platformFee,
           load.vehicle_type_required, load.is_fragile || false, load.requires_liftgate || false, load.requires_pallet_jack || false,
           load.load_type || 'standard', load.expedited_fee || 0,
+          rating.rateTableVersion, JSON.stringify(rating),
         ]
       );
 
@@ -216,10 +235,12 @@ router.post('/',
         // Cargo fields
         weightLbs, dimensions, pieces, vehicleTypeRequired,
         isFragile, requiresLiftgate, requiresPalletJack,
+        requiresTarps, requiresReefer,
         specialRequirements,
         // Pricing & type
         price, loadType, expeditedFee,
         distanceMiles,
+        quoteId,             // Saved quote to convert: locks price, fee and payout
         // Broker fields
         customerName,        // Broker's customer name
         customerLoadNumber,  // Customer's load reference
@@ -235,40 +256,156 @@ router.post('/',
         // NEW: Visibility & Tendering
         visibility,          // 'public', 'preferred_first', 'private'
         preferredWindowMinutes,  // 15, 30, 60, 120, or null (manual release)
+        tenderTiers,         // [{ tier, windowMinutes }] waterfall for preferred_first
+        // Multi-stop: ordered [{ stopType, address, city, state, ... }]
+        // When omitted, stops are built from the pickup/delivery fields above
       } = req.body;
 
+      // Build and validate ordered stops
+      const stops = loadStops.normalizeStops(req.body);
+      const stopErrors = loadStops.validateStops(stops);
+      if (stopErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid stops', details: stopErrors });
+      }
+      // Resolve coordinates for stops posted without pickupLat/deliveryLat
+      await geocoding.geocodeStops(stops);
+      // Stop-local windows become instants in each stop's timezone
+      timezones.applyToStops(stops);
+      const { firstPickup, lastDelivery, totalPieces, totalWeightLbs } = loadStops.summarizeStops(stops);
+
       // Get user's org context
       const userOrg = await getUserPrimaryOrg(req.user.id);
       const isBroker = userOrg?.org_type === 'broker';
+      const isBrokerPay = isBroker && parseFloat(carrierPay) > 0;
 
-      // Calculate pricing
-      const distance = parseFloat(distanceMiles) || 100;
-      const basePrice = parseFloat(price) || distance * 2.5;
-      const totalExpedited = parseFloat(expeditedFee) || 0;
-      const totalPrice = basePrice + totalExpedited;
-      
-      // For brokers: carrier_pay is what they pay carrier, price is what customer pays
-      // For shippers: carrier_pay = driver_payout (85% of price)
-      let finalCarrierPay;
-      let finalCustomerRate;
-      
-      if (isBroker && carrierPay) {
-        finalCarrierPay = parseFloat(carrierPay);
-        finalCustomerRate = parseFloat(customerRate) || totalPrice;
+      // Converting a saved quote: the quote is the price
+      let quote = null;
+      if (quoteId) {
+        if (isBrokerPay || parseFloat(price) > 0) {
+          return res.status(400).json({ error: 'price and carrierPay come from the quote; omit them when posting a quote' });
+        }
+        if (!quotes.isQuoteId(quoteId)) {
+          return res.status(400).json({ error: 'quoteId must be a UUID' });
+        }
+        quote = await quotes.getQuoteForUser(quoteId, req.user.id, userOrg?.org_id);
+        if (!quote) {
+          return res.status(404).json({ error: 'Quote not found' });
+        }
+        const quoteStatus = quotes.getQuoteStatus(quote);
+        if (quoteStatus !== 'open') {
+          return res.status(409).json({ error: `Quote is ${quoteStatus}`, quoteStatus });
+        }
+      }
+
+      // Road route through the stops in order (coarse geocodes count for miles)
+      const route = await routing.getRoute(stops.map(geocoding.estimatePoint));
+
+      // Calculate pricing (client-supplied distance wins; 100 only if nothing could be located)
+      const distance = parseFloat(distanceMiles) || route?.distanceMiles
+        || (quote && parseFloat(quote.distance_miles)) || 100;
+      const totalExpedited = quote ? parseFloat(quote.expedited_fee) || 0 : parseFloat(expeditedFee) || 0;
+      const finalLoadType = quote ? quote.load_type : (loadType || 'standard');
+      const equipment = vehicleTypeRequired || quote?.equipment || null;
+
+      // The quoted price only holds for the quoted shipment (routed miles win
+      // over a client-supplied distance here)
+      if (quote) {
+        const quoteCheck = quotes.checkLoadAgainstQuote(quote, {
+          firstPickup,
+          lastDelivery,
+          distanceMiles: route?.distanceMiles || distance,
+          equipment,
+        });
+        if (!quoteCheck.ok) {
+          return res.status(400).json({ error: 'Load does not match the quote', details: quoteCheck.reasons });
+        }
+      }
+
+      // The freight has to fit the equipment it asks for
+      const equipmentCheck = equipmentRegistry.checkLoadAgainstRequired(equipmentRegistry.loadRequirements({
+        vehicle_type_required: equipment,
+        weight_lbs: weightLbs || totalWeightLbs,
+        pieces: pieces || totalPieces,
+        dimensions,
+        is_fragile: isFragile,
+        requires_pallet_jack: requiresPalletJack,
+        requires_reefer: requiresReefer,
+      }));
+      if (!equipmentCheck.ok) {
+        return res.status(400).json({ error: 'Load does not fit the required equipment', details: equipmentCheck.reasons });
+      }
+
+      // Posted prices carry the poster's contracted fuel surcharge (org schedule only)
+      const contractFuel = !quote && (isBrokerPay || parseFloat(price) > 0)
+        ? await fuelSurcharge.getFuelContext({ orgId: userOrg?.org_id, date: firstPickup.scheduledDate, orgOnly: true })
+        : null;
+
+      // Rating engine: a converted quote keeps its stored rating, brokers set carrier pay,
+      // shippers may post their own price, otherwise the load is rated from the active rate table
+      let rating;
+      if (quote) {
+        rating = quotes.quoteRating(quote);
+      } else if (isBrokerPay) {
+        rating = await pricing.rateAmount(carrierPay, { label: 'Carrier pay', source: 'broker' });
+      } else if (parseFloat(price) > 0) {
+        rating = await pricing.rateAmount(price, {
+          expeditedFee: totalExpedited,
+          source: 'posted',
+          fuel: contractFuel,
+          distanceMiles: distance,
+        });
       } else {
-        finalCarrierPay = totalPrice * 0.85;
-        finalCustomerRate = null;
+        rating = await pricing.rateShipment({
+          distanceMiles: distance,
+          loadType: finalLoadType,
+          equipment,
+          expeditedFee: totalExpedited,
+          origin: firstPickup,
+          destination: lastDelivery,
+          orgId: userOrg?.org_id,
+          pickupDate: firstPickup.scheduledDate,
+        });
       }
-      
-      const driverPayout = finalCarrierPay * 0.85; // Driver gets 85% of carrier pay
-      const platformFee = totalPrice * 0.15;
+
+      // For brokers: carrier_pay is what they pay carrier, price is what customer pays
+      // (plus fuel under the broker's schedule). For shippers: carrier_pay = driver_payout
+      const customerFuel = isBrokerPay && parseFloat(price) > 0
+        ? fuelSurcharge.buildFuelCharge(contractFuel, { distanceMiles: distance, linehaulAmount: parseFloat(price) })
+        : null;
+      const loadFuel = isBrokerPay ? customerFuel : rating.fuel;
+      const totalPrice = isBrokerPay && parseFloat(price) > 0
+        ? parseFloat(price) + (customerFuel?.amount || 0) + totalExpedited
+        : rating.total;
+      const finalCarrierPay = isBrokerPay ? parseFloat(carrierPay) : rating.driverPayout;
+      const finalCustomerRate = isBrokerPay ? (parseFloat(customerRate) || totalPrice) : null;
+      const driverPayout = rating.driverPayout;
+      const platformFee = rating.platformFee;
 
       // Handle visibility & tendering (broker feature)
       // For non-brokers, default to 'public'
       const finalVisibility = isBroker ? (visibility || 'public') : 'public';
-      const finalWindowMinutes = (isBroker && finalVisibility !== 'public') 
+      let finalWindowMinutes = (isBroker && finalVisibility !== 'public') 
         ? (preferredWindowMinutes || null) 
         : null;
+
+      // Tender waterfall: each tier of the broker's network gets its own window
+      let tenderSteps = [];
+      if (tenderTiers !== undefined && tenderTiers !== null) {
+        if (!isBroker || finalVisibility !== 'preferred_first') {
+          return res.status(400).json({ error: 'tenderTiers requires a broker load with preferred_first visibility' });
+        }
+
+        const { tiers, errors } = tendering.normalizeTenderTiers(tenderTiers, preferredWindowMinutes);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid tender tiers', details: errors });
+        }
+
+        tenderSteps = await tendering.planWaterfall(userOrg.org_id, tiers, preferredWindowMinutes);
+        // No tier has carriers to tender to: leave the window empty so the load is public now
+        finalWindowMinutes = tenderSteps.length > 0
+          ? tenderSteps.reduce((sum, t) => sum + t.windowMinutes, 0)
+          : null;
+      }
       
       // Calculate release_to_public_at if preferred_first with a window
       let releaseToPublicAt = null;
@@ -277,73 +414,142 @@ router.post('/',
         releaseToPublicAt = `INTERVAL '${finalWindowMinutes} minutes'`;
       }
 
-      const result = await pool.query(
-        `INSERT INTO loads (
-          shipper_id, posted_by_user_id, posted_by_org_id,
-          description,
-          pickup_address, pickup_city, pickup_state, pickup_zip,
-          pickup_lat, pickup_lng,
-          pickup_company_name, pickup_contact_name, pickup_contact_phone,
-          pickup_date, pickup_time_start, pickup_time_end,
-          pickup_instructions,
-          delivery_address, delivery_city, delivery_state, delivery_zip,
-          delivery_lat, delivery_lng,
-          delivery_company_name, delivery_contact_name, delivery_contact_phone,
-          delivery_date, delivery_time_start, delivery_time_end,
-          delivery_instructions,
-          weight_lbs, dimensions, pieces, vehicle_type_required,
-          is_fragile, requires_liftgate, requires_pallet_jack,
-          special_requirements,
-          distance_miles, price, driver_payout, platform_fee,
-          load_type, expedited_fee,
-          customer_name, customer_load_number, customer_po, customer_rate,
-          carrier_pay,
-          allow_offers, allow_book_now, min_offer,
-          verified_only, tracking_required,
-          visibility, preferred_window_minutes, release_to_public_at,
-          status, posted_at
-        ) VALUES (
-          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34, $35, $36, $37, $38, $39, $40, $41, $42, $43, $44, $45, $46, $47, $48, $49, $50, $51, $52, $53, $54,
-          $55, $56, ${finalWindowMinutes ? `CURRENT_TIMESTAMP + INTERVAL '${finalWindowMinutes} minutes'` : 'NULL'},
-          'posted', CURRENT_TIMESTAMP
-        ) RETURNING *`,
-        [
-          req.user.id, req.user.id, userOrg?.org_id || null,
-          description,
-          pickupAddress, pickupCity, pickupState, pickupZip,
-          pickupLat || null, pickupLng || null,
-          pickupCompanyName, pickupContactName, pickupContactPhone,
-          pickupDate, pickupTimeStart, pickupTimeEnd,
-          pickupInstructions,
-          deliveryAddress, deliveryCity, deliveryState, deliveryZip,
-          deliveryLat || null, deliveryLng || null,
-          deliveryCompanyName, deliveryContactName, deliveryContactPhone,
-          deliveryDate, deliveryTimeStart, deliveryTimeEnd,
-          deliveryInstructions,
-          weightLbs, dimensions, pieces || 1, vehicleTypeRequired,
-          isFragile || false, requiresLiftgate || false, requiresPalletJack || false,
-          specialRequirements,
-          distance, totalPrice, driverPayout, platformFee,
-          loadType || 'standard', totalExpedited,
-          isBroker ? customerName : null,
-          isBroker ? customerLoadNumber : null,
-          isBroker ? customerPo : null,
-          finalCustomerRate,
-          finalCarrierPay,
-          allowOffers !== false, // default true
-          allowBookNow !== false, // default true
-          minOffer || null,
-          verifiedOnly || false,
-          trackingRequired !== false, // default true
-          finalVisibility,
-          finalWindowMinutes,
-        ]
-      );
+      const { load, savedStops, tender, quoteError } = await withTransaction(async (client) => {
+        // Re-check the quote under lock so it converts into exactly one load
+        if (quote) {
+          const claim = await quotes.claimQuote(quote.id, req.user.id, userOrg?.org_id, client);
+          if (!claim.ok) return { quoteError: claim };
+        }
 
-      const load = result.rows[0];
+        const result = await client.query(
+          `INSERT INTO loads (
+            shipper_id, posted_by_user_id, posted_by_org_id,
+            description,
+            pickup_address, pickup_city, pickup_state, pickup_zip,
+            pickup_lat, pickup_lng,
+            pickup_company_name, pickup_contact_name, pickup_contact_phone,
+            pickup_date, pickup_time_start, pickup_time_end,
+            pickup_instructions,
+            delivery_address, delivery_city, delivery_state, delivery_zip,
+            delivery_lat, delivery_lng,
+            delivery_company_name, delivery_contact_name, delivery_contact_phone,
+            delivery_date, delivery_time_start, delivery_time_end,
+            delivery_instructions,
+            weight_lbs, dimensions, pieces, vehicle_type_required,
+            is_fragile, requires_liftgate, requires_pallet_jack,
+            special_requirements,
+            distance_miles, price, driver_payout, platform_fee,
+            load_type, expedited_fee,
+            customer_name, customer_load_number, customer_po, customer_rate,
+            carrier_pay,
+            allow_offers, allow_book_now, min_offer,
+            verified_only, tracking_required,
+            visibility, preferred_window_minutes, release_to_public_at,
+            status, posted_at
+          ) VALUES (
+            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34, $35, $36, $37, $38, $39, $40, $41, $42, $43, $44, $45, $46, $47, $48, $49, $50, $51, $52, $53, $54,
+            $55, $56, ${finalWindowMinutes ? `CURRENT_TIMESTAMP + INTERVAL '${finalWindowMinutes} minutes'` : 'NULL'},
+            'posted', CURRENT_TIMESTAMP
+          ) RETURNING *`,
+          [
+            req.user.id, req.user.id, userOrg?.org_id || null,
+            description,
+            // Legacy columns mirror the first pickup and last delivery stop
+            firstPickup.address, firstPickup.city, firstPickup.state, firstPickup.zip,
+            firstPickup.lat || null, firstPickup.lng || null,
+            firstPickup.companyName, firstPickup.contactName, firstPickup.contactPhone,
+            firstPickup.scheduledDate, firstPickup.windowStart, firstPickup.windowEnd,
+            firstPickup.instructions,
+            lastDelivery.address, lastDelivery.city, lastDelivery.state, lastDelivery.zip,
+            lastDelivery.lat || null, lastDelivery.lng || null,
+            lastDelivery.companyName, lastDelivery.contactName, lastDelivery.contactPhone,
+            lastDelivery.scheduledDate, lastDelivery.windowStart, lastDelivery.windowEnd,
+            lastDelivery.instructions,
+            weightLbs || totalWeightLbs, dimensions, pieces || totalPieces || 1, equipment,
+            isFragile || false, requiresLiftgate || false, requiresPalletJack || false,
+            specialRequirements,
+            distance, totalPrice, driverPayout, platformFee,
+            finalLoadType, totalExpedited,
+            isBroker ? customerName : null,
+            isBroker ? customerLoadNumber : null,
+            isBroker ? customerPo : null,
+            finalCustomerRate,
+            finalCarrierPay,
+            allowOffers !== false, // default true
+            allowBookNow !== false, // default true
+            minOffer || null,
+            verifiedOnly || false,
+            trackingRequired !== false, // default true
+            finalVisibility,
+            finalWindowMinutes,
+          ]
+        );
+
+        const rated = await client.query(`
+          UPDATE loads
+          SET rate_table_version = $2, rate_breakdown = $3,
+              drive_time_minutes = $4, route_polyline = $5, route_provider = $6,
+              quote_id = $7,
+              fuel_surcharge = $8, fuel_schedule_id = $9, fuel_index_week = $10, fuel_index_price = $11,
+              pickup_timezone = $12, pickup_window_start_at = $13, pickup_window_end_at = $14,
+              delivery_timezone = $15, delivery_window_start_at = $16, delivery_window_end_at = $17,
+              requires_tarps = $18, requires_reefer = $19
+          WHERE id = $1
+          RETURNING *
+        `, [
+          result.rows[0].id, rating.rateTableVersion, JSON.stringify(rating),
+          route?.durationMinutes || null, route?.polyline || null, route?.provider || null,
+          quote?.id || null,
+          loadFuel?.amount || 0, loadFuel?.scheduleId || null, loadFuel?.indexWeek || null, loadFuel?.indexPrice || null,
+          firstPickup.timezone, firstPickup.windowStartAt, firstPickup.windowEndAt,
+          lastDelivery.timezone, lastDelivery.windowStartAt, lastDelivery.windowEndAt,
+          requiresTarps || false, requiresReefer || false,
+        ]);
+        result.rows[0] = rated.rows[0];
+
+        if (quote) {
+          await quotes.markConverted(quote.id, result.rows[0].id, client);
+        }
+
+        const savedStops = await loadStops.insertStops(result.rows[0].id, stops, client);
+        await loadStatus.recordStatusEvent({
+          loadId: result.rows[0].id,
+          fromStatus: null,
+          toStatus: 'posted',
+          actor: { id: req.user.id, role: req.user.role },
+          source: 'api',
+        }, client);
+
+        if (tenderSteps.length > 0) {
+          const { load: tenderedLoad, tender } = await tendering.createWaterfall(result.rows[0].id, tenderSteps, client);
+          return { load: tenderedLoad, savedStops, tender };
+        }
+        return { load: result.rows[0], savedStops, tender: null };
+      });
+
+      if (quoteError) {
+        return res.status(quoteError.status).json({ error: quoteError.error });
+      }
+
+      if (tender) {
+        // Notify the first tier and queue the next step + public release
+        tenderJobs.startWaterfall(load, tender).catch(err =>
+          console.error('[Loads] Failed to start tender waterfall:', err)
+        );
+      } else if (load.release_to_public_at) {
+        // Open the load to the public board when the preferred window ends
+        loadJobs.scheduleRelease(load).catch(err =>
+          console.error('[Loads] Failed to schedule public release:', err)
+        );
+      }
+
+      // Driver match feed: score against posted availability (board loads only)
+      matchJobs.scheduleLoadRefresh(load.id).catch(err =>
+        console.error('[Loads] Failed to schedule match run:', err)
+      );
 
       // Notify preferred carriers if visibility is not public
-      if (isBroker && finalVisibility !== 'public' && userOrg?.org_id) {
+      if (!tender && isBroker && finalVisibility !== 'public' && userOrg?.org_id) {
         notifyPreferredCarriers(userOrg.org_id, load).catch(err => 
           console.error('[Loads] Failed to notify preferred carriers:', err)
         );
@@ -351,7 +557,10 @@ router.post('/',
 
       res.status(201).json({
         message: 'Load posted successfully',
-        load: formatLoadResponse(load),
+        load: {
+          ...formatLoadResponse(load),
+          stops: savedStops.map(loadStops.formatStopResponse),
+        },
       });
     } catch (error) {
       console.error('[Loads] Create error:', error);
@@ -524,7 +733,8 @@ router.get('/available', authenticate, async (req, res) => {
     // Build visibility filter
     // A carrier can see a load if:
     // 1. visibility = 'public', OR
-    // 2. visibility = 'preferred_first' AND (release_to_public_at has passed OR carrier is in broker's network), OR
+    // 2. visibility = 'preferred_first' AND (release_to_public_at has passed OR carrier is in broker's network
+    //    and, while a tender waterfall runs, their tier has been reached), OR
     // 3. visibility = 'private' AND carrier is in broker's network
     
     let visibilityFilter;
@@ -543,6 +753,7 @@ router.get('/available', authenticate, async (req, res) => {
                 AND bc.carrier_org_id = $3
                 AND bc.status = 'active'
                 AND bc.blocked_at IS NULL
+                AND (l.current_tender_tier IS NULL OR ${tendering.effectiveTierSql('bc')} <= l.current_tender_tier)
             )
           ))
           OR (l.visibility = 'private' AND EXISTS (
@@ -619,6 +830,10 @@ router.get('/available', authenticate, async (req, res) => {
         `, [preferredLoadIds]).catch(err => 
           console.error('[Loads] Failed to track preferred views:', err)
         );
+
+        tendering.recordViews(preferredLoadIds, carrierOrgId, req.user.id).catch(err =>
+          console.error('[Loads] Failed to record tender views:', err)
+        );
       }
     }
 
@@ -678,14 +893,21 @@ router.put('/:id/release',
         return res.status(400).json({ error: 'Load is already public' });
       }
 
-      // Release to public
-      const result = await pool.query(`
-        UPDATE loads 
-        SET released_early_at = CURRENT_TIMESTAMP,
-            updated_at = CURRENT_TIMESTAMP
-        WHERE id = $1
-        RETURNING *
-      `, [loadId]);
+      // Release to public (ends any running tender waterfall)
+      const result = await withTransaction(async (client) => {
+        await tendering.closeWaterfall(loadId, 'released', client);
+        return client.query(`
+          UPDATE loads 
+          SET released_early_at = CURRENT_TIMESTAMP,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+          RETURNING *
+        `, [loadId]);
+      });
+
+      matchJobs.scheduleLoadRefresh(loadId).catch(err =>
+        console.error('[Loads] Failed to schedule match run:', err)
+      );
 
       res.json({
         message: 'Load released to public',
@@ -717,6 +939,7 @@ router.get('/:id/tendering-status',
           l.release_to_public_at,
           l.released_early_at,
           l.views_by_preferred,
+          l.current_tender_tier,
           l.posted_at,
           l.status,
           (SELECT COUNT(*) FROM offers WHERE load_id = l.id) as offer_count,
@@ -759,6 +982,8 @@ router.get('/:id/tendering-status',
         offerCount: parseInt(load.offer_count) || 0,
         pendingOfferCount: parseInt(load.pending_offer_count) || 0,
         status: load.status,
+        currentTenderTier: load.current_tender_tier,
+        ...(await tendering.getWaterfall(load.id)),
       });
     } catch (error) {
       console.error('[Loads] Tendering status error:', error);
@@ -767,6 +992,45 @@ router.get('/:id/tendering-status',
   }
 );
 
+/**
+ * POST /loads/:id/tender/decline
+ * Carrier passes on a load tendered to them. When every carrier the load is
+ * currently tendered to has declined, the waterfall moves to the next tier.
+ */
+router.post('/:id/tender/decline',
+  authenticate,
+  async (req, res) => {
+    try {
+      const { reason } = req.body;
+      const userOrg = await getUserPrimaryOrg(req.user.id);
+
+      if (userOrg?.org_type !== 'carrier') {
+        return res.status(403).json({ error: 'Only carrier organizations can decline tenders' });
+      }
+
+      const result = await tendering.declineTender(req.params.id, userOrg.org_id, req.user.id, reason || null);
+      if (!result.ok) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      let advanced = false;
+      if (result.allDeclined) {
+        advanced = !!(await tenderJobs.advanceNow(req.params.id));
+      }
+
+      res.json({
+        message: 'Tender declined',
+        tenderId: result.tender.id,
+        tier: result.tender.tier,
+        advanced,
+      });
+    } catch (error) {
+      console.error('[Loads] Tender decline error:', error);
+      res.status(500).json({ error: 'Failed to decline tender' });
+    }
+  }
+);
+
 /**
  * GET /loads/active
  * Get driver's currently active load
@@ -797,10 +1061,12 @@ router.get('/active', authenticate, async (req, res) => {
     }
 
     const load = result.rows[0];
+    const stops = await loadStops.getStopsForLoad(load);
     
     res.json({
       load: {
         ...formatLoadResponse(load, true),
+        stops: stops.map(loadStops.formatStopResponse),
         shipper: {
           id: load.shipper_user_id,
           name: load.shipper_name,
@@ -995,10 +1261,13 @@ router.get('/:id', authenticate, async (req, res) => {
     const isDriverOwner = load.driver_id === req.user.id;
     const isCarrierMember = userOrg?.org_type === 'carrier' && load.assigned_carrier_org_id === userOrg.org_id;
 
+    const stops = await loadStops.getStopsForLoad(load);
+
     // Format response based on role
     const response = {
       load: {
         ...formatLoadResponse(load, true),
+        stops: stops.map(loadStops.formatStopResponse),
         offerCount: parseInt(load.offer_count) || 0,
         pendingOfferCount: parseInt(load.pending_offer_count) || 0,
         shipper: {
@@ -1051,6 +1320,52 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /loads/:id/timeline
+ * Status history for a load (load, assignment, closeout and stop events)
+ */
+router.get('/:id/timeline', authenticate, async (req, res) => {
+  try {
+    const loadId = req.params.id;
+    const userOrg = await getUserPrimaryOrg(req.user.id);
+
+    const loadCheck = await pool.query(`
+      SELECT l.id, l.status, l.shipper_id, l.posted_by_org_id, l.driver_id, l.assigned_carrier_org_id,
+        a.driver_user_id as assigned_driver_id
+      FROM loads l
+      LEFT JOIN assignments a ON l.id = a.load_id AND a.status != 'cancelled'
+      WHERE l.id = $1
+    `, [loadId]);
+
+    if (loadCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Load not found' });
+    }
+
+    const load = loadCheck.rows[0];
+
+    const isShipperOwner = load.shipper_id === req.user.id || load.posted_by_org_id === userOrg?.org_id;
+    const isDriverOwner = load.driver_id === req.user.id || load.assigned_driver_id === req.user.id;
+    const isCarrierMember = userOrg?.org_type === 'carrier' && load.assigned_carrier_org_id === userOrg.org_id;
+    const isAdmin = req.user.role === 'admin';
+
+    if (!isShipperOwner && !isDriverOwner && !isCarrierMember && !isAdmin) {
+      return res.status(403).json({ error: 'Not authorized to view this load' });
+    }
+
+    const events = await loadStatus.getLoadTimeline(loadId);
+
+    res.json({
+      loadId,
+      currentStatus: load.status,
+      allowedTransitions: loadStatus.getAllowedTransitions('load', load.status),
+      events: events.map(loadStatus.formatStatusEvent),
+    });
+  } catch (error) {
+    console.error('[Loads] Timeline error:', error);
+    res.status(500).json({ error: 'Failed to get load timeline' });
+  }
+});
+
 /**
  * PUT /loads/:id/status
  * Update load status
@@ -1059,15 +1374,10 @@ router.put('/:id/status',
   authenticate,
   async (req, res) => {
     try {
-      const { status: newStatus } = req.body;
+      const { status: newStatus, reason, gps, stopId } = req.body;
       const loadId = req.params.id;
 
-      const validStatuses = [
-        'posted', 'assigned', 'accepted', 'confirmed',
-        'en_route_pickup', 'at_pickup', 'picked_up',
-        'en_route_delivery', 'at_delivery', 'delivered',
-        'completed', 'cancelled'
-      ];
+      const validStatuses = loadStatus.LOAD_STATUSES;
 
       if (!validStatuses.includes(newStatus)) {
         return res.status(400).json({ 
@@ -1112,53 +1422,33 @@ router.put('/:id/status',
         return res.status(403).json({ error: 'Only the shipper can update to this status' });
       }
 
-      // Update timestamps based on status
-      let timestampField = null;
-      switch (newStatus) {
-        case 'assigned': timestampField = 'assigned_at'; break;
-        case 'picked_up': timestampField = 'picked_up_at'; break;
-        case 'delivered': timestampField = 'delivered_at'; break;
-        case 'completed': timestampField = 'completed_at'; break;
-        case 'cancelled': timestampField = 'cancelled_at'; break;
-      }
+      // Enforce the transition graph, record the event and sync assignments
+      const transition = await loadStatus.transitionLoad(loadId, newStatus, {
+        actor: { id: req.user.id, role: req.user.role },
+        source: 'api',
+        reason: reason || null,
+        gps: gps || null,
+        stopId: stopId || null,
+      });
 
-      const updateQuery = timestampField
-        ? `UPDATE loads SET status = $1, ${timestampField} = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *`
-        : `UPDATE loads SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *`;
-
-      const result = await pool.query(updateQuery, [newStatus, loadId]);
-
-      // Also update assignment status if exists
-      if (load.assigned_driver_id) {
-        const assignmentStatus = newStatus === 'delivered' ? 'completed' : 
-                                 newStatus === 'cancelled' ? 'cancelled' : 
-                                 ['en_route_pickup', 'at_pickup', 'picked_up', 'en_route_delivery', 'at_delivery'].includes(newStatus) ? 'in_progress' : 
-                                 'pending';
-        
-        await pool.query(`
-          UPDATE assignments 
-          SET status = $1, 
-              ${newStatus === 'delivered' ? 'completed_at = CURRENT_TIMESTAMP,' : ''}
-              ${['en_route_pickup'].includes(newStatus) ? 'started_at = CURRENT_TIMESTAMP,' : ''}
-              updated_at = CURRENT_TIMESTAMP
-          WHERE load_id = $2 AND status != 'cancelled'
-        `.replace(/,\s*updated_at/, ' updated_at'), [assignmentStatus, loadId]);
+      if (!transition.ok) {
+        return res.status(400).json({
+          error: transition.error,
+          currentStatus: transition.currentStatus,
+          allowedStatuses: transition.allowedStatuses,
+        });
       }
 
-      // Send notifications
-      if (newStatus === 'picked_up' && load.shipper_id) {
-        notificationService.notifyLoadPickedUp(load.shipper_id, loadId)
-          .catch(err => console.error('[Notifications] Pickup error:', err));
-      }
-      
-      if (newStatus === 'delivered' && load.shipper_id) {
-        notificationService.notifyLoadDelivered(load.shipper_id, loadId)
-          .catch(err => console.error('[Notifications] Delivery error:', err));
+      // Realtime to every party, and notify the shipper (en-route notices carry the live ETA)
+      if (!transition.unchanged) {
+        emitLoadStatus(transition.load, transition.fromStatus)
+          .catch(err => console.error('[Loads] Status emit error:', err));
+        loadNotifications.onStatusChange(loadId, newStatus, transition.fromStatus);
       }
 
       res.json({
         message: `Status updated to ${newStatus}`,
-        load: formatLoadResponse(result.rows[0]),
+        load: formatLoadResponse(transition.load),
       });
     } catch (error) {
       console.error('[Loads] Status update error:', error);
@@ -1167,6 +1457,197 @@ router.put('/:id/status',
   }
 );
 
+/**
+ * POST /loads/:id/status/override
+ * Driver (or assigned carrier) override of a geofence-inferred status: reverts
+ * the latest inferred transition(s) and stops inference at that stop
+ */
+router.post('/:id/status/override',
+  authenticate,
+  async (req, res) => {
+    try {
+      const { reason } = req.body;
+      const loadId = req.params.id;
+
+      const userOrg = await getUserPrimaryOrg(req.user.id);
+
+      const loadCheck = await pool.query(`
+        SELECT l.*,
+          a.driver_user_id as assigned_driver_id,
+          a.carrier_org_id as assigned_carrier_id
+        FROM loads l
+        LEFT JOIN assignments a ON l.id = a.load_id AND a.status != 'cancelled'
+        WHERE l.id = $1
+      `, [loadId]);
+
+      if (loadCheck.rows.length === 0) {
+        return res.status(404).json({ error: 'Load not found' });
+      }
+
+      const load = loadCheck.rows[0];
+
+      const isDriverOwner = load.driver_id === req.user.id || load.assigned_driver_id === req.user.id;
+      const isCarrierMember = userOrg?.org_type === 'carrier' && load.assigned_carrier_id === userOrg.org_id;
+
+      if (!isDriverOwner && !isCarrierMember) {
+        return res.status(403).json({ error: 'Only the assigned driver or carrier can override this status' });
+      }
+
+      const override = await autoStatus.overrideInferred(loadId, { id: req.user.id, role: req.user.role }, {
+        reason: reason || null,
+      });
+
+      if (!override.ok) {
+        return res.status(override.status || 400).json({ error: override.error });
+      }
+
+      emitLoadStatus(override.load, override.fromStatus)
+        .catch(err => console.error('[Loads] Status emit error:', err));
+
+      res.json({
+        message: `Status reverted to ${override.load.status}`,
+        reverted: override.reverted,
+        load: formatLoadResponse(override.load),
+      });
+    } catch (error) {
+      console.error('[Loads] Status override error:', error);
+      res.status(500).json({ error: 'Failed to override status' });
+    }
+  }
+);
+
+/**
+ * PUT /loads/:id/stops/:stopId/status
+ * Update a single stop (arrived / completed / skipped) on a multi-stop load
+ */
+router.put('/:id/stops/:stopId/status',
+  authenticate,
+  async (req, res) => {
+    try {
+      const { status: newStatus, gps } = req.body;
+      const { id: loadId, stopId } = req.params;
+
+      if (!loadStops.STOP_STATUSES.includes(newStatus)) {
+        return res.status(400).json({
+          error: 'Invalid stop status',
+          validStatuses: loadStops.STOP_STATUSES,
+        });
+      }
+
+      const userOrg = await getUserPrimaryOrg(req.user.id);
+
+      const loadCheck = await pool.query(`
+        SELECT l.*,
+          a.driver_user_id as assigned_driver_id,
+          a.carrier_org_id as assigned_carrier_id
+        FROM loads l
+        LEFT JOIN assignments a ON l.id = a.load_id AND a.status != 'cancelled'
+        WHERE l.id = $1
+      `, [loadId]);
+
+      if (loadCheck.rows.length === 0) {
+        return res.status(404).json({ error: 'Load not found' });
+      }
+
+      const load = loadCheck.rows[0];
+
+      const isDriverOwner = load.driver_id === req.user.id || load.assigned_driver_id === req.user.id;
+      const isCarrierMember = userOrg?.org_type === 'carrier' && load.assigned_carrier_id === userOrg.org_id;
+      const isShipperOwner = load.shipper_id === req.user.id || load.posted_by_org_id === userOrg?.org_id;
+
+      if (!isDriverOwner && !isCarrierMember) {
+        // Shippers may only skip a stop (e.g. consignee cancelled)
+        if (!(isShipperOwner && newStatus === 'skipped')) {
+          return res.status(403).json({ error: 'Not authorized to update this stop' });
+        }
+      }
+
+      const stop = await loadStops.getStop(stopId);
+      if (!stop || stop.load_id !== loadId) {
+        return res.status(404).json({ error: 'Stop not found' });
+      }
+
+      if (!loadStatus.canTransition('stop', stop.status, newStatus)) {
+        return res.status(409).json({
+          error: `Cannot change stop status from ${stop.status} to ${newStatus}`,
+          currentStatus: stop.status,
+          allowedStatuses: loadStatus.getAllowedTransitions('stop', stop.status),
+        });
+      }
+
+      // Deliveries are completed through a closeout so the POD is captured
+      if (stop.stop_type === 'delivery' && newStatus === 'completed') {
+        return res.status(400).json({ error: 'Delivery stops are completed by submitting a closeout' });
+      }
+
+      const updatedStop = await loadStops.updateStopStatus(stopId, newStatus, { fromStatus: stop.status });
+      if (!updatedStop) {
+        return res.status(409).json({ error: 'Stop status changed, please retry' });
+      }
+
+      const actor = { id: req.user.id, role: req.user.role };
+
+      await loadStatus.recordStatusEvent({
+        loadId,
+        entityType: 'stop',
+        entityId: stopId,
+        fromStatus: stop.status,
+        toStatus: newStatus,
+        actor,
+        source: 'api',
+        gps: gps || null,
+        stopId: stop.id,
+      });
+
+      // Skipping the last open delivery rolls the load up the same way a closeout does,
+      // as long as at least one delivery was actually closed out
+      if (stop.stop_type === 'delivery' && newStatus === 'skipped') {
+        const openStops = await loadStops.countOpenDeliveryStops(loadId);
+        const delivered = openStops === 0 && await pool.query(
+          `SELECT 1 FROM load_stops WHERE load_id = $1 AND stop_type = 'delivery' AND status = 'completed' LIMIT 1`,
+          [loadId]
+        );
+
+        if (delivered && delivered.rows.length > 0) {
+          const transition = await loadStatus.transitionLoad(loadId, 'delivered', {
+            actor,
+            source: 'api',
+            gps: gps || null,
+            stopId: stop.id,
+            fields: { payout_status: 'pending' },
+            timestamps: ['completed_at'],
+          });
+
+          if (!transition.ok) {
+            console.error(`[Loads] Load ${loadId} not marked delivered: ${transition.error}`);
+          } else if (!transition.unchanged) {
+            emitLoadStatus(transition.load, transition.fromStatus)
+              .catch(err => console.error('[Loads] Status emit error:', err));
+            loadNotifications.onStatusChange(loadId, 'delivered', transition.fromStatus);
+          }
+        }
+      }
+
+      emitToLoadParties(loadId, 'stop:status', {
+        loadId,
+        stopId: stop.id,
+        sequence: stop.sequence,
+        stopType: stop.stop_type,
+        status: newStatus,
+        fromStatus: stop.status,
+      }).catch(err => console.error('[Loads] Stop status emit error:', err));
+
+      res.json({
+        message: `Stop ${stop.sequence} updated to ${newStatus}`,
+        stop: loadStops.formatStopResponse(updatedStop),
+      });
+    } catch (error) {
+      console.error('[Loads] Stop status update error:', error);
+      res.status(500).json({ error: 'Failed to update stop status' });
+    }
+  }
+);
+
 /**
  * POST /loads/:id/cancel
  * Cancel a load
@@ -1193,23 +1674,24 @@ router.post('/:id/cancel',
 
       const load = loadCheck.rows[0];
 
-      // Update load status
-      const result = await pool.query(`
-        UPDATE loads 
-        SET status = 'cancelled',
-            cancelled_at = CURRENT_TIMESTAMP,
-            cancelled_by = $1,
-            updated_at = CURRENT_TIMESTAMP
-        WHERE id = $2
-        RETURNING *
-      `, [req.user.id, loadId]);
-
-      // Cancel any pending assignments
-      await pool.query(`
-        UPDATE assignments 
-        SET status = 'cancelled'
-        WHERE load_id = $1 AND status NOT IN ('completed', 'cancelled')
-      `, [loadId]);
+      // Update load status (active assignments are cancelled with it)
+      const transition = await loadStatus.transitionLoad(loadId, 'cancelled', {
+        actor: { id: req.user.id, role: req.user.role },
+        source: 'api',
+        reason: reason || null,
+        fields: { cancelled_by: req.user.id },
+      });
+
+      if (!transition.ok) {
+        return res.status(400).json({
+          error: transition.error,
+          currentStatus: transition.currentStatus,
+          allowedStatuses: transition.allowedStatuses,
+        });
+      }
+
+      emitLoadStatus(transition.load, transition.fromStatus)
+        .catch(err => console.error('[Loads] Status emit error:', err));
 
       // Cancel any pending offers
       await pool.query(`
@@ -1233,7 +1715,7 @@ router.post('/:id/cancel',
 
       res.json({
         message: 'Load cancelled',
-        load: formatLoadResponse(result.rows[0]),
+        load: formatLoadResponse(transition.load),
       });
     } catch (error) {
       console.error('[Loads] Cancel error:', error);
@@ -1262,13 +1744,19 @@ router.put('/:id/location',
         return res.status(404).json({ error: 'Load not found or access denied' });
       }
 
-      // Update driver location in users table (not driver_profiles)
-      await pool.query(
-        `UPDATE users 
-         SET driver_lat = $1, driver_lng = $2, location_updated_at = CURRENT_TIMESTAMP
-         WHERE id = $3`,
-        [lat, lng, req.user.id]
-      );
+      // Current position and breadcrumb trail for this load
+      const recorded = await breadcrumbs.recordLocation(req.user.id, {
+        ...req.body,
+        latitude: lat,
+        longitude: lng,
+      }, { source: 'load', loadId: req.params.id });
+
+      if (!recorded.ok) {
+        return res.status(400).json({ error: recorded.error });
+      }
+
+      broadcastDriverLocation(req.user.id, { ...req.body, latitude: lat, longitude: lng })
+        .catch(err => console.error('[Loads] Location broadcast error:', err));
 
       res.json({ message: 'Location updated' });
     } catch (error) {
@@ -1386,6 +1874,7 @@ function formatLoadResponse(load, detailed = false) {
     deliveryCity: load.delivery_city,
     deliveryState: load.delivery_state,
     distanceMiles: parseFloat(load.distance_miles) || 0,
+    driveTimeMinutes: load.drive_time_minutes || null,
     price: parseFloat(load.price) || 0,
     expeditedFee: parseFloat(load.expedited_fee) || 0,
     driverPayout: parseFloat(load.driver_payout) || 0,
@@ -1423,6 +1912,11 @@ function formatLoadResponse(load, detailed = false) {
   }
 
   if (detailed) {
+    // Windows are stop-local; zone and instants let clients render them there
+    const [pickupStop, deliveryStop] = loadStops.buildLegacyStops(load);
+    const pickupWindow = loadStops.formatStopWindow(pickupStop);
+    const deliveryWindow = loadStops.formatStopWindow(deliveryStop);
+
     Object.assign(response, {
       // Pickup details
       pickupAddress: load.pickup_address,
@@ -1435,6 +1929,9 @@ function formatLoadResponse(load, detailed = false) {
       pickupDate: load.pickup_date,
       pickupTimeStart: load.pickup_time_start,
       pickupTimeEnd: load.pickup_time_end,
+      pickupTimezone: pickupWindow.timezone,
+      pickupWindowStartAt: pickupWindow.windowStartAt,
+      pickupWindowEndAt: pickupWindow.windowEndAt,
       pickupInstructions: load.pickup_instructions || load.pickup_notes,
       // Delivery details
       deliveryAddress: load.delivery_address,
@@ -1447,15 +1944,29 @@ function formatLoadResponse(load, detailed = false) {
       deliveryDate: load.delivery_date,
       deliveryTimeStart: load.delivery_time_start,
       deliveryTimeEnd: load.delivery_time_end,
+      deliveryTimezone: deliveryWindow.timezone,
+      deliveryWindowStartAt: deliveryWindow.windowStartAt,
+      deliveryWindowEndAt: deliveryWindow.windowEndAt,
       deliveryInstructions: load.delivery_instructions || load.delivery_notes,
+      routePolyline: load.route_polyline || null,
+      routeProvider: load.route_provider || null,
       // Cargo details
       dimensions: load.dimensions,
       isFragile: load.is_fragile,
       requiresLiftgate: load.requires_liftgate,
       requiresPalletJack: load.requires_pallet_jack,
+      requiresTarps: load.requires_tarps || false,
+      requiresReefer: load.requires_reefer || false,
       specialRequirements: load.special_requirements,
       // Pricing
       platformFee: parseFloat(load.platform_fee) || 0,
+      rateTableVersion: load.rate_table_version,
+      rateBreakdown: load.rate_breakdown || null,
+      quoteId: load.quote_id || null,
+      fuelSurcharge: parseFloat(load.fuel_surcharge) || 0,
+      fuelIndexWeek: load.fuel_index_week || null,
+      fuelIndexPrice: load.fuel_index_price ? parseFloat(load.fuel_index_price) : null,
+      accessorialTotal: parseFloat(load.accessorial_total) || 0,
       // People
       shipperId: load.shipper_id,
       driverId: load.driver_id,
@@ -1466,6 +1977,8 @@ function formatLoadResponse(load, detailed = false) {
       deliveredAt: load.delivered_at,
       completedAt: load.completed_at,
       cancelledAt: load.cancelled_at,
+      // Live ETA
+      eta: eta.formatStoredEta(load),
     });
   }
 
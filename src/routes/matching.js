@@ -6,6 +6,10 @@ const router = express.Router();
 const { pool } = require('../db/pool');
 const { authenticate, requireUserType } = require('../middleware/auth');
 const matchingService = require('../services/matchingService');
+const hos = require('../services/hos');
+const equipment = require('../services/equipment');
+const loadStatus = require('../services/loadStatus');
+const offerJobs = require('../jobs/offerJobs');
 
 // ============================================
 // GET /api/matching/loads/:loadId/matches
@@ -121,11 +125,32 @@ router.post('/loads/:loadId/offers', authenticate, async (req, res) => {
         
         const match = matchResult.matches.find(m => m.driverId === driverId);
         
+        // Equipment: the driver's truck must be able to take this freight
+        const equipmentFit = match?.equipmentFit
+          || equipment.formatFit(await equipment.checkDriverForLoad(driverId, load));
+        if (!equipmentFit.compatible) {
+          errors.push({ driverId, error: equipmentFit.reasons[0], code: 'EQUIPMENT_MISMATCH', equipmentFit });
+          continue;
+        }
+        
+        // Hours of service: refuse drivers who can't legally make the windows,
+        // flag the rests others will need
+        let hosCheck = match?.hos || null;
+        if (!hosCheck) {
+          const sequence = await hos.planLoadSequence(driverId, [load]);
+          hosCheck = sequence ? hos.formatPlan(sequence.plan, sequence.clocks) : null;
+        }
+        if (hosCheck && !hosCheck.compliant) {
+          errors.push({ driverId, error: hosCheck.violations[0], hos: hosCheck });
+          continue;
+        }
+        const hosWarnings = hosCheck?.warnings.length > 0 ? hosCheck.warnings : null;
+        
         const offerResult = await pool.query(`
           INSERT INTO load_offers (
             load_id, driver_id, offer_amount, driver_payout,
-            deadhead_miles, route_fit_score, status, expires_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7)
+            deadhead_miles, route_fit_score, status, expires_at, hos_warnings
+          ) VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $8)
           RETURNING *
         `, [
           loadId,
@@ -135,13 +160,19 @@ router.post('/loads/:loadId/offers', authenticate, async (req, res) => {
           match?.deadheadMiles || null,
           match?.score || null,
           expiresAt,
+          hosWarnings ? JSON.stringify(hosWarnings) : null,
         ]);
         
+        offerJobs.scheduleLoadOfferExpiry(offerResult.rows[0]).catch(err =>
+          console.error('[Matching] Failed to schedule offer expiry:', err)
+        );
+        
         offers.push({
           offerId: offerResult.rows[0].id,
           driverId,
           score: match?.score,
           matchLabel: match?.matchLabel,
+          hosWarnings,
           expiresAt,
         });
         
@@ -242,7 +273,9 @@ router.post('/offers/:offerId/respond', authenticate, async (req, res) => {
     
     // Get offer and verify ownership
     const offerResult = await pool.query(`
-      SELECT o.*, l.status as load_status, l.shipper_id
+      SELECT o.*, l.status as load_status, l.shipper_id,
+        l.vehicle_type_required, l.weight_lbs, l.pieces, l.dimensions, l.is_fragile,
+        l.requires_liftgate, l.requires_pallet_jack, l.requires_reefer, l.requires_tarps
       FROM load_offers o
       JOIN loads l ON o.load_id = l.id
       WHERE o.id = $1
@@ -272,6 +305,16 @@ router.post('/offers/:offerId/respond', authenticate, async (req, res) => {
     
     // Handle the response
     if (action === 'accept') {
+      // Equipment may have changed since the offer went out
+      const equipmentFit = equipment.formatFit(await equipment.checkDriverForLoad(req.user.id, offer));
+      if (!equipmentFit.compatible) {
+        return res.status(409).json({
+          error: equipmentFit.reasons[0],
+          code: 'EQUIPMENT_MISMATCH',
+          equipmentFit,
+        });
+      }
+      
       // Start transaction
       const client = await pool.connect();
       try {
@@ -284,11 +327,19 @@ router.post('/offers/:offerId/respond', authenticate, async (req, res) => {
         );
         
         // Assign load to driver
-        await client.query(`
-          UPDATE loads 
-          SET driver_id = $1, status = 'assigned', assigned_at = NOW()
-          WHERE id = $2
-        `, [req.user.id, offer.load_id]);
+        const transition = await loadStatus.transitionLoad(offer.load_id, 'assigned', {
+          actor: { id: req.user.id, role: req.user.role },
+          source: 'offer',
+          reason: 'Driver accepted match offer',
+          metadata: { loadOfferId: offerId },
+          fields: { driver_id: req.user.id },
+          client,
+        });
+        
+        if (!transition.ok) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: transition.error, currentStatus: transition.currentStatus });
+        }
         
         // Expire all other pending offers for this load
         await client.query(`
@@ -0,0 +1,182 @@
+// Messages Routes - Per-load threads between shipper, broker, carrier and driver
+// Participants are derived from the load (services/loadMessages.js). New
+// messages and read receipts go out as message:new / message:read socket
+// events; participants without a connected socket get a push instead.
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const loadMessages = require('../services/loadMessages');
+const config = require('../config');
+const { emitToLoadParties } = require('../realtime/socket');
+
+const router = express.Router();
+
+const isMessageId = (value) => /^\d+$/.test(String(value));
+
+/**
+ * Helper: Thread context and the user's role on it, or an error response
+ */
+const getThread = async (req, res) => {
+  const context = await loadMessages.getThreadContext(req.params.loadId);
+  if (!context) {
+    res.status(404).json({ error: 'Load not found' });
+    return null;
+  }
+
+  const role = loadMessages.getParticipantRole(req.user, context);
+  if (!role) {
+    res.status(403).json({ error: 'Not a participant on this load' });
+    return null;
+  }
+  return { context, role };
+};
+
+/**
+ * GET /messages/threads
+ * Load threads the user takes part in, latest activity first
+ */
+router.get('/threads', authenticate, async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+    const threads = await loadMessages.listThreads(req.user.id, {
+      limit: Math.min(parseInt(limit) || 20, 100),
+      offset: parseInt(offset) || 0,
+    });
+
+    res.json({
+      threads: threads.map(loadMessages.formatThread),
+      unreadTotal: threads.reduce((sum, t) => sum + (parseInt(t.unread_count) || 0), 0),
+    });
+  } catch (error) {
+    console.error('[Messages] Threads error:', error);
+    res.status(500).json({ error: 'Failed to get threads' });
+  }
+});
+
+/**
+ * GET /messages/load/:loadId
+ * Thread page (oldest first), participants and read receipts.
+ * Query: before / after (message id cursors), limit
+ */
+router.get('/load/:loadId', authenticate, async (req, res) => {
+  try {
+    const thread = await getThread(req, res);
+    if (!thread) return;
+
+    const { before, after, limit } = req.query;
+    if ((before && !isMessageId(before)) || (after && !isMessageId(after))) {
+      return res.status(400).json({ error: 'before and after must be message ids' });
+    }
+
+    const messages = await loadMessages.listMessages(req.params.loadId, {
+      before: before || null,
+      after: after || null,
+      limit: Math.min(parseInt(limit) || config.messaging.pageSize, 200),
+    });
+    const receipts = await loadMessages.getReadReceipts(req.params.loadId);
+
+    res.json({
+      loadId: req.params.loadId,
+      messages: await Promise.all(messages.map((m) => loadMessages.formatMessage(m, req.user.id))),
+      participants: thread.context.participants,
+      readReceipts: receipts.map(loadMessages.formatReceipt),
+      myRole: thread.role,
+    });
+  } catch (error) {
+    console.error('[Messages] List error:', error);
+    res.status(500).json({ error: 'Failed to get messages' });
+  }
+});
+
+/**
+ * POST /messages/load/:loadId/upload-url
+ * Presigned S3 upload for a photo; send the returned key in attachments
+ * Body: { contentType, fileName }
+ */
+router.post('/load/:loadId/upload-url', authenticate, async (req, res) => {
+  try {
+    const thread = await getThread(req, res);
+    if (!thread) return;
+
+    const upload = await loadMessages.getAttachmentUploadUrl(req.user.id, req.body);
+    if (!upload.ok) {
+      return res.status(400).json({ error: upload.error });
+    }
+
+    res.json({ uploadUrl: upload.uploadUrl, key: upload.key, expiresIn: upload.expiresIn });
+  } catch (error) {
+    console.error('[Messages] Upload URL error:', error);
+    res.status(500).json({ error: 'Failed to create upload URL' });
+  }
+});
+
+/**
+ * POST /messages/load/:loadId
+ * Send a message
+ * Body: { body, attachments: [{ key, contentType, fileName }] }
+ */
+router.post('/load/:loadId', authenticate, async (req, res) => {
+  try {
+    const thread = await getThread(req, res);
+    if (!thread) return;
+
+    const { body, attachments } = req.body;
+    const created = await loadMessages.createMessage({
+      loadId: req.params.loadId,
+      sender: req.user,
+      senderRole: thread.role,
+      body,
+      attachments,
+    });
+    if (!created.ok) {
+      return res.status(400).json({ error: created.error });
+    }
+
+    const message = await loadMessages.formatMessage({
+      ...created.message,
+      sender_name: req.user.name,
+      sender_first_name: req.user.first_name,
+      sender_last_name: req.user.last_name,
+    });
+
+    await emitToLoadParties(req.params.loadId, 'message:new', { loadId: req.params.loadId, message });
+    loadMessages.notifyOffline(created.message, thread.context, { id: req.user.id, name: message.sender.name })
+      .catch((error) => console.error('[Messages] Push fallback error:', error));
+
+    res.status(201).json({ message: { ...message, isMe: true } });
+  } catch (error) {
+    console.error('[Messages] Send error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+/**
+ * POST /messages/load/:loadId/read
+ * Read receipt up to a message (default: the latest)
+ * Body: { messageId }
+ */
+router.post('/load/:loadId/read', authenticate, async (req, res) => {
+  try {
+    const thread = await getThread(req, res);
+    if (!thread) return;
+
+    const { messageId } = req.body;
+    if (messageId && !isMessageId(messageId)) {
+      return res.status(400).json({ error: 'messageId must be a message id' });
+    }
+
+    const receipt = await loadMessages.markRead(req.params.loadId, req.user.id, messageId || null);
+    if (!receipt) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const formatted = loadMessages.formatReceipt(receipt);
+    await emitToLoadParties(req.params.loadId, 'message:read', { loadId: req.params.loadId, ...formatted });
+
+    res.json({ receipt: formatted });
+  } catch (error) {
+    console.error('[Messages] Read receipt error:', error);
+    res.status(500).json({ error: 'Failed to mark read' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,11 @@
 const express = require('express');
 const { pool } = require('../db/pool');
 const { authenticate } = require('../middleware/auth');
+const loadStatus = require('../services/loadStatus');
+const pricing = require('../services/pricing');
+const hos = require('../services/hos');
+const equipment = require('../services/equipment');
+const offerJobs = require('../jobs/offerJobs');
 
 const router = express.Router();
 
@@ -129,6 +134,32 @@ router.post('/', authenticate, async (req, res) => {
       });
     }
 
+    // A driver bidding for themselves needs equipment that takes the freight...
+    if (userOrg.role === 'driver') {
+      const equipmentFit = equipment.formatFit(await equipment.checkDriverForLoad(req.user.id, load));
+      if (!equipmentFit.compatible) {
+        return res.status(409).json({
+          error: equipmentFit.reasons[0],
+          code: 'EQUIPMENT_MISMATCH',
+          equipmentFit,
+        });
+      }
+    }
+
+    // ...and must be able to run it within hours of service
+    let hosCheck = null;
+    if (userOrg.role === 'driver') {
+      const sequence = await hos.planLoadSequence(req.user.id, [load]);
+      hosCheck = sequence ? hos.formatPlan(sequence.plan, sequence.clocks) : null;
+      if (hosCheck && !hosCheck.compliant) {
+        return res.status(409).json({
+          error: hosCheck.violations[0],
+          code: 'HOS_VIOLATION',
+          hos: hosCheck,
+        });
+      }
+    }
+
     await client.query('BEGIN');
 
     // Calculate expiry
@@ -149,6 +180,10 @@ router.post('/', authenticate, async (req, res) => {
 
     await client.query('COMMIT');
 
+    offerJobs.scheduleOfferExpiry(offer).catch(err =>
+      console.error('[Offers] Failed to schedule expiry:', err)
+    );
+
     // Notify shipper/broker of new offer
     if (notificationService && load.shipper_id) {
       try {
@@ -166,6 +201,7 @@ router.post('/', authenticate, async (req, res) => {
     res.status(201).json({
       message: 'Offer submitted successfully',
       offer: formatOfferResponse(offer, userOrg),
+      hosWarnings: hosCheck?.warnings.length > 0 ? hosCheck.warnings : undefined,
     });
   } catch (error) {
     await client.query('ROLLBACK');
@@ -430,14 +466,19 @@ router.put('/:id/accept', authenticate, async (req, res) => {
       ? offer.counter_amount 
       : offer.amount;
 
+    // Fee split for the negotiated amount, recorded on both offer and load
+    const rating = await pricing.rateAmount(acceptedAmount, { label: 'Accepted offer', source: 'offer' }, client);
+
     await client.query(
       `UPDATE offers 
        SET status = 'accepted', 
            accepted_at = CURRENT_TIMESTAMP,
            accepted_by_user_id = $1,
-           final_amount = $2
+           final_amount = $2,
+           rate_table_version = $4,
+           rate_breakdown = $5
        WHERE id = $3`,
-      [req.user.id, acceptedAmount, req.params.id]
+      [req.user.id, acceptedAmount, req.params.id, rating.rateTableVersion, JSON.stringify(rating)]
     );
 
     // Decline all other pending offers on this load
@@ -452,16 +493,26 @@ router.put('/:id/accept', authenticate, async (req, res) => {
 
     // Update load - assign to carrier (not individual driver yet)
     // The carrier's dispatcher will assign a specific driver
-    await client.query(
-      `UPDATE loads 
-       SET status = 'assigned',
-           assigned_carrier_org_id = $1,
-           carrier_pay = $2,
-           assigned_at = CURRENT_TIMESTAMP,
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $3`,
-      [offer.carrier_org_id, acceptedAmount, offer.load_id]
-    );
+    const transition = await loadStatus.transitionLoad(offer.load_id, 'assigned', {
+      actor: { id: req.user.id, role: req.user.role },
+      source: 'offer',
+      reason: `Offer accepted from ${offer.carrier_org_name}`,
+      metadata: { offerId: req.params.id, amount: parseFloat(acceptedAmount) },
+      fields: {
+        assigned_carrier_org_id: offer.carrier_org_id,
+        carrier_pay: acceptedAmount,
+        driver_payout: rating.driverPayout,
+        platform_fee: rating.platformFee,
+        rate_table_version: rating.rateTableVersion,
+        rate_breakdown: JSON.stringify(rating),
+      },
+      client,
+    });
+
+    if (!transition.ok) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: transition.error, currentStatus: transition.currentStatus });
+    }
 
     await client.query('COMMIT');
 
@@ -691,6 +742,7 @@ router.put('/:id/accept-counter', authenticate, async (req, res) => {
     await client.query('BEGIN');
 
     const finalAmount = offer.counter_amount;
+    const rating = await pricing.rateAmount(finalAmount, { label: 'Accepted counter offer', source: 'offer' }, client);
 
     // Accept the counter
     await client.query(
@@ -698,9 +750,11 @@ router.put('/:id/accept-counter', authenticate, async (req, res) => {
        SET status = 'accepted', 
            accepted_at = CURRENT_TIMESTAMP,
            accepted_by_user_id = $1,
-           final_amount = $2
+           final_amount = $2,
+           rate_table_version = $4,
+           rate_breakdown = $5
        WHERE id = $3`,
-      [req.user.id, finalAmount, req.params.id]
+      [req.user.id, finalAmount, req.params.id, rating.rateTableVersion, JSON.stringify(rating)]
     );
 
     // Decline other pending offers
@@ -714,16 +768,26 @@ router.put('/:id/accept-counter', authenticate, async (req, res) => {
     );
 
     // Update load
-    await client.query(
-      `UPDATE loads 
-       SET status = 'assigned',
-           assigned_carrier_org_id = $1,
-           carrier_pay = $2,
-           assigned_at = CURRENT_TIMESTAMP,
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $3`,
-      [userOrg.org_id, finalAmount, offer.load_id]
-    );
+    const transition = await loadStatus.transitionLoad(offer.load_id, 'assigned', {
+      actor: { id: req.user.id, role: req.user.role },
+      source: 'offer',
+      reason: 'Counter offer accepted',
+      metadata: { offerId: req.params.id, amount: parseFloat(finalAmount) },
+      fields: {
+        assigned_carrier_org_id: userOrg.org_id,
+        carrier_pay: finalAmount,
+        driver_payout: rating.driverPayout,
+        platform_fee: rating.platformFee,
+        rate_table_version: rating.rateTableVersion,
+        rate_breakdown: JSON.stringify(rating),
+      },
+      client,
+    });
+
+    if (!transition.ok) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: transition.error, currentStatus: transition.currentStatus });
+    }
 
     await client.query('COMMIT');
 
@@ -824,6 +888,8 @@ function formatOfferResponse(offer, userOrg = null) {
     counterAmount: offer.counter_amount ? parseFloat(offer.counter_amount) : null,
     counterMessage: offer.counter_message || offer.counter_notes,
     finalAmount: offer.final_amount ? parseFloat(offer.final_amount) : null,
+    rateTableVersion: offer.rate_table_version || null,
+    rateBreakdown: offer.rate_breakdown || null,
     status: offer.status,
     notes: offer.notes,
     expiresAt: offer.expires_at,
@@ -1,11 +1,14 @@
 // backend_api/src/routes/orgs.js
-// Organization management: invites, driver management, document review, compliance
+// Organization management: invites, driver management, document review, compliance,
+// fuel surcharge schedules, accessorial rates
 
 const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const { pool } = require('../db/pool');
 const { authenticate } = require('../middleware/auth');
+const fuelSurcharge = require('../services/fuelSurcharge');
+const accessorials = require('../services/accessorials');
 
 // ============================================
 // MIDDLEWARE: Verify org membership and role
@@ -770,6 +773,104 @@ router.put('/:orgId/documents/:docId/review', authenticate, requireOrgRole('carr
   }
 });
 
+// ============================================
+// FUEL SURCHARGE SCHEDULES
+// ============================================
+
+// GET /api/orgs/:orgId/fuel-schedules - Org schedules plus platform schedules
+router.get('/:orgId/fuel-schedules', authenticate, requireOrgRole(), async (req, res) => {
+  try {
+    const rows = await fuelSurcharge.listSchedules(req.params.orgId);
+    res.json({ schedules: rows.map(fuelSurcharge.formatSchedule) });
+  } catch (error) {
+    console.error('[Orgs] List fuel schedules error:', error);
+    res.status(500).json({ error: 'Failed to list fuel schedules' });
+  }
+});
+
+// POST /api/orgs/:orgId/fuel-schedules - Create (isDefault makes it the org's contracted fuel terms)
+router.post('/:orgId/fuel-schedules', authenticate, requireOrgRole('shipper_admin', 'broker_admin'), async (req, res) => {
+  try {
+    const { fields, errors } = fuelSurcharge.validateSchedule(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid fuel schedule', details: errors });
+    }
+
+    const schedule = await fuelSurcharge.createSchedule(req.params.orgId, fields, req.user.id);
+    res.status(201).json({ message: 'Fuel schedule created', schedule: fuelSurcharge.formatSchedule(schedule) });
+  } catch (error) {
+    console.error('[Orgs] Create fuel schedule error:', error);
+    res.status(500).json({ error: 'Failed to create fuel schedule' });
+  }
+});
+
+// PUT /api/orgs/:orgId/fuel-schedules/:scheduleId - Update, set default or deactivate
+router.put('/:orgId/fuel-schedules/:scheduleId', authenticate, requireOrgRole('shipper_admin', 'broker_admin'), async (req, res) => {
+  try {
+    const { fields, errors } = fuelSurcharge.validateSchedule(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid fuel schedule', details: errors });
+    }
+
+    const schedule = await fuelSurcharge.updateSchedule(req.params.scheduleId, req.params.orgId, fields);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Fuel schedule not found' });
+    }
+    res.json({ message: 'Fuel schedule updated', schedule: fuelSurcharge.formatSchedule(schedule) });
+  } catch (error) {
+    console.error('[Orgs] Update fuel schedule error:', error);
+    res.status(500).json({ error: 'Failed to update fuel schedule' });
+  }
+});
+
+// ============================================
+// ACCESSORIAL RATES
+// ============================================
+
+// GET /api/orgs/:orgId/accessorial-rates - Catalog with the org's contracted rates applied
+router.get('/:orgId/accessorial-rates', authenticate, requireOrgRole(), async (req, res) => {
+  try {
+    const rows = await accessorials.listRates(req.params.orgId);
+    res.json({ rates: rows.map(accessorials.formatRate) });
+  } catch (error) {
+    console.error('[Orgs] List accessorial rates error:', error);
+    res.status(500).json({ error: 'Failed to list accessorial rates' });
+  }
+});
+
+// PUT /api/orgs/:orgId/accessorial-rates/:code - Set the org's rate { rate, freeMinutes?, maxAmount?, isEnabled? }
+router.put('/:orgId/accessorial-rates/:code', authenticate, requireOrgRole('shipper_admin', 'broker_admin'), async (req, res) => {
+  try {
+    const { fields, errors } = accessorials.validateOrgRate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid accessorial rate', details: errors });
+    }
+
+    const rate = await accessorials.upsertOrgRate(req.params.orgId, req.params.code, fields, req.user.id);
+    if (!rate) {
+      return res.status(404).json({ error: 'Accessorial type not found' });
+    }
+    res.json({ message: 'Accessorial rate saved', rate: accessorials.formatRate(rate) });
+  } catch (error) {
+    console.error('[Orgs] Save accessorial rate error:', error);
+    res.status(500).json({ error: 'Failed to save accessorial rate' });
+  }
+});
+
+// DELETE /api/orgs/:orgId/accessorial-rates/:code - Revert to the platform default rate
+router.delete('/:orgId/accessorial-rates/:code', authenticate, requireOrgRole('shipper_admin', 'broker_admin'), async (req, res) => {
+  try {
+    const removed = await accessorials.deleteOrgRate(req.params.orgId, req.params.code);
+    if (!removed) {
+      return res.status(404).json({ error: 'No contracted rate for this accessorial' });
+    }
+    res.json({ message: 'Accessorial rate reverted to platform default' });
+  } catch (error) {
+    console.error('[Orgs] Delete accessorial rate error:', error);
+    res.status(500).json({ error: 'Failed to delete accessorial rate' });
+  }
+});
+
 // ============================================
 // COMPLIANCE
 // ============================================
@@ -6,6 +6,7 @@ const router = express.Router();
 const { pool } = require('../db/pool');
 const { authenticate, requireUserType } = require('../middleware/auth');
 const stripeService = require('../services/stripeService');
+const payoutJobs = require('../jobs/payoutJobs');
 
 // ============================================
 // STRIPE SETUP (Mobile SDK initialization)
@@ -294,24 +295,12 @@ router.post('/capture/:loadId', authenticate, async (req, res) => {
       );
       
       if (driverResult.rows[0]?.stripe_account_id) {
-        const driverPayout = parseFloat(load.driver_payout);
+        // Claimed, so a payout sweep running now cannot pay the same load
+        const payout = await payoutJobs.payoutLoad(loadId, driverResult.rows[0].stripe_account_id);
         
-        const transfer = await stripeService.transferToDriver(
-          driverResult.rows[0].stripe_account_id,
-          driverPayout,
-          loadId
-        );
-        
-        // Record the transfer
-        await pool.query(`
-          UPDATE loads 
-          SET payout_status = 'transferred',
-              stripe_transfer_id = $1,
-              payout_at = NOW()
-          WHERE id = $2
-        `, [transfer.transferId, loadId]);
-        
-        console.log(`[Payments] Transferred $${driverPayout} to driver for load ${loadId}`);
+        if (payout) {
+          console.log(`[Payments] Transferred $${payout.amount} to driver for load ${loadId}`);
+        }
       }
     }
     
@@ -0,0 +1,190 @@
+// Quotes Routes - Saved rate quotes
+// A quote is converted into a load by posting it: POST /api/loads { quoteId, ...stops }
+const express = require('express');
+const { pool } = require('../db/pool');
+const { authenticate } = require('../middleware/auth');
+const quotes = require('../services/quotes');
+
+const router = express.Router();
+
+const QUOTE_STATUSES = ['open', 'expired', 'converted', 'cancelled'];
+
+/**
+ * Helper: Get user's primary org
+ */
+const getUserPrimaryOrg = async (userId) => {
+  const result = await pool.query(`
+    SELECT o.id as org_id, o.org_type, m.role
+    FROM memberships m
+    JOIN orgs o ON m.org_id = o.id
+    WHERE m.user_id = $1 AND m.is_active = true AND o.is_active = true
+    ORDER BY m.is_primary DESC, m.joined_at ASC
+    LIMIT 1
+  `, [userId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * POST /quotes
+ * Rate a shipment and save the quote.
+ * Body: distanceMiles or origin/destination (Lat+Lng or City/State/Zip),
+ * equipment, loadType, isBackhaulSaver, expeditedFee, pickupDate (fuel index week)
+ */
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const userOrg = await getUserPrimaryOrg(req.user.id);
+    const priced = await quotes.priceQuote(req.body, { orgId: userOrg?.org_id });
+    if (!priced.ok) {
+      return res.status(400).json({ error: priced.error });
+    }
+
+    const quote = await quotes.createQuote({
+      userId: req.user.id,
+      orgId: userOrg?.org_id,
+      ...priced,
+    });
+
+    res.status(201).json({
+      message: 'Quote saved',
+      quote: quotes.formatQuoteResponse(quote),
+    });
+  } catch (error) {
+    console.error('[Quotes] Create error:', error);
+    res.status(500).json({ error: 'Failed to create quote' });
+  }
+});
+
+/**
+ * GET /quotes
+ * Quotes created by the user or their org
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { status, limit = 20, offset = 0 } = req.query;
+
+    if (status && !QUOTE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${QUOTE_STATUSES.join(', ')}` });
+    }
+
+    const userOrg = await getUserPrimaryOrg(req.user.id);
+    const rows = await quotes.listQuotes({
+      userId: req.user.id,
+      orgId: userOrg?.org_id,
+      status,
+      limit: Math.min(parseInt(limit) || 20, 100),
+      offset: parseInt(offset) || 0,
+    });
+
+    res.json({ quotes: rows.map((q) => quotes.formatQuoteResponse(q)) });
+  } catch (error) {
+    console.error('[Quotes] List error:', error);
+    res.status(500).json({ error: 'Failed to get quotes' });
+  }
+});
+
+/**
+ * GET /quotes/shared/:token
+ * Public view of a shared quote (no auth; price and line items only)
+ */
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const quote = await quotes.getQuoteByShareToken(req.params.token);
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    res.json({ quote: quotes.formatQuoteResponse(quote, { shared: true }) });
+  } catch (error) {
+    console.error('[Quotes] Shared get error:', error);
+    res.status(500).json({ error: 'Failed to get quote' });
+  }
+});
+
+/**
+ * GET /quotes/:id
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const userOrg = await getUserPrimaryOrg(req.user.id);
+    const quote = await quotes.getQuoteForUser(req.params.id, req.user.id, userOrg?.org_id);
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    res.json({ quote: quotes.formatQuoteResponse(quote) });
+  } catch (error) {
+    console.error('[Quotes] Get error:', error);
+    res.status(500).json({ error: 'Failed to get quote' });
+  }
+});
+
+/**
+ * POST /quotes/:id/share
+ * Create a share link token (idempotent)
+ */
+router.post('/:id/share', authenticate, async (req, res) => {
+  try {
+    const userOrg = await getUserPrimaryOrg(req.user.id);
+    const existing = await quotes.getQuoteForUser(req.params.id, req.user.id, userOrg?.org_id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    const quote = await quotes.shareQuote(existing.id);
+    res.json({
+      shareToken: quote.share_token,
+      sharePath: `/api/quotes/shared/${quote.share_token}`,
+      quote: quotes.formatQuoteResponse(quote),
+    });
+  } catch (error) {
+    console.error('[Quotes] Share error:', error);
+    res.status(500).json({ error: 'Failed to share quote' });
+  }
+});
+
+/**
+ * DELETE /quotes/:id/share
+ * Revoke the share link
+ */
+router.delete('/:id/share', authenticate, async (req, res) => {
+  try {
+    const userOrg = await getUserPrimaryOrg(req.user.id);
+    const existing = await quotes.getQuoteForUser(req.params.id, req.user.id, userOrg?.org_id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    const quote = await quotes.unshareQuote(existing.id);
+    res.json({ message: 'Share link revoked', quote: quotes.formatQuoteResponse(quote) });
+  } catch (error) {
+    console.error('[Quotes] Unshare error:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
+/**
+ * POST /quotes/:id/cancel
+ * Withdraw an open quote so it can no longer be converted
+ */
+router.post('/:id/cancel', authenticate, async (req, res) => {
+  try {
+    const userOrg = await getUserPrimaryOrg(req.user.id);
+    const existing = await quotes.getQuoteForUser(req.params.id, req.user.id, userOrg?.org_id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    const quote = await quotes.cancelQuote(existing.id);
+    if (!quote) {
+      return res.status(409).json({ error: `Quote is ${quotes.getQuoteStatus(existing)}` });
+    }
+
+    res.json({ message: 'Quote cancelled', quote: quotes.formatQuoteResponse(quote) });
+  } catch (error) {
+    console.error('[Quotes] Cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel quote' });
+  }
+});
+
+module.exports = router;
@@ -5,59 +5,26 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../db/pool');
 const { authenticate } = require('../middleware/auth');
+const config = require('../config');
+const quotes = require('../services/quotes');
+const laneRates = require('../services/laneRates');
+const fuelSurcharge = require('../services/fuelSurcharge');
+const equipment = require('../services/equipment');
+const {
+  EQUIPMENT_TO_GROUP, DEFAULT_BENCHMARKS, calculateQuote, toEquipmentGroup, getBenchmark, getActiveRateTable,
+} = require('../services/pricing');
 
-// ============================================
-// EQUIPMENT GROUP MAPPING
-// Maps display names to database keys
-// ============================================
-const EQUIPMENT_TO_GROUP = {
-  'Cargo Van': 'cargo_van',
-  'Sprinter Van': 'sprinter_van',
-  'Box Truck 16ft': 'box_truck_16',
-  'Box Truck 24ft': 'box_truck_24',
-  'Box Truck 26ft': 'box_truck_26',
-  'Dry Van 48ft': 'dry_van_48',
-  'Dry Van 53ft': 'dry_van_53',
-  'Reefer 48ft': 'reefer_48',
-  'Reefer 53ft': 'reefer_53',
-  'Flatbed 48ft': 'flatbed_48',
-  'Flatbed 53ft': 'flatbed_53',
-  'Step Deck': 'step_deck',
-  'Conestoga': 'conestoga',
-  'Hotshot Trailer': 'hotshot_trailer',
-  'Pickup w/ Trailer': 'pickup_trailer',
-  'Power Only': 'power_only',
-  'Double Drop': 'double_drop',
-  'Lowboy': 'lowboy',
-  'RGN': 'rgn',
-  'Tanker': 'tanker',
-  'Car Hauler': 'car_hauler',
-};
-
-// Default benchmarks (fallback if DB empty)
-const DEFAULT_BENCHMARKS = {
-  cargo_van: 1.25,
-  sprinter_van: 1.40,
-  box_truck_16: 1.65,
-  box_truck_24: 1.80,
-  box_truck_26: 1.90,
-  dry_van_48: 2.10,
-  dry_van_53: 2.25,
-  reefer_48: 2.50,
-  reefer_53: 2.65,
-  flatbed_48: 2.40,
-  flatbed_53: 2.55,
-  step_deck: 2.70,
-  conestoga: 2.85,
-  hotshot_trailer: 1.75,
-  pickup_trailer: 1.50,
-  power_only: 1.60,
-  double_drop: 3.00,
-  lowboy: 3.25,
-  rgn: 3.40,
-  tanker: 2.60,
-  car_hauler: 2.30,
-};
+// Helper: user's primary org (picks their fuel surcharge schedule)
+async function getUserOrgId(userId) {
+  const result = await pool.query(`
+    SELECT m.org_id FROM memberships m
+    JOIN orgs o ON m.org_id = o.id
+    WHERE m.user_id = $1 AND m.is_active = true AND o.is_active = true
+    ORDER BY m.is_primary DESC, m.joined_at ASC
+    LIMIT 1
+  `, [userId]);
+  return result.rows[0]?.org_id || null;
+}
 
 // ============================================
 // GET /api/rates/benchmark/:equipment
@@ -236,43 +203,26 @@ router.post('/benchmarks/bulk', authenticate, async (req, res) => {
 // ============================================
 // GET /api/rates/quote
 // Calculate quote for a shipment (used by mobile app)
+// Pass distanceMiles, or origin/destination (Lat+Lng or City/State/Zip)
+// to quote on road miles from the routing service.
+// Nothing is stored; POST /api/quotes saves a quote with a locked price.
 // ============================================
 router.get('/quote', authenticate, async (req, res) => {
   try {
-    const {
-      equipment,
-      distanceMiles,
-      loadType = 'standard',
-      isBackhaulSaver = false,
-    } = req.query;
-    
-    const miles = parseFloat(distanceMiles);
-    if (!miles || miles <= 0) {
-      return res.status(400).json({ error: 'Valid distanceMiles required' });
+    // Rate against the active rate table, current benchmark and fuel index
+    const orgId = await getUserOrgId(req.user.id);
+    const priced = await quotes.priceQuote(req.query, { orgId });
+    if (!priced.ok) {
+      return res.status(400).json({ error: priced.error });
     }
-    
-    // Get benchmark for equipment
-    const equipmentGroup = EQUIPMENT_TO_GROUP[equipment] || equipment?.toLowerCase().replace(/\s+/g, '_') || 'dry_van_53';
-    
-    const benchResult = await pool.query(`
-      SELECT benchmark_rpm FROM market_benchmarks
-      WHERE equipment_group = $1 AND date <= CURRENT_DATE
-      ORDER BY date DESC LIMIT 1
-    `, [equipmentGroup]);
-    
-    const benchmarkRpm = benchResult.rows[0]?.benchmark_rpm 
-      ? parseFloat(benchResult.rows[0].benchmark_rpm) 
-      : (DEFAULT_BENCHMARKS[equipmentGroup] || 2.00);
-    
-    // Calculate quote using the pricing logic
-    const quote = calculateQuote({
-      distanceMiles: miles,
-      loadType,
-      isBackhaulSaver: isBackhaulSaver === 'true',
-      benchmarkRpm,
-      equipment,
-    });
-    
+
+    const { rating: quote, route } = priced;
+    if (route) {
+      quote.driveTimeMinutes = route.durationMinutes;
+      quote.routePolyline = route.polyline;
+      quote.routeProvider = route.provider;
+    }
+
     res.json(quote);
     
   } catch (error) {
@@ -282,124 +232,116 @@ router.get('/quote', authenticate, async (req, res) => {
 });
 
 // ============================================
-// PRICING CALCULATION LOGIC
-// (Also exported for use in other routes)
+// GET /api/rates/lanes
+// Lane rate history from our delivered loads and accepted offers
+// Query: originZip/originState, destinationZip/destinationState,
+// equipment (optional), regionType ('zip3' | 'state'), weeks (default 12)
 // ============================================
-function calculateQuote({
-  distanceMiles,
-  loadType = 'standard',
-  isBackhaulSaver = false,
-  benchmarkRpm = 2.00,
-  equipment = null,
-}) {
-  // Load type config
-  const LOAD_TYPES = {
-    standard: { baseFee: 150, urgencyMult: 1.0 },
-    hotshot: { baseFee: 200, urgencyMult: 1.25 },
-    emergency: { baseFee: 250, urgencyMult: 1.50 },
-  };
-  
-  // Platform fee tiers
-  const PLATFORM_FEE_TIERS = [
-    { upTo: 500, pct: 0.15 },
-    { upTo: 1500, pct: 0.12 },
-    { upTo: Infinity, pct: 0.10 },
-  ];
-  const PLATFORM_FEE_MIN = 25;
-  const PLATFORM_FEE_MAX = 250;
-  
-  // Backhaul discount
-  const BACKHAUL_DISCOUNT = 0.80; // 20% off
-  
-  // Distance premium (short hauls cost more per mile)
-  const getDistancePremium = (miles) => {
-    if (miles <= 50) return 1.35;
-    if (miles <= 100) return 1.20;
-    if (miles <= 200) return 1.10;
-    return 1.0;
-  };
-  
-  // Minimum charges
-  const getMinCharge = (miles) => {
-    if (miles <= 25) return 200;
-    if (miles <= 50) return 275;
-    if (miles <= 100) return 350;
-    return 0;
-  };
-  
-  const loadConfig = LOAD_TYPES[loadType] || LOAD_TYPES.standard;
-  const distancePremium = getDistancePremium(distanceMiles);
-  
-  // Calculate rate per mile
-  // Standard targets ~0-5% below benchmark
-  // Backhaul targets ~10-25% below benchmark
-  let marketAdjustment = 0.97; // 3% below benchmark for standard
-  if (isBackhaulSaver && loadType === 'standard') {
-    marketAdjustment = 0.82; // 18% below benchmark for backhaul
-  } else if (loadType === 'hotshot') {
-    marketAdjustment = 1.15; // 15% above benchmark
-  } else if (loadType === 'emergency') {
-    marketAdjustment = 1.35; // 35% above benchmark
-  }
-  
-  const ratePerMile = benchmarkRpm * marketAdjustment * distancePremium * loadConfig.urgencyMult;
-  
-  // Calculate totals
-  const baseFee = loadConfig.baseFee;
-  const mileageCharge = ratePerMile * distanceMiles;
-  let subtotal = baseFee + mileageCharge;
-  
-  // Apply minimum charge
-  const minCharge = getMinCharge(distanceMiles);
-  const minChargeApplied = Math.max(0, minCharge - subtotal);
-  let totalBeforeDiscount = Math.max(subtotal, minCharge);
-  
-  // Apply backhaul discount
-  let total = totalBeforeDiscount;
-  let backhaulDiscountAmount = 0;
-  if (isBackhaulSaver && loadType === 'standard') {
-    backhaulDiscountAmount = totalBeforeDiscount * (1 - BACKHAUL_DISCOUNT);
-    total = totalBeforeDiscount * BACKHAUL_DISCOUNT;
-  }
-  
-  // Calculate platform fee
-  const feeTier = PLATFORM_FEE_TIERS.find(t => total <= t.upTo) || PLATFORM_FEE_TIERS[2];
-  let platformFee = total * feeTier.pct;
-  platformFee = Math.min(PLATFORM_FEE_MAX, Math.max(PLATFORM_FEE_MIN, platformFee));
-  
-  const driverPayout = total - platformFee;
-  
-  // Round all money values
-  const round = (n) => Math.round(n * 100) / 100;
-  
-  return {
-    // Input echo
-    distanceMiles,
-    loadType,
-    equipment,
-    isBackhaulSaver: isBackhaulSaver && loadType === 'standard',
+router.get('/lanes', authenticate, async (req, res) => {
+  try {
+    const { originZip, originState, destinationZip, destinationState, equipment, regionType } = req.query;
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks) || 12, 1), 104);
+
+    if (regionType && !laneRates.REGION_TYPES.includes(regionType)) {
+      return res.status(400).json({ error: `regionType must be one of: ${laneRates.REGION_TYPES.join(', ')}` });
+    }
+
+    const origin = { zip: originZip, state: originState };
+    const destination = { zip: destinationZip, state: destinationState };
+    const equipmentGroup = equipment ? toEquipmentGroup(equipment) : null;
+
+    const lane = await laneRates.getLaneHistory({ origin, destination, equipmentGroup, regionType, weeks });
+    if (!lane) {
+      return res.status(400).json({
+        error: regionType === 'zip3'
+          ? 'originZip and destinationZip required'
+          : 'originZip/originState and destinationZip/destinationState required',
+      });
+    }
+
+    // What the quote engine would use for this lane
+    let benchmark = null;
+    if (equipmentGroup) {
+      const market = await getBenchmark(equipment);
+      const laneRate = config.pricing.laneBlend.enabled
+        ? await laneRates.getLaneRate({ origin, destination, equipmentGroup })
+        : null;
+      const baseRpm = market.benchmarkRpm || (await getActiveRateTable()).config.defaultRpm;
+      const blend = laneRates.blendRpm(baseRpm, laneRate);
+      benchmark = {
+        equipmentGroup,
+        benchmarkRpm: market.benchmarkRpm,
+        date: market.benchmarkDate,
+        source: market.source,
+        blendEnabled: config.pricing.laneBlend.enabled,
+        blendedRpm: laneRate ? blend.rpm : null,
+        blendWeight: blend.weight,
+        blendRegionType: laneRate?.regionType || null,
+      };
+    }
+
+    res.json({ ...lane, benchmark });
     
-    // Breakdown
-    baseFee: round(baseFee),
-    benchmarkRpmUsed: round(benchmarkRpm),
-    ratePerMile: round(ratePerMile),
-    mileageCharge: round(mileageCharge),
-    distancePremium: round(distancePremium),
-    urgencyMultiplier: round(loadConfig.urgencyMult),
-    minChargeApplied: round(minChargeApplied),
-    subtotal: round(subtotal),
-    totalBeforeDiscount: round(totalBeforeDiscount),
-    backhaulDiscountAmount: round(backhaulDiscountAmount),
+  } catch (error) {
+    console.error('Lane rates error:', error);
+    res.status(500).json({ error: 'Failed to get lane rates' });
+  }
+});
+
+// ============================================
+// GET /api/rates/fuel
+// Diesel index in effect and the fuel surcharge under the user's schedule
+// (their org's default, else the platform schedule)
+// Query: date (default today), distanceMiles, linehaulAmount (percent schedules)
+// ============================================
+router.get('/fuel', authenticate, async (req, res) => {
+  try {
+    const { date, distanceMiles, linehaulAmount } = req.query;
+    if (date && !fuelSurcharge.toWeekStart(date)) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+
+    const orgId = await getUserOrgId(req.user.id);
+    const schedule = await fuelSurcharge.getDefaultSchedule(orgId);
+    if (!schedule) {
+      return res.json({ schedule: null, index: null, surcharge: null });
+    }
+
+    const index = await fuelSurcharge.getIndexPrice(schedule.region, date || new Date());
+    const charge = fuelSurcharge.buildFuelCharge(index ? { schedule, index } : null, {
+      distanceMiles: parseFloat(distanceMiles) || 0,
+      linehaulAmount: parseFloat(linehaulAmount) || 0,
+    });
+
+    res.json({
+      schedule: fuelSurcharge.formatSchedule(schedule),
+      index,
+      surcharge: charge,
+    });
     
-    // Final numbers
-    total: round(total),
-    platformFee: round(platformFee),
-    platformFeePct: Math.round(feeTier.pct * 100),
-    driverPayout: round(driverPayout),
-  };
-}
+  } catch (error) {
+    console.error('Fuel surcharge error:', error);
+    res.status(500).json({ error: 'Failed to get fuel surcharge' });
+  }
+});
+
+// ============================================
+// GET /api/rates/equipment
+// Equipment registry: dimensions, payload, features and what each type can stand in for
+// ============================================
+router.get('/equipment', authenticate, async (req, res) => {
+  try {
+    res.json({
+      equipment: Object.keys(equipment.EQUIPMENT).map(equipment.formatEquipment),
+      features: equipment.FEATURES,
+    });
+  } catch (error) {
+    console.error('Equipment registry error:', error);
+    res.status(500).json({ error: 'Failed to get equipment registry' });
+  }
+});
 
-// Export for use in loads.js
+// Pricing lives in services/pricing.js; re-exported for existing callers
 module.exports = router;
 module.exports.calculateQuote = calculateQuote;
 module.exports.EQUIPMENT_TO_GROUP = EQUIPMENT_TO_GROUP;
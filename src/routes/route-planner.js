@@ -2,33 +2,82 @@
 const express = require('express');
 const { pool } = require('../db/pool');
 const { authenticate, requireUserType } = require('../middleware/auth');
+const loadStops = require('../services/loadStops');
+const loadStatus = require('../services/loadStatus');
+const hos = require('../services/hos');
 
 const router = express.Router();
 
 // All routes require driver authentication
 router.use(authenticate, requireUserType('driver'));
 
+/**
+ * Helper: Driver's queued and in-progress loads in route order
+ */
+const getQueueLoads = async (driverId) => {
+  const result = await pool.query(
+    `SELECT l.*,
+      COALESCE(l.route_sequence, 999) as sequence
+     FROM loads l
+     WHERE l.driver_id = $1
+       AND l.status IN ('assigned', 'confirmed', 'en_route_pickup', 'picked_up', 'en_route_delivery')
+     ORDER BY COALESCE(l.route_sequence, 999) ASC, l.created_at ASC`,
+    [driverId]
+  );
+  return result.rows;
+};
+
+/**
+ * Helper: Hours-of-service plan for running loads in order
+ * (null when a stop has no coordinates)
+ */
+const planQueue = async (driverId, loads) => {
+  const sequence = await hos.planLoadSequence(driverId, loads);
+  if (!sequence) return null;
+
+  const byLoad = {};
+  for (const entry of sequence.loads) {
+    byLoad[entry.loadId] = {
+      pickup: hos.formatPlannedStop(entry.pickup),
+      delivery: hos.formatPlannedStop(entry.delivery),
+    };
+  }
+  return { summary: hos.formatPlan(sequence.plan, sequence.clocks), byLoad };
+};
+
+/**
+ * Helper: Refuse a load that breaks hours of service on the route unless the
+ * driver acknowledged it. Returns the plan summary, or null once a 409 is sent.
+ */
+const checkQueueHos = async (req, res, load) => {
+  const queue = await getQueueLoads(req.user.id);
+  const plan = await planQueue(req.user.id, [...queue, load]);
+  if (plan && !plan.summary.compliant && req.body.acknowledgeHos !== true) {
+    res.status(409).json({
+      error: plan.summary.violations[0],
+      code: 'HOS_VIOLATION',
+      hos: plan.summary,
+      message: 'Send acknowledgeHos: true to add it anyway',
+    });
+    return null;
+  }
+  return plan ? plan.summary : { compliant: true, warnings: [] };
+};
+
 /**
  * GET /route-planner/queue
  * Get driver's planned route (confirmed loads in sequence order)
  */
 router.get('/queue', async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT l.*,
-        COALESCE(l.route_sequence, 999) as sequence
-       FROM loads l
-       WHERE l.driver_id = $1
-         AND l.status IN ('assigned', 'confirmed', 'en_route_pickup', 'picked_up', 'en_route_delivery')
-       ORDER BY COALESCE(l.route_sequence, 999) ASC, l.created_at ASC`,
-      [req.user.id]
-    );
+    const queue = await getQueueLoads(req.user.id);
+    const hosPlan = queue.length > 0 ? await planQueue(req.user.id, queue) : null;
 
     // Calculate totals
     let totalMiles = 0;
     let totalEarnings = 0;
     
-    const loads = result.rows.map((load, index) => {
+    const loads = queue.map((load, index) => {
       totalMiles += parseFloat(load.distance_miles) || parseFloat(load.estimated_miles) || 0;
       totalEarnings += parseFloat(load.driver_payout) || 0;
       
@@ -54,6 +103,7 @@ router.get('/queue', async (req, res) => {
         weightLbs: load.weight_lbs,
         vehicleTypeRequired: load.vehicle_type_required,
         description: load.description,
+        hos: hosPlan?.byLoad[load.id] || null,
       };
     });
 
@@ -64,6 +114,7 @@ router.get('/queue', async (req, res) => {
         totalMiles: Math.round(totalMiles),
         totalEarnings: totalEarnings.toFixed(2),
       },
+      hos: hosPlan?.summary || null,
     });
   } catch (error) {
     console.error('[RoutePlanner] Get queue error:', error);
@@ -74,6 +125,8 @@ router.get('/queue', async (req, res) => {
 /**
  * POST /route-planner/queue
  * Add a load to the driver's planned route (by load_id in body)
+ * 409 HOS_VIOLATION when the route can't be run within hours of service,
+ * unless acknowledgeHos: true
  */
 router.post('/queue', async (req, res) => {
   try {
@@ -99,6 +152,9 @@ router.post('/queue', async (req, res) => {
       return res.status(409).json({ error: 'Load is no longer available' });
     }
 
+    const hosCheck = await checkQueueHos(req, res, load);
+    if (!hosCheck) return;
+
     // Get next sequence number
     const seqResult = await pool.query(
       `SELECT COALESCE(MAX(route_sequence), 0) + 1 as next_seq
@@ -109,21 +165,25 @@ router.post('/queue', async (req, res) => {
     const nextSequence = seqResult.rows[0].next_seq;
 
     // Add to driver's queue
-    await pool.query(
-      `UPDATE loads
-       SET driver_id = $1,
-           status = 'confirmed',
-           route_sequence = $2,
-           scheduled_date = $3,
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $4`,
-      [req.user.id, nextSequence, scheduled_date || null, load_id]
-    );
+    const transition = await loadStatus.transitionLoad(load_id, 'confirmed', {
+      actor: { id: req.user.id, role: req.user.role },
+      source: 'route_planner',
+      fields: {
+        driver_id: req.user.id,
+        route_sequence: nextSequence,
+        scheduled_date: scheduled_date || null,
+      },
+    });
+
+    if (!transition.ok) {
+      return res.status(409).json({ error: 'Load is no longer available' });
+    }
 
     res.json({
       success: true,
       message: 'Load added to route',
       sequence: nextSequence,
+      hos: hosCheck,
     });
   } catch (error) {
     console.error('[RoutePlanner] Add to queue error:', error);
@@ -133,7 +193,7 @@ router.post('/queue', async (req, res) => {
 
 /**
  * POST /route-planner/add/:loadId
- * Add a load to the driver's planned route
+ * Add a load to the driver's planned route (hours of service as POST /queue)
  */
 router.post('/add/:loadId', async (req, res) => {
   try {
@@ -150,6 +210,9 @@ router.post('/add/:loadId', async (req, res) => {
       return res.status(404).json({ error: 'Load not found or not available' });
     }
 
+    const hosCheck = await checkQueueHos(req, res, loadCheck.rows[0]);
+    if (!hosCheck) return;
+
     // Get next sequence number
     const seqResult = await pool.query(
       `SELECT COALESCE(MAX(route_sequence), 0) + 1 as next_seq
@@ -159,23 +222,26 @@ router.post('/add/:loadId', async (req, res) => {
     const nextSeq = seqResult.rows[0].next_seq;
 
     // Assign load to driver with sequence
-    const result = await pool.query(
-      `UPDATE loads
-       SET driver_id = $1,
-           status = 'confirmed',
-           route_sequence = $2,
-           scheduled_date = $3,
-           assigned_at = CURRENT_TIMESTAMP,
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $4
-       RETURNING *`,
-      [req.user.id, nextSeq, scheduledDate || null, loadId]
-    );
+    const transition = await loadStatus.transitionLoad(loadId, 'confirmed', {
+      actor: { id: req.user.id, role: req.user.role },
+      source: 'route_planner',
+      fields: {
+        driver_id: req.user.id,
+        route_sequence: nextSeq,
+        scheduled_date: scheduledDate || null,
+      },
+      timestamps: ['assigned_at'],
+    });
+
+    if (!transition.ok) {
+      return res.status(409).json({ error: 'Load is no longer available' });
+    }
 
     res.json({
       message: 'Load added to route',
-      load: result.rows[0],
+      load: transition.load,
       sequence: nextSeq,
+      hos: hosCheck,
     });
   } catch (error) {
     console.error('[RoutePlanner] Add load error:', error);
@@ -202,17 +268,17 @@ router.delete('/remove/:loadId', async (req, res) => {
     }
 
     // Remove from queue (set back to posted)
-    await pool.query(
-      `UPDATE loads
-       SET driver_id = NULL,
-           status = 'posted',
-           route_sequence = NULL,
-           scheduled_date = NULL,
-           assigned_at = NULL,
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $1`,
-      [loadId]
-    );
+    await loadStatus.transitionLoad(loadId, 'posted', {
+      actor: { id: req.user.id, role: req.user.role },
+      source: 'route_planner',
+      reason: 'Removed from driver route',
+      fields: {
+        driver_id: null,
+        route_sequence: null,
+        scheduled_date: null,
+        assigned_at: null,
+      },
+    });
 
     // Resequence remaining loads
     await pool.query(
@@ -255,7 +321,11 @@ router.put('/reorder', async (req, res) => {
       );
     }
 
-    res.json({ message: 'Route reordered successfully' });
+    // Flag (not block) hours-of-service problems with the new order
+    const queue = await getQueueLoads(req.user.id);
+    const hosPlan = queue.length > 0 ? await planQueue(req.user.id, queue) : null;
+
+    res.json({ message: 'Route reordered successfully', hos: hosPlan?.summary || null });
   } catch (error) {
     console.error('[RoutePlanner] Reorder error:', error);
     res.status(500).json({ error: 'Failed to reorder route' });
@@ -270,15 +340,10 @@ router.post('/start', async (req, res) => {
   try {
     // Get first confirmed load
     const result = await pool.query(
-      `UPDATE loads
-       SET status = 'en_route_pickup', updated_at = CURRENT_TIMESTAMP
-       WHERE id = (
-         SELECT id FROM loads
-         WHERE driver_id = $1 AND status = 'confirmed'
-         ORDER BY route_sequence ASC
-         LIMIT 1
-       )
-       RETURNING *`,
+      `SELECT id FROM loads
+       WHERE driver_id = $1 AND status = 'confirmed'
+       ORDER BY route_sequence ASC
+       LIMIT 1`,
       [req.user.id]
     );
 
@@ -286,9 +351,19 @@ router.post('/start', async (req, res) => {
       return res.status(404).json({ error: 'No confirmed loads to start' });
     }
 
+    const transition = await loadStatus.transitionLoad(result.rows[0].id, 'en_route_pickup', {
+      actor: { id: req.user.id, role: req.user.role },
+      source: 'route_planner',
+      gps: req.body.gps || null,
+    });
+
+    if (!transition.ok) {
+      return res.status(409).json({ error: transition.error });
+    }
+
     res.json({
       message: 'Route started',
-      activeLoad: result.rows[0],
+      activeLoad: transition.load,
     });
   } catch (error) {
     console.error('[RoutePlanner] Start route error:', error);
@@ -366,36 +441,46 @@ router.get('/suggestions', async (req, res) => {
 router.get('/map-data', async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT id, route_sequence,
-        pickup_city, pickup_state, pickup_address,
-        delivery_city, delivery_state, delivery_address,
-        status
+      `SELECT *
        FROM loads
        WHERE driver_id = $1 AND status IN ('assigned', 'confirmed')
        ORDER BY route_sequence ASC`,
       [req.user.id]
     );
 
-    // Build list of stops in order
+    const stopsByLoad = await loadStops.getStopsForLoads(result.rows);
+
+    // Build list of stops in order (P1/D1 per load, P1-2/D1-2 for extra stops)
     const stops = [];
     result.rows.forEach((load, index) => {
-      stops.push({
-        type: 'pickup',
-        loadId: load.id,
-        sequence: index + 1,
-        city: load.pickup_city,
-        state: load.pickup_state,
-        address: load.pickup_address,
-        label: `P${index + 1}`,
-      });
-      stops.push({
-        type: 'delivery',
-        loadId: load.id,
-        sequence: index + 1,
-        city: load.delivery_city,
-        state: load.delivery_state,
-        address: load.delivery_address,
-        label: `D${index + 1}`,
+      const loadStopRows = stopsByLoad[load.id];
+      const counts = { pickup: 0, delivery: 0 };
+      const totals = {
+        pickup: loadStopRows.filter(s => s.stop_type === 'pickup').length,
+        delivery: loadStopRows.filter(s => s.stop_type === 'delivery').length,
+      };
+
+      loadStopRows.forEach((stop) => {
+        counts[stop.stop_type] += 1;
+        const prefix = stop.stop_type === 'pickup' ? 'P' : 'D';
+        const suffix = totals[stop.stop_type] > 1 ? `-${counts[stop.stop_type]}` : '';
+
+        stops.push({
+          type: stop.stop_type,
+          loadId: load.id,
+          stopId: stop.id,
+          sequence: index + 1,
+          stopSequence: stop.sequence,
+          status: stop.status || 'pending',
+          city: stop.city,
+          state: stop.state,
+          address: stop.address,
+          lat: stop.lat ? parseFloat(stop.lat) : null,
+          lng: stop.lng ? parseFloat(stop.lng) : null,
+          windowStart: stop.window_start,
+          windowEnd: stop.window_end,
+          label: `${prefix}${index + 1}${suffix}`,
+        });
       });
     });
 
@@ -2,10 +2,82 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../db/pool');
 const { authenticate } = require('../middleware/auth');
+const loadStops = require('../services/loadStops');
+const timezones = require('../services/timezones');
+const geofence = require('../services/geofence');
+const breadcrumbs = require('../services/breadcrumbs');
+const eta = require('../services/eta');
+const trackingLinks = require('../services/trackingLinks');
+const autoStatus = require('../services/autoStatus');
+const { emitToLoadParties, broadcastDriverLocation, emitLoadStatus } = require('../realtime/socket');
+
+/**
+ * Helper: Get user's primary org
+ */
+const getUserPrimaryOrg = async (userId) => {
+  const result = await pool.query(`
+    SELECT o.id as org_id, o.org_type, m.role
+    FROM memberships m
+    JOIN orgs o ON m.org_id = o.id
+    WHERE m.user_id = $1 AND m.is_active = true AND o.is_active = true
+    ORDER BY m.is_primary DESC, m.joined_at ASC
+    LIMIT 1
+  `, [userId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Helper: Load for tracking views (admin, shipper, driver, or the posting /
+ * assigned carrier org), or null
+ */
+const getViewableLoad = async (loadId, user) => {
+  const loadResult = await pool.query(
+    'SELECT id, shipper_id, driver_id, posted_by_org_id, assigned_carrier_org_id FROM loads WHERE id = $1',
+    [loadId]
+  );
+  if (loadResult.rows.length === 0) return null;
+
+  const load = loadResult.rows[0];
+  if (user.role === 'admin' || load.shipper_id === user.id || load.driver_id === user.id) {
+    return load;
+  }
+
+  const userOrg = await getUserPrimaryOrg(user.id);
+  const orgAccess = userOrg && [load.posted_by_org_id, load.assigned_carrier_org_id].includes(userOrg.org_id);
+  return orgAccess ? load : null;
+};
+
+/**
+ * Helper: Load whose tracking links the user manages (admin, shipper, or a
+ * non-driver member of the posting / assigned carrier org), or null
+ */
+const getManageableLoad = async (loadId, user) => {
+  const loadResult = await pool.query(
+    'SELECT id, shipper_id, driver_id, posted_by_org_id, assigned_carrier_org_id FROM loads WHERE id = $1',
+    [loadId]
+  );
+  if (loadResult.rows.length === 0) return null;
+
+  const load = loadResult.rows[0];
+  if (user.role === 'admin' || load.shipper_id === user.id) return load;
+
+  const userOrg = await getUserPrimaryOrg(user.id);
+  const orgAccess = userOrg && userOrg.role !== 'driver' &&
+    [load.posted_by_org_id, load.assigned_carrier_org_id].includes(userOrg.org_id);
+  return orgAccess ? load : null;
+};
 
 // Update driver location (called by driver app)
+// Optional accuracy (meters) and recordedAt (device time) feed stop geofences;
+// heading and speedMph are kept on the breadcrumb trail
 router.post('/location', authenticate, async (req, res) => {
   try {
+    // Only drivers report positions
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({ error: 'Only drivers can update location' });
+    }
+
     const driverId = req.user.id;
     const { latitude, longitude } = req.body;
 
@@ -13,17 +85,53 @@ router.post('/location', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Latitude and longitude required' });
     }
 
-    // Update driver's current location
-    await pool.query(
-      `UPDATE users 
-       SET current_lat = $1, 
-           current_lng = $2, 
-           last_location_update = NOW() 
-       WHERE id = $3 AND role = 'driver'`,
-      [latitude, longitude, driverId]
-    );
+    // Current position and breadcrumb trail
+    const recorded = await breadcrumbs.recordLocation(driverId, req.body, { source: 'tracking' });
+    if (!recorded.ok) {
+      return res.status(400).json({ error: recorded.error });
+    }
 
-    res.json({ success: true });
+    // Everyone with access to the driver's active loads
+    broadcastDriverLocation(driverId, req.body)
+      .catch(error => console.error('Location broadcast error:', error));
+
+    // Stop arrival/departure and detention, then opted-in status inference
+    let stopEvents = [];
+    let statusChanges = [];
+    try {
+      stopEvents = await geofence.processLocation(driverId, req.body);
+      for (const { event, loadId, payload } of stopEvents) {
+        await emitToLoadParties(loadId, event, payload);
+      }
+      statusChanges = await autoStatus.applyGeofenceEvents(driverId, stopEvents, req.body);
+      for (const { load, fromStatus } of statusChanges) {
+        await emitLoadStatus(load, fromStatus);
+      }
+    } catch (error) {
+      console.error('Geofence error:', error);
+    }
+
+    // Pickup/delivery ETAs (throttled per load)
+    try {
+      const etaEvents = await eta.refreshForDriver(driverId);
+      for (const { event, loadId, payload } of etaEvents) {
+        await emitToLoadParties(loadId, event, payload);
+      }
+    } catch (error) {
+      console.error('ETA error:', error);
+    }
+
+    res.json({
+      success: true,
+      breadcrumbRecorded: recorded.recorded,
+      stopEvents: stopEvents.map(e => ({ event: e.event, ...e.payload })),
+      statusChanges: statusChanges.map(({ load, fromStatus }) => ({
+        loadId: load.id,
+        status: load.status,
+        fromStatus,
+        inferred: true,
+      })),
+    });
   } catch (error) {
     console.error('Update location error:', error);
     res.status(500).json({ error: 'Failed to update location' });
@@ -60,6 +168,8 @@ router.get('/load/:loadId', authenticate, async (req, res) => {
     }
 
     const load = result.rows[0];
+    const stops = await loadStops.getStopsForLoad(load);
+    const nextStop = stops.find(s => !['completed', 'skipped'].includes(s.status));
     
     // Format response
     const response = {
@@ -77,6 +187,25 @@ router.get('/load/:loadId', authenticate, async (req, res) => {
       delivery_lng: parseFloat(load.delivery_lng),
       distance_miles: load.distance_miles,
       price: parseFloat(load.price),
+      stops: stops.map(stop => ({
+        id: stop.id,
+        sequence: stop.sequence,
+        stop_type: stop.stop_type,
+        status: stop.status || 'pending',
+        company_name: stop.company_name,
+        address: stop.address,
+        city: stop.city,
+        state: stop.state,
+        lat: stop.lat ? parseFloat(stop.lat) : null,
+        lng: stop.lng ? parseFloat(stop.lng) : null,
+        scheduled_date: stop.scheduled_date,
+        window_start: stop.window_start,
+        window_end: stop.window_end,
+        timezone: timezones.stopTimezone(stop),
+        arrived_at: stop.arrived_at || null,
+        completed_at: stop.completed_at || null,
+      })),
+      next_stop_sequence: nextStop ? nextStop.sequence : null,
       driver_id: load.driver_id,
       driver: load.driver_id ? {
         id: load.driver_user_id,
@@ -98,6 +227,213 @@ router.get('/load/:loadId', authenticate, async (req, res) => {
   }
 });
 
+// Dwell and detention per stop (arrival/departure, appointment timing, free time)
+router.get('/load/:loadId/dwell', authenticate, async (req, res) => {
+  try {
+    const { loadId } = req.params;
+
+    const load = await getViewableLoad(loadId, req.user);
+    if (!load) {
+      return res.status(404).json({ error: 'Load not found' });
+    }
+
+    const stops = await geofence.getLoadDwell(loadId);
+    res.json({
+      loadId,
+      stops,
+      totalDwellMinutes: stops.reduce((sum, s) => sum + (s.dwellMinutes || 0), 0),
+      totalDetentionMinutes: stops.reduce((sum, s) => sum + (s.detentionMinutes || 0), 0),
+    });
+  } catch (error) {
+    console.error('Get dwell error:', error);
+    res.status(500).json({ error: 'Failed to get dwell times' });
+  }
+});
+
+// Live pickup/delivery ETA; ?refresh=true recomputes now instead of returning the stored one
+router.get('/load/:loadId/eta', authenticate, async (req, res) => {
+  try {
+    const { loadId } = req.params;
+
+    const load = await getViewableLoad(loadId, req.user);
+    if (!load) {
+      return res.status(404).json({ error: 'Load not found' });
+    }
+
+    if (req.query.refresh === 'true') {
+      const event = await eta.refreshLoadEta(loadId);
+      if (event) {
+        await emitToLoadParties(loadId, event.event, event.payload);
+        return res.json({ eta: event.payload });
+      }
+    }
+
+    const stored = await pool.query(
+      'SELECT eta_pickup_at, eta_delivery_at, eta_remaining_miles, eta_speed_mph, eta_updated_at FROM loads WHERE id = $1',
+      [loadId]
+    );
+    const stops = await pool.query(
+      'SELECT id, sequence, stop_type, city, state, eta_at, late_alerted_at FROM load_stops WHERE load_id = $1 ORDER BY sequence',
+      [loadId]
+    );
+
+    res.json({
+      eta: {
+        loadId,
+        ...eta.formatStoredEta(stored.rows[0]),
+        stops: stops.rows.map(s => ({
+          stopId: s.id,
+          sequence: s.sequence,
+          stopType: s.stop_type,
+          city: s.city,
+          state: s.state,
+          etaAt: s.eta_at,
+          lateAlertedAt: s.late_alerted_at,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Get ETA error:', error);
+    res.status(500).json({ error: 'Failed to get ETA' });
+  }
+});
+
+// Breadcrumb trail for a load, oldest first
+// Query: from / to (ISO timestamps), limit (max 5000); page by passing the last recordedAt as from
+router.get('/load/:loadId/history', authenticate, async (req, res) => {
+  try {
+    const { loadId } = req.params;
+    const { from, to, limit = 1000 } = req.query;
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ error: `${name} must be a valid timestamp` });
+      }
+    }
+
+    const load = await getViewableLoad(loadId, req.user);
+    if (!load) {
+      return res.status(404).json({ error: 'Load not found' });
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 1000, 5000);
+    const rows = await breadcrumbs.getHistory(loadId, { from, to, limit: pageSize });
+    const points = rows.map(breadcrumbs.formatBreadcrumb);
+
+    res.json({
+      loadId,
+      points,
+      count: points.length,
+      nextFrom: points.length === pageSize ? points[points.length - 1].recordedAt : null,
+    });
+  } catch (error) {
+    console.error('Get location history error:', error);
+    res.status(500).json({ error: 'Failed to get location history' });
+  }
+});
+
+// Trip replay: simplified polyline, stop/status events and speed stats
+// Query: toleranceMeters (simplification, default config.breadcrumbs.replayToleranceMeters)
+router.get('/load/:loadId/replay', authenticate, async (req, res) => {
+  try {
+    const { loadId } = req.params;
+
+    const load = await getViewableLoad(loadId, req.user);
+    if (!load) {
+      return res.status(404).json({ error: 'Load not found' });
+    }
+
+    const options = {};
+    if (req.query.toleranceMeters !== undefined) {
+      const tolerance = parseFloat(req.query.toleranceMeters);
+      if (!Number.isFinite(tolerance) || tolerance < 0 || tolerance > 5000) {
+        return res.status(400).json({ error: 'toleranceMeters must be between 0 and 5000' });
+      }
+      options.toleranceMeters = tolerance;
+    }
+
+    res.json(await breadcrumbs.getReplay(loadId, options));
+  } catch (error) {
+    console.error('Get trip replay error:', error);
+    res.status(500).json({ error: 'Failed to get trip replay' });
+  }
+});
+
+// Create a public tracking link for a load
+// Body: label, expiresInHours, locationPrecision (hidden / coarse / approximate),
+// showDriverName (default true), showDriverPhone (default false)
+router.post('/load/:loadId/share', authenticate, async (req, res) => {
+  try {
+    const load = await getManageableLoad(req.params.loadId, req.user);
+    if (!load) {
+      return res.status(404).json({ error: 'Load not found' });
+    }
+
+    const validated = trackingLinks.validateLinkOptions(req.body);
+    if (!validated.ok) {
+      return res.status(400).json({ error: validated.error });
+    }
+
+    const link = await trackingLinks.createLink(load.id, req.user.id, validated.options);
+    res.status(201).json({ message: 'Tracking link created', link: trackingLinks.formatLink(link) });
+  } catch (error) {
+    console.error('Create tracking link error:', error);
+    res.status(500).json({ error: 'Failed to create tracking link' });
+  }
+});
+
+// Tracking links for a load, newest first
+router.get('/load/:loadId/share', authenticate, async (req, res) => {
+  try {
+    const load = await getManageableLoad(req.params.loadId, req.user);
+    if (!load) {
+      return res.status(404).json({ error: 'Load not found' });
+    }
+
+    const links = await trackingLinks.listLinks(load.id);
+    res.json({ links: links.map(trackingLinks.formatLink) });
+  } catch (error) {
+    console.error('List tracking links error:', error);
+    res.status(500).json({ error: 'Failed to get tracking links' });
+  }
+});
+
+// Revoke a tracking link
+router.delete('/load/:loadId/share/:linkId', authenticate, async (req, res) => {
+  try {
+    const load = await getManageableLoad(req.params.loadId, req.user);
+    if (!load) {
+      return res.status(404).json({ error: 'Load not found' });
+    }
+
+    const link = await trackingLinks.revokeLink(load.id, req.params.linkId, req.user.id);
+    if (!link) {
+      return res.status(404).json({ error: 'Tracking link not found' });
+    }
+
+    res.json({ message: 'Tracking link revoked', link: trackingLinks.formatLink(link) });
+  } catch (error) {
+    console.error('Revoke tracking link error:', error);
+    res.status(500).json({ error: 'Failed to revoke tracking link' });
+  }
+});
+
+// PUBLIC: read-only load status through a tracking link (no auth)
+router.get('/public/:token', async (req, res) => {
+  try {
+    const result = await trackingLinks.getPublicView(req.params.token);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json(result.view);
+  } catch (error) {
+    console.error('Public tracking error:', error);
+    res.status(500).json({ error: 'Failed to get tracking info' });
+  }
+});
+
 // Get all active loads with driver locations (for shipper dashboard)
 router.get('/active', authenticate, async (req, res) => {
   try {
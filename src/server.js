@@ -5,8 +5,9 @@ const app = require('./app');
 const config = require('./config');
 const { pool } = require('./db/pool');
 const { connectRedis } = require('./db/redis');
-const { initializeSocket } = require('./realtime/socket');
-const { runMigrationsV2 } = require('./db/migrations_v2');
+const { initializeSocket, closeSocket } = require('./realtime/socket');
+const { migrate } = require('./db/migrator');
+const { startJobs, stopJobs } = require('./jobs');
 
 // Routes registered in app.js, just add tracking if not there
 const trackingRoutes = require('./routes/tracking');
@@ -19,10 +20,12 @@ async function startServer() {
     await pool.query('SELECT 1');
     console.log('[Server] Database connected');
 
-    // Run database migrations
-    console.log('[Server] Running database migrations...');
-    await runMigrationsV2();
-    console.log('[Server] Migrations complete');
+    // Run database migrations (advisory-locked, safe with several instances)
+    if (config.database.migrateOnBoot) {
+      console.log('[Server] Running database migrations...');
+      const applied = await migrate();
+      console.log('[Server] Migrations complete (' + applied.length + ' applied)');
+    }
 
     // Connect to Redis
     console.log('[Server] Connecting to Redis...');
@@ -37,6 +40,11 @@ async function startServer() {
     // Initialize WebSocket
     initializeSocket(server);
     console.log('[Server] WebSocket initialized');
+
+    // Background job worker (delayed/cron jobs, needs Redis)
+    if (config.jobs.workerEnabled) {
+      await startJobs();
+    }
     
     // Start listening
     server.listen(config.port, () => {
@@ -53,6 +61,10 @@ async function startServer() {
       
       server.close(async () => {
         console.log('[Server] HTTP server closed');
+        await stopJobs();
+        console.log('[Server] Job worker stopped');
+        await closeSocket();
+        console.log('[Server] Realtime closed');
         await pool.end();
         console.log('[Server] Database pool closed');
         process.exit(0);
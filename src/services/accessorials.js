@@ -0,0 +1,733 @@
+// backend_api/src/services/accessorials.js
+// Accessorial charges: detention, layover, TONU, lumper and the like
+//
+// accessorial_types is the platform catalog (default rate, unit, free time);
+// an org posting loads can contract its own rates in org_accessorial_rates.
+// Drivers request accessorials from a closeout with evidence; the rate and free
+// time in effect are snapshotted on the request. Detention can also be opened
+// by the system as a 'candidate' from stop geofences (services/geofence.js),
+// which the driver confirms into a request once they leave the stop. When the
+// shipper or broker approves one, the approved amount is passed through in
+// full: added to the load's price (and customer rate) and to carrier pay /
+// driver payout, and itemized on the invoice. The platform fee is not
+// re-applied to accessorials. A card payment already authorized for the load
+// is re-authorized for the new total first, so capture collects what the
+// driver is paid; if the card declines, the approval does not go through.
+//
+// Evidence files are uploaded through an upload-url endpoint, which issues
+// S3 keys under accessorials/<loadId>/<userId>/; only those keys are accepted.
+//
+//   hour    -> billable hours after free time (quarter-hour increments) x rate
+//   day     -> days x rate
+//   flat    -> quantity x rate
+//   receipt -> the receipt amount (lumper), evidence required
+
+const { pool, withTransaction } = require('../db/pool');
+const stripeService = require('./stripeService');
+
+const UNITS = ['hour', 'day', 'flat', 'receipt'];
+const STATUSES = ['candidate', 'requested', 'approved', 'rejected', 'cancelled'];
+
+// Maximum evidence attachments per request
+const MAX_EVIDENCE = 10;
+
+const round = (n, places = 2) => Math.round(n * 10 ** places) / 10 ** places;
+
+const parseNum = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+// ============================================
+// EVIDENCE
+// ============================================
+
+const evidencePrefix = (loadId, userId) => `accessorials/${loadId}/${userId}/`;
+
+/**
+ * S3 key for a new evidence upload by a user on a load
+ */
+const evidenceKey = (loadId, userId, extension = 'jpg') =>
+  `${evidencePrefix(loadId, userId)}${Date.now()}.${extension}`;
+
+// Same URL form the upload-url endpoints return as fileUrl
+const evidenceUrl = (key) =>
+  `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
+
+/**
+ * Evidence from a request body: keys (or their fileUrls) issued to this user
+ * for this load. Returns { ok: true, urls } or { ok: false, error }.
+ */
+const normalizeEvidence = (values, loadId, userId) => {
+  if (values === undefined || values === null) return { ok: true, urls: [] };
+  if (!Array.isArray(values)) return { ok: false, error: 'evidenceUrls must be an array' };
+  if (values.length > MAX_EVIDENCE) {
+    return { ok: false, error: `At most ${MAX_EVIDENCE} evidence files per request` };
+  }
+
+  const prefix = evidencePrefix(loadId, userId);
+  const keys = [];
+  for (const value of values) {
+    const key = typeof value === 'string'
+      ? value.trim().replace(/^https:\/\/[^/]+\.amazonaws\.com\//, '')
+      : '';
+    if (!key.startsWith(prefix) || key.includes('..') || key.length === prefix.length) {
+      return { ok: false, error: 'Evidence must be uploaded through the accessorial upload-url endpoint' };
+    }
+    keys.push(key);
+  }
+  return { ok: true, urls: [...new Set(keys)].map(evidenceUrl) };
+};
+
+// ============================================
+// CATALOG & RATES
+// ============================================
+
+/**
+ * Catalog merged with an org's contracted rates (orgId null = platform defaults).
+ * Disabled org rates are returned with enabled: false.
+ */
+const listRates = async (orgId = null, { includeInactive = false } = {}, client = pool) => {
+  const result = await client.query(`
+    SELECT t.*, r.rate AS org_rate, r.free_minutes AS org_free_minutes,
+           r.max_amount, r.is_enabled, r.updated_at AS org_updated_at
+    FROM accessorial_types t
+    LEFT JOIN org_accessorial_rates r ON r.code = t.code AND r.org_id = $1
+    WHERE t.is_active = true OR $2
+    ORDER BY t.sort_order, t.code
+  `, [orgId || null, includeInactive]);
+  return result.rows;
+};
+
+/**
+ * Effective rate for one accessorial under an org's terms, or null if the code
+ * is unknown, inactive or disabled for the org.
+ */
+const resolveRate = async (code, orgId, client = pool) => {
+  const result = await client.query(`
+    SELECT t.*, r.rate AS org_rate, r.free_minutes AS org_free_minutes,
+           r.max_amount, r.is_enabled, r.updated_at AS org_updated_at
+    FROM accessorial_types t
+    LEFT JOIN org_accessorial_rates r ON r.code = t.code AND r.org_id = $2
+    WHERE t.code = $1 AND t.is_active = true
+  `, [code, orgId || null]);
+
+  const row = result.rows[0];
+  if (!row || row.is_enabled === false) return null;
+  return formatRate(row);
+};
+
+/**
+ * Validate an org rate override. Returns { fields, errors }.
+ */
+const validateOrgRate = (body) => {
+  const fields = {};
+  const errors = [];
+
+  const rate = parseFloat(body.rate);
+  if (!Number.isFinite(rate) || rate < 0) errors.push('rate must be 0 or more');
+  else fields.rate = round(rate);
+
+  if (body.freeMinutes !== undefined && body.freeMinutes !== null) {
+    const freeMinutes = parseInt(body.freeMinutes);
+    if (!Number.isInteger(freeMinutes) || freeMinutes < 0) errors.push('freeMinutes must be 0 or more');
+    else fields.free_minutes = freeMinutes;
+  } else {
+    fields.free_minutes = null;
+  }
+
+  if (body.maxAmount !== undefined && body.maxAmount !== null) {
+    const maxAmount = parseFloat(body.maxAmount);
+    if (!Number.isFinite(maxAmount) || maxAmount < 0) errors.push('maxAmount must be 0 or more');
+    else fields.max_amount = round(maxAmount);
+  } else {
+    fields.max_amount = null;
+  }
+
+  fields.is_enabled = body.isEnabled === undefined ? true : !!body.isEnabled;
+  return { fields, errors };
+};
+
+/**
+ * Create or replace an org's rate for one accessorial.
+ * Returns the merged rate, or null for an unknown code.
+ */
+const upsertOrgRate = async (orgId, code, fields, userId) => {
+  const type = await pool.query('SELECT code FROM accessorial_types WHERE code = $1', [code]);
+  if (!type.rows[0]) return null;
+
+  await pool.query(`
+    INSERT INTO org_accessorial_rates (org_id, code, rate, free_minutes, max_amount, is_enabled, updated_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (org_id, code) DO UPDATE SET
+      rate = EXCLUDED.rate,
+      free_minutes = EXCLUDED.free_minutes,
+      max_amount = EXCLUDED.max_amount,
+      is_enabled = EXCLUDED.is_enabled,
+      updated_by = EXCLUDED.updated_by,
+      updated_at = CURRENT_TIMESTAMP
+  `, [orgId, code, fields.rate, fields.free_minutes, fields.max_amount, fields.is_enabled, userId]);
+
+  const rows = await listRates(orgId, { includeInactive: true });
+  return rows.find((row) => row.code === code);
+};
+
+/**
+ * Drop an org's override (back to platform defaults). Returns true if one existed.
+ */
+const deleteOrgRate = async (orgId, code) => {
+  const result = await pool.query(
+    'DELETE FROM org_accessorial_rates WHERE org_id = $1 AND code = $2',
+    [orgId, code]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Update a catalog entry (admin). Returns the row or null.
+ */
+const updateType = async (code, body) => {
+  const sets = [];
+  const params = [code];
+  const errors = [];
+  const set = (column, value) => {
+    params.push(value);
+    sets.push(`${column} = $${params.length}`);
+  };
+
+  if (body.label !== undefined) {
+    if (!String(body.label).trim()) errors.push('label cannot be empty');
+    else set('label', String(body.label).trim().slice(0, 100));
+  }
+  if (body.defaultRate !== undefined) {
+    const rate = parseFloat(body.defaultRate);
+    if (!Number.isFinite(rate) || rate < 0) errors.push('defaultRate must be 0 or more');
+    else set('default_rate', round(rate));
+  }
+  if (body.freeMinutes !== undefined) {
+    const freeMinutes = parseInt(body.freeMinutes);
+    if (!Number.isInteger(freeMinutes) || freeMinutes < 0) errors.push('freeMinutes must be 0 or more');
+    else set('free_minutes', freeMinutes);
+  }
+  if (body.requiresEvidence !== undefined) set('requires_evidence', !!body.requiresEvidence);
+  if (body.isActive !== undefined) set('is_active', !!body.isActive);
+
+  if (errors.length > 0) return { ok: false, errors };
+  if (sets.length === 0) return { ok: false, errors: ['No fields to update'] };
+
+  const result = await pool.query(`
+    UPDATE accessorial_types SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE code = $1
+    RETURNING *
+  `, params);
+  return { ok: true, type: result.rows[0] || null };
+};
+
+// ============================================
+// CALCULATION
+// ============================================
+
+/**
+ * Amount for a request under a resolved rate (pure).
+ * input: { quantity, startedAt, endedAt, amount } - hour units take either the
+ * on-site window (free time is deducted) or billable hours as quantity;
+ * receipt units take the receipt amount.
+ * Returns { ok: true, quantity, amount, capped } or { ok: false, error }.
+ */
+const calculateAmount = (rate, { quantity, startedAt, endedAt, amount } = {}) => {
+  let billable;
+
+  if (rate.unit === 'receipt') {
+    const receipt = parseFloat(amount);
+    if (!Number.isFinite(receipt) || receipt <= 0) {
+      return { ok: false, error: 'amount (the receipt total) is required' };
+    }
+    billable = { quantity: 1, amount: round(receipt) };
+  } else if (rate.unit === 'hour' && (startedAt || endedAt)) {
+    const start = new Date(startedAt);
+    const end = new Date(endedAt);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+      return { ok: false, error: 'startedAt and endedAt must be a valid time window' };
+    }
+    const minutes = (end - start) / 60000 - rate.freeMinutes;
+    if (minutes <= 0) {
+      return { ok: false, error: `No billable time after ${rate.freeMinutes} free minutes` };
+    }
+    const hours = Math.ceil(minutes / 15) / 4;
+    billable = { quantity: hours, amount: round(hours * rate.rate) };
+  } else {
+    const qty = quantity === undefined || quantity === null ? 1 : parseFloat(quantity);
+    if (!Number.isFinite(qty) || qty <= 0) {
+      return { ok: false, error: 'quantity must be greater than 0' };
+    }
+    billable = { quantity: round(qty), amount: round(qty * rate.rate) };
+  }
+
+  const capped = rate.maxAmount !== null && billable.amount > rate.maxAmount;
+  return {
+    ok: true,
+    quantity: billable.quantity,
+    amount: capped ? rate.maxAmount : billable.amount,
+    capped,
+  };
+};
+
+// ============================================
+// REQUESTS
+// ============================================
+
+/**
+ * Record a driver's request against a closeout's load. The rate comes from the
+ * org that posted the load.
+ * Returns { ok: true, accessorial } or { ok: false, error }.
+ */
+const createRequest = async ({ load, closeout, userId, body }) => {
+  const rate = await resolveRate(body.code, load.posted_by_org_id);
+  if (!rate) {
+    return { ok: false, error: `Unknown or unavailable accessorial: ${body.code}` };
+  }
+
+  const evidence = normalizeEvidence(body.evidenceUrls, load.id, userId);
+  if (!evidence.ok) return evidence;
+  const evidenceUrls = evidence.urls;
+  if (rate.requiresEvidence && evidenceUrls.length === 0) {
+    return { ok: false, error: `${rate.label} requires evidence (e.g. a receipt photo)` };
+  }
+
+  const calc = calculateAmount(rate, body);
+  if (!calc.ok) return calc;
+
+  // One detention claim per stop; a geofence candidate is submitted instead
+  const stopId = body.stopId || closeout?.stop_id || null;
+  if (rate.unit === 'hour' && stopId) {
+    const open = await pool.query(`
+      SELECT status FROM load_accessorials
+      WHERE load_id = $1 AND stop_id = $2 AND code = $3
+        AND status IN ('candidate', 'requested', 'approved')
+      LIMIT 1
+    `, [load.id, stopId, rate.code]);
+    if (open.rows[0]) {
+      return {
+        ok: false,
+        error: open.rows[0].status === 'candidate'
+          ? `${rate.label} for this stop was opened from the stop geofence; submit that one instead`
+          : `${rate.label} has already been requested for this stop`,
+      };
+    }
+  }
+
+  const result = await pool.query(`
+    INSERT INTO load_accessorials (
+      load_id, closeout_id, stop_id, code, unit, quantity, rate, free_minutes,
+      started_at, ended_at, requested_amount, evidence_urls, notes, requested_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    RETURNING *
+  `, [
+    load.id,
+    closeout?.id || null,
+    stopId,
+    rate.code,
+    rate.unit,
+    calc.quantity,
+    rate.unit === 'receipt' ? calc.amount : rate.rate,
+    rate.freeMinutes,
+    body.startedAt || null,
+    body.endedAt || null,
+    calc.amount,
+    JSON.stringify(evidenceUrls),
+    body.notes || null,
+    userId,
+  ]);
+
+  return { ok: true, accessorial: { ...result.rows[0], label: rate.label }, capped: calc.capped };
+};
+
+const getAccessorial = async (id, client = pool) => {
+  const result = await client.query(`
+    SELECT a.*, t.label
+    FROM load_accessorials a
+    JOIN accessorial_types t ON t.code = a.code
+    WHERE a.id = $1
+  `, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Accessorials on a load (optionally one status), oldest first
+ */
+const listForLoad = async (loadId, { status } = {}, client = pool) => {
+  const params = [loadId];
+  let statusClause = '';
+  if (status) {
+    params.push(status);
+    statusClause = `AND a.status = $${params.length}`;
+  }
+
+  const result = await client.query(`
+    SELECT a.*, t.label
+    FROM load_accessorials a
+    JOIN accessorial_types t ON t.code = a.code
+    WHERE a.load_id = $1 ${statusClause}
+    ORDER BY a.created_at
+  `, params);
+  return result.rows;
+};
+
+/**
+ * Requested accessorials awaiting an org's review, oldest first
+ */
+const listPendingForOrg = async (orgId, { limit = 20, offset = 0 } = {}) => {
+  const result = await pool.query(`
+    SELECT a.*, t.label,
+      l.pickup_city, l.pickup_state, l.delivery_city, l.delivery_state,
+      CONCAT(driver.first_name, ' ', driver.last_name) as driver_name
+    FROM load_accessorials a
+    JOIN accessorial_types t ON t.code = a.code
+    JOIN loads l ON l.id = a.load_id
+    LEFT JOIN users driver ON a.requested_by = driver.id
+    WHERE l.posted_by_org_id = $1 AND a.status = 'requested'
+    ORDER BY a.created_at ASC
+    LIMIT $2 OFFSET $3
+  `, [orgId, limit, offset]);
+  return result.rows;
+};
+
+/**
+ * Bring the load's card payment up to its new price before an approval is
+ * stored: an unconfirmed intent is resized, an authorized one replaced by a
+ * new authorization for the full amount. Returns { ok: true,
+ * paymentIntentId, replacedPaymentIntentId } or { ok: false, error, status }.
+ */
+const coverApprovedAmount = async (load, newPrice) => {
+  if (!load.stripe_payment_intent_id) return { ok: true, paymentIntentId: null };
+
+  try {
+    if (load.payment_status === 'pending') {
+      await stripeService.updatePaymentAmount(load.stripe_payment_intent_id, newPrice);
+      return { ok: true, paymentIntentId: load.stripe_payment_intent_id };
+    }
+
+    if (load.payment_status === 'authorized') {
+      const reauthorized = await stripeService.reauthorizePayment(load.stripe_payment_intent_id, newPrice);
+      if (reauthorized.status !== 'requires_capture') {
+        await stripeService.cancelPayment(reauthorized.paymentIntentId).catch(() => {});
+        return { ok: false, error: 'The shipper\'s card could not be authorized for the new total', status: 409 };
+      }
+      return {
+        ok: true,
+        paymentIntentId: reauthorized.paymentIntentId,
+        replacedPaymentIntentId: load.stripe_payment_intent_id,
+      };
+    }
+  } catch (error) {
+    console.error(`[Accessorials] Payment update for load ${load.id} failed:`, error.message);
+    return { ok: false, error: 'The shipper\'s payment could not be updated for the new total', status: 409 };
+  }
+
+  return { ok: true, paymentIntentId: load.stripe_payment_intent_id };
+};
+
+/**
+ * Approve or reject a requested accessorial. Approval may lower (or raise) the
+ * amount and folds it into the load's price, carrier pay and driver payout,
+ * and the closeout's final carrier pay if it is already set. A card payment
+ * on the load is re-authorized for the new price first (coverApprovedAmount).
+ * Not allowed once the load's payment has been captured or the payout
+ * transferred.
+ * Returns { ok: true, accessorial } or { ok: false, error, status }.
+ */
+const reviewRequest = async (id, { decision, amount, notes }, userId) => {
+  const result = await withTransaction(async (client) => {
+    const locked = await client.query(
+      'SELECT * FROM load_accessorials WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    const accessorial = locked.rows[0];
+    if (!accessorial) return { ok: false, error: 'Accessorial not found', status: 404 };
+    if (accessorial.status !== 'requested') {
+      return { ok: false, error: `Accessorial is ${accessorial.status}`, status: 409 };
+    }
+
+    if (decision === 'rejected') {
+      await client.query(`
+        UPDATE load_accessorials
+        SET status = 'rejected', reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP,
+            review_notes = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [id, userId, notes || null]);
+      return { ok: true, accessorial: await getAccessorial(id, client) };
+    }
+
+    const approved = amount === undefined || amount === null
+      ? parseFloat(accessorial.requested_amount)
+      : parseFloat(amount);
+    if (!Number.isFinite(approved) || approved < 0) {
+      return { ok: false, error: 'amount must be 0 or more', status: 400 };
+    }
+
+    const loadResult = await client.query(`
+      SELECT id, price, payment_status, payout_status, stripe_payment_intent_id
+      FROM loads WHERE id = $1 FOR UPDATE
+    `, [accessorial.load_id]);
+    const load = loadResult.rows[0];
+    if (['captured', 'paid'].includes(load.payment_status) || load.payout_status === 'transferred') {
+      return { ok: false, error: 'Load has already been settled; accessorials can no longer be approved', status: 409 };
+    }
+
+    const value = round(approved);
+    const payment = value > 0
+      ? await coverApprovedAmount(load, round(parseFloat(load.price) + value))
+      : { ok: true };
+    if (!payment.ok) return payment;
+
+    try {
+      await applyApproval(client, accessorial, { value, userId, notes, payment });
+    } catch (error) {
+      // The new authorization is not stored; release the hold it placed
+      if (payment.replacedPaymentIntentId) {
+        await stripeService.cancelPayment(payment.paymentIntentId).catch(() => {});
+      }
+      throw error;
+    }
+
+    return {
+      ok: true,
+      accessorial: await getAccessorial(id, client),
+      replacedPaymentIntentId: payment.replacedPaymentIntentId || null,
+    };
+  });
+
+  // The old hold is released only once the new one is on the load
+  if (result.replacedPaymentIntentId) {
+    await stripeService.cancelPayment(result.replacedPaymentIntentId).catch((error) =>
+      console.error(`[Accessorials] Failed to cancel replaced payment ${result.replacedPaymentIntentId}:`, error.message)
+    );
+  }
+  if (!result.ok) return result;
+  return { ok: true, accessorial: result.accessorial };
+};
+
+/**
+ * Store an approval and pass the amount through to the load and closeout
+ */
+const applyApproval = async (client, accessorial, { value, userId, notes, payment }) => {
+  const id = accessorial.id;
+  await client.query(`
+    UPDATE load_accessorials
+    SET status = 'approved', approved_amount = $2, reviewed_by = $3,
+        reviewed_at = CURRENT_TIMESTAMP, review_notes = $4, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [id, value, userId, notes || null]);
+
+  if (value > 0) {
+    await client.query(`
+      UPDATE loads SET
+        price = price + $2,
+        customer_rate = CASE WHEN customer_rate IS NOT NULL THEN customer_rate + $2 END,
+        carrier_pay = CASE WHEN carrier_pay IS NOT NULL THEN carrier_pay + $2 END,
+        driver_payout = COALESCE(driver_payout, 0) + $2,
+        accessorial_total = accessorial_total + $2,
+        stripe_payment_intent_id = COALESCE($3, stripe_payment_intent_id),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [accessorial.load_id, value, payment.paymentIntentId || null]);
+
+    if (accessorial.closeout_id) {
+      await client.query(`
+        UPDATE closeouts SET final_carrier_pay = final_carrier_pay + $2
+        WHERE id = $1 AND final_carrier_pay IS NOT NULL
+      `, [accessorial.closeout_id, value]);
+    }
+  }
+};
+
+// ============================================
+// DETENTION CANDIDATES
+// ============================================
+
+/**
+ * Open a system detention candidate for a stop whose free time has run out.
+ * rate is a resolved detention rate; startedAt is the detention clock start.
+ */
+const createCandidate = async ({ load, stop, rate, startedAt }, client = pool) => {
+  const result = await client.query(`
+    INSERT INTO load_accessorials (
+      load_id, stop_id, code, status, source, unit, quantity, rate, free_minutes,
+      started_at, requested_amount
+    ) VALUES ($1, $2, $3, 'candidate', 'geofence', $4, 0, $5, $6, $7, 0)
+    RETURNING *
+  `, [load.id, stop.id, rate.code, rate.unit, rate.rate, rate.freeMinutes, startedAt]);
+  return result.rows[0];
+};
+
+/**
+ * Stamp the end of a candidate's on-site window and price it
+ */
+const closeCandidate = async (id, endedAt, client = pool) => {
+  const row = await getAccessorial(id, client);
+  if (!row || row.status !== 'candidate') return null;
+
+  const load = await client.query('SELECT posted_by_org_id FROM loads WHERE id = $1', [row.load_id]);
+  const current = await resolveRate(row.code, load.rows[0]?.posted_by_org_id, client);
+  const calc = calculateAmount({
+    unit: row.unit,
+    rate: parseFloat(row.rate),
+    freeMinutes: row.free_minutes,
+    maxAmount: current?.maxAmount ?? null,
+  }, { startedAt: row.started_at, endedAt });
+
+  const result = await client.query(`
+    UPDATE load_accessorials
+    SET ended_at = $2, quantity = $3, requested_amount = $4, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'candidate'
+    RETURNING *
+  `, [id, endedAt, calc.ok ? calc.quantity : 0, calc.ok ? calc.amount : 0]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Driver confirms a closed candidate into a request (optionally adding
+ * evidence and notes), or dismisses it with { dismiss: true }.
+ * Returns { ok: true, accessorial } or { ok: false, error, status }.
+ */
+const submitCandidate = async (id, userId, { dismiss = false, evidenceUrls, notes } = {}) => {
+  const row = await getAccessorial(id);
+  if (!row || row.status !== 'candidate') {
+    return { ok: false, error: 'No open detention candidate found', status: 404 };
+  }
+
+  if (dismiss) {
+    await pool.query(`
+      UPDATE load_accessorials
+      SET status = 'cancelled', requested_by = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'candidate'
+    `, [id, userId]);
+    return { ok: true, accessorial: await getAccessorial(id) };
+  }
+
+  if (!row.ended_at) {
+    return { ok: false, error: 'Driver is still at the stop; detention is still running', status: 409 };
+  }
+  if (!(parseFloat(row.requested_amount) > 0)) {
+    return { ok: false, error: 'No billable detention time', status: 409 };
+  }
+
+  const evidence = normalizeEvidence(evidenceUrls, row.load_id, userId);
+  if (!evidence.ok) return { ...evidence, status: 400 };
+  const extraEvidence = evidence.urls;
+
+  await pool.query(`
+    UPDATE load_accessorials
+    SET status = 'requested', requested_by = $2,
+        evidence_urls = evidence_urls || $3::jsonb,
+        notes = COALESCE($4, notes),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'candidate'
+  `, [id, userId, JSON.stringify(extraEvidence), notes || null]);
+  return { ok: true, accessorial: await getAccessorial(id) };
+};
+
+/**
+ * Withdraw a request that has not been reviewed (the requester only)
+ */
+const cancelRequest = async (id, userId) => {
+  const result = await pool.query(`
+    UPDATE load_accessorials
+    SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND requested_by = $2 AND status = 'requested'
+    RETURNING *
+  `, [id, userId]);
+  return result.rows[0] || null;
+};
+
+// ============================================
+// INVOICING
+// ============================================
+
+/**
+ * Invoice line for an approved accessorial, in the rating engine's line item shape
+ */
+const toLineItem = (row) => {
+  const quantity = parseNum(row.quantity);
+  const rate = parseNum(row.rate);
+  let label = row.label;
+  if (row.unit === 'hour') label = `${row.label} (${quantity} hr @ $${rate.toFixed(2)})`;
+  else if (row.unit === 'day' || (row.unit === 'flat' && quantity !== 1)) {
+    label = `${row.label} (${quantity} x $${rate.toFixed(2)})`;
+  }
+
+  return {
+    code: `accessorial_${row.code}`,
+    label,
+    amount: parseNum(row.approved_amount),
+    quantity,
+    rate,
+  };
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+const formatRate = (row) => ({
+  code: row.code,
+  label: row.label,
+  unit: row.unit,
+  rate: parseNum(row.org_rate ?? row.default_rate),
+  freeMinutes: row.org_free_minutes ?? row.free_minutes,
+  maxAmount: parseNum(row.max_amount),
+  requiresEvidence: row.requires_evidence,
+  defaultRate: parseNum(row.default_rate),
+  isContracted: row.org_rate !== null && row.org_rate !== undefined,
+  enabled: row.is_enabled !== false && row.is_active,
+});
+
+const formatAccessorial = (row) => ({
+  id: row.id,
+  loadId: row.load_id,
+  closeoutId: row.closeout_id,
+  stopId: row.stop_id,
+  code: row.code,
+  label: row.label,
+  status: row.status,
+  source: row.source || 'driver',
+  unit: row.unit,
+  quantity: parseNum(row.quantity),
+  rate: parseNum(row.rate),
+  freeMinutes: row.free_minutes,
+  startedAt: row.started_at,
+  endedAt: row.ended_at,
+  requestedAmount: parseNum(row.requested_amount),
+  approvedAmount: parseNum(row.approved_amount),
+  evidenceUrls: row.evidence_urls || [],
+  notes: row.notes,
+  requestedBy: row.requested_by,
+  reviewedBy: row.reviewed_by,
+  reviewedAt: row.reviewed_at,
+  reviewNotes: row.review_notes,
+  createdAt: row.created_at,
+});
+
+module.exports = {
+  UNITS,
+  STATUSES,
+  listRates,
+  resolveRate,
+  validateOrgRate,
+  upsertOrgRate,
+  deleteOrgRate,
+  updateType,
+  calculateAmount,
+  evidenceKey,
+  evidenceUrl,
+  normalizeEvidence,
+  createRequest,
+  getAccessorial,
+  listForLoad,
+  listPendingForOrg,
+  reviewRequest,
+  cancelRequest,
+  createCandidate,
+  closeCandidate,
+  submitCandidate,
+  toLineItem,
+  formatRate,
+  formatAccessorial,
+};
@@ -0,0 +1,305 @@
+// backend_api/src/services/autoStatus.js
+// Geofence-driven load status for drivers who opt in
+//
+// Stop geofence events (services/geofence.js) advance the load through the
+// driver statuses the app would otherwise have them tap:
+//
+//   enter pickup geofence    -> at_pickup
+//   leave pickup geofence    -> picked_up, then en_route_pickup/en_route_delivery
+//                               for the next open stop
+//   enter delivery geofence  -> at_delivery
+//   leave delivery geofence  -> en_route_delivery when another delivery remains
+//
+// Delivered is never inferred (that needs proof of delivery). Missed steps
+// are filled in (e.g. confirmed -> en_route_pickup -> at_pickup) up to
+// MAX_HOPS, through driver statuses only, and always along the transition
+// graph. Every inferred transition is a normal load_status_events row with
+// source 'geofence' and metadata { inferred: true, inferenceId, trigger };
+// one geofence event's transitions share an inferenceId.
+//
+// The driver can override: overrideInferred reverts the latest inferred batch
+// through loadStatus.revertLoad (source 'driver_override'; timestamps and
+// assignments step back too) and undoes the stop's geofence arrival or
+// departure. The status history is checked before each
+// inference so a stop the driver overrode is never re-inferred.
+
+const { v4: uuidv4 } = require('uuid');
+const { pool, withTransaction } = require('../db/pool');
+const loadStatus = require('./loadStatus');
+const loadNotifications = require('./loadNotifications');
+const { toFix } = require('./geofence');
+
+// Statuses the engine may move a load through
+const AUTO_STATUSES = ['en_route_pickup', 'at_pickup', 'picked_up', 'en_route_delivery', 'at_delivery'];
+
+// Most transitions inferred toward one target status
+const MAX_HOPS = 2;
+
+// ============================================
+// OPT-IN
+// ============================================
+
+const isEnabled = async (driverId) => {
+  const result = await pool.query('SELECT auto_status_enabled FROM users WHERE id = $1', [driverId]);
+  return result.rows[0]?.auto_status_enabled === true;
+};
+
+const setEnabled = async (driverId, enabled) => {
+  const result = await pool.query(
+    'UPDATE users SET auto_status_enabled = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING auto_status_enabled',
+    [driverId, enabled === true]
+  );
+  return result.rows[0]?.auto_status_enabled === true;
+};
+
+// ============================================
+// INFERENCE
+// ============================================
+
+/**
+ * Shortest path of driver statuses from one status to another along the
+ * load graph (excluding fromStatus), [] when already there, or null
+ */
+const findPath = (fromStatus, toStatus) => {
+  if (fromStatus === toStatus) return [];
+
+  const queue = [[fromStatus, []]];
+  const seen = new Set([fromStatus]);
+  while (queue.length > 0) {
+    const [status, path] = queue.shift();
+    if (path.length >= MAX_HOPS) continue;
+
+    for (const next of loadStatus.getAllowedTransitions('load', status)) {
+      if (!AUTO_STATUSES.includes(next) || seen.has(next)) continue;
+      const nextPath = [...path, next];
+      if (next === toStatus) return nextPath;
+      seen.add(next);
+      queue.push([next, nextPath]);
+    }
+  }
+  return null;
+};
+
+/**
+ * Next stop the driver still has to visit after a sequence, or null
+ */
+const getNextOpenStop = async (loadId, sequence, client = pool) => {
+  const result = await client.query(`
+    SELECT stop_type FROM load_stops
+    WHERE load_id = $1 AND sequence > $2
+      AND status NOT IN ('completed', 'skipped') AND departed_at IS NULL
+    ORDER BY sequence
+    LIMIT 1
+  `, [loadId, sequence]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Target statuses for a geofence event, in order ([] when nothing follows)
+ */
+const targetsFor = async ({ event, payload }, client) => {
+  if (event === 'stop:arrived') {
+    return [payload.stopType === 'pickup' ? 'at_pickup' : 'at_delivery'];
+  }
+
+  const next = await getNextOpenStop(payload.loadId, payload.sequence, client);
+  const enRoute = next ? `en_route_${next.stop_type}` : null;
+  if (payload.stopType === 'pickup') {
+    return enRoute ? ['picked_up', enRoute] : ['picked_up'];
+  }
+  return enRoute === 'en_route_delivery' ? [enRoute] : [];
+};
+
+/**
+ * Whether the driver already overrode an inference at this stop
+ */
+const wasOverridden = async (loadId, stopId, client = pool) => {
+  const result = await client.query(`
+    SELECT 1 FROM load_status_events
+    WHERE load_id = $1 AND entity_type = 'load' AND source = 'driver_override' AND stop_id = $2
+    LIMIT 1
+  `, [loadId, stopId]);
+  return result.rows.length > 0;
+};
+
+/**
+ * Apply one geofence event to its load. Returns the transitions made
+ * ([{ load, fromStatus }]), all inside one transaction.
+ */
+const applyEvent = async (driverId, geofenceEvent, fix) => {
+  const { loadId, stopId, stopType } = geofenceEvent.payload;
+  const trigger = geofenceEvent.event === 'stop:arrived' ? `${stopType}_arrival` : `${stopType}_departure`;
+  const inferenceId = uuidv4();
+
+  return withTransaction(async (client) => {
+    const locked = await client.query(
+      'SELECT id, status, driver_id FROM loads WHERE id = $1 FOR UPDATE',
+      [loadId]
+    );
+    const load = locked.rows[0];
+    if (!load || load.driver_id !== driverId) return [];
+    if (await wasOverridden(loadId, stopId, client)) return [];
+
+    const transitions = [];
+    let status = load.status;
+    for (const target of await targetsFor(geofenceEvent, client)) {
+      const path = findPath(status, target);
+      if (!path) break;
+
+      for (const toStatus of path) {
+        const transition = await loadStatus.transitionLoad(loadId, toStatus, {
+          actor: { id: driverId, role: 'driver' },
+          source: 'geofence',
+          reason: `Inferred from ${trigger.replace('_', ' ')}`,
+          gps: fix ? { lat: fix.lat, lng: fix.lng, accuracy: fix.accuracy } : null,
+          stopId,
+          metadata: { inferred: true, inferenceId, trigger },
+          client,
+        });
+        if (!transition.ok) throw new Error(transition.error);
+        transitions.push({ load: transition.load, fromStatus: transition.fromStatus });
+        status = toStatus;
+      }
+    }
+    return transitions;
+  });
+};
+
+/**
+ * Advance load status from the events geofence.processLocation returned,
+ * when the driver has opted in. Returns the transitions made
+ * ([{ load, fromStatus }]) for the caller to emit; shipper notifications
+ * go out from here like manual updates.
+ */
+const applyGeofenceEvents = async (driverId, events, location = null) => {
+  const geofenceEvents = events.filter((e) =>
+    ['stop:arrived', 'stop:departed'].includes(e.event) && e.payload.source === 'geofence'
+  );
+  if (geofenceEvents.length === 0) return [];
+  if (!(await isEnabled(driverId))) return [];
+
+  const fix = location ? toFix(location) : null;
+  const transitions = [];
+  for (const geofenceEvent of geofenceEvents) {
+    transitions.push(...await applyEvent(driverId, geofenceEvent, fix));
+  }
+
+  for (const { load, fromStatus } of transitions) {
+    loadNotifications.onStatusChange(load.id, load.status, fromStatus);
+  }
+  return transitions;
+};
+
+// ============================================
+// OVERRIDE
+// ============================================
+
+/**
+ * Undo the geofence arrival or departure an inference was made from, so the
+ * stop no longer shows the driver at (or gone from) a place they dispute
+ */
+const rollBackStop = async (stopId, trigger, actor, client) => {
+  if (!stopId || !trigger) return;
+
+  if (trigger.endsWith('_arrival')) {
+    const result = await client.query(`
+      UPDATE load_stops s SET
+        status = CASE WHEN s.status = 'arrived' THEN 'pending' ELSE s.status END,
+        arrived_at = NULL,
+        arrival_source = NULL,
+        arrival_timing = NULL,
+        detention_clock_start = NULL,
+        geofence_state = 'outside',
+        updated_at = CURRENT_TIMESTAMP
+      FROM load_stops prior
+      WHERE s.id = $1 AND prior.id = s.id
+        AND s.arrival_source = 'geofence' AND s.departed_at IS NULL
+      RETURNING s.load_id, prior.status AS from_status, s.status AS to_status
+    `, [stopId]);
+    const stop = result.rows[0];
+    if (stop && stop.from_status !== stop.to_status) {
+      await loadStatus.recordStatusEvent({
+        loadId: stop.load_id,
+        entityType: 'stop',
+        entityId: stopId,
+        fromStatus: stop.from_status,
+        toStatus: stop.to_status,
+        actor,
+        source: 'driver_override',
+        stopId,
+      }, client);
+    }
+    return;
+  }
+
+  await client.query(`
+    UPDATE load_stops SET
+      departed_at = NULL,
+      departure_source = NULL,
+      dwell_minutes = NULL,
+      detention_minutes = NULL,
+      geofence_state = 'inside',
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND departure_source = 'geofence'
+  `, [stopId]);
+};
+
+/**
+ * Revert the latest inferred transition batch when it is still the load's
+ * last status change. Returns { ok: true, load, fromStatus, reverted } or
+ * { ok: false, error, status }.
+ */
+const overrideInferred = async (loadId, actor, { reason = null } = {}) => {
+  return withTransaction(async (client) => {
+    const locked = await client.query('SELECT * FROM loads WHERE id = $1 FOR UPDATE', [loadId]);
+    const load = locked.rows[0];
+    if (!load) return { ok: false, error: 'Load not found', status: 404 };
+
+    const latest = await client.query(`
+      SELECT * FROM load_status_events
+      WHERE load_id = $1 AND entity_type = 'load'
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `, [loadId]);
+    const last = latest.rows[0];
+    if (!last || last.metadata?.inferred !== true || last.to_status !== load.status) {
+      return { ok: false, error: 'The latest status change was not inferred', status: 409 };
+    }
+
+    const batch = await client.query(`
+      SELECT * FROM load_status_events
+      WHERE load_id = $1 AND entity_type = 'load' AND metadata->>'inferenceId' = $2
+      ORDER BY created_at ASC, id ASC
+    `, [loadId, last.metadata.inferenceId]);
+    const revertTo = batch.rows[0].from_status;
+    const reverted = batch.rows.map((e) => e.to_status);
+
+    const result = await loadStatus.revertLoad(loadId, revertTo, {
+      undoneStatuses: reverted,
+      expectedStatus: load.status,
+      actor,
+      source: 'driver_override',
+      reason: reason || 'Driver overrode inferred status',
+      stopId: last.stop_id,
+      metadata: {
+        inferenceId: last.metadata.inferenceId,
+        overridesEventIds: batch.rows.map((e) => e.id),
+      },
+      client,
+    });
+    if (!result.ok) return { ok: false, error: result.error, status: 409 };
+
+    await rollBackStop(last.stop_id, last.metadata.trigger, actor, client);
+
+    return { ok: true, load: result.load, fromStatus: load.status, reverted };
+  });
+};
+
+module.exports = {
+  AUTO_STATUSES,
+  isEnabled,
+  setEnabled,
+  findPath,
+  applyGeofenceEvents,
+  overrideInferred,
+};
@@ -0,0 +1,630 @@
+// backend_api/src/services/availabilityRecurrence.js
+// Recurring driver availability: rules, expanded instances, exceptions, calendar
+//
+// A post with is_recurring is a rule ("Memphis → Dallas every Tuesday,
+// 8am-6pm"). recurrence_days holds weekdays (0 = Sunday); the daily window is
+// recurrence_start_time / recurrence_end_time on the rule's wall clock
+// (recurrence_timezone, resolved from the start location), falling back to
+// the local times of available_from / available_until, then the whole day.
+// available_from's date is the first day the rule runs, recurrence_until the
+// last.
+//
+// expandRule writes one ordinary driver_availability row per occurrence
+// (recurrence_parent_id + occurrence_date) from today through
+// config.availability.recurrenceHorizonDays ahead; jobs/availabilityJobs.js
+// rolls the horizon forward. Matching and the match feed score instances like
+// any other post and never the rule itself. Exceptions skip a date or change
+// its window / start / destination. Editing the rule rewrites instances that
+// have not started yet; instances already under way are left alone.
+
+const { pool, withTransaction } = require('../db/pool');
+const config = require('../config');
+const timezones = require('./timezones');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Exception overrides (camelCase body field -> instance column)
+const OVERRIDE_FIELDS = {
+  currentLat: 'current_lat',
+  currentLng: 'current_lng',
+  startCity: 'start_city',
+  startState: 'start_state',
+  destinationLat: 'destination_lat',
+  destinationLng: 'destination_lng',
+  destinationCity: 'destination_city',
+  destinationState: 'destination_state',
+};
+
+// Overrides that must be coordinates (absolute limit)
+const COORDINATE_LIMITS = {
+  currentLat: 90,
+  currentLng: 180,
+  destinationLat: 90,
+  destinationLng: 180,
+};
+
+// Columns an instance copies from its rule
+const COPIED_COLUMNS = [
+  'driver_id', 'mode',
+  'current_lat', 'current_lng', 'start_city', 'start_state',
+  'destination_lat', 'destination_lng', 'destination_city', 'destination_state',
+  'equipment_type', 'equipment_features', 'max_weight_lbs', 'pallet_capacity',
+  'service_types_accepted', 'max_deadhead_miles', 'max_detour_miles',
+  'min_payout', 'min_rate_per_mile',
+];
+const JSON_COLUMNS = new Set(['equipment_features', 'service_types_accepted']);
+
+// ============================================
+// NORMALIZING
+// ============================================
+
+/**
+ * Weekdays as sorted unique 0-6 (0 = Sunday) from numbers or names
+ * ("tue", "Tuesday"), or null when empty or unrecognized
+ */
+const normalizeDays = (days) => {
+  if (!Array.isArray(days) || days.length === 0) return null;
+  const result = new Set();
+  for (const day of days) {
+    const asNumber = typeof day === 'number' ? day : /^\d$/.test(String(day).trim()) ? parseInt(day, 10) : null;
+    const index = asNumber !== null ? asNumber : DAY_NAMES.indexOf(String(day).trim().toLowerCase().slice(0, 3));
+    if (!Number.isInteger(index) || index < 0 || index > 6) return null;
+    result.add(index);
+  }
+  return [...result].sort((a, b) => a - b);
+};
+
+/**
+ * "H:MM" / "HH:MM:SS" -> "HH:MM:SS", or null
+ */
+const normalizeTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const [hh, mm, ss = '00'] = match.slice(1);
+  if (parseInt(hh, 10) > 23 || parseInt(mm, 10) > 59 || parseInt(ss, 10) > 59) return null;
+  return `${hh.padStart(2, '0')}:${mm}:${ss}`;
+};
+
+// A real calendar date (2026-02-31 does not round-trip)
+const isDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value || '')) &&
+  !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) &&
+  new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+
+/**
+ * Exception overrides from a request body: { ok, overrides } or { ok: false, error }
+ */
+const normalizeOverrides = (body = {}) => {
+  const overrides = {};
+  for (const key of ['startTime', 'endTime']) {
+    if (body[key] === undefined) continue;
+    const time = normalizeTime(body[key]);
+    if (!time) return { ok: false, error: `${key} must be HH:MM` };
+    overrides[key] = time;
+  }
+  for (const key of Object.keys(OVERRIDE_FIELDS)) {
+    const value = body[key];
+    if (value === undefined) continue;
+    if (value === null && key !== 'currentLat' && key !== 'currentLng') {
+      overrides[key] = null;
+    } else if (COORDINATE_LIMITS[key]) {
+      const number = value === null || (typeof value === 'string' && value.trim() === '') ? NaN : Number(value);
+      if (!Number.isFinite(number) || Math.abs(number) > COORDINATE_LIMITS[key]) {
+        return { ok: false, error: `${key} must be a number between -${COORDINATE_LIMITS[key]} and ${COORDINATE_LIMITS[key]}` };
+      }
+      overrides[key] = number;
+    } else {
+      if (typeof value !== 'string') return { ok: false, error: `${key} must be a string` };
+      overrides[key] = value.trim();
+    }
+  }
+  return { ok: true, overrides };
+};
+
+/**
+ * Rule columns from a request body (recurrenceDays, recurrenceStartTime,
+ * recurrenceEndTime, recurrenceTimezone, recurrenceUntil; null clears).
+ * Returns { ok, fields } with only the keys given, or { ok: false, error }
+ */
+const normalizeRuleFields = (body = {}) => {
+  const fields = {};
+  if (body.recurrenceDays !== undefined) {
+    const days = normalizeDays(body.recurrenceDays);
+    if (!days) return { ok: false, error: 'recurrenceDays must list weekdays (0-6 from Sunday, or names)' };
+    fields.recurrence_days = JSON.stringify(days);
+  }
+  for (const [key, column] of [['recurrenceStartTime', 'recurrence_start_time'], ['recurrenceEndTime', 'recurrence_end_time']]) {
+    if (body[key] === undefined) continue;
+    const time = body[key] === null ? null : normalizeTime(body[key]);
+    if (body[key] !== null && !time) return { ok: false, error: `${key} must be HH:MM` };
+    fields[column] = time;
+  }
+  if (body.recurrenceTimezone !== undefined) {
+    if (body.recurrenceTimezone !== null && !timezones.isValidZone(body.recurrenceTimezone)) {
+      return { ok: false, error: `Unknown timezone: ${body.recurrenceTimezone}` };
+    }
+    fields.recurrence_timezone = body.recurrenceTimezone;
+  }
+  if (body.recurrenceUntil !== undefined) {
+    if (body.recurrenceUntil !== null && !isDateKey(body.recurrenceUntil)) {
+      return { ok: false, error: 'recurrenceUntil must be YYYY-MM-DD' };
+    }
+    fields.recurrence_until = body.recurrenceUntil;
+  }
+  return { ok: true, fields };
+};
+
+// ============================================
+// DATES
+// ============================================
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Local YYYY-MM-DD of an instant in a zone
+ */
+const localDate = (instant, zone) => {
+  const p = timezones.localParts(instant, zone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+};
+
+const localTime = (instant, zone) => {
+  const p = timezones.localParts(instant, zone);
+  return `${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+};
+
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const weekday = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+/**
+ * YYYY-MM-DD for a DATE column value (pg returns DATEs as local midnight)
+ */
+const dateColumn = (value) => (value instanceof Date
+  ? `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+  : value ? String(value).slice(0, 10) : null);
+
+// ============================================
+// RULES
+// ============================================
+
+const isRule = (row) => Boolean(row && row.is_recurring && !row.recurrence_parent_id);
+
+/**
+ * Zone a rule's daily window is read in
+ */
+const ruleTimezone = (rule) => (timezones.isValidZone(rule.recurrence_timezone)
+  ? rule.recurrence_timezone
+  : timezones.resolveTimezone({ lat: rule.current_lat, lng: rule.current_lng, state: rule.start_state }).timezone);
+
+/**
+ * A rule's window: { timezone, startTime, endTime, firstDate, lastDate, days }
+ */
+const ruleWindow = (rule) => {
+  const timezone = ruleTimezone(rule);
+  return {
+    timezone,
+    startTime: normalizeTime(rule.recurrence_start_time) ||
+      (rule.available_from ? localTime(rule.available_from, timezone) : '00:00:00'),
+    endTime: normalizeTime(rule.recurrence_end_time) ||
+      (rule.available_until ? localTime(rule.available_until, timezone) : '23:59:59'),
+    firstDate: rule.available_from ? localDate(rule.available_from, timezone) : null,
+    lastDate: dateColumn(rule.recurrence_until),
+    days: normalizeDays(rule.recurrence_days) || [],
+  };
+};
+
+/**
+ * A rule's occurrences on local dates from..through (inclusive), exceptions
+ * applied: [{ date, availableFrom, availableUntil, skipped, exception }]
+ */
+const occurrences = (rule, exceptions, from, through) => {
+  const window = ruleWindow(rule);
+  const byDate = new Map(exceptions.map((e) => [dateColumn(e.occurrence_date), e]));
+  const first = window.firstDate && window.firstDate > from ? window.firstDate : from;
+  const last = window.lastDate && window.lastDate < through ? window.lastDate : through;
+
+  const result = [];
+  for (let date = first; date <= last; date = addDays(date, 1)) {
+    if (!window.days.includes(weekday(date))) continue;
+
+    const exception = byDate.get(date) || null;
+    if (exception?.action === 'skip') {
+      result.push({ date, availableFrom: null, availableUntil: null, skipped: true, exception });
+      continue;
+    }
+
+    const overrides = exception?.overrides || {};
+    const startTime = overrides.startTime || window.startTime;
+    const endTime = overrides.endTime || window.endTime;
+    // An end at or before the start runs past midnight
+    const endDate = endTime <= startTime ? addDays(date, 1) : date;
+    result.push({
+      date,
+      availableFrom: timezones.zonedTime(date, startTime, window.timezone),
+      availableUntil: timezones.zonedTime(endDate, endTime, window.timezone),
+      skipped: false,
+      exception,
+    });
+  }
+  return result;
+};
+
+const getRule = async (availabilityId, client = pool) => {
+  const result = await client.query('SELECT * FROM driver_availability WHERE id = $1', [availabilityId]);
+  return isRule(result.rows[0]) ? result.rows[0] : null;
+};
+
+const getExceptions = async (ruleId, client = pool) => {
+  const result = await client.query(
+    'SELECT * FROM driver_availability_exceptions WHERE availability_id = $1 ORDER BY occurrence_date',
+    [ruleId]
+  );
+  return result.rows;
+};
+
+// ============================================
+// EXPANSION
+// ============================================
+
+/**
+ * Insert (or with overwrite, rewrite) the instance for one occurrence.
+ * Returns the instance id when it was written.
+ */
+const writeInstance = async (client, rule, occurrence, overwrite) => {
+  const overrides = occurrence.exception?.overrides || {};
+  const values = COPIED_COLUMNS.map((column) => {
+    const overrideKey = Object.keys(OVERRIDE_FIELDS).find((key) => OVERRIDE_FIELDS[key] === column);
+    const value = overrideKey && overrides[overrideKey] !== undefined ? overrides[overrideKey] : rule[column];
+    return JSON_COLUMNS.has(column) && value != null ? JSON.stringify(value) : value;
+  });
+  const columns = [
+    ...COPIED_COLUMNS,
+    'available_from', 'available_until', 'departure_window_start', 'departure_window_end',
+    'recurrence_parent_id', 'occurrence_date', 'is_recurring', 'is_active',
+  ];
+  values.push(
+    occurrence.availableFrom, occurrence.availableUntil, occurrence.availableFrom, occurrence.availableUntil,
+    rule.id, occurrence.date, false, true
+  );
+
+  const conflict = overwrite
+    ? `DO UPDATE SET ${columns.filter((c) => c !== 'recurrence_parent_id' && c !== 'occurrence_date')
+      .map((c) => `${c} = EXCLUDED.${c}`).join(', ')}, updated_at = NOW()
+      WHERE driver_availability.available_from > NOW()`
+    : 'DO NOTHING';
+
+  const result = await client.query(`
+    INSERT INTO driver_availability (${columns.join(', ')})
+    VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+    ON CONFLICT (recurrence_parent_id, occurrence_date) ${conflict}
+    RETURNING id
+  `, values);
+  return result.rows[0]?.id || null;
+};
+
+/**
+ * Bring a rule's instances up to date through the horizon. refresh: true
+ * rewrites every instance that has not started, an array of dates only
+ * those; otherwise existing instances are kept and missing ones added.
+ * Not-yet-started instances for dates the rule no longer covers (days
+ * changed, skipped, rule ended or deactivated) are removed.
+ * Returns { ruleId, instanceIds (written), removed } or null when not a rule.
+ */
+const expandRule = async (ruleOrId, { refresh = false } = {}) => withTransaction(async (client) => {
+  const rule = typeof ruleOrId === 'object'
+    ? ruleOrId
+    : await getRule(ruleOrId, client);
+  if (!isRule(rule)) return null;
+
+  const { timezone } = ruleWindow(rule);
+  const today = localDate(new Date(), timezone);
+  const through = addDays(today, config.availability.recurrenceHorizonDays);
+
+  const wanted = rule.is_active
+    ? occurrences(rule, await getExceptions(rule.id, client), today, through)
+      .filter((o) => !o.skipped && o.availableUntil > new Date())
+    : [];
+
+  const instanceIds = [];
+  for (const occurrence of wanted) {
+    const overwrite = refresh === true || (Array.isArray(refresh) && refresh.includes(occurrence.date));
+    const id = await writeInstance(client, rule, occurrence, overwrite);
+    if (id) instanceIds.push(id);
+  }
+
+  const removed = await client.query(`
+    DELETE FROM driver_availability
+    WHERE recurrence_parent_id = $1
+      AND available_from > NOW()
+      AND NOT (occurrence_date = ANY($2::date[]))
+  `, [rule.id, wanted.map((o) => o.date)]);
+
+  await client.query(
+    'UPDATE driver_availability SET expanded_through = $2 WHERE id = $1',
+    [rule.id, through]
+  );
+
+  return { ruleId: rule.id, instanceIds, removed: removed.rowCount };
+});
+
+/**
+ * Roll every active rule's horizon forward. Returns { rules, instanceIds }
+ * (instances created this run).
+ */
+const expandAll = async () => {
+  const result = await pool.query(`
+    SELECT * FROM driver_availability
+    WHERE is_recurring = true AND recurrence_parent_id IS NULL AND is_active = true
+      AND (expanded_through IS NULL OR expanded_through < CURRENT_DATE + $1::int)
+      AND (recurrence_until IS NULL OR recurrence_until >= CURRENT_DATE - 1)
+  `, [config.availability.recurrenceHorizonDays]);
+
+  const instanceIds = [];
+  for (const rule of result.rows) {
+    try {
+      const expanded = await expandRule(rule);
+      if (expanded) instanceIds.push(...expanded.instanceIds);
+    } catch (error) {
+      console.error(`[Availability] Failed to expand rule ${rule.id}:`, error.message);
+    }
+  }
+  return { rules: result.rows.length, instanceIds };
+};
+
+// ============================================
+// EXCEPTIONS
+// ============================================
+
+/**
+ * Skip or change one date of a rule.
+ * Returns { ok, exception, instanceIds } or { ok: false, error }
+ */
+const setException = async (rule, { date, action, reason, ...body }, userId) => {
+  if (!isDateKey(date)) return { ok: false, error: 'date must be YYYY-MM-DD' };
+  if (!['skip', 'modify'].includes(action)) return { ok: false, error: 'action must be skip or modify' };
+
+  const window = ruleWindow(rule);
+  if (!window.days.includes(weekday(date))) {
+    return { ok: false, error: `The rule does not run on ${date}` };
+  }
+  if (date < localDate(new Date(), window.timezone)) {
+    return { ok: false, error: 'Cannot change a past date' };
+  }
+
+  let overrides = {};
+  if (action === 'modify') {
+    const normalized = normalizeOverrides(body);
+    if (!normalized.ok) return normalized;
+    if (Object.keys(normalized.overrides).length === 0) {
+      return { ok: false, error: 'A modify exception needs at least one change' };
+    }
+    overrides = normalized.overrides;
+  }
+
+  const result = await pool.query(`
+    INSERT INTO driver_availability_exceptions (availability_id, occurrence_date, action, overrides, reason, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (availability_id, occurrence_date) DO UPDATE SET
+      action = EXCLUDED.action,
+      overrides = EXCLUDED.overrides,
+      reason = EXCLUDED.reason,
+      created_by = EXCLUDED.created_by,
+      created_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [rule.id, date, action, JSON.stringify(overrides), reason || null, userId]);
+
+  const expanded = await expandRule(rule, { refresh: [date] });
+  return { ok: true, exception: result.rows[0], instanceIds: expanded?.instanceIds || [] };
+};
+
+/**
+ * Drop a date's exception, restoring the rule's occurrence.
+ * Returns { ok, instanceIds } or { ok: false, error }
+ */
+const removeException = async (rule, date) => {
+  const result = await pool.query(
+    'DELETE FROM driver_availability_exceptions WHERE availability_id = $1 AND occurrence_date = $2 RETURNING id',
+    [rule.id, date]
+  );
+  if (result.rows.length === 0) return { ok: false, error: 'Exception not found' };
+
+  const expanded = await expandRule(rule, { refresh: [date] });
+  return { ok: true, instanceIds: expanded?.instanceIds || [] };
+};
+
+// ============================================
+// CALENDAR
+// ============================================
+
+const formatException = (row) => (row ? {
+  date: dateColumn(row.occurrence_date),
+  action: row.action,
+  overrides: row.overrides || {},
+  reason: row.reason,
+} : null);
+
+const formatRule = (rule) => {
+  const window = ruleWindow(rule);
+  return {
+    id: rule.id,
+    days: window.days.map((d) => DAY_NAMES[d]),
+    startTime: window.startTime.slice(0, 5),
+    endTime: window.endTime.slice(0, 5),
+    timezone: window.timezone,
+    firstDate: window.firstDate,
+    until: window.lastDate,
+    isActive: rule.is_active,
+    startCity: rule.start_city,
+    startState: rule.start_state,
+    destinationCity: rule.destination_city,
+    destinationState: rule.destination_state,
+    equipmentType: rule.equipment_type,
+  };
+};
+
+/**
+ * One calendar entry. status: posted (one-time post), scheduled (expanded
+ * instance), projected (rule occurrence past the horizon, expanded later),
+ * skipped, inactive
+ */
+const formatEntry = (row, { date, status, exception = null, rule = null }) => ({
+  availabilityId: row?.id || null,
+  ruleId: rule?.id || row?.recurrence_parent_id || null,
+  date,
+  status,
+  availableFrom: row?.available_from || null,
+  availableUntil: row?.available_until || null,
+  mode: (row || rule)?.mode || null,
+  startCity: row?.start_city ?? rule?.start_city ?? null,
+  startState: row?.start_state ?? rule?.start_state ?? null,
+  destinationCity: row?.destination_city ?? rule?.destination_city ?? null,
+  destinationState: row?.destination_state ?? rule?.destination_state ?? null,
+  equipmentType: (row || rule)?.equipment_type || null,
+  exception: formatException(exception),
+});
+
+/**
+ * A driver's availability and booked loads on dates from..to (YYYY-MM-DD,
+ * inclusive; default today and the two weeks from from): one-time posts,
+ * expanded instances, rule occurrences beyond the horizon and skipped dates.
+ * Returns { ok, calendar } or { ok: false, error }
+ */
+const getCalendar = async (driverId, { from = dateColumn(new Date()), to } = {}) => {
+  if (!isDateKey(from)) return { ok: false, error: 'from must be YYYY-MM-DD' };
+  if (!to) to = addDays(from, 13);
+  if (!isDateKey(to)) return { ok: false, error: 'to must be YYYY-MM-DD' };
+  if (to < from) return { ok: false, error: 'to must not be before from' };
+  const maxDays = config.availability.calendarMaxDays;
+  if (addDays(from, maxDays - 1) < to) return { ok: false, error: `Range is limited to ${maxDays} days` };
+
+  const postsResult = await pool.query(`
+    SELECT * FROM driver_availability
+    WHERE driver_id = $1
+      AND (
+        (is_recurring = true AND recurrence_parent_id IS NULL)
+        OR (
+          available_from < $3::date + 1
+          AND (available_until IS NULL OR available_until >= $2::date)
+        )
+      )
+    ORDER BY available_from
+  `, [driverId, from, to]);
+
+  const rules = postsResult.rows.filter(isRule);
+  const instances = postsResult.rows.filter((r) => r.recurrence_parent_id);
+  const instanceByOccurrence = new Map(instances.map((r) => [`${r.recurrence_parent_id}:${dateColumn(r.occurrence_date)}`, r]));
+
+  const exceptionsResult = rules.length
+    ? await pool.query(
+      'SELECT * FROM driver_availability_exceptions WHERE availability_id = ANY($1) AND occurrence_date BETWEEN $2 AND $3',
+      [rules.map((r) => r.id), from, to]
+    )
+    : { rows: [] };
+
+  const entries = postsResult.rows
+    .filter((r) => !r.is_recurring && !r.recurrence_parent_id)
+    .map((row) => formatEntry(row, {
+      date: row.available_from ? dateColumn(new Date(row.available_from)) : from,
+      status: row.is_active ? 'posted' : 'inactive',
+    }));
+
+  const now = new Date();
+  for (const rule of rules) {
+    const exceptions = exceptionsResult.rows.filter((e) => e.availability_id === rule.id);
+    for (const occurrence of occurrences(rule, exceptions, from, to)) {
+      const instance = instanceByOccurrence.get(`${rule.id}:${occurrence.date}`);
+      instanceByOccurrence.delete(`${rule.id}:${occurrence.date}`);
+      if (instance) {
+        entries.push(formatEntry(instance, {
+          date: occurrence.date,
+          status: instance.is_active ? 'scheduled' : 'inactive',
+          exception: occurrence.exception,
+          rule,
+        }));
+      } else if (occurrence.skipped) {
+        entries.push(formatEntry(null, { date: occurrence.date, status: 'skipped', exception: occurrence.exception, rule }));
+      } else if (rule.is_active && occurrence.availableUntil > now) {
+        entries.push({
+          ...formatEntry(null, { date: occurrence.date, status: 'projected', exception: occurrence.exception, rule }),
+          availableFrom: occurrence.availableFrom,
+          availableUntil: occurrence.availableUntil,
+        });
+      }
+    }
+  }
+
+  // Instances the rule no longer produces but that already started
+  for (const instance of instanceByOccurrence.values()) {
+    entries.push(formatEntry(instance, {
+      date: dateColumn(instance.occurrence_date),
+      status: instance.is_active ? 'scheduled' : 'inactive',
+    }));
+  }
+
+  entries.sort((a, b) => (a.date === b.date
+    ? new Date(a.availableFrom || 0) - new Date(b.availableFrom || 0)
+    : a.date < b.date ? -1 : 1));
+
+  const loadsResult = await pool.query(`
+    SELECT id, customer_load_number, status, pickup_city, pickup_state, delivery_city, delivery_state,
+           pickup_date, pickup_time_start, delivery_date, delivery_time_end
+    FROM loads
+    WHERE driver_id = $1
+      AND status <> 'cancelled'
+      AND pickup_date <= $3::date
+      AND COALESCE(delivery_date, pickup_date) >= $2::date
+    ORDER BY pickup_date, pickup_time_start
+  `, [driverId, from, to]);
+
+  return {
+    ok: true,
+    calendar: {
+      from,
+      to,
+      rules: rules.map(formatRule),
+      availability: entries,
+      loads: loadsResult.rows.map((l) => ({
+        id: l.id,
+        customerLoadNumber: l.customer_load_number,
+        status: l.status,
+        pickupCity: l.pickup_city,
+        pickupState: l.pickup_state,
+        deliveryCity: l.delivery_city,
+        deliveryState: l.delivery_state,
+        pickupDate: dateColumn(l.pickup_date),
+        pickupTimeStart: l.pickup_time_start,
+        deliveryDate: dateColumn(l.delivery_date),
+        deliveryTimeEnd: l.delivery_time_end,
+      })),
+    },
+  };
+};
+
+module.exports = {
+  DAY_NAMES,
+  normalizeDays,
+  normalizeTime,
+  normalizeOverrides,
+  normalizeRuleFields,
+  isDateKey,
+  localDate,
+  addDays,
+  dateColumn,
+  isRule,
+  ruleTimezone,
+  ruleWindow,
+  occurrences,
+  getRule,
+  getExceptions,
+  expandRule,
+  expandAll,
+  setException,
+  removeException,
+  formatException,
+  formatRule,
+  getCalendar,
+};
@@ -0,0 +1,464 @@
+// backend_api/src/services/breadcrumbs.js
+// Driver location history and trip replay
+//
+// Every location write path (tracking API, socket, load and driver endpoints)
+// goes through recordLocation, which keeps the latest-position columns on
+// users, the driver_locations row and the Redis geo cache in step, and appends
+// a down-sampled breadcrumb tied to the driver's active load. Breadcrumbs live
+// in location_breadcrumbs, range-partitioned by month (see maintainPartitions).
+
+const { pool, withTransaction } = require('../db/pool');
+const { cacheDriverLocation } = require('../db/redis');
+const config = require('../config');
+const { haversineMeters, haversineMiles, encodePolyline, simplifyPolyline } = require('./geo');
+const { ACTIVE_LOAD_STATUSES, toFix } = require('./geofence');
+const loadStatus = require('./loadStatus');
+
+const SOURCES = ['tracking', 'socket', 'load', 'driver'];
+
+// Derived speeds above this are GPS jumps, not driving
+const MAX_PLAUSIBLE_MPH = 120;
+
+// Segments slower than this count as stopped in replay stats
+const MOVING_MPH = 3;
+
+const parseNum = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+const toNumberOrNull = (value) => {
+  const num = parseFloat(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+// ============================================
+// RECORDING
+// ============================================
+
+const getActiveLoadId = async (driverId, client = pool) => {
+  const result = await client.query(`
+    SELECT id FROM loads
+    WHERE driver_id = $1 AND status = ANY($2)
+    ORDER BY updated_at DESC NULLS LAST
+    LIMIT 1
+  `, [driverId, ACTIVE_LOAD_STATUSES]);
+  return result.rows[0]?.id || null;
+};
+
+const getLastBreadcrumb = async (driverId, client = pool) => {
+  const result = await client.query(`
+    SELECT * FROM location_breadcrumbs
+    WHERE driver_id = $1
+    ORDER BY recorded_at DESC
+    LIMIT 1
+  `, [driverId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Down-sampling: a fix becomes a breadcrumb when it is newer than the last one
+ * by minIntervalSeconds and has moved minDistanceMeters, when the driver has
+ * been stationary for maxIntervalSeconds, or when the load changed.
+ */
+const shouldRecord = (last, fix, loadId) => {
+  if (!last) return true;
+
+  const elapsedSeconds = (fix.at.getTime() - new Date(last.recorded_at).getTime()) / 1000;
+  if (elapsedSeconds <= 0) return false;
+  if ((last.load_id || null) !== (loadId || null)) return true;
+
+  const { minIntervalSeconds, minDistanceMeters, maxIntervalSeconds } = config.breadcrumbs;
+  if (elapsedSeconds < minIntervalSeconds) return false;
+  if (elapsedSeconds >= maxIntervalSeconds) return true;
+
+  const moved = haversineMeters(parseFloat(last.lat), parseFloat(last.lng), fix.lat, fix.lng);
+  return moved >= minDistanceMeters;
+};
+
+/**
+ * Speed from the previous breadcrumb when the device did not report one
+ */
+const deriveSpeed = (last, fix) => {
+  if (!last) return null;
+  const hours = (fix.at.getTime() - new Date(last.recorded_at).getTime()) / 3600000;
+  if (hours <= 0) return null;
+  const mph = haversineMiles(parseFloat(last.lat), parseFloat(last.lng), fix.lat, fix.lng) / hours;
+  return mph <= MAX_PLAUSIBLE_MPH ? Math.round(mph * 100) / 100 : null;
+};
+
+/**
+ * Latest position on users (both the current_* and driver_* column sets),
+ * driver_locations and the Redis geo cache. Older fixes never overwrite newer ones.
+ */
+const updateCurrentPosition = async (driverId, fix, { heading, speedMph }) => {
+  await pool.query(`
+    UPDATE users
+    SET current_lat = $1, current_lng = $2, last_location_update = $3,
+        driver_lat = $1, driver_lng = $2, location_updated_at = $3
+    WHERE id = $4
+      AND COALESCE(GREATEST(last_location_update, location_updated_at), '-infinity') <= $3
+  `, [fix.lat, fix.lng, fix.at, driverId]);
+
+  await pool.query(`
+    INSERT INTO driver_locations (driver_id, latitude, longitude, heading, speed_mph, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (driver_id)
+    DO UPDATE SET latitude = $2, longitude = $3, heading = $4, speed_mph = $5, updated_at = $6
+    WHERE driver_locations.updated_at IS NULL OR driver_locations.updated_at <= $6
+  `, [driverId, fix.lat, fix.lng, heading, speedMph, fix.at]);
+
+  try {
+    await cacheDriverLocation(driverId, fix.lat, fix.lng);
+  } catch (error) {
+    console.error('[Breadcrumbs] Location cache error:', error.message);
+  }
+};
+
+/**
+ * Record a driver location fix.
+ * location: { latitude, longitude, accuracy, heading, speedMph, recordedAt }
+ * options.loadId pins the breadcrumb to a load (otherwise the active load).
+ * Returns { ok: true, recorded, breadcrumb } or { ok: false, error }.
+ */
+const recordLocation = async (driverId, location, { source = 'tracking', loadId } = {}) => {
+  const fix = toFix(location || {});
+  if (!fix || Math.abs(fix.lat) > 90 || Math.abs(fix.lng) > 180) {
+    return { ok: false, error: 'Valid latitude and longitude required' };
+  }
+  if (!SOURCES.includes(source)) {
+    return { ok: false, error: `source must be one of: ${SOURCES.join(', ')}` };
+  }
+
+  const heading = toNumberOrNull(location.heading);
+  const reportedSpeed = toNumberOrNull(location.speedMph);
+  const resolvedLoadId = loadId || await getActiveLoadId(driverId);
+  const last = await getLastBreadcrumb(driverId);
+  const speedMph = reportedSpeed ?? deriveSpeed(last, fix);
+
+  await updateCurrentPosition(driverId, fix, { heading, speedMph });
+
+  if (fix.accuracy !== null && fix.accuracy > config.breadcrumbs.maxAccuracyMeters) {
+    return { ok: true, recorded: false, breadcrumb: null };
+  }
+  if (!shouldRecord(last, fix, resolvedLoadId)) {
+    return { ok: true, recorded: false, breadcrumb: null };
+  }
+
+  const result = await pool.query(`
+    INSERT INTO location_breadcrumbs (
+      driver_id, load_id, lat, lng, heading, speed_mph, speed_reported, gps_accuracy, source, recorded_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *
+  `, [
+    driverId, resolvedLoadId, fix.lat, fix.lng, heading, speedMph,
+    reportedSpeed !== null, fix.accuracy, source, fix.at,
+  ]);
+
+  return { ok: true, recorded: true, breadcrumb: result.rows[0] };
+};
+
+// ============================================
+// PARTITIONS
+// ============================================
+
+const DEFAULT_PARTITION = 'location_breadcrumbs_default';
+
+/**
+ * Months `fromOffset` through `toOffset` from `now`'s month (negative reaches
+ * back). Bounds are DATEs like migration 013's, so they follow the session
+ * timezone the same way: [{ name, start, end }].
+ */
+const getMonths = async (now, fromOffset, toOffset, client = pool) => {
+  const result = await client.query(`
+    SELECT
+      'location_breadcrumbs_' || to_char(m, 'YYYYMM') AS name,
+      to_char(m, 'YYYY-MM-DD') AS start_date,
+      to_char(m + INTERVAL '1 month', 'YYYY-MM-DD') AS end_date
+    FROM generate_series(
+      date_trunc('month', $1::timestamptz)::date + ($2 * INTERVAL '1 month'),
+      date_trunc('month', $1::timestamptz)::date + ($3 * INTERVAL '1 month'),
+      INTERVAL '1 month'
+    ) AS m
+  `, [now, fromOffset, toOffset]);
+  return result.rows.map((row) => ({ name: row.name, start: row.start_date, end: row.end_date }));
+};
+
+/**
+ * Create one monthly partition. Fixes that landed in the DEFAULT partition
+ * for that month would block CREATE ... PARTITION OF, so the default is
+ * detached, its rows for the month moved into the new partition and the
+ * default re-attached, all in one transaction.
+ */
+const createPartition = ({ name, start, end }) => withTransaction(async (client) => {
+  const stray = await client.query(`
+    SELECT 1 FROM ${DEFAULT_PARTITION}
+    WHERE recorded_at >= $1::date AND recorded_at < $2::date
+    LIMIT 1
+  `, [start, end]);
+
+  if (stray.rows.length === 0) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ${name} PARTITION OF location_breadcrumbs
+      FOR VALUES FROM ('${start}') TO ('${end}')
+    `);
+    return;
+  }
+
+  await client.query(`ALTER TABLE location_breadcrumbs DETACH PARTITION ${DEFAULT_PARTITION}`);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${name} PARTITION OF location_breadcrumbs
+    FOR VALUES FROM ('${start}') TO ('${end}')
+  `);
+  const moved = await client.query(`
+    WITH moved AS (
+      DELETE FROM ${DEFAULT_PARTITION}
+      WHERE recorded_at >= $1::date AND recorded_at < $2::date
+      RETURNING *
+    )
+    INSERT INTO location_breadcrumbs SELECT * FROM moved
+  `, [start, end]);
+  await client.query(`ALTER TABLE location_breadcrumbs ATTACH PARTITION ${DEFAULT_PARTITION} DEFAULT`);
+  console.log(`[Breadcrumbs] Moved ${moved.rowCount} default-partition rows into ${name}`);
+});
+
+/**
+ * Create monthly partitions through config.breadcrumbs.partitionMonthsAhead and
+ * drop whole months older than retentionMonths (0 keeps everything).
+ * Returns { created, dropped } partition names.
+ */
+const maintainPartitions = async (now = new Date()) => {
+  const { partitionMonthsAhead, retentionMonths } = config.breadcrumbs;
+  const created = [];
+  const dropped = [];
+
+  for (const month of await getMonths(now, 0, partitionMonthsAhead)) {
+    const exists = await pool.query('SELECT to_regclass($1) AS oid', [month.name]);
+    if (exists.rows[0].oid) continue;
+
+    await createPartition(month);
+    created.push(month.name);
+  }
+
+  if (retentionMonths > 0) {
+    const [{ name: cutoff }] = await getMonths(now, -retentionMonths, -retentionMonths);
+    const partitions = await pool.query(`
+      SELECT c.relname
+      FROM pg_inherits i
+      JOIN pg_class c ON i.inhrelid = c.oid
+      JOIN pg_class p ON i.inhparent = p.oid
+      WHERE p.relname = 'location_breadcrumbs'
+        AND c.relname ~ '^location_breadcrumbs_[0-9]{6}$'
+    `);
+
+    for (const { relname } of partitions.rows) {
+      if (relname >= cutoff) continue;
+      await pool.query(`DROP TABLE IF EXISTS ${relname}`);
+      dropped.push(relname);
+    }
+  }
+
+  return { created, dropped };
+};
+
+// ============================================
+// HISTORY & REPLAY
+// ============================================
+
+/**
+ * Breadcrumbs for a load, oldest first.
+ * from/to bound recorded_at; pass the last recordedAt as `from` to page.
+ */
+const getHistory = async (loadId, { from, to, limit = 1000 } = {}) => {
+  const params = [loadId];
+  let clause = '';
+  if (from) {
+    params.push(from);
+    clause += ` AND recorded_at > $${params.length}`;
+  }
+  if (to) {
+    params.push(to);
+    clause += ` AND recorded_at <= $${params.length}`;
+  }
+  params.push(limit);
+
+  const result = await pool.query(`
+    SELECT * FROM location_breadcrumbs
+    WHERE load_id = $1 ${clause}
+    ORDER BY recorded_at ASC
+    LIMIT $${params.length}
+  `, params);
+  return result.rows;
+};
+
+/**
+ * A load's whole trail thinned evenly to at most maxPoints (every Nth
+ * breadcrumb, always keeping the first and last), oldest first.
+ * Returns { rows, total } where total counts every breadcrumb.
+ */
+const getSampledHistory = async (loadId, maxPoints) => {
+  const result = await pool.query(`
+    SELECT * FROM (
+      SELECT b.*,
+        ROW_NUMBER() OVER (ORDER BY recorded_at) AS position,
+        COUNT(*) OVER () AS total
+      FROM location_breadcrumbs b
+      WHERE load_id = $1
+    ) trail
+    WHERE total <= $2
+      OR (position - 1) % CEIL(total::numeric / GREATEST($2 - 1, 1))::bigint = 0
+      OR position = total
+    ORDER BY recorded_at ASC
+  `, [loadId, maxPoints]);
+
+  return {
+    rows: result.rows,
+    total: result.rows.length > 0 ? parseInt(result.rows[0].total, 10) : 0,
+  };
+};
+
+/**
+ * Average moving speed over the driver's recent breadcrumbs.
+ * Returns { samples, avgMph } (avgMph null without samples).
+ */
+const getSpeedProfile = async (driverId, { days = 14 } = {}) => {
+  const result = await pool.query(`
+    SELECT COUNT(*)::int AS samples, AVG(speed_mph) AS avg_mph
+    FROM location_breadcrumbs
+    WHERE driver_id = $1
+      AND recorded_at > CURRENT_TIMESTAMP - ($2 * INTERVAL '1 day')
+      AND speed_mph >= $3 AND speed_mph <= $4
+  `, [driverId, days, MOVING_MPH, MAX_PLAUSIBLE_MPH]);
+
+  const row = result.rows[0];
+  return { samples: row.samples, avgMph: row.avg_mph === null ? null : parseFloat(row.avg_mph) };
+};
+
+/**
+ * Distance, duration and speed summary over consecutive breadcrumbs
+ */
+const summarizeTrip = (points) => {
+  let distanceMiles = 0;
+  let movingMiles = 0;
+  let movingMinutes = 0;
+  let maxSpeedMph = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const miles = haversineMiles(a.lat, a.lng, b.lat, b.lng);
+    const minutes = (new Date(b.recordedAt) - new Date(a.recordedAt)) / 60000;
+    if (minutes <= 0) continue;
+
+    const mph = miles / (minutes / 60);
+    if (mph > MAX_PLAUSIBLE_MPH) continue;
+
+    distanceMiles += miles;
+    if (mph >= MOVING_MPH) {
+      movingMiles += miles;
+      movingMinutes += minutes;
+    }
+    maxSpeedMph = Math.max(maxSpeedMph, b.speedMph ?? mph);
+  }
+
+  const durationMinutes = points.length > 1
+    ? (new Date(points[points.length - 1].recordedAt) - new Date(points[0].recordedAt)) / 60000
+    : 0;
+
+  return {
+    distanceMiles: Math.round(distanceMiles * 10) / 10,
+    durationMinutes: Math.round(durationMinutes),
+    movingMinutes: Math.round(movingMinutes),
+    stoppedMinutes: Math.round(Math.max(0, durationMinutes - movingMinutes)),
+    avgMovingSpeedMph: movingMinutes > 0 ? Math.round((movingMiles / (movingMinutes / 60)) * 10) / 10 : null,
+    maxSpeedMph: points.length > 1 ? Math.round(maxSpeedMph * 10) / 10 : null,
+  };
+};
+
+/**
+ * Stop geofence crossings and status changes for a load, oldest first
+ */
+const getTripEvents = async (loadId) => {
+  const geofenceEvents = await pool.query(`
+    SELECT g.*, s.sequence, s.stop_type, s.city, s.state
+    FROM geofence_events g
+    JOIN load_stops s ON g.stop_id = s.id
+    WHERE g.load_id = $1
+    ORDER BY g.occurred_at ASC
+  `, [loadId]);
+
+  const timeline = await loadStatus.getLoadTimeline(loadId);
+
+  const events = [
+    ...geofenceEvents.rows.map((e) => ({
+      type: e.event_type === 'enter' ? 'stop_enter' : 'stop_exit',
+      at: e.occurred_at,
+      stopId: e.stop_id,
+      stop: { sequence: e.sequence, stopType: e.stop_type, city: e.city, state: e.state },
+      lat: parseNum(e.lat),
+      lng: parseNum(e.lng),
+      distanceMeters: e.distance_meters,
+    })),
+    ...timeline.map((e) => ({
+      type: 'status',
+      at: e.created_at,
+      ...loadStatus.formatStatusEvent(e),
+    })),
+  ];
+
+  return events.sort((a, b) => new Date(a.at) - new Date(b.at));
+};
+
+/**
+ * Trip replay for a load: the breadcrumb trail simplified to toleranceMeters
+ * (Douglas-Peucker) as points and an encoded polyline, stop and status
+ * events, and distance/speed stats. Trails longer than
+ * config.breadcrumbs.replayMaxPoints are sampled evenly across the trip.
+ */
+const getReplay = async (loadId, { toleranceMeters = config.breadcrumbs.replayToleranceMeters } = {}) => {
+  const { rows, total } = await getSampledHistory(loadId, config.breadcrumbs.replayMaxPoints);
+  const points = rows.map(formatBreadcrumb);
+  const simplified = simplifyPolyline(points, toleranceMeters);
+
+  return {
+    loadId,
+    toleranceMeters,
+    pointCount: total,
+    downsampled: points.length < total,
+    startedAt: points[0]?.recordedAt || null,
+    endedAt: points[points.length - 1]?.recordedAt || null,
+    polyline: encodePolyline(simplified),
+    points: simplified.map(({ lat, lng, speedMph, heading, recordedAt }) => ({
+      lat, lng, speedMph, heading, recordedAt,
+    })),
+    stats: summarizeTrip(points),
+    events: await getTripEvents(loadId),
+  };
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+const formatBreadcrumb = (row) => ({
+  id: row.id,
+  driverId: row.driver_id,
+  loadId: row.load_id,
+  lat: parseNum(row.lat),
+  lng: parseNum(row.lng),
+  heading: parseNum(row.heading),
+  speedMph: parseNum(row.speed_mph),
+  speedReported: row.speed_reported,
+  accuracy: parseNum(row.gps_accuracy),
+  source: row.source,
+  recordedAt: row.recorded_at,
+});
+
+module.exports = {
+  SOURCES,
+  recordLocation,
+  getLastBreadcrumb,
+  maintainPartitions,
+  getHistory,
+  getReplay,
+  getSpeedProfile,
+  summarizeTrip,
+  formatBreadcrumb,
+};
@@ -39,6 +39,7 @@ const DOCUMENT_TYPES = {
   profile_photo: { folder: 'profile_photos', required: false, label: 'Profile Photo' },
   load_photo: { folder: 'load_photos', required: false, label: 'Load Photo' },
   proof_of_delivery: { folder: 'pod', required: false, label: 'Proof of Delivery' },
+  message_attachment: { folder: 'load_messages', required: false, label: 'Message Attachment' },
 };
 
 const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
@@ -0,0 +1,499 @@
+// backend_api/src/services/equipment.js
+// Equipment registry: capacity, features and substitution rules
+//
+// Every equipment type pricing knows (pricing.EQUIPMENT_TO_GROUP) has an
+// entry with its cargo space, legal payload, floor pallet positions and the
+// features it always has. Drivers add optional features (a liftgate, pallet
+// jack, tarps, ramps) on their profile or availability post.
+//
+// A driver can take a load when their equipment is the type the load asks
+// for or may stand in for it, and the freight fits that equipment:
+//
+//   weight      <= payload (and the driver's own max_weight_lbs, if lower)
+//   dimensions  fit the box / deck; loads.dimensions describes one piece
+//   pieces      fit on the floor (stacked when there is headroom and the
+//               load is not fragile), or within the pallet positions when
+//               piece dimensions are unknown and the load is palletized
+//   features    liftgate / pallet jack / reefer / tarps the load requires
+//
+// Some stand-ins only hold when the freight's dimensions are known and fit
+// (a 53ft flatbed can take a step-deck load that is not actually too tall),
+// marked 'dimensions' in the substitution table.
+
+const { pool } = require('../db/pool');
+const { EQUIPMENT_TO_GROUP } = require('./pricing');
+
+const FEATURES = ['liftgate', 'pallet_jack', 'reefer', 'tarps', 'ramps'];
+
+// Legal freight height on open decks: 13'6" overall less the deck height
+const openDeckHeight = (deckHeightIn) => 162 - deckHeightIn;
+
+// interior: enclosed cargo space; deck: open deck length/width, heightIn is the
+// legal freight height on it. maxPayloadLbs: typical legal payload.
+const EQUIPMENT = {
+  cargo_van: {
+    label: 'Cargo Van', kind: 'enclosed',
+    interior: { lengthIn: 120, widthIn: 52, heightIn: 52 },
+    maxPayloadLbs: 3500, palletCapacity: 2, features: [],
+    substitutesFor: {},
+  },
+  sprinter_van: {
+    label: 'Sprinter Van', kind: 'enclosed',
+    interior: { lengthIn: 170, widthIn: 53, heightIn: 70 },
+    maxPayloadLbs: 4500, palletCapacity: 4, features: [],
+    substitutesFor: { cargo_van: 'always' },
+  },
+  box_truck_16: {
+    label: 'Box Truck 16ft', kind: 'enclosed',
+    interior: { lengthIn: 192, widthIn: 92, heightIn: 90 },
+    maxPayloadLbs: 5000, palletCapacity: 8, features: [],
+    substitutesFor: { cargo_van: 'always', sprinter_van: 'always' },
+  },
+  box_truck_24: {
+    label: 'Box Truck 24ft', kind: 'enclosed',
+    interior: { lengthIn: 288, widthIn: 96, heightIn: 96 },
+    maxPayloadLbs: 10000, palletCapacity: 12, features: [],
+    substitutesFor: { cargo_van: 'always', sprinter_van: 'always', box_truck_16: 'always' },
+  },
+  box_truck_26: {
+    label: 'Box Truck 26ft', kind: 'enclosed',
+    interior: { lengthIn: 312, widthIn: 96, heightIn: 96 },
+    maxPayloadLbs: 10000, palletCapacity: 14, features: [],
+    substitutesFor: { cargo_van: 'always', sprinter_van: 'always', box_truck_16: 'always', box_truck_24: 'always' },
+  },
+  dry_van_48: {
+    label: 'Dry Van 48ft', kind: 'enclosed',
+    interior: { lengthIn: 570, widthIn: 99, heightIn: 108 },
+    maxPayloadLbs: 45000, palletCapacity: 24, features: [],
+    substitutesFor: {},
+  },
+  dry_van_53: {
+    label: 'Dry Van 53ft', kind: 'enclosed',
+    interior: { lengthIn: 630, widthIn: 99, heightIn: 108 },
+    maxPayloadLbs: 45000, palletCapacity: 26, features: [],
+    substitutesFor: { dry_van_48: 'always' },
+  },
+  // Reefers run dry freight too
+  reefer_48: {
+    label: 'Reefer 48ft', kind: 'enclosed',
+    interior: { lengthIn: 558, widthIn: 96, heightIn: 100 },
+    maxPayloadLbs: 43000, palletCapacity: 24, features: ['reefer'],
+    substitutesFor: { dry_van_48: 'always' },
+  },
+  reefer_53: {
+    label: 'Reefer 53ft', kind: 'enclosed',
+    interior: { lengthIn: 618, widthIn: 98, heightIn: 102 },
+    maxPayloadLbs: 43500, palletCapacity: 26, features: ['reefer'],
+    substitutesFor: { reefer_48: 'always', dry_van_48: 'always', dry_van_53: 'always' },
+  },
+  flatbed_48: {
+    label: 'Flatbed 48ft', kind: 'open_deck',
+    deck: { lengthIn: 576, widthIn: 102, heightIn: openDeckHeight(60) },
+    maxPayloadLbs: 48000, palletCapacity: 24, features: [],
+    substitutesFor: { hotshot_trailer: 'always', step_deck: 'dimensions' },
+  },
+  flatbed_53: {
+    label: 'Flatbed 53ft', kind: 'open_deck',
+    deck: { lengthIn: 636, widthIn: 102, heightIn: openDeckHeight(60) },
+    maxPayloadLbs: 46000, palletCapacity: 26, features: [],
+    substitutesFor: { flatbed_48: 'always', hotshot_trailer: 'always', step_deck: 'dimensions' },
+  },
+  // Lower deck; the 11ft upper deck takes flatbed-height freight
+  step_deck: {
+    label: 'Step Deck', kind: 'open_deck',
+    deck: { lengthIn: 636, widthIn: 102, heightIn: openDeckHeight(42) },
+    maxPayloadLbs: 48000, palletCapacity: 26, features: [],
+    substitutesFor: { flatbed_48: 'always', flatbed_53: 'always', hotshot_trailer: 'always' },
+  },
+  // Rolling tarp system: covered flatbed that loads from the side
+  conestoga: {
+    label: 'Conestoga', kind: 'open_deck',
+    deck: { lengthIn: 576, widthIn: 100, heightIn: 102 },
+    maxPayloadLbs: 44000, palletCapacity: 24, features: ['tarps'],
+    substitutesFor: { flatbed_48: 'always', flatbed_53: 'dimensions' },
+  },
+  hotshot_trailer: {
+    label: 'Hotshot Trailer', kind: 'open_deck',
+    deck: { lengthIn: 480, widthIn: 102, heightIn: openDeckHeight(38) },
+    maxPayloadLbs: 16500, palletCapacity: 20, features: [],
+    substitutesFor: { pickup_trailer: 'always', flatbed_48: 'dimensions' },
+  },
+  pickup_trailer: {
+    label: 'Pickup w/ Trailer', kind: 'open_deck',
+    deck: { lengthIn: 240, widthIn: 96, heightIn: openDeckHeight(30) },
+    maxPayloadLbs: 10000, palletCapacity: 10, features: [],
+    substitutesFor: {},
+  },
+  // Pulls the shipper's trailer: nothing of its own to check
+  power_only: {
+    label: 'Power Only', kind: 'power_only',
+    maxPayloadLbs: null, palletCapacity: null, features: [],
+    substitutesFor: {},
+  },
+  double_drop: {
+    label: 'Double Drop', kind: 'heavy_haul',
+    deck: { lengthIn: 348, widthIn: 102, heightIn: openDeckHeight(22) },
+    maxPayloadLbs: 40000, palletCapacity: null, features: [],
+    substitutesFor: { step_deck: 'dimensions' },
+  },
+  lowboy: {
+    label: 'Lowboy', kind: 'heavy_haul',
+    deck: { lengthIn: 288, widthIn: 102, heightIn: openDeckHeight(18) },
+    maxPayloadLbs: 40000, palletCapacity: null, features: [],
+    substitutesFor: { double_drop: 'dimensions' },
+  },
+  // Removable gooseneck: drive-on loading
+  rgn: {
+    label: 'RGN', kind: 'heavy_haul',
+    deck: { lengthIn: 348, widthIn: 102, heightIn: openDeckHeight(22) },
+    maxPayloadLbs: 42000, palletCapacity: null, features: ['ramps'],
+    substitutesFor: { lowboy: 'always', double_drop: 'always', step_deck: 'dimensions' },
+  },
+  tanker: {
+    label: 'Tanker', kind: 'tanker',
+    maxPayloadLbs: 45000, palletCapacity: null, features: [],
+    substitutesFor: {},
+  },
+  car_hauler: {
+    label: 'Car Hauler', kind: 'car_hauler',
+    maxPayloadLbs: 15000, palletCapacity: null, features: ['ramps'],
+    substitutesFor: {},
+  },
+};
+
+// Unsized names people type for a family
+const FAMILY_DEFAULTS = {
+  van: 'dry_van_53',
+  dry_van: 'dry_van_53',
+  reefer: 'reefer_53',
+  flatbed: 'flatbed_48',
+  box_truck: 'box_truck_26',
+  sprinter: 'sprinter_van',
+  hotshot: 'hotshot_trailer',
+};
+
+// ============================================
+// LOOKUP
+// ============================================
+
+/**
+ * Registry key for a display name ("Flatbed 53ft") or key, or null
+ */
+const normalizeEquipment = (equipment) => {
+  if (!equipment || typeof equipment !== 'string') return null;
+  if (EQUIPMENT[equipment]) return equipment;
+  if (EQUIPMENT_TO_GROUP[equipment]) return EQUIPMENT_TO_GROUP[equipment];
+
+  // Free-text variants: "box truck 26ft", "Dry-Van 53'", "FLATBED"
+  const key = equipment.toLowerCase().trim()
+    .replace(/['’]|\s*ft\b/g, '')
+    .replace(/[\s-]+/g, '_');
+  if (EQUIPMENT[key]) return key;
+  // Unsized family names default to the common size
+  return FAMILY_DEFAULTS[key] || null;
+};
+
+/**
+ * Whether a load's equipment field means "any equipment"
+ */
+const isAnyEquipment = (equipment) =>
+  !equipment || ['not_sure', 'any'].includes(String(equipment).toLowerCase().replace(/\s+/g, '_'));
+
+/**
+ * Known feature names from a list (strings, any case), deduplicated
+ */
+const normalizeFeatures = (features) => {
+  if (!Array.isArray(features)) return [];
+  return [...new Set(features
+    .map((f) => String(f).toLowerCase().trim().replace(/[\s-]+/g, '_'))
+    .filter((f) => FEATURES.includes(f)))];
+};
+
+/**
+ * Whether one equipment type can take a load that asks for another:
+ * 'always', 'dimensions' (only when the freight is known to fit) or null
+ */
+const substitution = (equipmentKey, requiredKey) => {
+  if (equipmentKey === requiredKey) return 'always';
+  return EQUIPMENT[equipmentKey]?.substitutesFor[requiredKey] || null;
+};
+
+// ============================================
+// LOAD REQUIREMENTS
+// ============================================
+
+/**
+ * One length token in inches: 48, 48in, 4ft, 4', 4'6", 4.5 ft
+ */
+const parseLength = (token, defaultFeet) => {
+  const feetInches = /^(\d+(?:\.\d+)?)\s*'\s*(\d+(?:\.\d+)?)\s*"?$/.exec(token);
+  if (feetInches) return parseFloat(feetInches[1]) * 12 + parseFloat(feetInches[2]);
+
+  const match = /^(\d+(?:\.\d+)?)\s*(in|inch|inches|"|ft|feet|foot|')?$/i.exec(token);
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  const feet = match[2] ? /^(ft|feet|foot|')$/i.test(match[2]) : defaultFeet;
+  return feet ? value * 12 : value;
+};
+
+/**
+ * Piece dimensions from the free-text loads.dimensions column, e.g.
+ * "48x40x60", "48 x 40 x 60 in", "10ft x 8ft x 6ft", "12'6\" x 8' x 9'".
+ * Bare numbers are inches unless a trailing unit says feet.
+ * Returns { lengthIn, widthIn, heightIn } (height null for "LxW"), or null.
+ */
+const parseDimensions = (text) => {
+  if (!text || typeof text !== 'string') return null;
+  const unit = /\s*(inches|in|feet|ft)\.?\s*$/i.exec(text);
+  const defaultFeet = unit ? /^f/i.test(unit[1]) : false;
+  const body = unit ? text.slice(0, unit.index) : text;
+
+  const tokens = body.split(/\s*[x×*]\s*/i).map((t) => t.trim()).filter(Boolean);
+  if (tokens.length < 2 || tokens.length > 3) return null;
+
+  const values = tokens.map((t) => parseLength(t, defaultFeet));
+  if (values.some((v) => v === null || v <= 0)) return null;
+  return {
+    lengthIn: values[0],
+    widthIn: values[1],
+    heightIn: values[2] ?? null,
+  };
+};
+
+/**
+ * What a load row asks of the equipment:
+ * { equipment, weightLbs, pieces, dimensions, features, fragile }
+ */
+const loadRequirements = (load) => {
+  const features = [];
+  if (load.requires_liftgate) features.push('liftgate');
+  if (load.requires_pallet_jack) features.push('pallet_jack');
+  if (load.requires_reefer) features.push('reefer');
+  if (load.requires_tarps) features.push('tarps');
+
+  return {
+    equipment: isAnyEquipment(load.vehicle_type_required) ? null : load.vehicle_type_required,
+    weightLbs: parseFloat(load.weight_lbs) || null,
+    pieces: parseInt(load.pieces, 10) || null,
+    dimensions: parseDimensions(load.dimensions),
+    features,
+    fragile: load.is_fragile === true,
+    palletized: load.requires_pallet_jack === true,
+  };
+};
+
+// ============================================
+// FIT
+// ============================================
+
+const formatLbs = (lbs) => `${Math.round(lbs).toLocaleString('en-US')} lb`;
+const formatInches = (inches) => {
+  const feet = Math.floor(inches / 12);
+  const rest = Math.round(inches % 12);
+  return rest ? `${feet}'${rest}"` : `${feet}'`;
+};
+
+/**
+ * How many pieces of a size fit in a space: floor positions (either
+ * orientation) times stacking levels, or 0 when one piece does not fit
+ */
+const piecesThatFit = (space, piece, stackable) => {
+  const positions = Math.max(
+    Math.floor(space.lengthIn / piece.lengthIn) * Math.floor(space.widthIn / piece.widthIn),
+    Math.floor(space.lengthIn / piece.widthIn) * Math.floor(space.widthIn / piece.lengthIn)
+  );
+  const levels = stackable && piece.heightIn ? Math.max(1, Math.floor(space.heightIn / piece.heightIn)) : 1;
+  return positions * levels;
+};
+
+/**
+ * Whether equipment can take a load.
+ *
+ * equipment: { type, features, maxWeightLbs, palletCapacity } - the driver's
+ *   equipment type (key or display name), optional features they carry, and
+ *   their own capacity figures when they posted them.
+ * requirements: loadRequirements(load)
+ *
+ * Returns { ok, equipmentKey, reasons[] } - reasons explain every failure.
+ */
+const checkFit = (equipment, requirements) => {
+  const reasons = [];
+  const equipmentKey = normalizeEquipment(equipment.type);
+  const spec = equipmentKey ? EQUIPMENT[equipmentKey] : null;
+  const requiredKey = requirements.equipment ? normalizeEquipment(requirements.equipment) : null;
+
+  // Type: unknown driver equipment can only take "any equipment" loads
+  if (requirements.equipment) {
+    const requiredLabel = requiredKey ? EQUIPMENT[requiredKey].label : requirements.equipment;
+    const rule = spec && requiredKey ? substitution(equipmentKey, requiredKey) : null;
+    if (!rule) {
+      reasons.push(spec
+        ? `${spec.label} cannot substitute for ${requiredLabel}`
+        : `Load requires ${requiredLabel}`);
+    } else if (rule === 'dimensions' && !requirements.dimensions?.heightIn) {
+      reasons.push(`${spec.label} can substitute for ${requiredLabel} only when the freight dimensions are known`);
+    }
+  }
+
+  const space = spec?.interior || spec?.deck || null;
+
+  // Weight: the lower of the driver's own rating and the registry payload
+  const ratedWeight = parseFloat(equipment.maxWeightLbs) || null;
+  const maxWeight = ratedWeight && spec?.maxPayloadLbs
+    ? Math.min(ratedWeight, spec.maxPayloadLbs)
+    : ratedWeight || spec?.maxPayloadLbs || null;
+  if (requirements.weightLbs && maxWeight && requirements.weightLbs > maxWeight) {
+    reasons.push(`${formatLbs(requirements.weightLbs)} exceeds ${spec?.label || 'equipment'} payload of ${formatLbs(maxWeight)}`);
+  }
+
+  // Dimensions (one piece) and piece count
+  const piece = requirements.dimensions;
+  if (piece && space) {
+    const fitsFloor = piecesThatFit(space, { ...piece, heightIn: null }, false) > 0;
+    if (!fitsFloor) {
+      reasons.push(`${formatInches(piece.lengthIn)} x ${formatInches(piece.widthIn)} piece does not fit the ${spec.label} ` +
+        `${spec.interior ? 'interior' : 'deck'} (${formatInches(space.lengthIn)} x ${formatInches(space.widthIn)})`);
+    } else if (piece.heightIn && piece.heightIn > space.heightIn) {
+      reasons.push(`${formatInches(piece.heightIn)} tall freight exceeds ${spec.label} ` +
+        `${spec.interior ? 'interior height' : 'legal height on deck'} of ${formatInches(space.heightIn)}`);
+    } else if (requirements.pieces) {
+      const capacity = piecesThatFit(space, piece, !requirements.fragile);
+      if (requirements.pieces > capacity) {
+        reasons.push(`${requirements.pieces} pieces exceed the ${capacity} that fit in a ${spec.label}`);
+      }
+    }
+  } else if (requirements.pieces && requirements.palletized) {
+    const positions = parseInt(equipment.palletCapacity, 10) || spec?.palletCapacity || null;
+    if (positions && requirements.pieces > positions) {
+      reasons.push(`${requirements.pieces} pallets exceed ${spec?.label || 'equipment'} capacity of ${positions}`);
+    }
+  }
+
+  // Features: built into the equipment or carried by the driver
+  const features = new Set([...(spec?.features || []), ...normalizeFeatures(equipment.features)]);
+  for (const feature of requirements.features) {
+    if (!features.has(feature)) {
+      reasons.push(`Load requires ${feature.replace('_', ' ')}`);
+    }
+  }
+
+  return { ok: reasons.length === 0, equipmentKey, reasons };
+};
+
+/**
+ * Whether a load's own numbers fit the equipment it asks for (posting check):
+ * { ok, reasons[] }. Optional features are the driver's side; only capacity
+ * and temperature control count here.
+ */
+const checkLoadAgainstRequired = (requirements) => {
+  if (!requirements.equipment) return { ok: true, reasons: [] };
+  const requiredKey = normalizeEquipment(requirements.equipment);
+  if (!requiredKey) {
+    return { ok: false, reasons: [`Unknown equipment type: ${requirements.equipment}`] };
+  }
+  const spec = EQUIPMENT[requiredKey];
+  const { reasons } = checkFit(
+    { type: requiredKey, features: FEATURES.filter((f) => f !== 'reefer') },
+    requirements
+  );
+  return { ok: reasons.length === 0, reasons: reasons.map((r) => (r === 'Load requires reefer'
+    ? `${spec.label} is not temperature controlled`
+    : r)) };
+};
+
+// ============================================
+// DRIVERS
+// ============================================
+
+/**
+ * Equipment from a driver_availability row joined with the driver's user
+ * columns (vehicle_type, equipment_features): the post wins, the profile fills in
+ */
+const fromAvailability = (row) => ({
+  type: row.equipment_type || row.vehicle_type || null,
+  features: normalizeFeatures([
+    ...(Array.isArray(row.equipment_features) ? row.equipment_features : []),
+    ...(Array.isArray(row.user_equipment_features) ? row.user_equipment_features : []),
+  ]),
+  maxWeightLbs: row.max_weight_lbs || null,
+  palletCapacity: row.pallet_capacity || null,
+});
+
+/**
+ * A driver's equipment: their latest active availability post, else profile
+ */
+const getDriverEquipment = async (driverId, client = pool) => {
+  const result = await client.query(`
+    SELECT u.vehicle_type, u.equipment_features AS user_equipment_features,
+           da.equipment_type, da.equipment_features, da.max_weight_lbs, da.pallet_capacity
+    FROM users u
+    LEFT JOIN LATERAL (
+      SELECT * FROM driver_availability
+      WHERE driver_id = u.id AND is_active = true
+      ORDER BY created_at DESC
+      LIMIT 1
+    ) da ON true
+    WHERE u.id = $1
+  `, [driverId]);
+  return result.rows[0] ? fromAvailability(result.rows[0]) : null;
+};
+
+/**
+ * Whether a driver's equipment can take a load row: checkFit's result,
+ * or { ok: false, reasons: ['Driver not found'] }
+ */
+const checkDriverForLoad = async (driverId, load, client = pool) => {
+  const equipment = await getDriverEquipment(driverId, client);
+  if (!equipment) return { ok: false, equipmentKey: null, reasons: ['Driver not found'] };
+  return checkFit(equipment, loadRequirements(load));
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+const formatEquipment = (key) => {
+  const spec = EQUIPMENT[key];
+  const space = spec.interior || spec.deck || null;
+  return {
+    key,
+    label: spec.label,
+    kind: spec.kind,
+    lengthIn: space?.lengthIn ?? null,
+    widthIn: space?.widthIn ?? null,
+    heightIn: space?.heightIn ?? null,
+    deckLengthFt: spec.deck ? Math.round(spec.deck.lengthIn / 12) : null,
+    maxPayloadLbs: spec.maxPayloadLbs,
+    palletCapacity: spec.palletCapacity,
+    features: spec.features,
+    substitutesFor: Object.entries(spec.substitutesFor).map(([type, when]) => ({
+      type,
+      label: EQUIPMENT[type].label,
+      requiresDimensions: when === 'dimensions',
+    })),
+  };
+};
+
+const formatFit = (fit) => ({
+  compatible: fit.ok,
+  equipment: fit.equipmentKey,
+  reasons: fit.reasons,
+});
+
+module.exports = {
+  EQUIPMENT,
+  FEATURES,
+  normalizeEquipment,
+  isAnyEquipment,
+  normalizeFeatures,
+  substitution,
+  parseDimensions,
+  loadRequirements,
+  checkFit,
+  checkLoadAgainstRequired,
+  fromAvailability,
+  getDriverEquipment,
+  checkDriverForLoad,
+  formatEquipment,
+  formatFit,
+};
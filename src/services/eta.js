@@ -0,0 +1,406 @@
+// backend_api/src/services/eta.js
+// Live pickup/delivery ETAs and "running late" alerts
+//
+// An ETA walks the load's remaining stops from the driver's latest position
+// (newest breadcrumb, else the users row): routed miles per leg at the
+// driver's speed profile, waiting for appointment windows that have not
+// opened yet and config.eta.stopServiceMinutes on site at each stop.
+//
+// The speed profile blends the driver's recent moving breadcrumb speeds with
+// config.routing.avgSpeedMph, weighted by sample count, so new drivers start
+// at the fleet average.
+//
+// Location updates refresh a driver's loads at most every
+// config.eta.minRecomputeSeconds; the eta.refresh job covers drivers who
+// stopped reporting, so a parked truck still drifts late. A delivery stop
+// whose ETA passes its window end (plus lateGraceMinutes) alerts the shipper,
+// the posting org's shipper/broker admins and the carrier's dispatchers once.
+//
+// Functions return realtime events ({ event, loadId, payload }) for the
+// caller to emit, like services/geofence.js.
+
+const { pool } = require('../db/pool');
+const config = require('../config');
+const { haversineMiles } = require('./geo');
+const routing = require('./routing');
+const breadcrumbs = require('./breadcrumbs');
+const loadStops = require('./loadStops');
+const { ACTIVE_LOAD_STATUSES } = require('./geofence');
+const timezones = require('./timezones');
+const notificationService = require('./notificationService');
+
+const DONE_STOP_STATUSES = ['completed', 'skipped'];
+
+const parseNum = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+/**
+ * Short stop-local time for notification text, e.g. "Oct 19, 3:45 PM CDT"
+ */
+const formatEtaTime = (date, timezone = config.timezones.defaultZone) => timezones.formatLocal(date, timezone);
+
+// ============================================
+// INPUTS
+// ============================================
+
+/**
+ * Driver's latest known position: the newer of their last breadcrumb and the
+ * users row (fixes too coarse for a breadcrumb still update the latter).
+ * Returns { lat, lng, at } or null.
+ */
+const getDriverPosition = async (driverId) => {
+  const last = await breadcrumbs.getLastBreadcrumb(driverId);
+  const userResult = await pool.query(
+    'SELECT current_lat, current_lng, last_location_update FROM users WHERE id = $1',
+    [driverId]
+  );
+  const user = userResult.rows[0];
+
+  const candidates = [];
+  if (last) {
+    candidates.push({ lat: parseFloat(last.lat), lng: parseFloat(last.lng), at: new Date(last.recorded_at) });
+  }
+  if (user && user.current_lat !== null && user.current_lng !== null && user.last_location_update) {
+    candidates.push({
+      lat: parseFloat(user.current_lat),
+      lng: parseFloat(user.current_lng),
+      at: new Date(user.last_location_update),
+    });
+  }
+
+  return candidates.sort((a, b) => b.at - a.at)[0] || null;
+};
+
+/**
+ * Driver's planning speed (mph) from their breadcrumb speed profile
+ */
+const getDriverSpeed = async (driverId) => {
+  const { speedProfileDays, priorSamples, minSpeedMph, maxSpeedMph } = config.eta;
+  const fleetMph = config.routing.avgSpeedMph;
+  const profile = await breadcrumbs.getSpeedProfile(driverId, { days: speedProfileDays });
+
+  const mph = profile.avgMph === null
+    ? fleetMph
+    : (profile.avgMph * profile.samples + fleetMph * priorSamples) / (profile.samples + priorSamples);
+
+  return {
+    mph: round(Math.min(maxSpeedMph, Math.max(minSpeedMph, mph))),
+    samples: profile.samples,
+  };
+};
+
+/**
+ * Miles for each leg from the driver through the given stops (routed when a
+ * provider answers, else straight line times the circuity factor)
+ */
+const getLegMiles = async (position, stops) => {
+  const waypoints = [position, ...stops.map((s) => ({ lat: parseFloat(s.lat), lng: parseFloat(s.lng) }))];
+  const route = await routing.getRoute(waypoints);
+  if (route && route.legs.length === stops.length) {
+    return route.legs.map((leg) => leg.distanceMiles);
+  }
+
+  return stops.map((_, i) => {
+    const from = waypoints[i];
+    const to = waypoints[i + 1];
+    return round(haversineMiles(from.lat, from.lng, to.lat, to.lng) * config.routing.circuityFactor);
+  });
+};
+
+// ============================================
+// ESTIMATE
+// ============================================
+
+/**
+ * Walk the remaining stops from `now`: each leg at speedMph, waiting for a
+ * closed appointment window, then stopServiceMinutes on site. A stop the
+ * driver is already at keeps its arrival time.
+ * Returns [{ stop, etaAt, legMiles, windowEnd, minutesLate }].
+ */
+const planStops = (stops, legMiles, { speedMph, now = new Date() }) => {
+  const { stopServiceMinutes } = config.eta;
+  let clock = now;
+
+  return stops.map((stop, i) => {
+    const window = timezones.stopWindow(stop);
+    let etaAt;
+    if (stop.arrived_at) {
+      etaAt = new Date(stop.arrived_at);
+      clock = new Date(Math.max(clock.getTime(), addMinutes(etaAt, stopServiceMinutes).getTime()));
+    } else {
+      etaAt = addMinutes(clock, (legMiles[i] / speedMph) * 60);
+      const windowStart = window.start;
+      const onSiteFrom = windowStart && windowStart > etaAt ? windowStart : etaAt;
+      clock = addMinutes(onSiteFrom, stopServiceMinutes);
+    }
+
+    const windowEnd = window.end;
+    const minutesLate = windowEnd ? Math.round((etaAt - windowEnd) / 60000) : null;
+
+    return { stop, etaAt, legMiles: legMiles[i], windowEnd, minutesLate, timezone: window.timezone };
+  });
+};
+
+/**
+ * ETA for a load row (needs driver_id). Returns null when the driver has no
+ * known position or no remaining stop has coordinates.
+ */
+const computeLoadEta = async (load, { now = new Date() } = {}) => {
+  if (!load.driver_id) return null;
+
+  const position = await getDriverPosition(load.driver_id);
+  if (!position) return null;
+
+  const stops = (await loadStops.getStopsForLoad(load)).filter((s) =>
+    !DONE_STOP_STATUSES.includes(s.status) &&
+    Number.isFinite(parseFloat(s.lat)) && Number.isFinite(parseFloat(s.lng))
+  );
+  if (stops.length === 0) return null;
+
+  const speed = await getDriverSpeed(load.driver_id);
+  const legMiles = await getLegMiles(position, stops);
+  const planned = planStops(stops, legMiles, { speedMph: speed.mph, now });
+
+  const nextPickup = planned.find((p) => p.stop.stop_type === 'pickup');
+  const deliveries = planned.filter((p) => p.stop.stop_type === 'delivery');
+
+  return {
+    loadId: load.id,
+    pickupEta: nextPickup ? nextPickup.etaAt : null,
+    deliveryEta: deliveries.length ? deliveries[deliveries.length - 1].etaAt : null,
+    pickupTimezone: nextPickup ? nextPickup.timezone : null,
+    deliveryTimezone: deliveries.length ? deliveries[deliveries.length - 1].timezone : null,
+    remainingMiles: round(legMiles.reduce((sum, miles) => sum + miles, 0)),
+    speedMph: speed.mph,
+    speedSamples: speed.samples,
+    position,
+    stale: now - position.at > config.eta.staleMinutes * 60000,
+    stops: planned,
+    computedAt: now,
+  };
+};
+
+// ============================================
+// LATE ALERTS
+// ============================================
+
+/**
+ * Shipper, posting org shipper/broker admins and carrier dispatchers
+ */
+const getLateAlertRecipients = async (load) => {
+  const result = await pool.query(`
+    SELECT DISTINCT user_id FROM memberships
+    WHERE is_active = true AND (
+      (org_id = $1 AND role IN ('shipper_admin', 'broker_admin'))
+      OR (org_id = $2 AND role IN ('carrier_admin', 'dispatcher'))
+    )
+  `, [load.posted_by_org_id || null, load.assigned_carrier_org_id || null]);
+
+  const userIds = new Set([load.shipper_id, ...result.rows.map((r) => r.user_id)].filter(Boolean));
+  userIds.delete(load.driver_id);
+  return [...userIds];
+};
+
+/**
+ * Claim the one late alert for a stop (legacy stops alert on the load row)
+ */
+const claimLateAlert = async (load, stop) => {
+  const result = stop.id
+    ? await pool.query(
+      'UPDATE load_stops SET late_alerted_at = CURRENT_TIMESTAMP WHERE id = $1 AND late_alerted_at IS NULL RETURNING id',
+      [stop.id]
+    )
+    : await pool.query(
+      'UPDATE loads SET eta_late_alerted_at = CURRENT_TIMESTAMP WHERE id = $1 AND eta_late_alerted_at IS NULL RETURNING id',
+      [load.id]
+    );
+  return result.rows.length > 0;
+};
+
+/**
+ * Notify once per delivery stop whose ETA crossed its window end.
+ * Returns the late stops that alerted.
+ */
+const raiseLateAlerts = async (load, eta) => {
+  const late = eta.stops.filter((p) =>
+    p.stop.stop_type === 'delivery' &&
+    !p.stop.arrived_at &&
+    p.minutesLate !== null &&
+    p.minutesLate > config.eta.lateGraceMinutes
+  );
+
+  const alerted = [];
+  for (const p of late) {
+    if (!(await claimLateAlert(load, p.stop))) continue;
+    alerted.push(p);
+
+    const driverName = [load.driver_first_name, load.driver_last_name].filter(Boolean).join(' ') || 'Driver';
+    const data = {
+      loadId: load.id,
+      stopId: p.stop.id,
+      driverName,
+      city: p.stop.city,
+      eta: formatEtaTime(p.etaAt, p.timezone),
+      windowEnd: formatEtaTime(p.windowEnd, p.timezone),
+      minutesLate: p.minutesLate,
+    };
+
+    for (const userId of await getLateAlertRecipients(load)) {
+      notificationService.sendNotification(userId, 'LOAD_RUNNING_LATE', data)
+        .catch(err => console.error('[ETA] Late notification error:', err));
+    }
+  }
+  return alerted;
+};
+
+// ============================================
+// REFRESH
+// ============================================
+
+const getLoadForEta = async (loadId) => {
+  const result = await pool.query(`
+    SELECT l.*, d.first_name AS driver_first_name, d.last_name AS driver_last_name
+    FROM loads l
+    LEFT JOIN users d ON l.driver_id = d.id
+    WHERE l.id = $1
+  `, [loadId]);
+  return result.rows[0] || null;
+};
+
+const saveEta = async (eta) => {
+  await pool.query(`
+    UPDATE loads SET
+      eta_pickup_at = $2,
+      eta_delivery_at = $3,
+      eta_remaining_miles = $4,
+      eta_speed_mph = $5,
+      eta_updated_at = $6
+    WHERE id = $1
+  `, [eta.loadId, eta.pickupEta, eta.deliveryEta, eta.remainingMiles, eta.speedMph, eta.computedAt]);
+
+  for (const p of eta.stops) {
+    if (!p.stop.id) continue;
+    await pool.query('UPDATE load_stops SET eta_at = $2 WHERE id = $1', [p.stop.id, p.etaAt]);
+  }
+};
+
+/**
+ * Recompute, store and alert for one load.
+ * Returns the load:eta event, or null when no ETA could be computed.
+ */
+const refreshLoadEta = async (loadId) => {
+  const load = await getLoadForEta(loadId);
+  if (!load || !ACTIVE_LOAD_STATUSES.includes(load.status)) return null;
+
+  const eta = await computeLoadEta(load);
+  if (!eta) return null;
+
+  await saveEta(eta);
+  const alerted = await raiseLateAlerts(load, eta);
+
+  return {
+    event: 'load:eta',
+    loadId: load.id,
+    payload: { ...formatEta(eta), lateAlerted: alerted.map((p) => p.stop.id) },
+  };
+};
+
+/**
+ * After a location fix: refresh the driver's active loads whose ETA is older
+ * than config.eta.minRecomputeSeconds. Returns load:eta events.
+ */
+const refreshForDriver = async (driverId) => {
+  const result = await pool.query(`
+    SELECT id FROM loads
+    WHERE driver_id = $1 AND status = ANY($2)
+      AND (eta_updated_at IS NULL OR eta_updated_at < CURRENT_TIMESTAMP - ($3 * INTERVAL '1 second'))
+  `, [driverId, ACTIVE_LOAD_STATUSES, config.eta.minRecomputeSeconds]);
+
+  const events = [];
+  for (const { id } of result.rows) {
+    const event = await refreshLoadEta(id);
+    if (event) events.push(event);
+  }
+  return events;
+};
+
+/**
+ * Periodic pass over active loads not refreshed within config.eta.refreshMinutes
+ */
+const refreshStale = async () => {
+  const result = await pool.query(`
+    SELECT id FROM loads
+    WHERE driver_id IS NOT NULL AND status = ANY($1)
+      AND (eta_updated_at IS NULL OR eta_updated_at < CURRENT_TIMESTAMP - ($2 * INTERVAL '1 minute'))
+    ORDER BY eta_updated_at ASC NULLS FIRST
+    LIMIT 500
+  `, [ACTIVE_LOAD_STATUSES, config.eta.refreshMinutes]);
+
+  const events = [];
+  for (const { id } of result.rows) {
+    try {
+      const event = await refreshLoadEta(id);
+      if (event) events.push(event);
+    } catch (error) {
+      console.error(`[ETA] Refresh failed for load ${id}:`, error.message);
+    }
+  }
+  return events;
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+const formatEta = (eta) => ({
+  loadId: eta.loadId,
+  pickupEta: eta.pickupEta,
+  deliveryEta: eta.deliveryEta,
+  pickupTimezone: eta.pickupTimezone,
+  deliveryTimezone: eta.deliveryTimezone,
+  remainingMiles: eta.remainingMiles,
+  speedMph: eta.speedMph,
+  positionAt: eta.position.at,
+  stale: eta.stale,
+  stops: eta.stops.map((p) => ({
+    stopId: p.stop.id,
+    sequence: p.stop.sequence,
+    stopType: p.stop.stop_type,
+    city: p.stop.city,
+    state: p.stop.state,
+    timezone: p.timezone,
+    etaAt: p.etaAt,
+    legMiles: p.legMiles,
+    windowEnd: p.windowEnd,
+    minutesLate: p.minutesLate,
+    late: p.minutesLate !== null && p.minutesLate > config.eta.lateGraceMinutes,
+  })),
+  updatedAt: eta.computedAt,
+});
+
+/**
+ * Stored ETA columns of a load row
+ */
+const formatStoredEta = (load) => ({
+  pickupEta: load.eta_pickup_at || null,
+  deliveryEta: load.eta_delivery_at || null,
+  remainingMiles: parseNum(load.eta_remaining_miles),
+  speedMph: parseNum(load.eta_speed_mph),
+  updatedAt: load.eta_updated_at || null,
+});
+
+module.exports = {
+  formatEtaTime,
+  getDriverPosition,
+  getDriverSpeed,
+  planStops,
+  computeLoadEta,
+  refreshLoadEta,
+  refreshForDriver,
+  refreshStale,
+  formatEta,
+  formatStoredEta,
+};
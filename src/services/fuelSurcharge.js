@@ -0,0 +1,391 @@
+// backend_api/src/services/fuelSurcharge.js
+// Diesel index and schedule-based fuel surcharge
+//
+// Admins import weekly diesel prices per region (fuel_index_prices, DOE-style:
+// one price per week, keyed by the Monday it was published). A schedule turns
+// an index price into a surcharge, e.g. "$0.01/mile per $0.06 over $1.20":
+//
+//   steps     = floor((indexPrice - basePrice) / priceStep), never below 0
+//   per_mile  -> steps * ratePerStep dollars per mile
+//   percent   -> steps * ratePerStep percent of linehaul
+//
+// The effective index is the latest week on or before the pickup (or quote) date.
+// An org's default schedule is its contracted fuel terms and applies to every
+// load it prices; the platform schedule (org_id NULL) applies to rated loads.
+
+const { pool, withTransaction } = require('../db/pool');
+
+const FUEL_REGIONS = [
+  'US',
+  'EAST_COAST',
+  'NEW_ENGLAND',
+  'CENTRAL_ATLANTIC',
+  'LOWER_ATLANTIC',
+  'MIDWEST',
+  'GULF_COAST',
+  'ROCKY_MOUNTAIN',
+  'WEST_COAST',
+  'WEST_COAST_NO_CA',
+  'CALIFORNIA',
+];
+
+const METHODS = ['per_mile', 'percent'];
+
+const round = (n, places = 2) => Math.round(n * 10 ** places) / 10 ** places;
+
+// ============================================
+// INDEX
+// ============================================
+
+/**
+ * Monday (UTC) of the week containing a date, as YYYY-MM-DD; null if unparseable
+ */
+const toWeekStart = (value) => {
+  const date = value instanceof Date ? new Date(value) : new Date(String(value || '').trim());
+  if (Number.isNaN(date.getTime())) return null;
+  const day = date.getUTCDay();
+  date.setUTCDate(date.getUTCDate() - ((day + 6) % 7));
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Validate index rows [{ weekStart|date, price, region? }].
+ * Returns { prices: [{ region, weekStart, price }], errors }.
+ */
+const normalizeIndexRows = (rows, defaultRegion = 'US') => {
+  const prices = [];
+  const errors = [];
+
+  (rows || []).forEach((row, i) => {
+    const region = String(row.region || defaultRegion).trim().toUpperCase();
+    const weekStart = toWeekStart(row.weekStart || row.week || row.date);
+    const price = parseFloat(row.price ?? row.pricePerGallon);
+
+    if (!FUEL_REGIONS.includes(region)) {
+      errors.push(`Row ${i + 1}: region must be one of ${FUEL_REGIONS.join(', ')}`);
+    } else if (!weekStart) {
+      errors.push(`Row ${i + 1}: invalid week/date`);
+    } else if (!(price > 0 && price < 20)) {
+      errors.push(`Row ${i + 1}: price must be dollars per gallon`);
+    } else {
+      prices.push({ region, weekStart, price: round(price, 3) });
+    }
+  });
+
+  return { prices, errors };
+};
+
+/**
+ * CSV with a header row: week (or date/week_start), price (or price_per_gallon), optional region
+ */
+const parseIndexCsv = (text) => {
+  const [header, ...lines] = String(text || '').split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  if (!header) return [];
+
+  const columns = header.split(',').map((c) => c.replace(/"/g, '').trim().toLowerCase());
+  const find = (...names) => columns.findIndex((c) => names.includes(c));
+  const weekCol = find('week', 'week_start', 'weekstart', 'date');
+  const priceCol = find('price', 'price_per_gallon', 'pricepergallon', 'value');
+  const regionCol = find('region');
+
+  return lines.map((line) => {
+    const values = line.split(',').map((v) => v.replace(/"/g, '').trim());
+    return {
+      weekStart: values[weekCol],
+      price: values[priceCol],
+      region: regionCol >= 0 ? values[regionCol] : undefined,
+    };
+  });
+};
+
+/**
+ * Upsert index prices; re-importing a week replaces its price
+ */
+const importIndexPrices = async (prices, { userId = null, source = 'import' } = {}) => {
+  let count = 0;
+  for (const p of prices) {
+    await pool.query(`
+      INSERT INTO fuel_index_prices (region, week_start, price_per_gallon, source, imported_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (region, week_start) DO UPDATE SET
+        price_per_gallon = EXCLUDED.price_per_gallon,
+        source = EXCLUDED.source,
+        imported_by = EXCLUDED.imported_by,
+        updated_at = CURRENT_TIMESTAMP
+    `, [p.region, p.weekStart, p.price, source, userId]);
+    count++;
+  }
+  return count;
+};
+
+/**
+ * Index price in effect on a date: { region, weekStart, price } or null
+ */
+const getIndexPrice = async (region, date = new Date(), client = pool) => {
+  const result = await client.query(`
+    SELECT region, TO_CHAR(week_start, 'YYYY-MM-DD') AS week_start, price_per_gallon
+    FROM fuel_index_prices
+    WHERE region = $1 AND week_start <= $2::date
+    ORDER BY week_start DESC
+    LIMIT 1
+  `, [region, toWeekStart(date) || toWeekStart(new Date())]);
+
+  const row = result.rows[0];
+  return row
+    ? { region: row.region, weekStart: row.week_start, price: parseFloat(row.price_per_gallon) }
+    : null;
+};
+
+const listIndexPrices = async ({ region = 'US', limit = 52 } = {}) => {
+  const result = await pool.query(`
+    SELECT * FROM fuel_index_prices
+    WHERE region = $1
+    ORDER BY week_start DESC
+    LIMIT $2
+  `, [region, limit]);
+  return result.rows;
+};
+
+// ============================================
+// SCHEDULES
+// ============================================
+
+/**
+ * Validate schedule input. partial = true for updates (only given fields).
+ * Returns { fields, errors } with fields in column names.
+ */
+const validateSchedule = (body, { partial = false } = {}) => {
+  const fields = {};
+  const errors = [];
+  const has = (key) => body[key] !== undefined;
+
+  if (has('name') || !partial) {
+    if (!body.name || !String(body.name).trim()) errors.push('name is required');
+    else fields.name = String(body.name).trim().slice(0, 100);
+  }
+  if (has('region') || !partial) {
+    const region = String(body.region || 'US').toUpperCase();
+    if (!FUEL_REGIONS.includes(region)) errors.push(`region must be one of ${FUEL_REGIONS.join(', ')}`);
+    else fields.region = region;
+  }
+  if (has('method') || !partial) {
+    const method = body.method || 'per_mile';
+    if (!METHODS.includes(method)) errors.push(`method must be one of ${METHODS.join(', ')}`);
+    else fields.method = method;
+  }
+
+  const numeric = [
+    ['basePrice', 'base_price', (v) => v >= 0, 'basePrice must be a price per gallon'],
+    ['priceStep', 'price_step', (v) => v > 0, 'priceStep must be greater than 0'],
+    ['ratePerStep', 'rate_per_step', (v) => v >= 0, 'ratePerStep must be 0 or more'],
+  ];
+  for (const [key, column, valid, message] of numeric) {
+    if (!has(key) && partial) continue;
+    const value = parseFloat(body[key]);
+    if (!Number.isFinite(value) || !valid(value)) errors.push(message);
+    else fields[column] = value;
+  }
+
+  if (has('isDefault')) fields.is_default = !!body.isDefault;
+  if (has('isActive')) fields.is_active = !!body.isActive;
+
+  return { fields, errors };
+};
+
+/**
+ * Schedules visible to an org: its own plus the platform schedules
+ */
+const listSchedules = async (orgId) => {
+  const result = await pool.query(`
+    SELECT * FROM fuel_surcharge_schedules
+    WHERE org_id = $1 OR org_id IS NULL
+    ORDER BY org_id NULLS LAST, is_default DESC, created_at
+  `, [orgId || null]);
+  return result.rows;
+};
+
+/**
+ * Default schedule for an org; falls back to the platform default unless orgOnly
+ */
+const getDefaultSchedule = async (orgId, { orgOnly = false } = {}, client = pool) => {
+  const result = await client.query(`
+    SELECT * FROM fuel_surcharge_schedules
+    WHERE is_default AND is_active
+      AND (org_id = $1 ${orgOnly ? '' : 'OR org_id IS NULL'})
+    ORDER BY org_id NULLS LAST
+    LIMIT 1
+  `, [orgId || null]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Create a schedule (orgId null = platform). isDefault replaces the previous default.
+ */
+const createSchedule = (orgId, fields, userId) => withTransaction(async (client) => {
+  if (fields.is_default) await clearDefault(orgId, client);
+
+  const result = await client.query(`
+    INSERT INTO fuel_surcharge_schedules (
+      org_id, name, region, method, base_price, price_step, rate_per_step, is_default, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `, [
+    orgId, fields.name, fields.region, fields.method,
+    fields.base_price, fields.price_step, fields.rate_per_step, !!fields.is_default, userId,
+  ]);
+  return result.rows[0];
+});
+
+/**
+ * Update an org's (or platform) schedule. Returns null when not found.
+ * A schedule that ends up the active default (set as default, or a former
+ * default re-activated) takes the flag from the current default.
+ */
+const updateSchedule = (scheduleId, orgId, fields) => withTransaction(async (client) => {
+  const existing = await client.query(`
+    SELECT * FROM fuel_surcharge_schedules
+    WHERE id = $1 AND org_id IS NOT DISTINCT FROM $2
+    FOR UPDATE
+  `, [scheduleId, orgId]);
+  if (existing.rows.length === 0) return null;
+
+  const current = existing.rows[0];
+  const isDefault = fields.is_default ?? current.is_default;
+  const isActive = fields.is_active ?? current.is_active;
+  if (fields.is_default || (isDefault && isActive)) await clearDefault(orgId, client, scheduleId);
+
+  const columns = Object.keys(fields);
+  if (columns.length === 0) return current;
+
+  const sets = columns.map((column, i) => `${column} = $${i + 2}`);
+  const result = await client.query(`
+    UPDATE fuel_surcharge_schedules
+    SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [scheduleId, ...columns.map((column) => fields[column])]);
+  return result.rows[0];
+});
+
+const clearDefault = (orgId, client, exceptId = null) => client.query(`
+  UPDATE fuel_surcharge_schedules
+  SET is_default = false, updated_at = CURRENT_TIMESTAMP
+  WHERE org_id IS NOT DISTINCT FROM $1 AND is_default
+    AND ($2::int IS NULL OR id != $2)
+`, [orgId, exceptId]);
+
+// ============================================
+// CALCULATION
+// ============================================
+
+/**
+ * Surcharge for a schedule row and index price (pure).
+ * Returns { amount, steps, perMile, pct }.
+ */
+const calculateSurcharge = (schedule, indexPrice, { distanceMiles = 0, linehaulAmount = 0 } = {}) => {
+  // Work in tenths of a cent so 0.06 / 0.06 is exactly one step
+  const over = Math.round((indexPrice - parseFloat(schedule.base_price)) * 1000);
+  const step = Math.round(parseFloat(schedule.price_step) * 1000);
+  const steps = over > 0 ? Math.floor(over / step) : 0;
+  const rate = steps * parseFloat(schedule.rate_per_step);
+
+  if (schedule.method === 'percent') {
+    return { amount: round(linehaulAmount * rate / 100), steps, perMile: null, pct: round(rate, 3) };
+  }
+  return { amount: round(rate * distanceMiles), steps, perMile: round(rate, 4), pct: null };
+};
+
+/**
+ * Schedule + effective index for pricing: { schedule, index } or null when the
+ * org has no schedule or the schedule's region has no index yet
+ */
+const getFuelContext = async ({ orgId = null, date = new Date(), orgOnly = false } = {}, client = pool) => {
+  const schedule = await getDefaultSchedule(orgId, { orgOnly }, client);
+  if (!schedule) return null;
+
+  const index = await getIndexPrice(schedule.region, date, client);
+  if (!index) return null;
+
+  return { schedule, index };
+};
+
+/**
+ * Line item + summary for a fuel context. Returns null when there is no surcharge.
+ */
+const buildFuelCharge = (fuel, { distanceMiles = 0, linehaulAmount = 0 } = {}) => {
+  if (!fuel) return null;
+
+  const { schedule, index } = fuel;
+  const surcharge = calculateSurcharge(schedule, index.price, { distanceMiles, linehaulAmount });
+  const basis = schedule.method === 'percent'
+    ? `${surcharge.pct}%`
+    : `$${surcharge.perMile.toFixed(2)}/mi`;
+
+  return {
+    amount: surcharge.amount,
+    scheduleId: schedule.id,
+    scheduleName: schedule.name,
+    method: schedule.method,
+    region: index.region,
+    indexWeek: index.weekStart,
+    indexPrice: index.price,
+    steps: surcharge.steps,
+    perMile: surcharge.perMile,
+    pct: surcharge.pct,
+    lineItem: {
+      code: 'fuel_surcharge',
+      label: `Fuel Surcharge (${basis}, ${index.region} diesel $${index.price.toFixed(3)} wk of ${index.weekStart})`,
+      ...(schedule.method === 'per_mile' ? { quantity: distanceMiles, rate: surcharge.perMile } : {}),
+      amount: surcharge.amount,
+    },
+  };
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+const formatSchedule = (row) => ({
+  id: row.id,
+  orgId: row.org_id,
+  isPlatform: row.org_id === null,
+  name: row.name,
+  region: row.region,
+  method: row.method,
+  basePrice: parseFloat(row.base_price),
+  priceStep: parseFloat(row.price_step),
+  ratePerStep: parseFloat(row.rate_per_step),
+  isDefault: row.is_default,
+  isActive: row.is_active,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const formatIndexPrice = (row) => ({
+  region: row.region,
+  weekStart: row.week_start,
+  price: parseFloat(row.price_per_gallon),
+  source: row.source,
+  updatedAt: row.updated_at,
+});
+
+module.exports = {
+  FUEL_REGIONS,
+  METHODS,
+  toWeekStart,
+  normalizeIndexRows,
+  parseIndexCsv,
+  importIndexPrices,
+  getIndexPrice,
+  listIndexPrices,
+  validateSchedule,
+  listSchedules,
+  getDefaultSchedule,
+  createSchedule,
+  updateSchedule,
+  calculateSurcharge,
+  getFuelContext,
+  buildFuelCharge,
+  formatSchedule,
+  formatIndexPrice,
+};
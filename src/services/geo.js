@@ -0,0 +1,112 @@
+// backend_api/src/services/geo.js
+// Great-circle math and polyline encoding shared by routing, matching and GPS checks
+
+const EARTH_RADIUS_MILES = 3959;
+const METERS_PER_MILE = 1609.344;
+
+const toRad = (deg) => deg * (Math.PI / 180);
+
+/**
+ * Straight-line distance between two coordinates in miles (Haversine formula)
+ */
+const haversineMiles = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+  return EARTH_RADIUS_MILES * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const haversineMeters = (lat1, lng1, lat2, lng2) =>
+  haversineMiles(lat1, lng1, lat2, lng2) * METERS_PER_MILE;
+
+/**
+ * Encoded polyline (precision 5) for [{ lat, lng }]
+ * https://developers.google.com/maps/documentation/utilities/polylinealgorithm
+ */
+const encodePolyline = (points) => {
+  let lastLat = 0;
+  let lastLng = 0;
+  let output = '';
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return chunk + String.fromCharCode(v + 63);
+  };
+
+  for (const p of points) {
+    const lat = Math.round(p.lat * 1e5);
+    const lng = Math.round(p.lng * 1e5);
+    output += encodeValue(lat - lastLat) + encodeValue(lng - lastLng);
+    lastLat = lat;
+    lastLng = lng;
+  }
+
+  return output;
+};
+
+/**
+ * Douglas-Peucker simplification of [{ lat, lng, ... }] keeping every point
+ * that deviates more than toleranceMeters from the simplified line.
+ * Points are projected equirectangularly, which is accurate enough at trip scale.
+ */
+const simplifyPolyline = (points, toleranceMeters) => {
+  if (points.length <= 2 || !(toleranceMeters > 0)) return points.slice();
+
+  const metersPerDegLat = toRad(1) * EARTH_RADIUS_MILES * METERS_PER_MILE;
+  const metersPerDegLng = metersPerDegLat * Math.cos(toRad(points[0].lat));
+  const xy = points.map((p) => [p.lng * metersPerDegLng, p.lat * metersPerDegLat]);
+
+  const offset = (i, a, b) => {
+    const [x, y] = xy[i];
+    const [x1, y1] = xy[a];
+    const [x2, y2] = xy[b];
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSq)) : 0;
+    return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+  };
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  // Explicit stack: breadcrumb trails can be long enough to overflow recursion
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    let maxOffset = 0;
+    let index = -1;
+    for (let i = a + 1; i < b; i++) {
+      const d = offset(i, a, b);
+      if (d > maxOffset) {
+        maxOffset = d;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxOffset > toleranceMeters) {
+      keep[index] = true;
+      stack.push([a, index], [index, b]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+};
+
+module.exports = {
+  METERS_PER_MILE,
+  haversineMiles,
+  haversineMeters,
+  encodePolyline,
+  simplifyPolyline,
+};
@@ -0,0 +1,127 @@
+// backend_api/src/services/geocoders/gazetteer.js
+// Offline geocoder backed by the CSV files in src/data/gazetteer
+//
+//   us-cities.csv  city,state,lat,lng   city centroids
+//   us-zip3.csv    zip3,city,state      ZIP prefix (or prefix range) -> its sectional center city
+//   us-states.csv  state,name,lat,lng   last resort
+//   us-zips.csv    zip,lat,lng          optional 5-digit ZIP centroids (e.g. Census ZCTA), not shipped
+//
+// GEOCODING_GAZETTEER_DIR points at a directory with replacement/extra files.
+// Street addresses are not resolved: the best result is a ZIP or city centroid.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+
+const DEFAULT_DIR = path.join(__dirname, '../../data/gazetteer');
+
+let index = null;
+
+const normalizeCity = (city) => String(city || '')
+  .toLowerCase()
+  .replace(/\./g, '')
+  .replace(/^(st|ste)\s+/, 'saint ')
+  .replace(/^ft\s+/, 'fort ')
+  .replace(/^mt\s+/, 'mount ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const cityKey = (city, state) => `${normalizeCity(city)}|${String(state || '').trim().toUpperCase()}`;
+
+const readCsv = (file) => {
+  const candidates = [config.geocoding.gazetteerDir, DEFAULT_DIR].filter(Boolean);
+  for (const dir of candidates) {
+    const full = path.join(dir, file);
+    if (fs.existsSync(full)) {
+      const [header, ...lines] = fs.readFileSync(full, 'utf8').split(/\r?\n/).filter(Boolean);
+      const columns = header.split(',');
+      return lines.map((line) => {
+        const values = line.split(',');
+        return Object.fromEntries(columns.map((c, i) => [c, values[i]]));
+      });
+    }
+  }
+  return [];
+};
+
+const loadIndex = () => {
+  if (index) return index;
+
+  const cities = new Map();
+  for (const row of readCsv('us-cities.csv')) {
+    cities.set(cityKey(row.city, row.state), {
+      city: row.city, state: row.state, lat: parseFloat(row.lat), lng: parseFloat(row.lng),
+    });
+  }
+
+  const zip3 = new Map();
+  for (const row of readCsv('us-zip3.csv')) {
+    const center = cities.get(cityKey(row.city, row.state));
+    if (!center) continue;
+    const [from, to = from] = row.zip3.split('-').map((p) => parseInt(p, 10));
+    for (let prefix = from; prefix <= to; prefix++) {
+      zip3.set(String(prefix).padStart(3, '0'), center);
+    }
+  }
+
+  const zips = new Map();
+  for (const row of readCsv('us-zips.csv')) {
+    zips.set(row.zip.padStart(5, '0'), { lat: parseFloat(row.lat), lng: parseFloat(row.lng) });
+  }
+
+  const states = new Map();
+  for (const row of readCsv('us-states.csv')) {
+    states.set(row.state, { name: row.name, lat: parseFloat(row.lat), lng: parseFloat(row.lng) });
+  }
+
+  index = { cities, zip3, zips, states };
+  console.log(`[Geocoding] Gazetteer loaded: ${cities.size} cities, ${zip3.size} ZIP prefixes, ${zips.size} ZIPs`);
+  return index;
+};
+
+const result = (lat, lng, precision, formattedAddress) => ({
+  latitude: lat,
+  longitude: lng,
+  formattedAddress,
+  precision,
+});
+
+/**
+ * Most precise centroid available: 5-digit ZIP, city/state, ZIP prefix, state.
+ * Returns null when nothing matches.
+ */
+const geocode = async ({ city, state, zip }) => {
+  const { cities, zip3, zips, states } = loadIndex();
+  const st = String(state || '').trim().toUpperCase();
+  const zip5 = String(zip || '').trim().slice(0, 5);
+
+  if (/^\d{5}$/.test(zip5) && zips.has(zip5)) {
+    const hit = zips.get(zip5);
+    return result(hit.lat, hit.lng, 'zip', [city, st, zip5].filter(Boolean).join(', '));
+  }
+
+  if (city && st) {
+    const hit = cities.get(cityKey(city, st));
+    if (hit) return result(hit.lat, hit.lng, 'city', `${hit.city}, ${hit.state}`);
+  }
+
+  if (/^\d{5}$/.test(zip5) && zip3.has(zip5.slice(0, 3))) {
+    const hit = zip3.get(zip5.slice(0, 3));
+    return result(hit.lat, hit.lng, 'zip3', `${hit.city}, ${hit.state} ${zip5}`);
+  }
+
+  if (states.has(st)) {
+    const hit = states.get(st);
+    return result(hit.lat, hit.lng, 'state', hit.name);
+  }
+
+  return null;
+};
+
+module.exports = {
+  name: 'gazetteer',
+  cacheable: false,
+  isConfigured: () => true,
+  geocode,
+  normalizeCity,
+};
@@ -0,0 +1,46 @@
+// backend_api/src/services/geocoders/google.js
+// Hosted geocoder: Google Maps Geocoding API
+// https://developers.google.com/maps/documentation/geocoding
+
+const axios = require('axios');
+const config = require('../../config');
+
+const GEOCODE_URL = 'https://maps.googleapis.com/maps/api/geocode/json';
+
+// Google location_type -> our precision levels
+const PRECISION = {
+  ROOFTOP: 'address',
+  RANGE_INTERPOLATED: 'address',
+  GEOMETRIC_CENTER: 'street',
+  APPROXIMATE: 'city',
+};
+
+const geocode = async ({ address, city, state, zip }) => {
+  const fullAddress = [address, city, `${state || ''} ${zip || ''}`.trim()].filter(Boolean).join(', ');
+
+  const response = await axios.get(GEOCODE_URL, {
+    params: { address: fullAddress, components: 'country:US', key: config.geocoding.googleApiKey },
+    timeout: 5000,
+  });
+
+  const { status, results, error_message: errorMessage } = response.data;
+  if (status === 'ZERO_RESULTS') return null;
+  if (status !== 'OK') {
+    throw new Error(`Google geocoding failed: ${status}${errorMessage ? ` (${errorMessage})` : ''}`);
+  }
+
+  const top = results[0];
+  return {
+    latitude: top.geometry.location.lat,
+    longitude: top.geometry.location.lng,
+    formattedAddress: top.formatted_address,
+    precision: PRECISION[top.geometry.location_type] || 'city',
+  };
+};
+
+module.exports = {
+  name: 'google',
+  cacheable: true,
+  isConfigured: () => !!config.geocoding.googleApiKey,
+  geocode,
+};
@@ -11,66 +11,175 @@
 // =========================================================
 
 const config = require('../config');
+const { pool } = require('../db/pool');
+const gazetteer = require('./geocoders/gazetteer');
+const google = require('./geocoders/google');
+const routing = require('./routing');
+const { haversineMiles } = require('./geo');
+
+// Providers are tried in order; the offline gazetteer is always the last resort
+const providers = { gazetteer, google };
+
+// Precision good enough to store as a stop's location (coarser is estimate-only)
+const STOP_PRECISIONS = ['address', 'street', 'zip', 'city'];
+
+/**
+ * Add a hosted provider: { name, cacheable, isConfigured(), geocode({ address, city, state, zip }) }
+ */
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const getProviderChain = () => {
+  const primary = providers[config.geocoding.provider];
+  const chain = primary && primary.isConfigured() ? [primary] : [];
+  if (!chain.includes(gazetteer)) chain.push(gazetteer);
+  return chain;
+};
+
+const buildQueryKey = ({ address, city, state, zip }) =>
+  [address, gazetteer.normalizeCity(city), state, String(zip || '').slice(0, 5)]
+    .map((part) => String(part || '').trim().toLowerCase().replace(/\s+/g, ' '))
+    .join('|');
+
+const readCache = async (key) => {
+  try {
+    const result = await pool.query(`
+      UPDATE geocode_cache
+      SET hit_count = hit_count + 1, last_used_at = CURRENT_TIMESTAMP
+      WHERE query_key = $1 AND created_at > NOW() - INTERVAL '1 day' * $2
+      RETURNING *
+    `, [key, config.geocoding.cacheTtlDays]);
+
+    const row = result.rows[0];
+    if (!row) return null;
+
+    return {
+      latitude: parseFloat(row.latitude),
+      longitude: parseFloat(row.longitude),
+      formattedAddress: row.formatted_address,
+      precision: row.precision,
+      provider: row.provider,
+      cached: true,
+    };
+  } catch (error) {
+    console.error('[Geocoding] Cache read failed:', error.message);
+    return null;
+  }
+};
+
+const writeCache = async (key, geo) => {
+  try {
+    await pool.query(`
+      INSERT INTO geocode_cache (query_key, provider, latitude, longitude, formatted_address, precision)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (query_key) DO UPDATE SET
+        provider = EXCLUDED.provider,
+        latitude = EXCLUDED.latitude,
+        longitude = EXCLUDED.longitude,
+        formatted_address = EXCLUDED.formatted_address,
+        precision = EXCLUDED.precision,
+        created_at = CURRENT_TIMESTAMP,
+        last_used_at = CURRENT_TIMESTAMP
+    `, [key, geo.provider, geo.latitude, geo.longitude, geo.formattedAddress, geo.precision]);
+  } catch (error) {
+    console.error('[Geocoding] Cache write failed:', error.message);
+  }
+};
 
 /**
  * Geocode an address to lat/lon coordinates
- * Uses Google Maps Geocoding API
- * 
- * TODO: Add actual Google Maps API key and implementation
- * For now, returns mock data for testing
+ *
+ * Uses the configured provider (GEOCODING_PROVIDER), falling back to the
+ * offline gazetteer. Hosted results are cached in geocode_cache.
+ * precision: 'address' | 'street' | 'zip' | 'city' | 'zip3' | 'state'
+ * Returns null when the location cannot be resolved.
  */
 const geocodeAddress = async (address, city, state, zip = '') => {
-  const fullAddress = `${address}, ${city}, ${state} ${zip}`.trim();
-  
-  // TODO: Replace with actual Google Maps API call
-  // const response = await fetch(
-  //   `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(fullAddress)}&key=${config.google.apiKey}`
-  // );
-  
-  // Mock response for testing
-  console.log(`[Geocoding] Would geocode: ${fullAddress}`);
-  
-  // Return mock coordinates (Memphis, TN area)
-  return {
-    latitude: 35.1495 + (Math.random() * 0.1 - 0.05),
-    longitude: -90.0490 + (Math.random() * 0.1 - 0.05),
-    formattedAddress: fullAddress,
-  };
+  const query = { address, city, state, zip };
+  const chain = getProviderChain();
+  const key = buildQueryKey(query);
+
+  if (chain.some((p) => p.cacheable)) {
+    const cached = await readCache(key);
+    if (cached) return cached;
+  }
+
+  for (const provider of chain) {
+    try {
+      const geo = await provider.geocode(query);
+      if (!geo) continue;
+
+      const resultWithProvider = { ...geo, provider: provider.name };
+      if (provider.cacheable) await writeCache(key, resultWithProvider);
+      return resultWithProvider;
+    } catch (error) {
+      console.error(`[Geocoding] ${provider.name} failed:`, error.message);
+    }
+  }
+
+  console.warn(`[Geocoding] Could not resolve: ${[address, city, state, zip].filter(Boolean).join(', ')}`);
+  return null;
 };
 
 /**
- * Calculate distance between two coordinates (Haversine formula)
+ * Fill coordinates on normalized load stops that arrived without them.
+ * City precision or better becomes the stop's lat/lng; a ZIP3 or state
+ * centroid is only good for distance estimates, so it goes to
+ * estimatedLat/estimatedLng and the stop stays without coordinates (no
+ * geofence, no exact location). geocodePrecision records either way.
+ * Returns the number of stops geocoded.
  */
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 3959; // Earth's radius in miles
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  
-  const a = 
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  const distance = R * c;
-  
-  return Math.round(distance * 100) / 100;
-};
+const geocodeStops = async (stops) => {
+  let count = 0;
+
+  for (const stop of stops) {
+    const hasCoords = Number.isFinite(stop.lat) && Number.isFinite(stop.lng);
+    if (hasCoords) continue;
 
-const toRad = (deg) => deg * (Math.PI / 180);
+    const geo = await geocodeAddress(stop.address, stop.city, stop.state, stop.zip);
+    if (!geo) continue;
+
+    stop.geocodePrecision = geo.precision || null;
+    if (STOP_PRECISIONS.includes(geo.precision)) {
+      stop.lat = geo.latitude;
+      stop.lng = geo.longitude;
+    } else {
+      stop.estimatedLat = geo.latitude;
+      stop.estimatedLng = geo.longitude;
+    }
+    count++;
+  }
+
+  return count;
+};
 
 /**
- * Estimate drive time based on distance
- * Assumes average speed of 55 mph for trucking
+ * A stop's coordinates for distance estimates: exact when known, else the
+ * coarse geocode. { lat, lng } (null when neither is known).
  */
-const estimateDriveTime = (distanceMiles, avgSpeedMph = 55) => {
-  const hours = distanceMiles / avgSpeedMph;
-  const minutes = Math.round(hours * 60);
-  return minutes;
+const estimatePoint = (stop) => {
+  const lat = parseFloat(stop?.lat);
+  const lng = parseFloat(stop?.lng);
+  if (Number.isFinite(lat) && Number.isFinite(lng)) return { lat, lng };
+  if (Number.isFinite(stop?.estimatedLat) && Number.isFinite(stop?.estimatedLng)) {
+    return { lat: stop.estimatedLat, lng: stop.estimatedLng };
+  }
+  return { lat: null, lng: null };
 };
 
+/**
+ * Straight-line distance between two coordinates in miles.
+ * Use routing.getRoute for road miles.
+ */
+const calculateDistance = (lat1, lon1, lat2, lon2) =>
+  Math.round(haversineMiles(lat1, lon1, lat2, lon2) * 100) / 100;
+
 module.exports = {
+  registerProvider,
   geocodeAddress,
+  geocodeStops,
+  estimatePoint,
   calculateDistance,
-  estimateDriveTime,
+  estimateDriveTime: routing.estimateDriveMinutes,
 };
@@ -0,0 +1,472 @@
+// backend_api/src/services/geofence.js
+// Stop geofences: arrival/departure from driver location, dwell and detention
+//
+// Every location fix from a driver (socket location:update, POST
+// /tracking/location) is checked against the stops of their active load:
+//
+//   within radiusMeters of the next stop       -> arrival stamped (source 'geofence')
+//   beyond exitRadiusMeters after being inside -> departure stamped
+//
+// The detention clock starts at arrival, or at the appointment window start
+// for early arrivals. Once the clock passes the stop's free time (the org's
+// detention rate, else config.geofence.defaultFreeMinutes) a detention
+// accessorial candidate is opened; departure closes and prices it and the
+// driver confirms it into a request (services/accessorials.js).
+//
+// Functions return realtime events ({ event, loadId, payload }) for the
+// caller to emit, since this module is used from the socket handler itself.
+
+const { pool, withTransaction } = require('../db/pool');
+const config = require('../config');
+const { haversineMeters } = require('./geo');
+const accessorials = require('./accessorials');
+const loadStatus = require('./loadStatus');
+const timezones = require('./timezones');
+const notificationService = require('./notificationService');
+
+// Load statuses during which a driver's location is matched against stops
+const ACTIVE_LOAD_STATUSES = [
+  'assigned', 'confirmed', 'en_route_pickup', 'at_pickup', 'picked_up',
+  'en_route_delivery', 'in_transit', 'at_delivery',
+];
+
+// Past these the driver has the freight, so unvisited pickups no longer gate arrivals
+const LOADED_STATUSES = ['picked_up', 'en_route_delivery', 'in_transit', 'at_delivery'];
+
+// Device timestamps further off than this are replaced by the server clock
+const MAX_FIX_AGE_MS = 6 * 60 * 60 * 1000;
+const MAX_FIX_SKEW_MS = 60 * 1000;
+
+// ============================================
+// DWELL
+// ============================================
+
+/**
+ * Dwell for a stop row (pure). Open stops are measured to `now`.
+ * Returns { arrivalTiming, clockStart, dwellMinutes, detentionMinutes } or null before arrival.
+ */
+const computeDwell = (stop, { freeMinutes, now = new Date() } = {}) => {
+  if (!stop.arrived_at) return null;
+
+  const arrivedAt = new Date(stop.arrived_at);
+  const end = stop.departed_at ? new Date(stop.departed_at) : now;
+  const { start: windowStart, end: windowEnd } = timezones.stopWindow(stop);
+
+  let arrivalTiming = null;
+  if (windowStart && arrivedAt < windowStart) arrivalTiming = 'early';
+  else if (windowEnd && arrivedAt > windowEnd) arrivalTiming = 'late';
+  else if (windowStart || windowEnd) arrivalTiming = 'on_time';
+
+  const clockStart = arrivalTiming === 'early' ? windowStart : arrivedAt;
+  const free = freeMinutes ?? stop.free_minutes ?? config.geofence.defaultFreeMinutes;
+  const onClock = Math.max(0, Math.floor((end - clockStart) / 60000));
+
+  return {
+    arrivalTiming,
+    clockStart,
+    dwellMinutes: Math.max(0, Math.floor((end - arrivedAt) / 60000)),
+    detentionMinutes: Math.max(0, onClock - free),
+  };
+};
+
+const detentionCode = (stop) => (stop.stop_type === 'pickup' ? 'detention_pickup' : 'detention_delivery');
+
+// ============================================
+// LOCATION PROCESSING
+// ============================================
+
+/**
+ * Normalize a fix; recordedAt (device time) is used when plausible
+ */
+const toFix = ({ latitude, longitude, accuracy, recordedAt }) => {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+  const now = Date.now();
+  const device = recordedAt ? new Date(recordedAt).getTime() : NaN;
+  const at = Number.isFinite(device) && device <= now + MAX_FIX_SKEW_MS && device >= now - MAX_FIX_AGE_MS
+    ? new Date(Math.min(device, now))
+    : new Date(now);
+
+  const acc = parseFloat(accuracy);
+  return { lat, lng, accuracy: Number.isFinite(acc) ? acc : null, at };
+};
+
+/**
+ * Stops on the driver's active loads that can still see a geofence event
+ */
+const getTrackedStops = async (driverId, client = pool) => {
+  const result = await client.query(`
+    SELECT s.*, l.status AS load_status, l.shipper_id, l.posted_by_org_id, l.driver_id
+    FROM load_stops s
+    JOIN loads l ON s.load_id = l.id
+    WHERE l.driver_id = $1
+      AND l.status = ANY($2)
+      AND s.lat IS NOT NULL AND s.lng IS NOT NULL
+      AND s.departed_at IS NULL
+      AND s.status != 'skipped'
+    ORDER BY l.id, s.sequence
+  `, [driverId, ACTIVE_LOAD_STATUSES]);
+  return result.rows;
+};
+
+/**
+ * The stop an arrival may be recorded at: the first open stop without an
+ * arrival, skipping unvisited pickups once the load is loaded.
+ */
+const nextArrivalStop = (stops) => stops.find((stop) =>
+  !stop.arrived_at &&
+  stop.status !== 'completed' &&
+  !(stop.stop_type === 'pickup' && LOADED_STATUSES.includes(stop.load_status))
+) || null;
+
+const recordGeofenceEvent = async (stop, driverId, type, fix, distance, client = pool) => {
+  await client.query(`
+    INSERT INTO geofence_events (load_id, stop_id, driver_id, event_type, lat, lng, gps_accuracy, distance_meters, occurred_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  `, [stop.load_id, stop.id, driverId, type, fix.lat, fix.lng, fix.accuracy, Math.round(distance), fix.at]);
+};
+
+/**
+ * Free minutes for a stop under the posting org's detention rate.
+ * Returns { rate, freeMinutes }; rate is null when detention is disabled.
+ */
+const resolveDetention = async (stop, client = pool) => {
+  const rate = await accessorials.resolveRate(detentionCode(stop), stop.posted_by_org_id, client);
+  return { rate, freeMinutes: rate ? rate.freeMinutes : config.geofence.defaultFreeMinutes };
+};
+
+const arrive = async (stop, driverId, fix, distance) => {
+  const { freeMinutes } = await resolveDetention(stop);
+
+  const result = await pool.query(`
+    UPDATE load_stops SET
+      status = CASE WHEN status = 'pending' THEN 'arrived' ELSE status END,
+      arrived_at = $2,
+      arrival_source = 'geofence',
+      geofence_state = 'inside',
+      free_minutes = $3,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND arrived_at IS NULL
+    RETURNING *
+  `, [stop.id, fix.at, freeMinutes]);
+  const updated = result.rows[0];
+  if (!updated) return null;
+
+  const dwell = computeDwell(updated, { now: fix.at });
+  await pool.query(
+    'UPDATE load_stops SET arrival_timing = $2, detention_clock_start = $3 WHERE id = $1',
+    [stop.id, dwell.arrivalTiming, dwell.clockStart]
+  );
+
+  await recordGeofenceEvent(stop, driverId, 'enter', fix, distance);
+  if (updated.status !== stop.status) {
+    await loadStatus.recordStatusEvent({
+      loadId: stop.load_id,
+      entityType: 'stop',
+      entityId: stop.id,
+      fromStatus: stop.status,
+      toStatus: updated.status,
+      actor: { id: driverId, role: 'driver' },
+      source: 'geofence',
+      gps: { lat: fix.lat, lng: fix.lng, accuracy: fix.accuracy },
+      stopId: stop.id,
+      metadata: { distanceMeters: Math.round(distance) },
+    });
+  }
+
+  return {
+    event: 'stop:arrived',
+    loadId: stop.load_id,
+    payload: {
+      loadId: stop.load_id,
+      stopId: stop.id,
+      sequence: stop.sequence,
+      stopType: stop.stop_type,
+      arrivedAt: fix.at.toISOString(),
+      arrivalTiming: dwell.arrivalTiming,
+      freeMinutes,
+      source: 'geofence',
+    },
+  };
+};
+
+/**
+ * Stamp departure, finalize dwell and close any detention candidate
+ */
+const depart = async (stop, departedAt, source, { driverId = null, fix = null, distance = null } = {}) => {
+  return withTransaction(async (client) => {
+    const locked = await client.query(
+      'SELECT * FROM load_stops WHERE id = $1 AND departed_at IS NULL FOR UPDATE',
+      [stop.id]
+    );
+    const current = locked.rows[0];
+    if (!current || !current.arrived_at) return null;
+
+    const dwell = computeDwell({ ...current, departed_at: departedAt });
+    const result = await client.query(`
+      UPDATE load_stops SET
+        departed_at = $2,
+        departure_source = $3,
+        geofence_state = CASE WHEN $3 = 'geofence' THEN 'outside' ELSE geofence_state END,
+        dwell_minutes = $4,
+        detention_minutes = $5,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [stop.id, departedAt, source, dwell.dwellMinutes, dwell.detentionMinutes]);
+
+    if (fix) {
+      await recordGeofenceEvent(current, driverId, 'exit', fix, distance, client);
+    }
+
+    let candidate = null;
+    if (current.detention_accessorial_id) {
+      candidate = await accessorials.closeCandidate(current.detention_accessorial_id, departedAt, client);
+    }
+
+    return {
+      event: 'stop:departed',
+      loadId: current.load_id,
+      payload: {
+        loadId: current.load_id,
+        stopId: current.id,
+        sequence: current.sequence,
+        stopType: current.stop_type,
+        departedAt: new Date(departedAt).toISOString(),
+        dwellMinutes: dwell.dwellMinutes,
+        detentionMinutes: dwell.detentionMinutes,
+        detentionAccessorialId: candidate?.id || current.detention_accessorial_id || null,
+        detentionAmount: candidate ? parseFloat(candidate.requested_amount) : null,
+        source,
+      },
+      stop: result.rows[0],
+    };
+  });
+};
+
+/**
+ * Open a detention candidate when the stop's clock has passed its free time.
+ * Returns a 'stop:detention' event, or null.
+ */
+const openDetention = async (stopId, now = new Date()) => {
+  const opened = await withTransaction(async (client) => {
+    const locked = await client.query(`
+      SELECT s.*, l.shipper_id, l.driver_id, l.posted_by_org_id
+      FROM load_stops s
+      JOIN loads l ON s.load_id = l.id
+      WHERE s.id = $1
+      FOR UPDATE OF s
+    `, [stopId]);
+    const stop = locked.rows[0];
+    if (!stop || !stop.arrived_at || stop.departed_at || stop.detention_accessorial_id) return null;
+
+    const { rate } = await resolveDetention(stop, client);
+    if (!rate) return null;
+
+    const dwell = computeDwell(stop, { freeMinutes: stop.free_minutes ?? rate.freeMinutes, now });
+    if (dwell.detentionMinutes <= 0) return null;
+
+    const candidate = await accessorials.createCandidate({
+      load: { id: stop.load_id },
+      stop,
+      rate: { ...rate, freeMinutes: stop.free_minutes ?? rate.freeMinutes },
+      startedAt: dwell.clockStart,
+    }, client);
+    // Arrivals entered by hand get their clock and free time fixed here
+    await client.query(`
+      UPDATE load_stops SET
+        detention_accessorial_id = $2,
+        free_minutes = COALESCE(free_minutes, $3),
+        detention_clock_start = COALESCE(detention_clock_start, $4),
+        arrival_timing = COALESCE(arrival_timing, $5)
+      WHERE id = $1
+    `, [stop.id, candidate.id, rate.freeMinutes, dwell.clockStart, dwell.arrivalTiming]);
+    return { stop, candidate, dwell, rate };
+  });
+  if (!opened) return null;
+
+  const { stop, candidate, dwell, rate } = opened;
+  const data = {
+    loadId: stop.load_id,
+    stopId: stop.id,
+    stopType: stop.stop_type,
+    city: stop.city,
+    freeMinutes: rate.freeMinutes,
+    rate: rate.rate,
+    accessorialId: candidate.id,
+  };
+  for (const userId of [stop.shipper_id, stop.driver_id].filter(Boolean)) {
+    notificationService.sendNotification(userId, 'DETENTION_STARTED', data)
+      .catch(err => console.error('[Geofence] Detention notification error:', err));
+  }
+
+  return {
+    event: 'stop:detention',
+    loadId: stop.load_id,
+    payload: {
+      ...data,
+      detentionStartedAt: new Date(dwell.clockStart.getTime() + rate.freeMinutes * 60000).toISOString(),
+      arrivalTiming: dwell.arrivalTiming,
+    },
+  };
+};
+
+/**
+ * Match one driver location fix against their active stops.
+ * Returns the realtime events it produced.
+ */
+const processLocation = async (driverId, location) => {
+  const fix = toFix(location);
+  if (!fix) return [];
+  if (fix.accuracy !== null && fix.accuracy > config.geofence.maxAccuracyMeters) return [];
+
+  const { radiusMeters, exitRadiusMeters } = config.geofence;
+  const stops = await getTrackedStops(driverId);
+  const events = [];
+
+  const byLoad = {};
+  for (const stop of stops) {
+    (byLoad[stop.load_id] = byLoad[stop.load_id] || []).push(stop);
+  }
+
+  for (const loadStopsList of Object.values(byLoad)) {
+    const next = nextArrivalStop(loadStopsList);
+
+    for (const stop of loadStopsList) {
+      const distance = haversineMeters(fix.lat, fix.lng, parseFloat(stop.lat), parseFloat(stop.lng));
+
+      if (!stop.arrived_at) {
+        if (stop === next && distance <= radiusMeters) {
+          const arrived = await arrive(stop, driverId, fix, distance);
+          if (arrived) events.push(arrived);
+        }
+        continue;
+      }
+
+      if (distance <= radiusMeters) {
+        if (stop.geofence_state !== 'inside') {
+          // Arrival was entered by hand; start tracking the exit from here
+          await pool.query("UPDATE load_stops SET geofence_state = 'inside' WHERE id = $1", [stop.id]);
+          await recordGeofenceEvent(stop, driverId, 'enter', fix, distance);
+        }
+        if (!stop.detention_accessorial_id) {
+          const detention = await openDetention(stop.id, fix.at);
+          if (detention) events.push(detention);
+        }
+      } else if (distance > exitRadiusMeters && stop.geofence_state === 'inside') {
+        const departed = await depart(stop, fix.at, 'geofence', { driverId, fix, distance });
+        if (departed) events.push(departed);
+      }
+    }
+  }
+
+  return events;
+};
+
+// ============================================
+// SWEEP
+// ============================================
+
+/**
+ * Periodic pass for drivers whose app stops reporting while on site:
+ * opens detention that came due without a fix, and departs completed stops
+ * that never saw an exit fix (at their completion time).
+ * Returns the realtime events it produced.
+ */
+const sweepDetention = async () => {
+  const events = [];
+
+  const due = await pool.query(`
+    SELECT s.id
+    FROM load_stops s
+    JOIN loads l ON s.load_id = l.id
+    WHERE s.arrived_at IS NOT NULL
+      AND s.departed_at IS NULL
+      AND s.geofence_state = 'inside'
+      AND s.detention_accessorial_id IS NULL
+      AND s.status != 'skipped'
+      AND l.status = ANY($1)
+      AND COALESCE(s.detention_clock_start, s.arrived_at)
+          + (COALESCE(s.free_minutes, $2) * INTERVAL '1 minute') < CURRENT_TIMESTAMP
+  `, [ACTIVE_LOAD_STATUSES, config.geofence.defaultFreeMinutes]);
+
+  for (const row of due.rows) {
+    const detention = await openDetention(row.id);
+    if (detention) events.push(detention);
+  }
+
+  const stale = await pool.query(`
+    SELECT s.*
+    FROM load_stops s
+    JOIN loads l ON s.load_id = l.id
+    WHERE s.arrived_at IS NOT NULL
+      AND s.departed_at IS NULL
+      AND (
+        (s.status IN ('completed', 'skipped') AND s.completed_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 minute'))
+        OR l.status IN ('delivered', 'completed', 'cancelled')
+      )
+  `, [config.geofence.departureTimeoutMinutes]);
+
+  for (const stop of stale.rows) {
+    const departed = await depart(stop, stop.completed_at || new Date(), 'closeout');
+    if (departed) events.push(departed);
+  }
+
+  return events;
+};
+
+// ============================================
+// QUERIES & FORMATTING
+// ============================================
+
+/**
+ * Dwell summary per stop for a load (open stops measured to now)
+ */
+const getLoadDwell = async (loadId) => {
+  const result = await pool.query(
+    'SELECT * FROM load_stops WHERE load_id = $1 ORDER BY sequence',
+    [loadId]
+  );
+  return result.rows.map(formatDwell);
+};
+
+const formatDwell = (stop) => {
+  const dwell = computeDwell(stop);
+  return {
+    stopId: stop.id,
+    sequence: stop.sequence,
+    stopType: stop.stop_type,
+    status: stop.status,
+    city: stop.city,
+    state: stop.state,
+    appointment: {
+      date: stop.scheduled_date,
+      windowStart: stop.window_start,
+      windowEnd: stop.window_end,
+      timezone: timezones.stopTimezone(stop),
+    },
+    arrivedAt: stop.arrived_at,
+    arrivalSource: stop.arrival_source,
+    departedAt: stop.departed_at,
+    departureSource: stop.departure_source,
+    onSite: !!stop.arrived_at && !stop.departed_at,
+    arrivalTiming: stop.arrival_timing ?? dwell?.arrivalTiming ?? null,
+    freeMinutes: stop.free_minutes,
+    dwellMinutes: stop.dwell_minutes ?? dwell?.dwellMinutes ?? null,
+    detentionMinutes: stop.detention_minutes ?? dwell?.detentionMinutes ?? null,
+    detentionAccessorialId: stop.detention_accessorial_id,
+  };
+};
+
+module.exports = {
+  ACTIVE_LOAD_STATUSES,
+  computeDwell,
+  toFix,
+  processLocation,
+  openDetention,
+  sweepDetention,
+  getLoadDwell,
+  formatDwell,
+};
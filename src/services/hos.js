@@ -0,0 +1,598 @@
+// backend_api/src/services/hos.js
+// Hours of service (property-carrying, 70-hour/8-day)
+//
+// A driver's clocks are minutes remaining on each limit:
+//   driveLeft   11 hours of driving after 10 consecutive hours off duty
+//   windowLeft  14-hour on-duty window from the first on-duty time after that
+//   breakDue    30-minute break (any non-driving time) after 8 hours driving
+//   cycleLeft   70 hours on duty in 8 days, restored by a 34-hour restart
+//
+// Clocks come from the driver (self-reported) or from an imported ELD log
+// (duty status records), else fresh clocks are assumed. Between as_of and a
+// planned departure the driver is assumed off duty.
+//
+// planTrip drives a trip stop by stop, taking the breaks, 10-hour resets and
+// 34-hour restarts the rules require, so arrival times are the earliest legal
+// ones. A stop reached after its window closes because a rest was needed is
+// an HOS violation (matches are rejected, offers and route plans flagged or
+// refused). Sleeper-berth split periods are not modeled.
+
+const { v4: uuidv4 } = require('uuid');
+const { pool, withTransaction } = require('../db/pool');
+const config = require('../config');
+const routing = require('./routing');
+const loadStops = require('./loadStops');
+const timezones = require('./timezones');
+const { getDriverPosition } = require('./eta');
+
+const DUTY_STATUSES = ['off_duty', 'sleeper_berth', 'driving', 'on_duty'];
+
+// ELD exports use codes (1-4) or abbreviations for duty status
+const DUTY_STATUS_ALIASES = {
+  1: 'off_duty', off: 'off_duty', off_duty: 'off_duty', 'off duty': 'off_duty',
+  2: 'sleeper_berth', sb: 'sleeper_berth', sleeper: 'sleeper_berth', sleeper_berth: 'sleeper_berth',
+  3: 'driving', d: 'driving', dr: 'driving', drive: 'driving', driving: 'driving',
+  4: 'on_duty', on: 'on_duty', on_duty: 'on_duty', 'on duty': 'on_duty', 'on duty not driving': 'on_duty',
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// ============================================
+// CLOCKS
+// ============================================
+
+/**
+ * Full clocks, as after a 34-hour restart
+ */
+const freshClocks = (asOf = new Date(), source = 'assumed') => {
+  const rules = config.hos;
+  return {
+    driveLeft: rules.maxDrivingMinutes,
+    windowLeft: rules.windowMinutes,
+    breakDue: rules.breakAfterDrivingMinutes,
+    cycleLeft: rules.cycleMinutes,
+    onDuty: false,
+    asOf: new Date(asOf),
+    source,
+  };
+};
+
+/**
+ * Clocks after `minutes` off duty (the window keeps running once started)
+ */
+const restFor = (clocks, minutes) => {
+  const rules = config.hos;
+  if (minutes >= rules.restartMinutes) {
+    return { ...freshClocks(clocks.asOf, clocks.source), asOf: clocks.asOf };
+  }
+  if (minutes >= rules.resetMinutes) {
+    return {
+      ...clocks,
+      driveLeft: rules.maxDrivingMinutes,
+      windowLeft: rules.windowMinutes,
+      breakDue: rules.breakAfterDrivingMinutes,
+      onDuty: false,
+    };
+  }
+  return {
+    ...clocks,
+    windowLeft: clocks.onDuty ? Math.max(0, clocks.windowLeft - minutes) : clocks.windowLeft,
+    breakDue: minutes >= rules.breakMinutes ? rules.breakAfterDrivingMinutes : clocks.breakDue,
+  };
+};
+
+/**
+ * Clocks at a later time, assuming the driver was off duty since asOf
+ */
+const projectClocks = (clocks, at) => {
+  const gapMinutes = (new Date(at) - clocks.asOf) / MINUTE_MS;
+  if (gapMinutes <= 0) return clocks;
+  return { ...restFor(clocks, gapMinutes), asOf: new Date(at) };
+};
+
+// ============================================
+// TRIP SIMULATION
+// ============================================
+
+/**
+ * Drive a sequence of stops from departAt under HOS.
+ * stops: [{ label, driveMinutes, windowStart, windowEnd, serviceMinutes }]
+ * Returns { stops: [{ label, arriveAt, departAt, late, minutesLate, restsBefore }],
+ *   feasible, violations, warnings, resets, breaks, restarts, finalClocks }.
+ */
+const planTrip = (clocks, stops, departAt = new Date()) => {
+  const rules = config.hos;
+  let state = projectClocks(clocks, departAt);
+  let t = Math.max(new Date(departAt).getTime(), state.asOf.getTime());
+  const counts = { resets: 0, breaks: 0, restarts: 0 };
+
+  const offDuty = (minutes, kind) => {
+    state = restFor(state, minutes);
+    t += minutes * MINUTE_MS;
+    if (kind) counts[kind] += 1;
+  };
+
+  const drive = (minutes) => {
+    let remaining = minutes;
+    while (remaining > 0) {
+      if (state.cycleLeft <= 0) {
+        offDuty(rules.restartMinutes, 'restarts');
+      } else if (state.driveLeft <= 0 || state.windowLeft <= 0) {
+        offDuty(rules.resetMinutes, 'resets');
+      } else if (state.breakDue <= 0) {
+        offDuty(rules.breakMinutes, 'breaks');
+      } else {
+        const chunk = Math.min(remaining, state.driveLeft, state.windowLeft, state.breakDue, state.cycleLeft);
+        state = {
+          ...state,
+          driveLeft: state.driveLeft - chunk,
+          windowLeft: state.windowLeft - chunk,
+          breakDue: state.breakDue - chunk,
+          cycleLeft: state.cycleLeft - chunk,
+          onDuty: true,
+        };
+        t += chunk * MINUTE_MS;
+        remaining -= chunk;
+      }
+    }
+  };
+
+  // On duty, not driving (loading): uses the window and cycle, and counts as the break
+  const work = (minutes) => {
+    if (minutes <= 0) return;
+    state = {
+      ...state,
+      windowLeft: Math.max(0, state.windowLeft - minutes),
+      cycleLeft: state.cycleLeft - minutes,
+      breakDue: minutes >= rules.breakMinutes ? rules.breakAfterDrivingMinutes : state.breakDue,
+      onDuty: true,
+    };
+    t += minutes * MINUTE_MS;
+  };
+
+  const planned = [];
+  for (const stop of stops) {
+    drive(Math.max(0, stop.driveMinutes || 0));
+    const arriveAt = new Date(t);
+    const restsBefore = counts.resets + counts.restarts;
+
+    if (stop.windowStart && stop.windowStart.getTime() > t) {
+      offDuty((stop.windowStart.getTime() - t) / MINUTE_MS);
+    }
+    work(stop.serviceMinutes || 0);
+
+    const minutesLate = stop.windowEnd ? Math.round((arriveAt - stop.windowEnd) / MINUTE_MS) : null;
+    planned.push({
+      label: stop.label,
+      arriveAt,
+      departAt: new Date(t),
+      windowEnd: stop.windowEnd || null,
+      late: minutesLate !== null && minutesLate > 0,
+      minutesLate: minutesLate !== null && minutesLate > 0 ? minutesLate : 0,
+      restsBefore,
+    });
+  }
+
+  // Late because a required rest pushed the arrival past the window
+  const violations = planned
+    .filter((s) => s.late && s.restsBefore > 0)
+    .map((s) => `Earliest legal arrival at ${s.label} is ${s.minutesLate} min after the window closes (hours of service)`);
+
+  const warnings = [];
+  if (counts.restarts > 0) warnings.push('Requires a 34-hour restart (70-hour cycle used up)');
+  if (counts.resets > 0) warnings.push(`Requires ${counts.resets} 10-hour rest period${counts.resets > 1 ? 's' : ''}`);
+  if (counts.breaks > 0) warnings.push(`Requires ${counts.breaks} 30-minute break${counts.breaks > 1 ? 's' : ''}`);
+
+  return {
+    stops: planned,
+    feasible: planned.every((s) => !s.late),
+    violations,
+    warnings,
+    ...counts,
+    finalClocks: { ...state, asOf: new Date(t) },
+  };
+};
+
+// ============================================
+// ELD IMPORT
+// ============================================
+
+const normalizeDutyStatus = (value) =>
+  DUTY_STATUS_ALIASES[String(value ?? '').trim().toLowerCase().replace(/-/g, ' ')] ||
+  DUTY_STATUS_ALIASES[String(value ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_')] ||
+  null;
+
+/**
+ * Parse an ELD log export: CSV with a header row (status/duty_status/event_code,
+ * start/start_time/started_at, end/end_time/ended_at or duration_minutes) or
+ * JSON ([{ status, start, end }] or { records: [...] }).
+ * Returns { ok: true, records: [{ status, start, end }] } (sorted, gaps left
+ * open) or { ok: false, error }.
+ */
+const parseEldLog = (content, format = 'csv') => {
+  if (typeof content !== 'string' || !content.trim()) {
+    return { ok: false, error: 'Log content required' };
+  }
+
+  let rows;
+  if (format === 'json') {
+    try {
+      const parsed = JSON.parse(content);
+      rows = Array.isArray(parsed) ? parsed : parsed.records;
+    } catch (error) {
+      return { ok: false, error: 'Invalid JSON log' };
+    }
+    if (!Array.isArray(rows)) return { ok: false, error: 'JSON log must be an array of records' };
+  } else if (format === 'csv') {
+    const lines = content.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+    const header = lines.shift().split(',').map((h) => h.trim().toLowerCase());
+    rows = lines.map((line) => {
+      const cells = line.split(',').map((c) => c.trim());
+      return Object.fromEntries(header.map((h, i) => [h, cells[i]]));
+    });
+  } else {
+    return { ok: false, error: 'format must be csv or json' };
+  }
+
+  if (rows.length > config.hos.maxImportRecords) {
+    return { ok: false, error: `At most ${config.hos.maxImportRecords} records per import` };
+  }
+
+  const records = [];
+  for (const [index, row] of rows.entries()) {
+    const status = normalizeDutyStatus(row.status ?? row.duty_status ?? row.event_code);
+    const start = new Date(row.start ?? row.start_time ?? row.started_at);
+    let end = new Date(row.end ?? row.end_time ?? row.ended_at);
+    const duration = parseFloat(row.duration_minutes);
+    if (Number.isNaN(end.getTime()) && Number.isFinite(duration)) {
+      end = new Date(start.getTime() + duration * MINUTE_MS);
+    }
+
+    if (!status) return { ok: false, error: `Record ${index + 1}: unknown duty status` };
+    if (Number.isNaN(start.getTime())) return { ok: false, error: `Record ${index + 1}: invalid start time` };
+    records.push({ status, start, end: Number.isNaN(end.getTime()) ? null : end });
+  }
+  if (records.length === 0) return { ok: false, error: 'Log has no records' };
+
+  records.sort((a, b) => a.start - b.start);
+  // Open-ended records run to the next record's start
+  records.forEach((record, i) => {
+    if (!record.end) record.end = records[i + 1] ? records[i + 1].start : record.start;
+  });
+  const invalid = records.findIndex((r, i) => r.end < r.start || (records[i + 1] && r.end > records[i + 1].start));
+  if (invalid !== -1) return { ok: false, error: `Record ${invalid + 1}: overlaps the next record or ends before it starts` };
+
+  return { ok: true, records };
+};
+
+/**
+ * Clocks at the end of a duty log (gaps between records count as off duty)
+ */
+const computeClocksFromLogs = (records) => {
+  const rules = config.hos;
+  const at = records[records.length - 1].end;
+
+  // Contiguous periods, gaps filled as off duty; rest = off duty or sleeper berth
+  const periods = [];
+  for (const record of records) {
+    const last = periods[periods.length - 1];
+    if (last && record.start > last.end) {
+      periods.push({ working: false, driving: false, start: last.end, end: record.start });
+    }
+    const working = record.status === 'driving' || record.status === 'on_duty';
+    periods.push({ working, driving: record.status === 'driving', start: record.start, end: record.end });
+  }
+  const minutesOf = (p, from = p.start) => Math.max(0, (p.end - Math.max(p.start, from)) / MINUTE_MS);
+
+  // Longest trailing rest spans: the last 10-hour reset and 34-hour restart
+  let dayStart = periods[0].start;
+  let cycleStart = new Date(at.getTime() - rules.cycleDays * 24 * 60 * MINUTE_MS);
+  let restStart = null;
+  for (const period of periods) {
+    if (!period.working) {
+      restStart = restStart || period.start;
+      const restMinutes = (period.end - restStart) / MINUTE_MS;
+      if (restMinutes >= rules.resetMinutes) dayStart = period.end;
+      if (restMinutes >= rules.restartMinutes && period.end > cycleStart) cycleStart = period.end;
+    } else {
+      restStart = null;
+    }
+  }
+
+  let driveUsed = 0;
+  let cycleUsed = 0;
+  let windowStart = null;
+  let sinceBreak = 0;
+  let nonDriving = 0;
+  for (const period of periods) {
+    if (period.working) cycleUsed += minutesOf(period, cycleStart);
+    if (period.end <= dayStart) continue;
+
+    const minutes = minutesOf(period, dayStart);
+    if (period.working && !windowStart) windowStart = new Date(Math.max(period.start, dayStart));
+    if (period.driving) {
+      if (nonDriving >= rules.breakMinutes) sinceBreak = 0;
+      nonDriving = 0;
+      driveUsed += minutes;
+      sinceBreak += minutes;
+    } else {
+      nonDriving += minutes;
+    }
+  }
+  if (nonDriving >= rules.breakMinutes) sinceBreak = 0;
+
+  return {
+    driveLeft: Math.max(0, Math.round(rules.maxDrivingMinutes - driveUsed)),
+    windowLeft: windowStart
+      ? Math.max(0, Math.round(rules.windowMinutes - (at - windowStart) / MINUTE_MS))
+      : rules.windowMinutes,
+    breakDue: Math.max(0, Math.round(rules.breakAfterDrivingMinutes - sinceBreak)),
+    cycleLeft: Math.max(0, Math.round(rules.cycleMinutes - cycleUsed)),
+    onDuty: !!windowStart,
+    asOf: at,
+    source: 'eld_import',
+  };
+};
+
+// ============================================
+// STORAGE
+// ============================================
+
+const rowToClocks = (row) => ({
+  driveLeft: row.drive_remaining_minutes,
+  windowLeft: row.window_remaining_minutes,
+  breakDue: row.break_due_minutes,
+  cycleLeft: row.cycle_remaining_minutes,
+  onDuty: row.on_duty,
+  asOf: new Date(row.as_of),
+  source: row.source,
+});
+
+const saveClocks = async (driverId, clocks, { importId = null } = {}, client = pool) => {
+  const result = await client.query(`
+    INSERT INTO driver_hos_status (
+      driver_id, source, drive_remaining_minutes, window_remaining_minutes,
+      break_due_minutes, cycle_remaining_minutes, on_duty, as_of, eld_import_id, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP)
+    ON CONFLICT (driver_id) DO UPDATE SET
+      source = EXCLUDED.source,
+      drive_remaining_minutes = EXCLUDED.drive_remaining_minutes,
+      window_remaining_minutes = EXCLUDED.window_remaining_minutes,
+      break_due_minutes = EXCLUDED.break_due_minutes,
+      cycle_remaining_minutes = EXCLUDED.cycle_remaining_minutes,
+      on_duty = EXCLUDED.on_duty,
+      as_of = EXCLUDED.as_of,
+      eld_import_id = EXCLUDED.eld_import_id,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [
+    driverId, clocks.source, clocks.driveLeft, clocks.windowLeft,
+    clocks.breakDue, clocks.cycleLeft, clocks.onDuty, clocks.asOf, importId,
+  ]);
+  return rowToClocks(result.rows[0]);
+};
+
+/**
+ * Store the driver's own remaining hours.
+ * Body: { driveRemainingHours, windowRemainingHours, cycleRemainingHours,
+ * breakDueHours (optional, defaults to the drive clock capped at 8h), asOf }.
+ * Returns { ok: true, clocks } or { ok: false, error }.
+ */
+const saveSelfReported = async (driverId, input) => {
+  const rules = config.hos;
+  const hoursField = (name, maxMinutes) => {
+    const hours = parseFloat(input[name]);
+    if (!Number.isFinite(hours) || hours < 0 || hours * 60 > maxMinutes) {
+      return { error: `${name} must be between 0 and ${maxMinutes / 60}` };
+    }
+    return { minutes: Math.round(hours * 60) };
+  };
+
+  const drive = hoursField('driveRemainingHours', rules.maxDrivingMinutes);
+  const window = hoursField('windowRemainingHours', rules.windowMinutes);
+  const cycle = hoursField('cycleRemainingHours', rules.cycleMinutes);
+  const breakDue = input.breakDueHours === undefined || input.breakDueHours === null
+    ? { minutes: Math.min(drive.minutes ?? 0, rules.breakAfterDrivingMinutes) }
+    : hoursField('breakDueHours', rules.breakAfterDrivingMinutes);
+  const failed = [drive, window, cycle, breakDue].find((f) => f.error);
+  if (failed) return { ok: false, error: failed.error };
+
+  const asOf = input.asOf ? new Date(input.asOf) : new Date();
+  if (Number.isNaN(asOf.getTime()) || asOf > new Date(Date.now() + MINUTE_MS)) {
+    return { ok: false, error: 'asOf must be a past time' };
+  }
+
+  const clocks = await saveClocks(driverId, {
+    driveLeft: drive.minutes,
+    windowLeft: window.minutes,
+    breakDue: breakDue.minutes,
+    cycleLeft: cycle.minutes,
+    onDuty: window.minutes < rules.windowMinutes,
+    asOf,
+    source: 'self_reported',
+  });
+  return { ok: true, clocks };
+};
+
+/**
+ * Import an ELD log, replacing stored records from its first record on, and
+ * recompute the clocks. Returns { ok: true, clocks, importId, recordCount }
+ * or { ok: false, error }.
+ */
+const importEldLog = async (driverId, { content, format }) => {
+  const parsed = parseEldLog(content, format);
+  if (!parsed.ok) return parsed;
+
+  const { records } = parsed;
+  if (records[records.length - 1].end > new Date(Date.now() + MINUTE_MS)) {
+    return { ok: false, error: 'Log records cannot end in the future' };
+  }
+
+  const importId = uuidv4();
+  const clocks = await withTransaction(async (client) => {
+    await client.query(
+      'DELETE FROM driver_hos_logs WHERE driver_id = $1 AND ended_at > $2',
+      [driverId, records[0].start]
+    );
+    for (const record of records) {
+      await client.query(`
+        INSERT INTO driver_hos_logs (driver_id, import_id, duty_status, started_at, ended_at)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [driverId, importId, record.status, record.start, record.end]);
+    }
+
+    // Recompute over the full retained history (cycle looks back 8 days)
+    const history = await client.query(`
+      SELECT duty_status AS status, started_at AS start, ended_at AS "end"
+      FROM driver_hos_logs
+      WHERE driver_id = $1 AND ended_at > $2
+      ORDER BY started_at
+    `, [driverId, new Date(records[records.length - 1].end.getTime() - (config.hos.cycleDays + 2) * 24 * 60 * MINUTE_MS)]);
+
+    return saveClocks(driverId, computeClocksFromLogs(history.rows), { importId }, client);
+  });
+
+  return { ok: true, clocks, importId, recordCount: records.length };
+};
+
+/**
+ * Driver's clocks projected to `at` (fresh clocks assumed without data)
+ */
+const getClocks = async (driverId, at = new Date()) => {
+  const result = await pool.query('SELECT * FROM driver_hos_status WHERE driver_id = $1', [driverId]);
+  const clocks = result.rows[0] ? rowToClocks(result.rows[0]) : freshClocks(at);
+  return projectClocks(clocks, at);
+};
+
+/**
+ * Stored clocks for many drivers: { driverId: clocks } (unprojected; planTrip
+ * projects them to each departure)
+ */
+const getClocksForDrivers = async (driverIds) => {
+  const clocks = {};
+  if (driverIds.length === 0) return clocks;
+  const result = await pool.query(
+    'SELECT * FROM driver_hos_status WHERE driver_id = ANY($1::uuid[])',
+    [driverIds]
+  );
+  for (const row of result.rows) clocks[row.driver_id] = rowToClocks(row);
+  return clocks;
+};
+
+// ============================================
+// ROUTE PLANS
+// ============================================
+
+// Loads past pickup only have the delivery left to plan
+const LOADED_STATUSES = ['picked_up', 'en_route_delivery', 'in_transit', 'at_delivery'];
+
+/**
+ * HOS plan for a driver running loads in order from their current position.
+ * Returns { plan, loads: [{ loadId, pickup, delivery }] } or null when
+ * locations are missing.
+ */
+const planLoadSequence = async (driverId, loads, { departAt = new Date() } = {}) => {
+  const position = await getDriverPosition(driverId);
+  const points = position ? [{ lat: position.lat, lng: position.lng }] : [];
+  const stops = [];
+
+  for (const load of loads) {
+    const [pickup, delivery] = loadStops.buildLegacyStops(load);
+    if (!LOADED_STATUSES.includes(load.status)) {
+      const window = timezones.stopWindow(pickup);
+      points.push({ lat: parseFloat(load.pickup_lat), lng: parseFloat(load.pickup_lng) });
+      stops.push({
+        loadId: load.id,
+        label: `pickup in ${load.pickup_city || 'pickup'}`,
+        kind: 'pickup',
+        windowStart: window.start,
+        windowEnd: window.end,
+        serviceMinutes: config.hos.loadingMinutes,
+      });
+    }
+    points.push({ lat: parseFloat(load.delivery_lat), lng: parseFloat(load.delivery_lng) });
+    stops.push({
+      loadId: load.id,
+      label: `delivery in ${load.delivery_city || 'delivery'}`,
+      kind: 'delivery',
+      windowStart: null,
+      windowEnd: timezones.stopWindow(delivery).end,
+      serviceMinutes: config.hos.loadingMinutes,
+    });
+  }
+  if (stops.length === 0 || points.some((p) => !Number.isFinite(p.lat) || !Number.isFinite(p.lng))) return null;
+
+  // Without a known position the trip starts at the first stop
+  const route = points.length > 1 ? await routing.getRoute(points) : { legs: [] };
+  const legs = position ? route.legs : [{ durationMinutes: 0 }, ...route.legs];
+  stops.forEach((stop, i) => {
+    stop.driveMinutes = (legs[i]?.durationMinutes || 0) * config.hos.driveTimeBuffer;
+  });
+
+  const clocks = await getClocks(driverId, departAt);
+  const plan = planTrip(clocks, stops, departAt);
+
+  const byLoad = new Map();
+  plan.stops.forEach((planned, i) => {
+    const entry = byLoad.get(stops[i].loadId) || { loadId: stops[i].loadId, pickup: null, delivery: null };
+    entry[stops[i].kind] = planned;
+    byLoad.set(stops[i].loadId, entry);
+  });
+
+  return { plan, clocks, loads: [...byLoad.values()] };
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+const formatClocks = (clocks) => ({
+  source: clocks.source,
+  driveRemainingHours: toHours(clocks.driveLeft),
+  windowRemainingHours: toHours(clocks.windowLeft),
+  breakDueInHours: toHours(clocks.breakDue),
+  cycleRemainingHours: toHours(clocks.cycleLeft),
+  windowStarted: clocks.onDuty,
+  asOf: clocks.asOf,
+});
+
+const formatPlannedStop = (stop) => stop && ({
+  arriveAt: stop.arriveAt.toISOString(),
+  departAt: stop.departAt.toISOString(),
+  late: stop.late,
+  minutesLate: stop.minutesLate,
+});
+
+/**
+ * Plan summary for API responses
+ */
+const formatPlan = (plan, clocks = null) => ({
+  feasible: plan.feasible,
+  compliant: plan.violations.length === 0,
+  violations: plan.violations,
+  warnings: plan.warnings,
+  restsRequired: plan.resets,
+  breaksRequired: plan.breaks,
+  restartsRequired: plan.restarts,
+  clocksSource: clocks ? clocks.source : undefined,
+  clocksAtEnd: formatClocks(plan.finalClocks),
+});
+
+module.exports = {
+  DUTY_STATUSES,
+  freshClocks,
+  projectClocks,
+  planTrip,
+  parseEldLog,
+  computeClocksFromLogs,
+  saveSelfReported,
+  importEldLog,
+  getClocks,
+  getClocksForDrivers,
+  planLoadSequence,
+  formatClocks,
+  formatPlannedStop,
+  formatPlan,
+};
@@ -6,6 +6,8 @@
 const PDFDocument = require('pdfkit');
 const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
 const { v4: uuidv4 } = require('uuid');
+const loadStops = require('./loadStops');
+const timezones = require('./timezones');
 
 // S3 Client
 const s3Client = new S3Client({
@@ -85,41 +87,47 @@ async function generateShipperInvoice(load, shipper, payment) {
       doc.fontSize(11).fillColor(colors.text);
       doc.text(`Type: ${(load.load_type || 'Standard').toUpperCase()}`, 300, 178);
       doc.text(`Distance: ${load.distance_miles?.toFixed(0) || '—'} miles`, 300, 195);
-      doc.text(`Delivered: ${load.delivered_at ? formatDate(load.delivered_at) : 'Pending'}`, 300, 212);
+      doc.text(`Delivered: ${load.delivered_at ? formatDate(load.delivered_at, deliveryTimezone(load)) : 'Pending'}`, 300, 212);
 
-      // Route Box
+      // Route Box (multi-stop loads get one row per stop)
       const routeY = 260;
-      doc.roundedRect(50, routeY, 512, 80, 5).fillColor('#f8fafc').fill();
+      const stops = load.stops || [];
+      let tableY = 370;
+
+      if (stops.length > 2) {
+        tableY = drawStopList(doc, stops, routeY);
+      } else {
+        doc.roundedRect(50, routeY, 512, 80, 5).fillColor('#f8fafc').fill();
       
-      // Pickup
-      doc.circle(80, routeY + 25, 6).fillColor(colors.success).fill();
-      doc.fontSize(9).fillColor(colors.textSecondary).text('PICKUP', 100, routeY + 12);
-      doc.fontSize(11).fillColor(colors.text).text(
-        `${load.pickup_city}, ${load.pickup_state}`,
-        100, routeY + 26
-      );
-      doc.fontSize(9).fillColor(colors.textSecondary).text(
-        load.pickup_address || '',
-        100, routeY + 42
-      );
-
-      // Arrow
-      doc.fontSize(16).fillColor(colors.textSecondary).text('→', 280, routeY + 25);
-
-      // Delivery
-      doc.circle(320, routeY + 25, 6).fillColor('#ef4444').fill();
-      doc.fontSize(9).fillColor(colors.textSecondary).text('DELIVERY', 340, routeY + 12);
-      doc.fontSize(11).fillColor(colors.text).text(
-        `${load.delivery_city}, ${load.delivery_state}`,
-        340, routeY + 26
-      );
-      doc.fontSize(9).fillColor(colors.textSecondary).text(
-        load.delivery_address || '',
-        340, routeY + 42
-      );
+        // Pickup
+        doc.circle(80, routeY + 25, 6).fillColor(colors.success).fill();
+        doc.fontSize(9).fillColor(colors.textSecondary).text('PICKUP', 100, routeY + 12);
+        doc.fontSize(11).fillColor(colors.text).text(
+          `${load.pickup_city}, ${load.pickup_state}`,
+          100, routeY + 26
+        );
+        doc.fontSize(9).fillColor(colors.textSecondary).text(
+          load.pickup_address || '',
+          100, routeY + 42
+        );
+
+        // Arrow
+        doc.fontSize(16).fillColor(colors.textSecondary).text('→', 280, routeY + 25);
+
+        // Delivery
+        doc.circle(320, routeY + 25, 6).fillColor('#ef4444').fill();
+        doc.fontSize(9).fillColor(colors.textSecondary).text('DELIVERY', 340, routeY + 12);
+        doc.fontSize(11).fillColor(colors.text).text(
+          `${load.delivery_city}, ${load.delivery_state}`,
+          340, routeY + 26
+        );
+        doc.fontSize(9).fillColor(colors.textSecondary).text(
+          load.delivery_address || '',
+          340, routeY + 42
+        );
+      }
 
       // Charges Table
-      const tableY = 370;
       doc.fontSize(10).fillColor(colors.textSecondary).text('CHARGES', 50, tableY);
       
       // Table Header
@@ -128,29 +136,13 @@ async function generateShipperInvoice(load, shipper, payment) {
       doc.text('Description', 60, tableY + 28);
       doc.text('Amount', 480, tableY + 28, { align: 'right' });
 
-      // Calculate pricing breakdown
-      const baseRate = getBaseRate(load.load_type);
-      const perMile = getPerMileRate(load.load_type);
-      const mileageCharge = (load.distance_miles || 0) * perMile;
-
-      // Table Rows
+      // Table Rows (line items from the load's rating)
       let rowY = tableY + 50;
       doc.fontSize(11).fillColor(colors.text);
       
-      // Base Rate
-      doc.text(`Base Rate (${(load.load_type || 'Standard').toUpperCase()})`, 60, rowY);
-      doc.text(formatCurrency(baseRate), 480, rowY, { align: 'right' });
-      rowY += 25;
-
-      // Mileage
-      doc.text(`Mileage (${load.distance_miles?.toFixed(0) || 0} mi × ${formatCurrency(perMile)})`, 60, rowY);
-      doc.text(formatCurrency(mileageCharge), 480, rowY, { align: 'right' });
-      rowY += 25;
-
-      // Expedited fee if applicable
-      if (load.expedited_fee && load.expedited_fee > 0) {
-        doc.text('Expedited Fee', 60, rowY);
-        doc.text(formatCurrency(load.expedited_fee), 480, rowY, { align: 'right' });
+      for (const item of getChargeLines(load)) {
+        doc.text(item.label, 60, rowY);
+        doc.text(formatCurrency(item.amount), 480, rowY, { align: 'right' });
         rowY += 25;
       }
 
@@ -271,7 +263,7 @@ async function generateDriverStatement(driver, loads, startDate, endDate) {
         doc.rect(50, rowY - 5, 512, 22).fillColor(bgColor).fill();
         
         doc.fillColor(colors.text);
-        doc.text(formatDateShort(load.delivered_at || load.completed_at), 60, rowY);
+        doc.text(formatDateShort(load.delivered_at || load.completed_at, deliveryTimezone(load)), 60, rowY);
         doc.text(`${load.pickup_city} → ${load.delivery_city}`, 130, rowY);
         doc.text(`${(load.distance_miles || 0).toFixed(0)}`, 350, rowY);
         doc.text(formatCurrency(load.driver_payout || 0), 410, rowY);
@@ -390,7 +382,7 @@ async function generateDispatcherStatement(dispatcher, loads, startDate, endDate
         doc.rect(50, rowY - 5, 512, 22).fillColor(bgColor).fill();
         
         doc.fillColor(colors.text);
-        doc.text(formatDateShort(load.delivered_at || load.completed_at), 60, rowY);
+        doc.text(formatDateShort(load.delivered_at || load.completed_at, deliveryTimezone(load)), 60, rowY);
         doc.text(load.driver_name || 'Driver', 130, rowY);
         doc.text(`${load.pickup_city} → ${load.delivery_city}`, 250, rowY);
         doc.text(`${load.dispatcher_commission_rate || 10}%`, 400, rowY);
@@ -426,38 +418,108 @@ async function generateDispatcherStatement(dispatcher, loads, startDate, endDate
   });
 }
 
+/**
+ * Draw the ordered stop list for a multi-stop load, returns the Y for the next section
+ */
+function drawStopList(doc, stops, startY) {
+  const rowHeight = 34;
+  const boxHeight = stops.length * rowHeight + 16;
+  doc.roundedRect(50, startY, 512, boxHeight, 5).fillColor('#f8fafc').fill();
+
+  stops.forEach((stop, index) => {
+    const y = startY + 10 + index * rowHeight;
+    const isPickup = stop.stop_type === 'pickup';
+
+    doc.circle(70, y + 8, 5).fillColor(isPickup ? colors.success : '#ef4444').fill();
+    doc.fontSize(8).fillColor(colors.textSecondary).text(
+      `STOP ${stop.sequence} • ${isPickup ? 'PICKUP' : 'DELIVERY'}`,
+      85, y
+    );
+    doc.fontSize(10).fillColor(colors.text).text(
+      `${stop.city}, ${stop.state}${stop.company_name ? ` — ${stop.company_name}` : ''}`,
+      85, y + 11, { width: 300 }
+    );
+    doc.fontSize(8).fillColor(colors.textSecondary).text(stop.address || '', 85, y + 23, { width: 300 });
+
+    const details = [];
+    if (stop.pieces) details.push(`${stop.pieces} pcs`);
+    if (stop.weight_lbs) details.push(`${stop.weight_lbs} lbs`);
+    if (stop.completed_at) details.push(`Done ${formatDateShort(stop.completed_at, timezones.stopTimezone(stop))}`);
+    doc.fontSize(9).fillColor(colors.textSecondary).text(details.join(' • '), 400, y + 11, { width: 150, align: 'right' });
+  });
+
+  let nextY = startY + boxHeight + 30;
+  if (nextY > 520) {
+    // Leave room for charges + payment box
+    doc.addPage();
+    nextY = 50;
+  }
+  return nextY;
+}
+
 // Helper functions
 function formatCurrency(amount) {
   return '$' + (parseFloat(amount) || 0).toFixed(2).replace(/\d(?=(\d{3})+\.)/g, '$&,');
 }
 
-function formatDate(date) {
+// Load and stop dates print in the stop's timezone (server local when omitted)
+function formatDate(date, timezone) {
   return new Date(date).toLocaleDateString('en-US', {
     year: 'numeric',
     month: 'long',
     day: 'numeric',
+    timeZone: timezone,
   });
 }
 
-function formatDateShort(date) {
+function formatDateShort(date, timezone) {
   return new Date(date).toLocaleDateString('en-US', {
     month: 'short',
     day: 'numeric',
+    timeZone: timezone,
   });
 }
 
-function formatDateFile(date) {
-  return new Date(date).toISOString().split('T')[0];
+function deliveryTimezone(load) {
+  return timezones.stopTimezone(loadStops.buildLegacyStops(load)[1]);
 }
 
-function getBaseRate(loadType) {
-  const rates = { standard: 150, hotshot: 250, emergency: 350 };
-  return rates[loadType] || rates.standard;
+function formatDateFile(date) {
+  return new Date(date).toISOString().split('T')[0];
 }
 
-function getPerMileRate(loadType) {
-  const rates = { standard: 2.50, hotshot: 3.50, emergency: 4.50 };
-  return rates[loadType] || rates.standard;
+/**
+ * Shipper-facing charge lines. Uses the rating engine's line items when they
+ * add up to the load price (less approved accessorials); otherwise (broker
+ * carrier-pay ratings, loads rated before rate tables) a freight line plus any
+ * fuel surcharge and expedited fee. Approved accessorials (load.accessorialLines)
+ * follow either way.
+ */
+function getChargeLines(load) {
+  const price = parseFloat(load.price) || 0;
+  const accessorialLines = load.accessorialLines || [];
+  const accessorialTotal = accessorialLines.reduce((sum, item) => sum + item.amount, 0);
+  const ratedPrice = price - accessorialTotal;
+  const items = load.rate_breakdown?.lineItems || [];
+  const itemsTotal = items.reduce((sum, item) => sum + item.amount, 0);
+
+  if (items.length && Math.abs(itemsTotal - ratedPrice) < 0.01) {
+    return [...items, ...accessorialLines];
+  }
+
+  const expedited = parseFloat(load.expedited_fee) || 0;
+  const fuel = parseFloat(load.fuel_surcharge) || 0;
+  const lines = [{ label: `Freight Charges (${(load.load_type || 'Standard').toUpperCase()})`, amount: ratedPrice - fuel - expedited }];
+  if (fuel > 0) {
+    const week = load.fuel_index_week ? new Date(load.fuel_index_week).toISOString().slice(0, 10) : null;
+    const index = load.fuel_index_price ? `diesel $${parseFloat(load.fuel_index_price).toFixed(3)}` : null;
+    const basis = [index, week && `wk of ${week}`].filter(Boolean).join(' ');
+    lines.push({ label: basis ? `Fuel Surcharge (${basis})` : 'Fuel Surcharge', amount: fuel });
+  }
+  if (expedited > 0) {
+    lines.push({ label: 'Expedited Fee', amount: expedited });
+  }
+  return [...lines, ...accessorialLines];
 }
 
 module.exports = {
@@ -0,0 +1,565 @@
+// backend_api/src/services/jobQueue.js
+// Redis-backed background job queue
+//
+// - Delayed jobs: every job sits in a sorted set scored by its run time
+// - Cron jobs: recurring schedules (5-field cron, evaluated in UTC)
+// - Retries with exponential backoff, then a dead-letter list
+// - Jobs are claimed atomically, so several API instances can run workers
+
+const { v4: uuidv4 } = require('uuid');
+const { redisClient } = require('../db/redis');
+
+// ============================================
+// CONFIG
+// ============================================
+
+const KEYS = {
+  scheduled: 'jobs:scheduled',   // ZSET id -> run at (ms)
+  active: 'jobs:active',         // ZSET id -> lease expiry (ms)
+  dead: 'jobs:dead',             // LIST of dead-lettered ids (newest first)
+  completed: 'jobs:completed',   // LIST of recently completed ids (newest first)
+  job: (id) => `jobs:job:${id}`, // HASH per job
+};
+
+const POLL_INTERVAL_MS = 1000;
+const BATCH_SIZE = 10;
+const LEASE_MS = 5 * 60 * 1000;         // A claimed job is considered stalled after this
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_MS = 30 * 1000;   // 30s, 1m, 2m, 4m...
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const COMPLETED_HISTORY = 200;
+const COMPLETED_TTL_SECONDS = 24 * 60 * 60;
+const DEAD_HISTORY = 1000;
+const DEAD_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const JOB_STATES = ['scheduled', 'active', 'completed', 'dead'];
+
+// Move due jobs from scheduled to active in one step so only one worker gets each
+const CLAIM_SCRIPT = `
+  local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, tonumber(ARGV[2]))
+  for _, id in ipairs(ids) do
+    redis.call('ZREM', KEYS[1], id)
+    redis.call('ZADD', KEYS[2], tonumber(ARGV[3]), id)
+    redis.call('HSET', ARGV[4] .. id, 'state', 'active')
+  end
+  return ids
+`;
+
+// Put jobs whose worker died (lease expired) back on the schedule
+const RECOVER_SCRIPT = `
+  local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+  for _, id in ipairs(ids) do
+    redis.call('ZREM', KEYS[1], id)
+    redis.call('ZADD', KEYS[2], tonumber(ARGV[1]), id)
+    redis.call('HSET', ARGV[2] .. id, 'state', 'scheduled')
+  end
+  return #ids
+`;
+
+const handlers = new Map();  // job name -> { handler, maxAttempts, backoffMs }
+const crons = new Map();     // job name -> { expression, schedule, payload }
+
+let running = false;
+let pollTimer = null;
+let currentTick = null;
+
+const isAvailable = () => Boolean(redisClient && redisClient.isOpen);
+
+// ============================================
+// CRON EXPRESSIONS
+// ============================================
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 6 },
+];
+
+const parseCronField = (part, { name, min, max }) => {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const [range, stepStr] = item.split('/');
+    const step = stepStr ? parseInt(stepStr, 10) : 1;
+    let start = min;
+    let end = max;
+
+    if (range !== '*') {
+      const [a, b] = range.split('-').map((v) => parseInt(v, 10));
+      start = a;
+      end = b === undefined ? (stepStr ? max : a) : b;
+    }
+
+    // Allow 7 for Sunday
+    if (name === 'dayOfWeek' && end === 7) end = 6;
+
+    if ([start, end, step].some(Number.isNaN) || start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name} field: "${part}"`);
+    }
+
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return values;
+};
+
+/**
+ * Parse "minute hour day-of-month month day-of-week"
+ */
+const parseCron = (expression) => {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields: "${expression}"`);
+  }
+
+  const schedule = {};
+  CRON_FIELDS.forEach((field, i) => {
+    schedule[field.name] = parseCronField(parts[i], field);
+  });
+  schedule.anyDayOfMonth = parts[2] === '*';
+  schedule.anyDayOfWeek = parts[4] === '*';
+  return schedule;
+};
+
+const cronDayMatches = (schedule, date) => {
+  const domMatch = schedule.dayOfMonth.has(date.getUTCDate());
+  const dowMatch = schedule.dayOfWeek.has(date.getUTCDay());
+
+  // Standard cron: when both day fields are restricted, either may match
+  if (schedule.anyDayOfMonth) return dowMatch;
+  if (schedule.anyDayOfWeek) return domMatch;
+  return domMatch || dowMatch;
+};
+
+/**
+ * Next run time (ms) strictly after `fromMs`
+ */
+const nextCronTime = (schedule, fromMs = Date.now()) => {
+  const date = new Date(fromMs);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = fromMs + 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cronDayMatches(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date.getTime();
+  }
+
+  return null;
+};
+
+// ============================================
+// REGISTRATION
+// ============================================
+
+/**
+ * Register the function that runs jobs called `name`.
+ * handler(payload, { id, name, attempt }) - throw to retry
+ */
+const registerHandler = (name, handler, options = {}) => {
+  handlers.set(name, {
+    handler,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    backoffMs: options.backoffMs || DEFAULT_BACKOFF_MS,
+  });
+};
+
+/**
+ * Run the `name` handler on a cron schedule (UTC)
+ */
+const registerCron = (name, expression, payload = {}) => {
+  crons.set(name, { expression, schedule: parseCron(expression), payload });
+};
+
+// ============================================
+// ENQUEUE
+// ============================================
+
+/**
+ * Add a job to the queue.
+ *
+ * options:
+ *   runAt      Date/ISO string/ms - when to run (default: now)
+ *   delayMs    run after a delay instead of at a fixed time
+ *   jobId      deterministic id; enqueueing an existing id is a no-op...
+ *   replace    ...unless replace is set, which reschedules it with the new payload/time
+ *   maxAttempts, backoffMs   override the handler defaults
+ *
+ * Returns the job id, or null when Redis is not configured.
+ */
+const enqueue = async (name, payload = {}, options = {}) => {
+  if (!isAvailable()) {
+    console.warn(`[Jobs] Redis unavailable - dropped ${name}`);
+    return null;
+  }
+
+  const id = options.jobId || uuidv4();
+  const key = KEYS.job(id);
+  const runAt = options.runAt
+    ? new Date(options.runAt).getTime()
+    : Date.now() + (options.delayMs || 0);
+
+  const created = await redisClient.hSetNX(key, 'id', id);
+  if (!created) {
+    if (!options.replace) return id;
+
+    // Never yank a job out from under a worker that is running it
+    const state = await redisClient.hGet(key, 'state');
+    if (state === 'active') return id;
+  }
+
+  const fields = {
+    id,
+    name,
+    payload: JSON.stringify(payload),
+    state: 'scheduled',
+    attempts: '0',
+    runAt: String(runAt),
+    createdAt: String(Date.now()),
+    lastError: '',
+  };
+  if (options.maxAttempts) fields.maxAttempts = String(options.maxAttempts);
+  if (options.backoffMs) fields.backoffMs = String(options.backoffMs);
+  if (options.cron) fields.cron = options.cron;
+
+  await redisClient.multi()
+    .hSet(key, fields)
+    .persist(key)
+    .lRem(KEYS.dead, 0, id)
+    .lRem(KEYS.completed, 0, id)
+    .zAdd(KEYS.scheduled, { score: runAt, value: id })
+    .exec();
+
+  return id;
+};
+
+/**
+ * Remove a scheduled job (no-op if it already ran)
+ */
+const cancel = async (id) => {
+  if (!isAvailable()) return false;
+
+  const removed = await redisClient.zRem(KEYS.scheduled, id);
+  if (removed) await redisClient.del(KEYS.job(id));
+  return removed > 0;
+};
+
+const scheduleNextCron = async (name, fromMs = Date.now()) => {
+  const cron = crons.get(name);
+  if (!cron) return null;
+
+  const runAt = nextCronTime(cron.schedule, fromMs);
+  if (!runAt) return null;
+
+  // Deterministic id: every instance schedules the same occurrence exactly once
+  return enqueue(name, cron.payload, { runAt, jobId: `cron:${name}:${runAt}`, cron: name });
+};
+
+// ============================================
+// WORKER
+// ============================================
+
+const backoffDelay = (baseMs, attempt) => Math.min(baseMs * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+
+const processJob = async (id) => {
+  const key = KEYS.job(id);
+  const job = await redisClient.hGetAll(key);
+
+  if (!job || !job.name) {
+    await redisClient.zRem(KEYS.active, id);
+    return;
+  }
+
+  // Queue the next occurrence before running so a slow/failing run never stalls the schedule
+  if (job.cron) {
+    await scheduleNextCron(job.cron, parseInt(job.runAt, 10));
+  }
+
+  const registered = handlers.get(job.name);
+  const attempt = (parseInt(job.attempts, 10) || 0) + 1;
+  const maxAttempts = parseInt(job.maxAttempts, 10) || registered?.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  const backoffMs = parseInt(job.backoffMs, 10) || registered?.backoffMs || DEFAULT_BACKOFF_MS;
+
+  await redisClient.hSet(key, { attempts: String(attempt), startedAt: String(Date.now()) });
+
+  try {
+    if (!registered) {
+      throw new Error(`No handler registered for ${job.name}`);
+    }
+
+    await registered.handler(JSON.parse(job.payload || '{}'), { id, name: job.name, attempt });
+
+    await redisClient.multi()
+      .zRem(KEYS.active, id)
+      .hSet(key, { state: 'completed', finishedAt: String(Date.now()), lastError: '' })
+      .expire(key, COMPLETED_TTL_SECONDS)
+      .lPush(KEYS.completed, id)
+      .lTrim(KEYS.completed, 0, COMPLETED_HISTORY - 1)
+      .exec();
+  } catch (error) {
+    const lastError = (error && error.message) || String(error);
+
+    if (attempt < maxAttempts) {
+      const runAt = Date.now() + backoffDelay(backoffMs, attempt);
+      console.error(`[Jobs] ${job.name} (${id}) failed attempt ${attempt}/${maxAttempts}, retrying:`, lastError);
+
+      await redisClient.multi()
+        .zRem(KEYS.active, id)
+        .hSet(key, { state: 'scheduled', runAt: String(runAt), lastError })
+        .zAdd(KEYS.scheduled, { score: runAt, value: id })
+        .exec();
+    } else {
+      console.error(`[Jobs] ${job.name} (${id}) dead-lettered after ${attempt} attempts:`, lastError);
+
+      await redisClient.multi()
+        .zRem(KEYS.active, id)
+        .hSet(key, { state: 'dead', failedAt: String(Date.now()), lastError })
+        .expire(key, DEAD_TTL_SECONDS)
+        .lPush(KEYS.dead, id)
+        .lTrim(KEYS.dead, 0, DEAD_HISTORY - 1)
+        .exec();
+    }
+  }
+};
+
+const tick = async () => {
+  let claimed = [];
+
+  try {
+    const now = Date.now();
+
+    await redisClient.eval(RECOVER_SCRIPT, {
+      keys: [KEYS.active, KEYS.scheduled],
+      arguments: [String(now), KEYS.job('')],
+    });
+
+    claimed = await redisClient.eval(CLAIM_SCRIPT, {
+      keys: [KEYS.scheduled, KEYS.active],
+      arguments: [String(now), String(BATCH_SIZE), String(now + LEASE_MS), KEYS.job('')],
+    });
+
+    for (const id of claimed) {
+      if (!running) break;
+      await processJob(id);
+    }
+  } catch (error) {
+    console.error('[Jobs] Worker error:', error.message);
+  }
+
+  return claimed.length;
+};
+
+const loop = async () => {
+  if (!running) return;
+
+  currentTick = isAvailable() ? tick() : Promise.resolve(0);
+  const count = await currentTick;
+  currentTick = null;
+
+  if (running) {
+    // A full batch means there is probably more waiting
+    pollTimer = setTimeout(loop, count === BATCH_SIZE ? 0 : POLL_INTERVAL_MS);
+  }
+};
+
+/**
+ * Start polling for due jobs and seed every cron schedule
+ */
+const startWorker = async () => {
+  if (running) return;
+
+  if (!isAvailable()) {
+    console.warn('[Jobs] Redis not connected - background jobs disabled');
+    return;
+  }
+
+  for (const name of crons.keys()) {
+    await scheduleNextCron(name);
+  }
+
+  running = true;
+  loop();
+  console.log(`[Jobs] Worker started (${handlers.size} handlers, ${crons.size} cron schedules)`);
+};
+
+/**
+ * Stop polling and wait for the job in progress to finish
+ */
+const stopWorker = async () => {
+  running = false;
+  if (pollTimer) clearTimeout(pollTimer);
+  pollTimer = null;
+  if (currentTick) await currentTick;
+};
+
+// ============================================
+// ADMIN
+// ============================================
+
+const toIso = (ms) => (ms ? new Date(parseInt(ms, 10)).toISOString() : null);
+
+const formatJob = (job) => {
+  let payload = null;
+  try {
+    payload = JSON.parse(job.payload || 'null');
+  } catch (e) {
+    payload = job.payload;
+  }
+
+  return {
+    id: job.id,
+    name: job.name,
+    state: job.state,
+    payload,
+    attempts: parseInt(job.attempts, 10) || 0,
+    maxAttempts: parseInt(job.maxAttempts, 10) || handlers.get(job.name)?.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    cron: job.cron || null,
+    runAt: toIso(job.runAt),
+    createdAt: toIso(job.createdAt),
+    startedAt: toIso(job.startedAt),
+    finishedAt: toIso(job.finishedAt),
+    failedAt: toIso(job.failedAt),
+    lastError: job.lastError || null,
+  };
+};
+
+const getJob = async (id) => {
+  if (!isAvailable()) return null;
+  const job = await redisClient.hGetAll(KEYS.job(id));
+  return job && job.id ? formatJob(job) : null;
+};
+
+/**
+ * Queue depth per state plus registered handlers and cron schedules
+ */
+const getStats = async () => {
+  const cronList = [...crons.entries()].map(([name, cron]) => ({
+    name,
+    expression: cron.expression,
+    nextRunAt: toIso(nextCronTime(cron.schedule)),
+  }));
+
+  if (!isAvailable()) {
+    return { enabled: false, running, handlers: [...handlers.keys()], crons: cronList };
+  }
+
+  const [scheduled, active, dead, completed, due] = await Promise.all([
+    redisClient.zCard(KEYS.scheduled),
+    redisClient.zCard(KEYS.active),
+    redisClient.lLen(KEYS.dead),
+    redisClient.lLen(KEYS.completed),
+    redisClient.zCount(KEYS.scheduled, '-inf', Date.now()),
+  ]);
+
+  return {
+    enabled: true,
+    running,
+    counts: { scheduled, due, active, dead, completed },
+    handlers: [...handlers.keys()],
+    crons: cronList,
+  };
+};
+
+/**
+ * List jobs in a state ('scheduled', 'active', 'completed', 'dead')
+ */
+const listJobs = async (state, { limit = 50, offset = 0 } = {}) => {
+  if (!isAvailable()) return [];
+  if (!JOB_STATES.includes(state)) throw new Error(`Unknown job state: ${state}`);
+
+  const stop = offset + limit - 1;
+  const ids = state === 'scheduled' || state === 'active'
+    ? await redisClient.zRange(KEYS[state], offset, stop)
+    : await redisClient.lRange(KEYS[state], offset, stop);
+
+  const jobs = await Promise.all(ids.map((id) => redisClient.hGetAll(KEYS.job(id))));
+  return jobs.filter((job) => job && job.id).map(formatJob);
+};
+
+/**
+ * Move a dead-lettered job back onto the queue with a fresh attempt count
+ */
+const retryJob = async (id) => {
+  if (!isAvailable()) return null;
+
+  const key = KEYS.job(id);
+  const state = await redisClient.hGet(key, 'state');
+  if (state !== 'dead') return null;
+
+  const now = Date.now();
+  await redisClient.multi()
+    .lRem(KEYS.dead, 0, id)
+    .hSet(key, { state: 'scheduled', attempts: '0', runAt: String(now) })
+    .persist(key)
+    .zAdd(KEYS.scheduled, { score: now, value: id })
+    .exec();
+
+  return getJob(id);
+};
+
+/**
+ * Delete a job in any state except active
+ */
+const removeJob = async (id) => {
+  if (!isAvailable()) return false;
+
+  const key = KEYS.job(id);
+  const state = await redisClient.hGet(key, 'state');
+  if (!state || state === 'active') return false;
+
+  await redisClient.multi()
+    .zRem(KEYS.scheduled, id)
+    .lRem(KEYS.dead, 0, id)
+    .lRem(KEYS.completed, 0, id)
+    .del(key)
+    .exec();
+
+  return true;
+};
+
+/**
+ * Run a cron job now, outside its schedule
+ */
+const runCronNow = async (name) => {
+  const cron = crons.get(name);
+  if (!cron) return null;
+  return enqueue(name, cron.payload);
+};
+
+module.exports = {
+  JOB_STATES,
+  registerHandler,
+  registerCron,
+  enqueue,
+  cancel,
+  startWorker,
+  stopWorker,
+  getStats,
+  listJobs,
+  getJob,
+  retryJob,
+  removeJob,
+  runCronNow,
+  parseCron,
+  nextCronTime,
+};
@@ -0,0 +1,307 @@
+// backend_api/src/services/laneRates.js
+// Lane rate history from our own loads
+//
+// Every delivered/completed load (and every load with an accepted offer) becomes
+// one row in lane_rate_observations: its linehaul payout per mile, keyed by
+// origin/destination region (3-digit ZIP and state), equipment group and week.
+// GET /rates/lanes reports percentiles over those rows; when
+// config.pricing.laneBlend.enabled is set the rating engine blends the lane
+// median into the benchmark RPM it quotes with.
+//
+// The amount is always the load's driver_payout (platform fee already taken
+// out), so shipper-posted, broker and negotiated loads land on one basis.
+// Offers re-rate the load on acceptance, so the payout is current by then.
+
+const { pool } = require('../db/pool');
+const config = require('../config');
+
+// Observations outside these bounds are data-entry noise, not market rates
+const MIN_DISTANCE_MILES = 10;
+const MIN_RPM = 0.5;
+const MAX_RPM = 20;
+
+const REGION_TYPES = ['zip3', 'state'];
+
+const round = (value, places = 2) =>
+  (value === null || value === undefined ? null : Math.round(parseFloat(value) * 10 ** places) / 10 ** places);
+
+// ============================================
+// REGIONS
+// ============================================
+
+/**
+ * { zip, state } -> { zip3, state } (either may be null)
+ */
+const toRegion = (point) => {
+  const zip = String(point?.zip || '').trim();
+  const state = String(point?.state || '').trim().toUpperCase();
+  return {
+    zip3: /^\d{3}/.test(zip) ? zip.slice(0, 3) : null,
+    state: /^[A-Z]{2}$/.test(state) ? state : null,
+  };
+};
+
+// ============================================
+// INGEST
+// ============================================
+
+/**
+ * Upsert one observation per eligible load. Idempotent: a load first seen
+ * through an accepted offer is re-read until it is delivered, then frozen.
+ * equipmentGroups maps display names to groups (pricing.EQUIPMENT_TO_GROUP).
+ * Returns { upserted, removed }.
+ */
+const ingestObservations = async (equipmentGroups) => {
+  const result = await pool.query(`
+    WITH accepted AS (
+      SELECT DISTINCT ON (load_id) load_id, final_amount, accepted_at
+      FROM offers
+      WHERE status = 'accepted' AND final_amount IS NOT NULL
+      ORDER BY load_id, accepted_at DESC
+    ),
+    candidates AS (
+      SELECT
+        l.id AS load_id,
+        CASE WHEN l.status IN ('delivered', 'completed') THEN 'completed' ELSE 'offer' END AS source,
+        CASE WHEN l.pickup_zip ~ '^[0-9]{3}' THEN LEFT(l.pickup_zip, 3) END AS origin_zip3,
+        UPPER(l.pickup_state) AS origin_state,
+        CASE WHEN l.delivery_zip ~ '^[0-9]{3}' THEN LEFT(l.delivery_zip, 3) END AS destination_zip3,
+        UPPER(l.delivery_state) AS destination_state,
+        COALESCE(
+          $1::jsonb ->> l.vehicle_type_required,
+          LOWER(REGEXP_REPLACE(l.vehicle_type_required, '[[:space:]]+', '_', 'g')),
+          'dry_van_53'
+        ) AS equipment_group,
+        l.distance_miles,
+        -- Linehaul payout: what the carrier is paid for the miles, whoever posted
+        -- the load, less approved accessorials and the fuel and expedite inside
+        -- the rating (loads.fuel_surcharge on broker loads is the customer's
+        -- fuel, which never reaches driver_payout)
+        l.driver_payout
+          - COALESCE(l.accessorial_total, 0)
+          - COALESCE((
+              SELECT SUM((item ->> 'amount')::numeric)
+              FROM jsonb_array_elements(COALESCE(l.rate_breakdown -> 'lineItems', '[]'::jsonb)) item
+              WHERE item ->> 'code' IN ('fuel_surcharge', 'expedited')
+            ), 0) AS amount,
+        COALESCE(l.delivered_at, l.completed_at, a.accepted_at, l.updated_at) AS observed_at
+      FROM loads l
+      LEFT JOIN accepted a ON a.load_id = l.id
+      WHERE (l.status IN ('delivered', 'completed') OR (a.load_id IS NOT NULL AND l.status != 'cancelled'))
+        AND l.distance_miles >= $2
+    )
+    INSERT INTO lane_rate_observations (
+      load_id, source, origin_zip3, origin_state, destination_zip3, destination_state,
+      equipment_group, distance_miles, amount, rpm, week_start, observed_at
+    )
+    SELECT
+      load_id, source, origin_zip3, origin_state, destination_zip3, destination_state,
+      equipment_group, distance_miles, amount, ROUND(amount / distance_miles, 4),
+      DATE_TRUNC('week', observed_at)::date, observed_at
+    FROM candidates
+    WHERE amount > 0 AND amount / distance_miles BETWEEN $3 AND $4
+    ON CONFLICT (load_id) DO UPDATE SET
+      source = EXCLUDED.source,
+      origin_zip3 = EXCLUDED.origin_zip3,
+      origin_state = EXCLUDED.origin_state,
+      destination_zip3 = EXCLUDED.destination_zip3,
+      destination_state = EXCLUDED.destination_state,
+      equipment_group = EXCLUDED.equipment_group,
+      distance_miles = EXCLUDED.distance_miles,
+      amount = EXCLUDED.amount,
+      rpm = EXCLUDED.rpm,
+      week_start = EXCLUDED.week_start,
+      observed_at = EXCLUDED.observed_at,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE lane_rate_observations.source = 'offer'
+  `, [JSON.stringify(equipmentGroups || {}), MIN_DISTANCE_MILES, MIN_RPM, MAX_RPM]);
+
+  // Accepted offers whose load was cancelled before delivery never moved freight
+  const removed = await pool.query(`
+    DELETE FROM lane_rate_observations o
+    USING loads l
+    WHERE o.load_id = l.id AND o.source = 'offer' AND l.status = 'cancelled'
+  `);
+
+  return { upserted: result.rowCount, removed: removed.rowCount };
+};
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * WHERE clause for one lane. Returns { where, params } or null when the lane
+ * cannot be expressed at this region level.
+ */
+const laneFilter = ({ regionType, origin, destination, equipmentGroup, weeks }) => {
+  const o = toRegion(origin);
+  const d = toRegion(destination);
+  const originValue = regionType === 'zip3' ? o.zip3 : o.state;
+  const destinationValue = regionType === 'zip3' ? d.zip3 : d.state;
+  if (!originValue || !destinationValue) return null;
+
+  const column = regionType === 'zip3' ? 'zip3' : 'state';
+  const params = [originValue, destinationValue, weeks];
+  const clauses = [
+    `origin_${column} = $1`,
+    `destination_${column} = $2`,
+    `week_start >= DATE_TRUNC('week', CURRENT_DATE - ($3::int * INTERVAL '1 week'))::date`,
+  ];
+  if (equipmentGroup) {
+    params.push(equipmentGroup);
+    clauses.push(`equipment_group = $${params.length}`);
+  }
+
+  return {
+    where: clauses.join(' AND '),
+    params,
+    origin: originValue,
+    destination: destinationValue,
+  };
+};
+
+/**
+ * Finest region level both ends support: zip3 when both ZIPs are known
+ */
+const defaultRegionType = (origin, destination) =>
+  (toRegion(origin).zip3 && toRegion(destination).zip3 ? 'zip3' : 'state');
+
+/**
+ * Percentiles over the lane for the last `weeks` weeks, plus a weekly series.
+ * origin/destination are { zip, state }; equipmentGroup null = all equipment.
+ * Returns null when the lane has no usable region.
+ */
+const getLaneHistory = async ({ origin, destination, equipmentGroup = null, regionType, weeks = 12 }) => {
+  const level = regionType || defaultRegionType(origin, destination);
+  const filter = laneFilter({ regionType: level, origin, destination, equipmentGroup, weeks });
+  if (!filter) return null;
+
+  const summary = await pool.query(`
+    SELECT
+      COUNT(*)::int AS load_count,
+      COUNT(*) FILTER (WHERE source = 'completed')::int AS completed_count,
+      COUNT(*) FILTER (WHERE source = 'offer')::int AS offer_count,
+      PERCENTILE_CONT(ARRAY[0.1, 0.25, 0.5, 0.75, 0.9]) WITHIN GROUP (ORDER BY rpm) AS rpm_percentiles,
+      AVG(rpm) AS rpm_mean,
+      AVG(distance_miles) AS avg_miles,
+      AVG(amount) AS avg_amount,
+      MIN(observed_at) AS first_observed_at,
+      MAX(observed_at) AS last_observed_at
+    FROM lane_rate_observations
+    WHERE ${filter.where}
+  `, filter.params);
+
+  const weekly = await pool.query(`
+    SELECT
+      week_start,
+      COUNT(*)::int AS load_count,
+      PERCENTILE_CONT(ARRAY[0.25, 0.5, 0.75]) WITHIN GROUP (ORDER BY rpm) AS rpm_percentiles,
+      AVG(rpm) AS rpm_mean,
+      AVG(distance_miles) AS avg_miles
+    FROM lane_rate_observations
+    WHERE ${filter.where}
+    GROUP BY week_start
+    ORDER BY week_start
+  `, filter.params);
+
+  const row = summary.rows[0];
+  const [p10, p25, median, p75, p90] = row.rpm_percentiles || [];
+
+  return {
+    lane: {
+      regionType: level,
+      origin: filter.origin,
+      destination: filter.destination,
+      equipmentGroup,
+    },
+    weeks,
+    loadCount: row.load_count,
+    completedCount: row.completed_count,
+    offerCount: row.offer_count,
+    rpm: {
+      p10: round(p10),
+      p25: round(p25),
+      median: round(median),
+      p75: round(p75),
+      p90: round(p90),
+      mean: round(row.rpm_mean),
+    },
+    avgMiles: round(row.avg_miles, 1),
+    avgAmount: round(row.avg_amount),
+    firstObservedAt: row.first_observed_at,
+    lastObservedAt: row.last_observed_at,
+    history: weekly.rows.map((w) => ({
+      weekStart: w.week_start,
+      loadCount: w.load_count,
+      rpm: {
+        p25: round(w.rpm_percentiles?.[0]),
+        median: round(w.rpm_percentiles?.[1]),
+        p75: round(w.rpm_percentiles?.[2]),
+        mean: round(w.rpm_mean),
+      },
+      avgMiles: round(w.avg_miles, 1),
+    })),
+  };
+};
+
+// ============================================
+// BENCHMARK BLEND
+// ============================================
+
+/**
+ * Median lane RPM for the blend: the 3-digit ZIP lane when it has enough
+ * loads, else the state lane. Returns { regionType, origin, destination,
+ * loadCount, medianRpm } or null.
+ */
+const getLaneRate = async ({ origin, destination, equipmentGroup }, client = pool) => {
+  const { weeks, minLoads } = config.pricing.laneBlend;
+
+  for (const regionType of REGION_TYPES) {
+    const filter = laneFilter({ regionType, origin, destination, equipmentGroup, weeks });
+    if (!filter) continue;
+
+    const result = await client.query(`
+      SELECT COUNT(*)::int AS load_count,
+             PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY rpm) AS median_rpm
+      FROM lane_rate_observations
+      WHERE ${filter.where}
+    `, filter.params);
+
+    const row = result.rows[0];
+    if (row.load_count >= minLoads) {
+      return {
+        regionType,
+        origin: filter.origin,
+        destination: filter.destination,
+        loadCount: row.load_count,
+        medianRpm: round(row.median_rpm),
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Weighted average of the benchmark and lane median. Weight grows with lane
+ * volume up to maxWeight at fullWeightLoads. Returns { rpm, weight }.
+ */
+const blendRpm = (benchmarkRpm, laneRate) => {
+  if (!laneRate) return { rpm: benchmarkRpm, weight: 0 };
+
+  const { fullWeightLoads, maxWeight } = config.pricing.laneBlend;
+  const weight = round(Math.min(1, laneRate.loadCount / fullWeightLoads) * maxWeight, 3);
+  return {
+    rpm: round(benchmarkRpm * (1 - weight) + laneRate.medianRpm * weight, 4),
+    weight,
+  };
+};
+
+module.exports = {
+  REGION_TYPES,
+  toRegion,
+  ingestObservations,
+  getLaneHistory,
+  getLaneRate,
+  blendRpm,
+};
@@ -0,0 +1,396 @@
+// backend_api/src/services/loadMessages.js
+// Per-load messaging threads
+//
+// Every load has one thread. Participants come from the load itself (shipper,
+// driver), its active assignments (assigned drivers) and org memberships
+// (non-driver members of the posting org and the assigned carrier org).
+// Messages are append-only so a thread can be attached to a dispute as
+// evidence. Photos go through the presigned upload-URL flow
+// (documentService, type message_attachment) and are stored as S3 keys.
+//
+// Realtime delivery is the caller's job (message:new / message:read through
+// realtime/socket); notifyOffline is the push fallback for participants with
+// no connected socket.
+
+const { pool } = require('../db/pool');
+const config = require('../config');
+const documentService = require('./documentService');
+const notificationService = require('./notificationService');
+const presence = require('./presence');
+
+const ATTACHMENT_TYPE = 'message_attachment';
+const IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+// ============================================
+// PARTICIPANTS
+// ============================================
+
+/**
+ * Load plus everyone on its thread: { load, participants } or null.
+ * participants: [{ userId, name, role, orgId, orgRole }], role being
+ * shipper / driver / broker / carrier (first match wins in that order).
+ */
+const getThreadContext = async (loadId, client = pool) => {
+  const loadResult = await client.query(`
+    SELECT l.id, l.status, l.shipper_id, l.driver_id, l.posted_by_org_id, l.assigned_carrier_org_id,
+      l.pickup_city, l.pickup_state, l.delivery_city, l.delivery_state,
+      po.org_type AS posted_by_org_type,
+      COALESCE(array_agg(a.driver_user_id) FILTER (WHERE a.driver_user_id IS NOT NULL), '{}') AS assigned_driver_ids
+    FROM loads l
+    LEFT JOIN orgs po ON po.id = l.posted_by_org_id
+    LEFT JOIN assignments a ON a.load_id = l.id AND a.status != 'cancelled'
+    WHERE l.id = $1
+    GROUP BY l.id, po.org_type
+  `, [loadId]);
+  if (loadResult.rows.length === 0) return null;
+
+  const load = loadResult.rows[0];
+  const driverIds = [...new Set([load.driver_id, ...load.assigned_driver_ids].filter(Boolean))];
+  const orgIds = [load.posted_by_org_id, load.assigned_carrier_org_id].filter(Boolean);
+
+  const usersResult = await client.query(`
+    SELECT u.id, u.first_name, u.last_name, u.name, NULL::uuid AS org_id, NULL AS org_role
+    FROM users u
+    WHERE u.id = ANY($1::uuid[])
+    UNION ALL
+    SELECT u.id, u.first_name, u.last_name, u.name, m.org_id, m.role AS org_role
+    FROM memberships m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.org_id = ANY($2::uuid[]) AND m.is_active = true AND m.role != 'driver'
+  `, [[load.shipper_id, ...driverIds].filter(Boolean), orgIds]);
+
+  const roleFor = (row) => {
+    if (row.id === load.shipper_id && !row.org_id) return 'shipper';
+    if (driverIds.includes(row.id) && !row.org_id) return 'driver';
+    if (row.org_id === load.posted_by_org_id) return load.posted_by_org_type === 'broker' ? 'broker' : 'shipper';
+    return 'carrier';
+  };
+  const rank = ['shipper', 'driver', 'broker', 'carrier'];
+
+  const byUser = new Map();
+  for (const row of usersResult.rows) {
+    const role = roleFor(row);
+    const existing = byUser.get(row.id);
+    if (existing && rank.indexOf(existing.role) <= rank.indexOf(role)) continue;
+    byUser.set(row.id, {
+      userId: row.id,
+      name: row.name || `${row.first_name || ''} ${row.last_name || ''}`.trim() || 'Unknown',
+      role,
+      orgId: row.org_id,
+      orgRole: row.org_role,
+    });
+  }
+
+  return { load, participants: [...byUser.values()] };
+};
+
+/**
+ * A user's role on the thread (admins may read and post on any thread), or null
+ */
+const getParticipantRole = (user, context) => {
+  const participant = context.participants.find((p) => p.userId === user.id);
+  if (participant) return participant.role;
+  return user.role === 'admin' ? 'admin' : null;
+};
+
+// ============================================
+// ATTACHMENTS
+// ============================================
+
+/**
+ * Presigned S3 PUT for a message attachment (upload first, then send the key)
+ */
+const getAttachmentUploadUrl = async (userId, { contentType, fileName }) => {
+  if (!contentType || !fileName) {
+    return { ok: false, error: 'contentType and fileName required' };
+  }
+  try {
+    const upload = await documentService.getUploadUrl(userId, ATTACHMENT_TYPE, contentType, fileName);
+    return { ok: true, ...upload };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+};
+
+/**
+ * Attachments must be keys this user uploaded through getAttachmentUploadUrl.
+ * Returns { ok: true, attachments } or { ok: false, error }.
+ */
+const validateAttachments = (userId, attachments) => {
+  if (attachments === undefined || attachments === null) return { ok: true, attachments: [] };
+  if (!Array.isArray(attachments)) return { ok: false, error: 'attachments must be an array' };
+  if (attachments.length > config.messaging.maxAttachments) {
+    return { ok: false, error: `At most ${config.messaging.maxAttachments} attachments per message` };
+  }
+
+  const prefix = `${documentService.DOCUMENT_TYPES[ATTACHMENT_TYPE].folder}/${userId}/`;
+  const cleaned = [];
+  for (const attachment of attachments) {
+    const key = typeof attachment === 'string' ? attachment : attachment?.key;
+    if (!key || !key.startsWith(prefix) || key.includes('..')) {
+      return { ok: false, error: 'Attachment key must come from the message upload URL' };
+    }
+    cleaned.push({
+      key,
+      contentType: attachment.contentType || null,
+      fileName: attachment.fileName || null,
+    });
+  }
+  return { ok: true, attachments: cleaned };
+};
+
+const isImage = (attachment) =>
+  IMAGE_TYPES.includes(attachment.contentType) || /\.(jpe?g|png)$/i.test(attachment.key);
+
+// ============================================
+// MESSAGES
+// ============================================
+
+/**
+ * Append a message. Returns { ok: true, message } or { ok: false, error }.
+ * The sender's read marker moves to their own message.
+ */
+const createMessage = async ({ loadId, sender, senderRole, body, attachments }) => {
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (text.length > config.messaging.maxBodyLength) {
+    return { ok: false, error: `Message must be at most ${config.messaging.maxBodyLength} characters` };
+  }
+
+  const checked = validateAttachments(sender.id, attachments);
+  if (!checked.ok) return checked;
+  if (!text && checked.attachments.length === 0) {
+    return { ok: false, error: 'Message body or attachment required' };
+  }
+
+  const kind = checked.attachments.some(isImage) ? 'photo' : 'text';
+  const result = await pool.query(`
+    INSERT INTO load_messages (load_id, sender_id, kind, body, attachments, sender_role)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [loadId, sender.id, kind, text || null, JSON.stringify(checked.attachments), senderRole]);
+
+  const message = result.rows[0];
+  await markRead(loadId, sender.id, message.id);
+  return { ok: true, message };
+};
+
+/**
+ * Thread page, oldest first. before/after are message ids (cursor paging).
+ */
+const listMessages = async (loadId, { before = null, after = null, limit = config.messaging.pageSize } = {}) => {
+  const params = [loadId];
+  let cursor = '';
+  if (before) {
+    params.push(before);
+    cursor += ` AND m.id < $${params.length}`;
+  }
+  if (after) {
+    params.push(after);
+    cursor += ` AND m.id > $${params.length}`;
+  }
+  params.push(limit);
+
+  // Newest page when paging backwards, next page when paging forwards
+  const result = await pool.query(`
+    SELECT m.*, u.name AS sender_name, u.first_name AS sender_first_name, u.last_name AS sender_last_name
+    FROM load_messages m
+    LEFT JOIN users u ON u.id = m.sender_id
+    WHERE m.load_id = $1 ${cursor}
+    ORDER BY m.id ${after ? 'ASC' : 'DESC'}
+    LIMIT $${params.length}
+  `, params);
+
+  return after ? result.rows : result.rows.reverse();
+};
+
+/**
+ * Messages attached to a dispute: the thread up to the attach time
+ */
+const getThreadEvidence = async (loadId, until) => {
+  const result = await pool.query(`
+    SELECT m.*, u.name AS sender_name, u.first_name AS sender_first_name, u.last_name AS sender_last_name
+    FROM load_messages m
+    LEFT JOIN users u ON u.id = m.sender_id
+    WHERE m.load_id = $1 AND m.created_at <= $2
+    ORDER BY m.id ASC
+  `, [loadId, until]);
+  return result.rows;
+};
+
+// ============================================
+// READ RECEIPTS
+// ============================================
+
+/**
+ * Move a user's read marker forward (never back). messageId defaults to the
+ * latest message. Returns the receipt or null when the thread is empty.
+ */
+const markRead = async (loadId, userId, messageId = null) => {
+  const result = await pool.query(`
+    INSERT INTO load_message_reads (load_id, user_id, last_read_message_id, read_at)
+    SELECT $1, $2, m.id, CURRENT_TIMESTAMP
+    FROM load_messages m
+    WHERE m.load_id = $1 AND ($3::bigint IS NULL OR m.id = $3)
+    ORDER BY m.id DESC
+    LIMIT 1
+    ON CONFLICT (load_id, user_id) DO UPDATE
+    SET last_read_message_id = GREATEST(load_message_reads.last_read_message_id, EXCLUDED.last_read_message_id),
+        read_at = CASE
+          WHEN EXCLUDED.last_read_message_id > load_message_reads.last_read_message_id THEN EXCLUDED.read_at
+          ELSE load_message_reads.read_at
+        END
+    RETURNING *
+  `, [loadId, userId, messageId]);
+  return result.rows[0] || null;
+};
+
+const getReadReceipts = async (loadId) => {
+  const result = await pool.query(
+    'SELECT * FROM load_message_reads WHERE load_id = $1 ORDER BY read_at DESC',
+    [loadId]
+  );
+  return result.rows;
+};
+
+// ============================================
+// THREADS
+// ============================================
+
+/**
+ * Threads (loads with at least one message) a user takes part in, latest
+ * activity first, with their unread count
+ */
+const listThreads = async (userId, { limit = 50, offset = 0 } = {}) => {
+  const result = await pool.query(`
+    SELECT l.id AS load_id, l.status, l.pickup_city, l.pickup_state, l.delivery_city, l.delivery_state,
+      last.id AS last_message_id, last.kind AS last_message_kind, last.body AS last_message_body,
+      last.sender_id AS last_sender_id, last.created_at AS last_message_at,
+      r.last_read_message_id,
+      (
+        SELECT COUNT(*) FROM load_messages x
+        WHERE x.load_id = l.id
+          AND x.id > COALESCE(r.last_read_message_id, 0)
+          AND x.sender_id IS DISTINCT FROM $1
+      ) AS unread_count
+    FROM loads l
+    JOIN LATERAL (
+      SELECT * FROM load_messages m WHERE m.load_id = l.id ORDER BY m.id DESC LIMIT 1
+    ) last ON true
+    LEFT JOIN load_message_reads r ON r.load_id = l.id AND r.user_id = $1
+    WHERE l.shipper_id = $1 OR l.driver_id = $1
+      OR EXISTS (
+        SELECT 1 FROM assignments a
+        WHERE a.load_id = l.id AND a.driver_user_id = $1 AND a.status != 'cancelled'
+      )
+      OR EXISTS (
+        SELECT 1 FROM memberships mb
+        WHERE mb.user_id = $1 AND mb.is_active = true AND mb.role != 'driver'
+          AND mb.org_id IN (l.posted_by_org_id, l.assigned_carrier_org_id)
+      )
+    ORDER BY last.id DESC
+    LIMIT $2 OFFSET $3
+  `, [userId, limit, offset]);
+  return result.rows;
+};
+
+// ============================================
+// PUSH FALLBACK
+// ============================================
+
+/**
+ * Push the message to participants without a connected socket
+ * (online participants get it over socket.io)
+ */
+const notifyOffline = async (message, context, sender) => {
+  const recipients = context.participants.filter((p) => p.userId !== sender.id);
+  if (recipients.length === 0) return 0;
+
+  const presenceByUser = await presence.getPresence(recipients.map((p) => p.userId));
+  const offline = recipients.filter((p) => !presenceByUser[p.userId]?.online);
+
+  const { load } = context;
+  const preview = message.body
+    ? message.body.slice(0, 120)
+    : '📷 Photo';
+
+  await Promise.all(offline.map((p) =>
+    notificationService.sendNotification(p.userId, 'LOAD_MESSAGE', {
+      loadId: load.id,
+      messageId: message.id,
+      senderName: sender.name || 'Someone',
+      route: `${load.pickup_city || 'Pickup'} → ${load.delivery_city || 'Delivery'}`,
+      preview,
+    })
+  ));
+  return offline.length;
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+const formatAttachments = async (attachments) => Promise.all((attachments || []).map(async (a) => ({
+  key: a.key,
+  contentType: a.contentType,
+  fileName: a.fileName,
+  url: await documentService.getViewUrl(a.key, config.messaging.attachmentUrlSeconds).catch(() => null),
+})));
+
+/**
+ * API shape (attachments get short-lived view URLs)
+ */
+const formatMessage = async (message, viewerId = null) => ({
+  id: String(message.id),
+  loadId: message.load_id,
+  kind: message.kind,
+  body: message.body,
+  attachments: await formatAttachments(message.attachments),
+  sender: {
+    id: message.sender_id,
+    name: message.sender_name
+      || `${message.sender_first_name || ''} ${message.sender_last_name || ''}`.trim()
+      || null,
+    role: message.sender_role,
+  },
+  isMe: viewerId ? message.sender_id === viewerId : undefined,
+  createdAt: message.created_at,
+});
+
+const formatReceipt = (receipt) => ({
+  userId: receipt.user_id,
+  lastReadMessageId: String(receipt.last_read_message_id),
+  readAt: receipt.read_at,
+});
+
+const formatThread = (thread) => ({
+  loadId: thread.load_id,
+  status: thread.status,
+  pickup: { city: thread.pickup_city, state: thread.pickup_state },
+  delivery: { city: thread.delivery_city, state: thread.delivery_state },
+  lastMessage: {
+    id: String(thread.last_message_id),
+    kind: thread.last_message_kind,
+    body: thread.last_message_body,
+    senderId: thread.last_sender_id,
+    createdAt: thread.last_message_at,
+  },
+  lastReadMessageId: thread.last_read_message_id ? String(thread.last_read_message_id) : null,
+  unreadCount: parseInt(thread.unread_count) || 0,
+});
+
+module.exports = {
+  getThreadContext,
+  getParticipantRole,
+  getAttachmentUploadUrl,
+  validateAttachments,
+  createMessage,
+  listMessages,
+  getThreadEvidence,
+  markRead,
+  getReadReceipts,
+  listThreads,
+  notifyOffline,
+  formatMessage,
+  formatReceipt,
+  formatThread,
+};
@@ -2,6 +2,9 @@
 // Helper to send notifications for load lifecycle events
 
 const notificationService = require('./notificationService');
+const eta = require('./eta');
+const loadStops = require('./loadStops');
+const timezones = require('./timezones');
 const { pool } = require('../db/pool');
 
 /**
@@ -27,6 +30,8 @@ const getLoadNotificationData = async (loadId) => {
   if (result.rows.length === 0) return null;
 
   const load = result.rows[0];
+  // Pickup appointment in the pickup's own timezone, e.g. "Oct 19, 9:00 AM CDT"
+  const pickupWindow = timezones.stopWindow(loadStops.buildLegacyStops(load)[0]);
   return {
     loadId: load.id,
     shipperId: load.shipper_user_id,
@@ -39,7 +44,9 @@ const getLoadNotificationData = async (loadId) => {
     pickupState: load.pickup_state,
     deliveryCity: load.delivery_city,
     deliveryState: load.delivery_state,
-    pickupDate: load.pickup_date,
+    pickupDate: pickupWindow.start
+      ? timezones.formatLocal(pickupWindow.start, pickupWindow.timezone)
+      : load.pickup_date,
     payout: load.driver_payout,
     price: load.price,
     status: load.status,
@@ -100,6 +107,19 @@ const onStatusChange = async (loadId, newStatus, oldStatus) => {
     ];
 
     if (notifyStatuses.includes(newStatus)) {
+      // En-route notices carry the ETA to the stop the driver is heading for
+      if (newStatus === 'en_route_pickup' || newStatus === 'en_route_delivery') {
+        try {
+          const event = await eta.refreshLoadEta(loadId);
+          const [at, timezone] = newStatus === 'en_route_pickup'
+            ? [event?.payload.pickupEta, event?.payload.pickupTimezone]
+            : [event?.payload.deliveryEta, event?.payload.deliveryTimezone];
+          data.eta = eta.formatEtaTime(at, timezone || undefined);
+        } catch (error) {
+          console.error('[LoadNotifications] ETA error:', error.message);
+        }
+      }
+
       await notificationService.notifyShipperStatusChange(
         data.shipperId,
         newStatus,
@@ -0,0 +1,503 @@
+// backend_api/src/services/loadStatus.js
+// Load / assignment / closeout / stop status state machine
+// Every transition is validated against the graphs below and written to load_status_events
+
+const { pool, withTransaction } = require('../db/pool');
+
+// ============================================
+// TRANSITION GRAPHS
+// ============================================
+
+const LOAD_TRANSITIONS = {
+  posted: ['assigned', 'accepted', 'confirmed', 'cancelled'],
+  assigned: ['accepted', 'confirmed', 'en_route_pickup', 'posted', 'cancelled'],
+  accepted: ['confirmed', 'en_route_pickup', 'posted', 'cancelled'],
+  confirmed: ['en_route_pickup', 'posted', 'cancelled'],
+  en_route_pickup: ['at_pickup', 'picked_up', 'cancelled'],
+  at_pickup: ['picked_up', 'cancelled'],
+  // Multi-stop loads can head back out to another pickup or delivery
+  picked_up: ['en_route_pickup', 'en_route_delivery', 'at_delivery', 'delivered', 'disputed'],
+  en_route_delivery: ['at_delivery', 'delivered', 'disputed'],
+  in_transit: ['at_delivery', 'delivered', 'disputed'], // legacy alias of en_route_delivery
+  at_delivery: ['en_route_delivery', 'delivered', 'disputed'],
+  delivered: ['completed', 'disputed'],
+  completed: ['disputed'],
+  // Resolving a dispute returns the load to the status it was disputed from
+  disputed: ['picked_up', 'en_route_delivery', 'in_transit', 'at_delivery', 'delivered', 'completed', 'cancelled'],
+  cancelled: [],
+};
+
+const ASSIGNMENT_TRANSITIONS = {
+  pending: ['confirmed', 'in_progress', 'cancelled'],
+  confirmed: ['in_progress', 'completed', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+// Stops only move forward; geofence arrivals use the same graph
+const STOP_TRANSITIONS = {
+  pending: ['arrived', 'completed', 'skipped'],
+  arrived: ['completed', 'skipped'],
+  completed: [],
+  skipped: [],
+};
+
+const CLOSEOUT_COMPLETED = ['completed', 'completed_issues', 'completed_no_doc'];
+
+const CLOSEOUT_TRANSITIONS = {
+  pending: ['pending_photo', 'pending_signature', 'pending_qr', 'under_review', ...CLOSEOUT_COMPLETED, 'cancelled'],
+  pending_photo: ['pending_qr', 'under_review', ...CLOSEOUT_COMPLETED, 'cancelled'],
+  pending_signature: ['pending_qr', 'under_review', ...CLOSEOUT_COMPLETED, 'cancelled'],
+  pending_qr: ['pending_qr', 'under_review', ...CLOSEOUT_COMPLETED, 'cancelled'],
+  under_review: [...CLOSEOUT_COMPLETED, 'rejected'],
+  completed: ['paid'],
+  completed_issues: ['paid'],
+  completed_no_doc: ['paid'],
+  rejected: [],
+  paid: [],
+  cancelled: [],
+};
+
+const GRAPHS = {
+  load: LOAD_TRANSITIONS,
+  assignment: ASSIGNMENT_TRANSITIONS,
+  closeout: CLOSEOUT_TRANSITIONS,
+  stop: STOP_TRANSITIONS,
+};
+
+// Timestamp column stamped when a load enters a status
+const LOAD_TIMESTAMP_FIELDS = {
+  assigned: 'assigned_at',
+  picked_up: 'picked_up_at',
+  delivered: 'delivered_at',
+  completed: 'completed_at',
+  cancelled: 'cancelled_at',
+};
+
+// Assignment status that follows a load status
+const ASSIGNMENT_STATUS_FOR_LOAD = {
+  en_route_pickup: 'in_progress',
+  at_pickup: 'in_progress',
+  picked_up: 'in_progress',
+  en_route_delivery: 'in_progress',
+  at_delivery: 'in_progress',
+  delivered: 'completed',
+  cancelled: 'cancelled',
+};
+
+const ASSIGNMENT_TIMESTAMP_FIELDS = {
+  confirmed: 'confirmed_at',
+  in_progress: 'started_at',
+  completed: 'completed_at',
+};
+
+const LOAD_STATUSES = Object.keys(LOAD_TRANSITIONS);
+
+// ============================================
+// GRAPH QUERIES
+// ============================================
+
+/**
+ * Statuses reachable from `fromStatus` for an entity ('load', 'assignment', 'closeout', 'stop')
+ */
+const getAllowedTransitions = (entity, fromStatus) => {
+  const graph = GRAPHS[entity];
+  if (!graph) throw new Error(`Unknown status entity: ${entity}`);
+  return graph[fromStatus] || [];
+};
+
+/**
+ * Check a single transition
+ */
+const canTransition = (entity, fromStatus, toStatus) => {
+  return getAllowedTransitions(entity, fromStatus).includes(toStatus);
+};
+
+// ============================================
+// EVENTS
+// ============================================
+
+/**
+ * Write a row to load_status_events
+ */
+const recordStatusEvent = async ({
+  loadId,
+  entityType = 'load',
+  entityId = null,
+  fromStatus,
+  toStatus,
+  actor = null,        // { id, role }
+  source = 'api',      // 'api', 'closeout', 'assignment', 'offer', 'dispute', 'route_planner', 'geofence', 'driver_override', 'system'
+  reason = null,
+  gps = null,          // { lat, lng, accuracy }
+  stopId = null,
+  metadata = null,
+}, client = pool) => {
+  const result = await client.query(`
+    INSERT INTO load_status_events (
+      load_id, entity_type, entity_id, from_status, to_status,
+      actor_user_id, actor_role, source, reason,
+      lat, lng, gps_accuracy, stop_id, metadata
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    RETURNING *
+  `, [
+    loadId, entityType, entityId ? String(entityId) : null, fromStatus || null, toStatus,
+    actor?.id || null, actor?.role || null, source, reason,
+    gps?.lat || null, gps?.lng || null, gps?.accuracy || null,
+    stopId || null,
+    metadata ? JSON.stringify(metadata) : null,
+  ]);
+  return result.rows[0];
+};
+
+// ============================================
+// TRANSITIONS
+// ============================================
+
+/**
+ * Build "SET" fragments for extra columns and timestamps
+ */
+const buildSetClause = (fields, timestamps, startIndex) => {
+  const sets = [];
+  const params = [];
+  let index = startIndex;
+
+  for (const [column, value] of Object.entries(fields || {})) {
+    sets.push(`${column} = $${index++}`);
+    params.push(value);
+  }
+  for (const column of timestamps || []) {
+    sets.push(`${column} = COALESCE(${column}, CURRENT_TIMESTAMP)`);
+  }
+  return { sets, params };
+};
+
+/**
+ * Move a load to a new status.
+ * Returns { ok: true, load, fromStatus, unchanged } or { ok: false, error, currentStatus, allowedStatuses }.
+ * Active assignments follow the load (see ASSIGNMENT_STATUS_FOR_LOAD).
+ */
+const transitionLoad = async (loadId, toStatus, options = {}) => {
+  const {
+    actor = null,
+    source = 'api',
+    reason = null,
+    gps = null,
+    stopId = null,
+    metadata = null,
+    fields = {},       // extra columns to set, e.g. { cancelled_by: userId }
+    timestamps = [],   // extra timestamp columns to stamp
+    client = null,
+  } = options;
+
+  // Lock, update and audit in one transaction unless the caller is already in one
+  if (!client) {
+    return withTransaction((tx) => transitionLoad(loadId, toStatus, { ...options, client: tx }));
+  }
+
+  const current = await client.query('SELECT * FROM loads WHERE id = $1 FOR UPDATE', [loadId]);
+  if (current.rows.length === 0) {
+    return { ok: false, error: 'Load not found', notFound: true };
+  }
+
+  const load = current.rows[0];
+  const fromStatus = load.status;
+
+  if (fromStatus === toStatus && Object.keys(fields).length === 0) {
+    return { ok: true, load, fromStatus, unchanged: true };
+  }
+
+  if (fromStatus !== toStatus && !canTransition('load', fromStatus, toStatus)) {
+    return {
+      ok: false,
+      error: `Cannot change load status from ${fromStatus} to ${toStatus}`,
+      currentStatus: fromStatus,
+      allowedStatuses: getAllowedTransitions('load', fromStatus),
+    };
+  }
+
+  const stamp = [...timestamps];
+  if (LOAD_TIMESTAMP_FIELDS[toStatus]) stamp.push(LOAD_TIMESTAMP_FIELDS[toStatus]);
+  const { sets, params } = buildSetClause(fields, stamp, 4);
+
+  const result = await client.query(`
+    UPDATE loads SET
+      status = $1,
+      ${sets.length > 0 ? sets.join(',\n      ') + ',' : ''}
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2 AND status = $3
+    RETURNING *
+  `, [toStatus, loadId, fromStatus, ...params]);
+
+  if (result.rows.length === 0) {
+    return {
+      ok: false,
+      error: 'Load status changed concurrently, please retry',
+      currentStatus: fromStatus,
+      allowedStatuses: getAllowedTransitions('load', fromStatus),
+    };
+  }
+
+  if (fromStatus !== toStatus) {
+    await recordStatusEvent({
+      loadId, entityType: 'load', entityId: loadId,
+      fromStatus, toStatus, actor, source, reason, gps, stopId, metadata,
+    }, client);
+
+    // Keep active assignments in step with the load
+    const assignmentStatus = ASSIGNMENT_STATUS_FOR_LOAD[toStatus];
+    if (assignmentStatus) {
+      const assignments = await client.query(
+        `SELECT id, status FROM assignments WHERE load_id = $1 AND status NOT IN ('completed', 'cancelled')`,
+        [loadId]
+      );
+      for (const assignment of assignments.rows) {
+        if (assignment.status === assignmentStatus) continue;
+        await transitionAssignment(assignment.id, assignmentStatus, {
+          actor, source, reason, client,
+        });
+      }
+    }
+  }
+
+  return { ok: true, load: result.rows[0], fromStatus, unchanged: fromStatus === toStatus };
+};
+
+/**
+ * Move an assignment to a new status (same return shape as transitionLoad)
+ */
+const transitionAssignment = async (assignmentId, toStatus, options = {}) => {
+  const {
+    actor = null,
+    source = 'assignment',
+    reason = null,
+    gps = null,
+    fields = {},
+    client = null,
+  } = options;
+
+  if (!client) {
+    return withTransaction((tx) => transitionAssignment(assignmentId, toStatus, { ...options, client: tx }));
+  }
+
+  const current = await client.query('SELECT * FROM assignments WHERE id = $1 FOR UPDATE', [assignmentId]);
+  if (current.rows.length === 0) {
+    return { ok: false, error: 'Assignment not found', notFound: true };
+  }
+
+  const assignment = current.rows[0];
+  const fromStatus = assignment.status;
+
+  if (!canTransition('assignment', fromStatus, toStatus)) {
+    return {
+      ok: false,
+      error: `Cannot change assignment status from ${fromStatus} to ${toStatus}`,
+      currentStatus: fromStatus,
+      allowedStatuses: getAllowedTransitions('assignment', fromStatus),
+    };
+  }
+
+  const stamp = ASSIGNMENT_TIMESTAMP_FIELDS[toStatus] ? [ASSIGNMENT_TIMESTAMP_FIELDS[toStatus]] : [];
+  const { sets, params } = buildSetClause(fields, stamp, 4);
+
+  const result = await client.query(`
+    UPDATE assignments SET
+      ${sets.length > 0 ? sets.join(',\n      ') + ',' : ''}
+      status = $1
+    WHERE id = $2 AND status = $3
+    RETURNING *
+  `, [toStatus, assignmentId, fromStatus, ...params]);
+
+  if (result.rows.length === 0) {
+    return {
+      ok: false,
+      error: 'Assignment status changed concurrently, please retry',
+      currentStatus: fromStatus,
+      allowedStatuses: getAllowedTransitions('assignment', fromStatus),
+    };
+  }
+
+  await recordStatusEvent({
+    loadId: assignment.load_id, entityType: 'assignment', entityId: assignmentId,
+    fromStatus, toStatus, actor, source, reason, gps,
+  }, client);
+
+  return { ok: true, assignment: result.rows[0], fromStatus };
+};
+
+/**
+ * Put a load back to an earlier status, undoing `undoneStatuses` (a driver
+ * override of inferred transitions). This is the one move allowed against the
+ * graph: the timestamps the undone statuses stamped are cleared and active
+ * assignments step back with the load (in_progress returns to the status it
+ * started from when the load is back before pickup travel).
+ * Same return shape as transitionLoad; `expectedStatus` guards against a
+ * status change since the caller read the load.
+ */
+const revertLoad = async (loadId, toStatus, options = {}) => {
+  const {
+    undoneStatuses = [],
+    expectedStatus = null,
+    actor = null,
+    source = 'driver_override',
+    reason = null,
+    stopId = null,
+    metadata = null,
+    client = null,
+  } = options;
+
+  if (!client) {
+    return withTransaction((tx) => revertLoad(loadId, toStatus, { ...options, client: tx }));
+  }
+
+  const current = await client.query('SELECT * FROM loads WHERE id = $1 FOR UPDATE', [loadId]);
+  if (current.rows.length === 0) {
+    return { ok: false, error: 'Load not found', notFound: true };
+  }
+
+  const load = current.rows[0];
+  const fromStatus = load.status;
+  if ((expectedStatus && fromStatus !== expectedStatus) || !LOAD_STATUSES.includes(toStatus)) {
+    return {
+      ok: false,
+      error: `Cannot revert load status from ${fromStatus} to ${toStatus}`,
+      currentStatus: fromStatus,
+      allowedStatuses: getAllowedTransitions('load', fromStatus),
+    };
+  }
+
+  const cleared = [...new Set(undoneStatuses.map((s) => LOAD_TIMESTAMP_FIELDS[s]).filter(Boolean))];
+  const result = await client.query(`
+    UPDATE loads SET
+      status = $1,
+      ${cleared.map((column) => `${column} = NULL,`).join('\n      ')}
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2 AND status = $3
+    RETURNING *
+  `, [toStatus, loadId, fromStatus]);
+
+  await recordStatusEvent({
+    loadId, entityType: 'load', entityId: loadId,
+    fromStatus, toStatus, actor, source, reason, stopId, metadata,
+  }, client);
+
+  // Assignments that started with the undone statuses go back to where they were
+  if (!ASSIGNMENT_STATUS_FOR_LOAD[toStatus]) {
+    const started = await client.query(`
+      SELECT a.id,
+        (SELECT e.from_status FROM load_status_events e
+         WHERE e.entity_type = 'assignment' AND e.entity_id = a.id::text AND e.to_status = 'in_progress'
+         ORDER BY e.created_at DESC, e.id DESC
+         LIMIT 1) AS previous_status
+      FROM assignments a
+      WHERE a.load_id = $1 AND a.status = 'in_progress'
+      FOR UPDATE OF a
+    `, [loadId]);
+
+    for (const assignment of started.rows) {
+      const previousStatus = assignment.previous_status || 'confirmed';
+      await client.query(
+        'UPDATE assignments SET status = $2, started_at = NULL WHERE id = $1',
+        [assignment.id, previousStatus]
+      );
+      await recordStatusEvent({
+        loadId, entityType: 'assignment', entityId: assignment.id,
+        fromStatus: 'in_progress', toStatus: previousStatus, actor, source, reason,
+      }, client);
+    }
+  }
+
+  return { ok: true, load: result.rows[0], fromStatus, unchanged: false };
+};
+
+/**
+ * Validate and record a closeout status change.
+ * Closeout routes own their UPDATE (many columns change together), so this only guards + audits.
+ */
+const recordCloseoutTransition = async (closeout, toStatus, options = {}) => {
+  const { actor = null, reason = null, gps = null, client = pool } = options;
+  const fromStatus = closeout.status;
+
+  if (fromStatus === toStatus) return { ok: true, unchanged: true };
+
+  if (!canTransition('closeout', fromStatus, toStatus)) {
+    return {
+      ok: false,
+      error: `Cannot change closeout status from ${fromStatus} to ${toStatus}`,
+      currentStatus: fromStatus,
+      allowedStatuses: getAllowedTransitions('closeout', fromStatus),
+    };
+  }
+
+  await recordStatusEvent({
+    loadId: closeout.load_id, entityType: 'closeout', entityId: closeout.id,
+    fromStatus, toStatus, actor, source: 'closeout', reason, gps,
+    stopId: closeout.stop_id || null,
+  }, client);
+
+  return { ok: true, fromStatus };
+};
+
+// ============================================
+// TIMELINE
+// ============================================
+
+/**
+ * Full status history for a load (load, assignment and closeout events), oldest first
+ */
+const getLoadTimeline = async (loadId) => {
+  const result = await pool.query(`
+    SELECT e.*,
+      CONCAT(u.first_name, ' ', u.last_name) as actor_name
+    FROM load_status_events e
+    LEFT JOIN users u ON e.actor_user_id = u.id
+    WHERE e.load_id = $1
+    ORDER BY e.created_at ASC, e.id ASC
+  `, [loadId]);
+  return result.rows;
+};
+
+/**
+ * Format an event row for API responses
+ */
+const formatStatusEvent = (event) => ({
+  id: event.id,
+  entityType: event.entity_type,
+  entityId: event.entity_id,
+  fromStatus: event.from_status,
+  toStatus: event.to_status,
+  actor: event.actor_user_id ? {
+    id: event.actor_user_id,
+    name: (event.actor_name || '').trim() || null,
+    role: event.actor_role,
+  } : null,
+  source: event.source,
+  reason: event.reason,
+  gps: event.lat && event.lng ? {
+    lat: parseFloat(event.lat),
+    lng: parseFloat(event.lng),
+    accuracy: event.gps_accuracy ? parseFloat(event.gps_accuracy) : null,
+  } : null,
+  stopId: event.stop_id,
+  metadata: event.metadata,
+  inferred: event.metadata?.inferred === true, // system-inferred (services/autoStatus.js)
+  createdAt: event.created_at,
+});
+
+module.exports = {
+  LOAD_STATUSES,
+  LOAD_TRANSITIONS,
+  ASSIGNMENT_TRANSITIONS,
+  CLOSEOUT_TRANSITIONS,
+  ASSIGNMENT_STATUS_FOR_LOAD,
+  getAllowedTransitions,
+  canTransition,
+  recordStatusEvent,
+  transitionLoad,
+  transitionAssignment,
+  revertLoad,
+  recordCloseoutTransition,
+  getLoadTimeline,
+  formatStatusEvent,
+};
@@ -0,0 +1,423 @@
+// backend_api/src/services/loadStops.js
+// Ordered pickup/delivery stops for multi-stop loads
+// Legacy pickup_* / delivery_* columns on loads mirror the first pickup and last delivery
+// Window times are stop-local; each stop stores its IANA zone and the window instants
+
+const { pool } = require('../db/pool');
+const timezones = require('./timezones');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const STOP_TYPES = ['pickup', 'delivery'];
+
+const STOP_STATUSES = ['pending', 'arrived', 'completed', 'skipped'];
+
+const MAX_STOPS = 20;
+
+// ============================================
+// INPUT HELPERS
+// ============================================
+
+/**
+ * Build the stop list for a new load.
+ * Uses body.stops when provided, otherwise the legacy pickup/delivery fields.
+ */
+const normalizeStops = (body) => {
+  if (Array.isArray(body.stops) && body.stops.length > 0) {
+    return body.stops.map((stop, index) => ({
+      sequence: index + 1,
+      stopType: stop.stopType || stop.type,
+      companyName: stop.companyName || null,
+      address: stop.address,
+      city: stop.city,
+      state: stop.state,
+      zip: stop.zip || null,
+      lat: stop.lat != null ? parseFloat(stop.lat) : null,
+      lng: stop.lng != null ? parseFloat(stop.lng) : null,
+      scheduledDate: stop.date || stop.scheduledDate || null,
+      windowStart: stop.timeStart || stop.windowStart || null,
+      windowEnd: stop.timeEnd || stop.windowEnd || null,
+      timezone: stop.timezone || null,
+      contactName: stop.contactName || null,
+      contactPhone: stop.contactPhone || null,
+      instructions: stop.instructions || null,
+      referenceNumber: stop.referenceNumber || null,
+      pieces: stop.pieces != null ? parseInt(stop.pieces) : null,
+      weightLbs: stop.weightLbs != null ? parseInt(stop.weightLbs) : null,
+    }));
+  }
+
+  return [
+    {
+      sequence: 1,
+      stopType: 'pickup',
+      companyName: body.pickupCompanyName || null,
+      address: body.pickupAddress,
+      city: body.pickupCity,
+      state: body.pickupState,
+      zip: body.pickupZip || null,
+      lat: body.pickupLat != null ? parseFloat(body.pickupLat) : null,
+      lng: body.pickupLng != null ? parseFloat(body.pickupLng) : null,
+      scheduledDate: body.pickupDate || null,
+      windowStart: body.pickupTimeStart || null,
+      windowEnd: body.pickupTimeEnd || null,
+      timezone: body.pickupTimezone || null,
+      contactName: body.pickupContactName || null,
+      contactPhone: body.pickupContactPhone || null,
+      instructions: body.pickupInstructions || null,
+      referenceNumber: null,
+      pieces: body.pieces != null ? parseInt(body.pieces) : null,
+      weightLbs: body.weightLbs != null ? parseInt(body.weightLbs) : null,
+    },
+    {
+      sequence: 2,
+      stopType: 'delivery',
+      companyName: body.deliveryCompanyName || null,
+      address: body.deliveryAddress,
+      city: body.deliveryCity,
+      state: body.deliveryState,
+      zip: body.deliveryZip || null,
+      lat: body.deliveryLat != null ? parseFloat(body.deliveryLat) : null,
+      lng: body.deliveryLng != null ? parseFloat(body.deliveryLng) : null,
+      scheduledDate: body.deliveryDate || null,
+      windowStart: body.deliveryTimeStart || null,
+      windowEnd: body.deliveryTimeEnd || null,
+      timezone: body.deliveryTimezone || null,
+      contactName: body.deliveryContactName || null,
+      contactPhone: body.deliveryContactPhone || null,
+      instructions: body.deliveryInstructions || null,
+      referenceNumber: null,
+      pieces: body.pieces != null ? parseInt(body.pieces) : null,
+      weightLbs: body.weightLbs != null ? parseInt(body.weightLbs) : null,
+    },
+  ];
+};
+
+/**
+ * Validate a normalized stop list. Returns an array of error strings.
+ */
+const validateStops = (stops) => {
+  const errors = [];
+
+  if (stops.length < 2) {
+    errors.push('A load needs at least one pickup and one delivery stop');
+  }
+  if (stops.length > MAX_STOPS) {
+    errors.push(`A load can have at most ${MAX_STOPS} stops`);
+  }
+
+  stops.forEach((stop) => {
+    const label = `Stop ${stop.sequence}`;
+    if (!STOP_TYPES.includes(stop.stopType)) {
+      errors.push(`${label}: stopType must be one of ${STOP_TYPES.join(', ')}`);
+    }
+    if (!stop.address || !stop.city || !stop.state) {
+      errors.push(`${label}: address, city and state are required`);
+    }
+    if (stop.timezone && !timezones.isValidZone(stop.timezone)) {
+      errors.push(`${label}: timezone must be an IANA zone like America/Chicago`);
+    }
+    if (stop.pieces != null && (isNaN(stop.pieces) || stop.pieces < 0)) {
+      errors.push(`${label}: pieces must be a positive number`);
+    }
+    if (stop.weightLbs != null && (isNaN(stop.weightLbs) || stop.weightLbs < 0)) {
+      errors.push(`${label}: weightLbs must be a positive number`);
+    }
+  });
+
+  if (stops.length >= 2) {
+    if (stops[0].stopType !== 'pickup') {
+      errors.push('The first stop must be a pickup');
+    }
+    if (stops[stops.length - 1].stopType !== 'delivery') {
+      errors.push('The last stop must be a delivery');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Roll stop-level pieces/weight up to load totals (pickup side)
+ */
+const summarizeStops = (stops) => {
+  const pickups = stops.filter(s => s.stopType === 'pickup');
+  const deliveries = stops.filter(s => s.stopType === 'delivery');
+
+  const sum = (list, field) => {
+    const values = list.map(s => s[field]).filter(v => v != null);
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) : null;
+  };
+
+  return {
+    firstPickup: pickups[0],
+    lastDelivery: deliveries[deliveries.length - 1],
+    pickupCount: pickups.length,
+    deliveryCount: deliveries.length,
+    totalPieces: sum(pickups, 'pieces'),
+    totalWeightLbs: sum(pickups, 'weightLbs'),
+  };
+};
+
+// ============================================
+// PERSISTENCE
+// ============================================
+
+/**
+ * Insert stops for a load. Pass a transaction client when inside withTransaction.
+ * Stops without a resolved zone get one here (timezones.applyToStops).
+ */
+const insertStops = async (loadId, stops, client = pool) => {
+  const rows = [];
+  for (const stop of stops) {
+    if (stop.timezoneSource === undefined) timezones.applyToStops([stop]);
+    const result = await client.query(`
+      INSERT INTO load_stops (
+        load_id, sequence, stop_type,
+        company_name, address, city, state, zip, lat, lng,
+        scheduled_date, window_start, window_end,
+        contact_name, contact_phone, instructions, reference_number,
+        pieces, weight_lbs,
+        timezone, timezone_source, window_start_at, window_end_at,
+        geocode_precision
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24)
+      RETURNING *
+    `, [
+      loadId, stop.sequence, stop.stopType,
+      stop.companyName, stop.address, stop.city, stop.state, stop.zip,
+      isNaN(stop.lat) ? null : stop.lat,
+      isNaN(stop.lng) ? null : stop.lng,
+      stop.scheduledDate, stop.windowStart, stop.windowEnd,
+      stop.contactName, stop.contactPhone, stop.instructions, stop.referenceNumber,
+      stop.pieces, stop.weightLbs,
+      stop.timezone, stop.timezoneSource, stop.windowStartAt, stop.windowEndAt,
+      stop.geocodePrecision || null,
+    ]);
+    rows.push(result.rows[0]);
+  }
+  return rows;
+};
+
+/**
+ * Synthesize stop rows from legacy load columns (loads created before load_stops)
+ */
+const buildLegacyStops = (load) => [
+  {
+    id: null,
+    load_id: load.id,
+    sequence: 1,
+    stop_type: 'pickup',
+    status: load.picked_up_at ? 'completed' : 'pending',
+    company_name: load.pickup_company_name,
+    address: load.pickup_address,
+    city: load.pickup_city,
+    state: load.pickup_state,
+    zip: load.pickup_zip,
+    lat: load.pickup_lat,
+    lng: load.pickup_lng,
+    scheduled_date: load.pickup_date,
+    window_start: load.pickup_time_start,
+    window_end: load.pickup_time_end,
+    timezone: load.pickup_timezone || null,
+    window_start_at: load.pickup_window_start_at || null,
+    window_end_at: load.pickup_window_end_at || null,
+    contact_name: load.pickup_contact_name,
+    contact_phone: load.pickup_contact_phone,
+    instructions: load.pickup_instructions,
+    pieces: load.pieces,
+    weight_lbs: load.weight_lbs,
+    completed_at: load.picked_up_at,
+  },
+  {
+    id: null,
+    load_id: load.id,
+    sequence: 2,
+    stop_type: 'delivery',
+    status: load.delivered_at ? 'completed' : 'pending',
+    company_name: load.delivery_company_name,
+    address: load.delivery_address,
+    city: load.delivery_city,
+    state: load.delivery_state,
+    zip: load.delivery_zip,
+    lat: load.delivery_lat,
+    lng: load.delivery_lng,
+    scheduled_date: load.delivery_date,
+    window_start: load.delivery_time_start,
+    window_end: load.delivery_time_end,
+    timezone: load.delivery_timezone || null,
+    window_start_at: load.delivery_window_start_at || null,
+    window_end_at: load.delivery_window_end_at || null,
+    contact_name: load.delivery_contact_name,
+    contact_phone: load.delivery_contact_phone,
+    instructions: load.delivery_instructions,
+    pieces: load.pieces,
+    weight_lbs: load.weight_lbs,
+    completed_at: load.delivered_at,
+  },
+];
+
+/**
+ * Get ordered stops for a load (falls back to legacy columns when the load has none)
+ */
+const getStopsForLoad = async (load) => {
+  const result = await pool.query(
+    'SELECT * FROM load_stops WHERE load_id = $1 ORDER BY sequence ASC',
+    [load.id]
+  );
+  return result.rows.length > 0 ? result.rows : buildLegacyStops(load);
+};
+
+/**
+ * Get ordered stops for several loads at once, keyed by load id
+ */
+const getStopsForLoads = async (loads) => {
+  const byLoad = {};
+  if (loads.length === 0) return byLoad;
+
+  const result = await pool.query(
+    'SELECT * FROM load_stops WHERE load_id = ANY($1) ORDER BY load_id, sequence ASC',
+    [loads.map(l => l.id)]
+  );
+  for (const row of result.rows) {
+    (byLoad[row.load_id] = byLoad[row.load_id] || []).push(row);
+  }
+  for (const load of loads) {
+    if (!byLoad[load.id]) byLoad[load.id] = buildLegacyStops(load);
+  }
+  return byLoad;
+};
+
+/**
+ * Get a single stop by id (SERIAL, so anything non-numeric is simply not found)
+ */
+const getStop = async (stopId) => {
+  if (!stopId || !/^\d+$/.test(String(stopId))) return null;
+  const result = await pool.query('SELECT * FROM load_stops WHERE id = $1', [stopId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Next delivery stop that has not been completed yet
+ */
+const getNextOpenDeliveryStop = async (loadId) => {
+  const result = await pool.query(`
+    SELECT * FROM load_stops
+    WHERE load_id = $1 AND stop_type = 'delivery' AND status NOT IN ('completed', 'skipped')
+    ORDER BY sequence ASC
+    LIMIT 1
+  `, [loadId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Update a stop's status and stamp arrival/completion times.
+ * A stop the driver is still inside the geofence of keeps departure open for
+ * the geofence exit (services/geofence.js).
+ * Pass fromStatus to only update a stop still in that status (null if it moved).
+ */
+const updateStopStatus = async (stopId, status, { fromStatus = null } = {}) => {
+  const result = await pool.query(`
+    UPDATE load_stops SET
+      status = $1,
+      arrival_source = CASE WHEN $1 IN ('arrived', 'completed') AND arrived_at IS NULL THEN 'manual' ELSE arrival_source END,
+      arrived_at = CASE WHEN $1 IN ('arrived', 'completed') THEN COALESCE(arrived_at, CURRENT_TIMESTAMP) ELSE arrived_at END,
+      departure_source = CASE
+        WHEN $1 = 'completed' AND departed_at IS NULL AND geofence_state IS DISTINCT FROM 'inside' THEN 'manual'
+        ELSE departure_source
+      END,
+      departed_at = CASE
+        WHEN $1 = 'completed' AND geofence_state IS DISTINCT FROM 'inside' THEN COALESCE(departed_at, CURRENT_TIMESTAMP)
+        ELSE departed_at
+      END,
+      completed_at = CASE WHEN $1 = 'completed' THEN COALESCE(completed_at, CURRENT_TIMESTAMP) ELSE completed_at END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2 AND ($3::text IS NULL OR status = $3)
+    RETURNING *
+  `, [status, stopId, fromStatus]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Count delivery stops still open on a load (0 for loads without stop rows)
+ */
+const countOpenDeliveryStops = async (loadId) => {
+  const result = await pool.query(`
+    SELECT COUNT(*) FROM load_stops
+    WHERE load_id = $1 AND stop_type = 'delivery' AND status NOT IN ('completed', 'skipped')
+  `, [loadId]);
+  return parseInt(result.rows[0].count) || 0;
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+/**
+ * Stop zone and window instants as stop-local ISO times (with UTC offset)
+ */
+const formatStopWindow = (stop) => {
+  const window = timezones.stopWindow(stop);
+  return {
+    timezone: window.timezone,
+    windowStartAt: timezones.toLocalIso(window.start, window.timezone),
+    windowEndAt: timezones.toLocalIso(window.end, window.timezone),
+  };
+};
+
+/**
+ * Format a stop row for API responses
+ */
+const formatStopResponse = (stop) => ({
+  id: stop.id,
+  sequence: stop.sequence,
+  stopType: stop.stop_type,
+  status: stop.status || 'pending',
+  companyName: stop.company_name,
+  address: stop.address,
+  city: stop.city,
+  state: stop.state,
+  zip: stop.zip,
+  lat: stop.lat ? parseFloat(stop.lat) : null,
+  lng: stop.lng ? parseFloat(stop.lng) : null,
+  geocodePrecision: stop.geocode_precision || null,
+  scheduledDate: stop.scheduled_date,
+  windowStart: stop.window_start,
+  windowEnd: stop.window_end,
+  ...formatStopWindow(stop),
+  contactName: stop.contact_name,
+  contactPhone: stop.contact_phone,
+  instructions: stop.instructions,
+  referenceNumber: stop.reference_number,
+  pieces: stop.pieces,
+  weightLbs: stop.weight_lbs,
+  arrivedAt: stop.arrived_at,
+  departedAt: stop.departed_at,
+  completedAt: stop.completed_at,
+  arrivalSource: stop.arrival_source || null,
+  departureSource: stop.departure_source || null,
+  dwellMinutes: stop.dwell_minutes ?? null,
+  detentionMinutes: stop.detention_minutes ?? null,
+  detentionAccessorialId: stop.detention_accessorial_id || null,
+  etaAt: stop.eta_at || null,
+});
+
+module.exports = {
+  STOP_TYPES,
+  STOP_STATUSES,
+  MAX_STOPS,
+  normalizeStops,
+  validateStops,
+  summarizeStops,
+  insertStops,
+  buildLegacyStops,
+  getStopsForLoad,
+  getStopsForLoads,
+  getStop,
+  getNextOpenDeliveryStop,
+  updateStopStatus,
+  countOpenDeliveryStops,
+  formatStopWindow,
+  formatStopResponse,
+};
@@ -0,0 +1,441 @@
+// backend_api/src/services/matchFeed.js
+// Driver match feed: posted loads scored against driver availability
+//
+// The reverse of GET /matching/loads/:loadId/matches. A load is scored
+// against every active availability post (matchingService.scoreAvailability,
+// the same deadhead / detour / equipment / HOS / payout scoring) when it is
+// posted, released to the public board or its driver payout changes; a new or
+// edited availability post is scored against the open board. Results are
+// kept per driver and load in driver_load_matches, best post wins. Recurring
+// posts take part through their expanded instances (availabilityRecurrence.js),
+// so a weekly run matches loads picking up on future occurrence days.
+//
+// Only loads on the public board are matched: preferred_first loads join once
+// released, private broker loads never do. Rows close when the load leaves
+// the board, the post is deactivated or the load stops matching; a driver can
+// dismiss a match and it stays dismissed through later re-scoring.
+//
+// refreshLoad / refreshAvailability return the strong matches
+// (score >= config.matchFeed.pushScore) the driver has not been told about;
+// jobs/matchJobs.js pushes them and calls markNotified.
+
+const { pool } = require('../db/pool');
+const config = require('../config');
+const matchingService = require('./matchingService');
+const presence = require('./presence');
+const hos = require('./hos');
+const loadStops = require('./loadStops');
+const timezones = require('./timezones');
+const { haversineMiles } = require('./geo');
+
+// Loads anyone may see on the board (loads.js /available without a carrier org)
+const PUBLIC_BOARD_SQL = `(
+  l.visibility = 'public'
+  OR l.visibility IS NULL
+  OR (l.visibility = 'preferred_first' AND (
+    l.release_to_public_at IS NULL
+    OR l.release_to_public_at <= CURRENT_TIMESTAMP
+    OR l.released_early_at IS NOT NULL
+  ))
+)`;
+
+const hasCoordinates = (load) =>
+  Boolean(load.pickup_lat && load.pickup_lng && load.delivery_lat && load.delivery_lng);
+
+/**
+ * Pickup day on the pickup stop's wall clock as instants: { start, end }
+ * (today in the stop's zone when the load has no pickup date)
+ */
+const pickupDayBounds = (stop) => {
+  const { timezone } = timezones.stopWindow(stop);
+  let date = stop.scheduled_date;
+  if (!date) {
+    const p = timezones.localParts(new Date(), timezone);
+    date = `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+  }
+  return {
+    start: timezones.zonedTime(date, '00:00:00', timezone),
+    end: timezones.zonedTime(date, '23:59:59', timezone),
+  };
+};
+
+// ============================================
+// STORAGE
+// ============================================
+
+/**
+ * Store one scored match. replace: overwrite whatever the driver has for the
+ * load (the caller scored all their posts); otherwise only a better score or
+ * the same post replaces it. Dismissed rows keep their status.
+ * Returns the stored row, or null when an existing better match was kept.
+ */
+const upsertMatch = async (load, match, { replace = false } = {}, client = pool) => {
+  const result = await client.query(`
+    INSERT INTO driver_load_matches (
+      driver_id, load_id, availability_id, score,
+      deadhead_miles, detour_miles, driver_payout, details
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (driver_id, load_id) DO UPDATE SET
+      availability_id = EXCLUDED.availability_id,
+      score = EXCLUDED.score,
+      deadhead_miles = EXCLUDED.deadhead_miles,
+      detour_miles = EXCLUDED.detour_miles,
+      driver_payout = EXCLUDED.driver_payout,
+      details = EXCLUDED.details,
+      status = CASE WHEN driver_load_matches.status = 'dismissed' THEN 'dismissed' ELSE 'active' END,
+      scored_at = CURRENT_TIMESTAMP
+    WHERE $9
+      OR driver_load_matches.status = 'closed'
+      OR driver_load_matches.availability_id IS NOT DISTINCT FROM EXCLUDED.availability_id
+      OR EXCLUDED.score >= driver_load_matches.score
+    RETURNING *
+  `, [
+    match.driverId, load.id, match.availabilityId, Math.round(match.score),
+    match.deadheadMiles, match.detourMiles, load.driver_payout,
+    JSON.stringify({
+      matchLabel: match.matchLabel,
+      equipmentFit: match.equipmentFit,
+      hos: match.hos,
+      etaToPickupMinutes: match.etaToPickupMinutes,
+      pickupArrivalLocal: match.pickupArrivalLocal,
+      deliveryArrivalLocal: match.deliveryArrivalLocal,
+      timeWarnings: match.timeWarnings,
+    }),
+    replace,
+  ]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Whether a freshly stored match should be pushed: strong, not dismissed, and
+ * either never pushed or paying more than when it was last scored
+ */
+const shouldNotify = (row, previous) => {
+  if (!row || row.status !== 'active') return false;
+  if (row.score < config.matchFeed.pushScore) return false;
+  if (!previous?.notified_at) return true;
+  return parseFloat(row.driver_payout) > parseFloat(previous.driver_payout);
+};
+
+const getExisting = async (column, value, client = pool) => {
+  const result = await client.query(
+    `SELECT driver_id, load_id, status, driver_payout, notified_at FROM driver_load_matches WHERE ${column} = $1`,
+    [value]
+  );
+  return result.rows;
+};
+
+const markNotified = async (matchIds) => {
+  if (matchIds.length === 0) return;
+  await pool.query(
+    'UPDATE driver_load_matches SET notified_at = CURRENT_TIMESTAMP WHERE id = ANY($1)',
+    [matchIds]
+  );
+};
+
+// ============================================
+// REFRESH
+// ============================================
+
+/**
+ * Close a load's open matches (it left the board or was never on it)
+ */
+const closeLoad = async (loadId) => {
+  const result = await pool.query(`
+    UPDATE driver_load_matches SET status = 'closed'
+    WHERE load_id = $1 AND status = 'active'
+  `, [loadId]);
+  return result.rowCount;
+};
+
+/**
+ * Record that a load was matched at its current payout (getLoadsDue)
+ */
+const stampMatched = (loadId) => pool.query(
+  'UPDATE loads SET matched_at = CURRENT_TIMESTAMP, matched_payout = driver_payout WHERE id = $1',
+  [loadId]
+);
+
+/**
+ * Score a load against all active availability. Returns
+ * { load, matched, closed, notify: [{ load, match, row }] } or null when the load
+ * does not exist.
+ */
+const refreshLoad = async (loadId) => {
+  const loadResult = await pool.query(`
+    SELECT l.*, ${PUBLIC_BOARD_SQL} AS on_board FROM loads l WHERE l.id = $1
+  `, [loadId]);
+  const load = loadResult.rows[0];
+  if (!load) return null;
+
+  if (load.status !== 'posted' || !load.on_board) {
+    return { load, matched: 0, closed: await closeLoad(loadId), notify: [] };
+  }
+
+  // Nothing to score against until it is located; stamp it so the sweep moves on
+  if (!hasCoordinates(load)) {
+    const closed = await closeLoad(loadId);
+    await stampMatched(loadId);
+    return { load, matched: 0, closed, notify: [] };
+  }
+
+  const { matches } = await matchingService.findMatchesForLoad(loadId, {
+    maxResults: config.matchFeed.maxMatchesPerLoad,
+    minScore: config.matchFeed.minScore,
+  });
+
+  // Sorted best first: a driver's first match is their best post
+  const bestByDriver = new Map();
+  for (const match of matches) {
+    if (!bestByDriver.has(match.driverId)) bestByDriver.set(match.driverId, match);
+  }
+
+  const previous = new Map((await getExisting('load_id', loadId)).map((r) => [r.driver_id, r]));
+  const notify = [];
+  for (const match of bestByDriver.values()) {
+    const row = await upsertMatch(load, match, { replace: true });
+    if (shouldNotify(row, previous.get(match.driverId))) notify.push({ load, match, row });
+  }
+
+  // Drivers who matched before and no longer do
+  const closed = await pool.query(`
+    UPDATE driver_load_matches SET status = 'closed'
+    WHERE load_id = $1 AND status = 'active' AND NOT (driver_id = ANY($2))
+  `, [loadId, [...bestByDriver.keys()]]);
+
+  await stampMatched(loadId);
+
+  return { load, matched: bestByDriver.size, closed: closed.rowCount, notify };
+};
+
+/**
+ * Score one availability post against the open board (loads whose pickup is
+ * within the post's deadhead limit). Returns
+ * { availability, matched, closed, notify: [{ load, match, row }] } or null
+ * when the post is not active.
+ */
+const refreshAvailability = async (availabilityId) => {
+  const availResult = await pool.query(`
+    ${matchingService.AVAILABILITY_SELECT}
+    WHERE da.id = $1 AND da.is_active = true AND da.is_recurring IS NOT TRUE
+      AND u.is_active = true AND u.role = 'driver'
+  `, [availabilityId]);
+  const avail = availResult.rows[0];
+  if (!avail) {
+    await pool.query(`
+      UPDATE driver_load_matches SET status = 'closed'
+      WHERE availability_id = $1 AND status = 'active'
+    `, [availabilityId]);
+    return null;
+  }
+  if (!avail.current_lat || !avail.current_lng) {
+    return { availability: avail, matched: 0, closed: 0, notify: [] };
+  }
+
+  // Rough box around the driver; scoreAvailability applies the exact limit
+  const lat = parseFloat(avail.current_lat);
+  const lng = parseFloat(avail.current_lng);
+  const radiusMiles = Math.min(
+    avail.max_deadhead_miles || matchingService.DEFAULT_FILTERS.MAX_DEADHEAD_MILES,
+    matchingService.DEFAULT_FILTERS.MAX_DEADHEAD_MILES
+  );
+  const latDelta = radiusMiles / 69;
+  const lngDelta = radiusMiles / (69 * Math.max(Math.cos(lat * Math.PI / 180), 0.1));
+
+  const loadsResult = await pool.query(`
+    SELECT l.* FROM loads l
+    WHERE l.status = 'posted'
+      AND ${PUBLIC_BOARD_SQL}
+      AND l.delivery_lat IS NOT NULL AND l.delivery_lng IS NOT NULL
+      AND l.pickup_lat BETWEEN $1 AND $2
+      AND l.pickup_lng BETWEEN $3 AND $4
+    ORDER BY l.posted_at DESC
+    LIMIT $5
+  `, [lat - latDelta, lat + latDelta, lng - lngDelta, lng + lngDelta, config.matchFeed.maxLoadsPerAvailability]);
+
+  const driverPresence = (await presence.getPresence([avail.driver_id]))[avail.driver_id] || null;
+  const hosClocks = (await hos.getClocksForDrivers([avail.driver_id]))[avail.driver_id] || null;
+  const previous = new Map((await getExisting('driver_id', avail.driver_id)).map((r) => [r.load_id, r]));
+
+  const stopsByLoad = await loadStops.getStopsForLoads(loadsResult.rows);
+
+  const matchedLoadIds = [];
+  const notify = [];
+  for (const load of loadsResult.rows) {
+    // Same availability window rule as findMatchesForLoad: open at some point on the pickup day
+    const pickup = stopsByLoad[load.id].find((s) => s.stop_type === 'pickup');
+    const pickupDay = pickupDayBounds(pickup);
+    if (avail.available_from && new Date(avail.available_from) > pickupDay.end) continue;
+    if (avail.available_until && new Date(avail.available_until) < pickupDay.start) continue;
+    if (haversineMiles(lat, lng, parseFloat(load.pickup_lat), parseFloat(load.pickup_lng)) > radiusMiles) continue;
+
+    const match = await matchingService.scoreAvailability(load, avail, {
+      loadContext: matchingService.buildLoadContext(load),
+      presence: driverPresence,
+      hosClocks,
+    });
+    if (!match || match.score < config.matchFeed.minScore) continue;
+
+    matchedLoadIds.push(load.id);
+    const row = await upsertMatch(load, match);
+    if (shouldNotify(row, previous.get(load.id))) notify.push({ load, match, row });
+  }
+
+  // Loads this post matched before and no longer does
+  const closed = await pool.query(`
+    UPDATE driver_load_matches SET status = 'closed'
+    WHERE availability_id = $1 AND status = 'active' AND NOT (load_id = ANY($2))
+  `, [availabilityId, matchedLoadIds]);
+
+  return { availability: avail, matched: matchedLoadIds.length, closed: closed.rowCount, notify };
+};
+
+/**
+ * Close matches whose load left the board or whose post was deactivated
+ */
+const closeStale = async () => {
+  const result = await pool.query(`
+    UPDATE driver_load_matches m SET status = 'closed'
+    FROM loads l
+    WHERE m.load_id = l.id AND m.status = 'active'
+      AND (
+        l.status <> 'posted'
+        OR NOT EXISTS (
+          SELECT 1 FROM driver_availability da
+          WHERE da.id = m.availability_id AND da.is_active = true
+        )
+      )
+  `);
+  return result.rowCount;
+};
+
+/**
+ * Board loads never matched, released since, or repriced since their last run
+ */
+const getLoadsDue = async (limit = config.matchFeed.sweepBatch) => {
+  const result = await pool.query(`
+    SELECT l.id FROM loads l
+    WHERE l.status = 'posted'
+      AND ${PUBLIC_BOARD_SQL}
+      AND (l.matched_at IS NULL OR l.matched_payout IS DISTINCT FROM l.driver_payout)
+    ORDER BY l.posted_at ASC
+    LIMIT $1
+  `, [limit]);
+  return result.rows.map((r) => r.id);
+};
+
+// ============================================
+// FEED
+// ============================================
+
+/**
+ * A driver's open matches, best first
+ */
+const getFeed = async (driverId, { limit = 20, offset = 0, minScore = null } = {}) => {
+  const result = await pool.query(`
+    SELECT m.id AS match_id, m.score, m.deadhead_miles, m.detour_miles, m.details,
+           m.notified_at, m.scored_at, m.availability_id,
+           l.id AS load_id, l.pickup_city, l.pickup_state, l.delivery_city, l.delivery_state,
+           l.pickup_date, l.pickup_time_start, l.pickup_time_end, l.pickup_timezone,
+           l.delivery_date, l.distance_miles, l.driver_payout, l.vehicle_type_required,
+           l.weight_lbs, l.load_type, l.posted_at,
+           COUNT(*) OVER () AS total_count
+    FROM driver_load_matches m
+    JOIN loads l ON l.id = m.load_id
+    WHERE m.driver_id = $1 AND m.status = 'active'
+      AND l.status = 'posted'
+      AND ${PUBLIC_BOARD_SQL}
+      AND ($4::int IS NULL OR m.score >= $4)
+    ORDER BY m.score DESC, l.posted_at DESC
+    LIMIT $2 OFFSET $3
+  `, [driverId, limit, offset, minScore]);
+  return {
+    matches: result.rows,
+    total: result.rows[0] ? parseInt(result.rows[0].total_count, 10) : 0,
+  };
+};
+
+/**
+ * Hide a load from the driver's feed. Returns the row, or null when the
+ * driver has no match for it.
+ */
+const dismiss = async (driverId, loadId) => {
+  const result = await pool.query(`
+    UPDATE driver_load_matches SET status = 'dismissed'
+    WHERE driver_id = $1 AND load_id = $2
+    RETURNING *
+  `, [driverId, loadId]);
+  return result.rows[0] || null;
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+const formatFeedItem = (row) => {
+  const payout = row.driver_payout ? parseFloat(row.driver_payout) : null;
+  const miles = row.distance_miles ? parseFloat(row.distance_miles) : null;
+  return {
+    matchId: row.match_id,
+    loadId: row.load_id,
+    score: row.score,
+    matchLabel: matchingService.getMatchLabel(row.score),
+    deadheadMiles: row.deadhead_miles,
+    detourMiles: row.detour_miles,
+    payout,
+    ratePerMile: payout && miles ? Math.round((payout / miles) * 100) / 100 : null,
+    pickupCity: row.pickup_city,
+    pickupState: row.pickup_state,
+    deliveryCity: row.delivery_city,
+    deliveryState: row.delivery_state,
+    pickupDate: row.pickup_date,
+    pickupTimeStart: row.pickup_time_start,
+    pickupTimeEnd: row.pickup_time_end,
+    pickupTimezone: row.pickup_timezone || null,
+    deliveryDate: row.delivery_date,
+    distanceMiles: miles,
+    vehicleTypeRequired: row.vehicle_type_required,
+    weightLbs: row.weight_lbs,
+    loadType: row.load_type,
+    equipmentFit: row.details?.equipmentFit || null,
+    hos: row.details?.hos || null,
+    etaToPickupMinutes: row.details?.etaToPickupMinutes ?? null,
+    pickupArrivalLocal: row.details?.pickupArrivalLocal || null,
+    timeWarnings: row.details?.timeWarnings || [],
+    availabilityId: row.availability_id,
+    postedAt: row.posted_at,
+    scoredAt: row.scored_at,
+    notifiedAt: row.notified_at,
+  };
+};
+
+/**
+ * Socket / push payload for a strong match
+ */
+const formatMatchAlert = (load, match) => ({
+  loadId: load.id,
+  score: match.score,
+  matchLabel: match.matchLabel,
+  pickupCity: load.pickup_city,
+  pickupState: load.pickup_state,
+  deliveryCity: load.delivery_city,
+  deliveryState: load.delivery_state,
+  pickupDate: load.pickup_date,
+  payout: load.driver_payout ? parseFloat(load.driver_payout) : null,
+  deadheadMiles: match.deadheadMiles,
+  vehicleTypeRequired: load.vehicle_type_required,
+});
+
+module.exports = {
+  PUBLIC_BOARD_SQL,
+  refreshLoad,
+  refreshAvailability,
+  closeLoad,
+  closeStale,
+  getLoadsDue,
+  markNotified,
+  getFeed,
+  dismiss,
+  formatFeedItem,
+  formatMatchAlert,
+};
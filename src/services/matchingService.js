@@ -3,6 +3,14 @@
 // Scores drivers based on route-fit, deadhead, detour, time feasibility
 
 const { pool } = require('../db/pool');
+const config = require('../config');
+const routing = require('./routing');
+const hos = require('./hos');
+const timezones = require('./timezones');
+const loadStops = require('./loadStops');
+const equipment = require('./equipment');
+const { haversineMiles } = require('./geo');
+const presence = require('./presence');
 
 // ============================================
 // CONSTANTS
@@ -21,6 +29,7 @@ const SCORING_WEIGHTS = {
   TIGHT_WINDOW_PENALTY: 5,  // Penalty if pickup window is < 2 hours
   DESTINATION_BONUS: 10,    // Bonus if delivery is near driver's destination
   SAME_STATE_BONUS: 5,      // Bonus if delivery in same state as driver destination
+  ONLINE_BONUS: 5,          // Bonus if driver is connected to the app right now
 };
 
 const DEFAULT_FILTERS = {
@@ -29,23 +38,12 @@ const DEFAULT_FILTERS = {
   MIN_SCORE: 30,            // Don't return matches below this score
 };
 
-// Average speed for ETA calculations (mph)
-const AVG_SPEED_MPH = 50;
-
 // ============================================
 // HAVERSINE DISTANCE (miles)
+// Straight line; road miles come from the routing service
 // ============================================
 
-function haversineDistance(lat1, lon1, lat2, lon2) {
-  const R = 3959; // Earth radius in miles
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-            Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
+const haversineDistance = haversineMiles;
 
 // ============================================
 // POINT-TO-LINE DISTANCE
@@ -77,22 +75,27 @@ function pointToLineDistance(pointLat, pointLng, lineStartLat, lineStartLng, lin
 
 // ============================================
 // DETOUR CALCULATION
-// How many extra miles does taking this load add to driver's route?
+// How many extra road miles does taking this load add to driver's route?
 // ============================================
 
-function calculateDetour(driverStartLat, driverStartLng, driverDestLat, driverDestLng,
-                         pickupLat, pickupLng, deliveryLat, deliveryLng) {
+async function calculateDetour(driverStartLat, driverStartLng, driverDestLat, driverDestLng,
+                               pickupLat, pickupLng, deliveryLat, deliveryLng) {
+  const start = { lat: driverStartLat, lng: driverStartLng };
+  const dest = { lat: driverDestLat, lng: driverDestLng };
+
   // Original route: start → destination
-  const originalRoute = haversineDistance(driverStartLat, driverStartLng, driverDestLat, driverDestLng);
+  const originalRoute = await routing.getRoute([start, dest]);
   
   // New route: start → pickup → delivery → destination
-  const toPickup = haversineDistance(driverStartLat, driverStartLng, pickupLat, pickupLng);
-  const pickupToDelivery = haversineDistance(pickupLat, pickupLng, deliveryLat, deliveryLng);
-  const deliveryToDest = haversineDistance(deliveryLat, deliveryLng, driverDestLat, driverDestLng);
-  const newRoute = toPickup + pickupToDelivery + deliveryToDest;
+  const newRoute = await routing.getRoute([
+    start,
+    { lat: pickupLat, lng: pickupLng },
+    { lat: deliveryLat, lng: deliveryLng },
+    dest,
+  ]);
   
   // Detour = extra miles added
-  return Math.max(0, newRoute - originalRoute);
+  return Math.max(0, Math.round((newRoute.distanceMiles - originalRoute.distanceMiles) * 10) / 10);
 }
 
 // ============================================
@@ -100,7 +103,7 @@ function calculateDetour(driverStartLat, driverStartLng, driverDestLat, driverDe
 // Can the driver reach pickup in time and deliver within window?
 // ============================================
 
-function checkTimeFeasibility(
+async function checkTimeFeasibility(
   driverStartLat, driverStartLng,
   pickupLat, pickupLng,
   deliveryLat, deliveryLng,
@@ -110,7 +113,9 @@ function checkTimeFeasibility(
   deliveryWindowStart,
   deliveryWindowEnd,
   pickupDate,          // Date for the pickup
-  deliveryDate         // Date for the delivery
+  deliveryDate,        // Date for the delivery
+  hosClocks = null,    // Driver's hours-of-service clocks (fresh if unknown)
+  windowZones = {}     // { pickup, delivery } IANA zones the window times are in
 ) {
   const result = {
     feasible: true,
@@ -118,17 +123,24 @@ function checkTimeFeasibility(
     etaToDelivery: null,
     pickupArrivalTime: null,
     deliveryArrivalTime: null,
+    pickupArrivalLocal: null,
+    deliveryArrivalLocal: null,
     warnings: [],
+    hos: null,
   };
   
   try {
-    // Calculate distances
-    const milesToPickup = haversineDistance(driverStartLat, driverStartLng, pickupLat, pickupLng);
-    const milesToDelivery = haversineDistance(pickupLat, pickupLng, deliveryLat, deliveryLng);
+    // Road drive times: driver → pickup → delivery
+    const route = await routing.getRoute([
+      { lat: driverStartLat, lng: driverStartLng },
+      { lat: pickupLat, lng: pickupLng },
+      { lat: deliveryLat, lng: deliveryLng },
+    ]);
+    const [toPickupLeg, toDeliveryLeg] = route.legs;
     
-    // Calculate drive times (add 20% buffer for real-world conditions)
-    const driveTimeToPickupHours = (milesToPickup / AVG_SPEED_MPH) * 1.2;
-    const driveTimeToDeliveryHours = (milesToDelivery / AVG_SPEED_MPH) * 1.2;
+    // Add 20% buffer for real-world conditions (stops, traffic, truck speeds)
+    const driveTimeToPickupHours = (toPickupLeg.durationMinutes / 60) * config.hos.driveTimeBuffer;
+    const driveTimeToDeliveryHours = (toDeliveryLeg.durationMinutes / 60) * config.hos.driveTimeBuffer;
     
     result.etaToPickup = Math.round(driveTimeToPickupHours * 60); // minutes
     result.etaToDelivery = Math.round(driveTimeToDeliveryHours * 60); // minutes
@@ -140,50 +152,63 @@ function checkTimeFeasibility(
       return result;
     }
     
-    // Calculate when driver arrives at pickup
-    const pickupArrival = new Date(departureTime.getTime() + driveTimeToPickupHours * 60 * 60 * 1000);
-    result.pickupArrivalTime = pickupArrival.toISOString();
+    // Parse pickup window (stop-local wall clock; no pickup date = open window)
+    const pickupZone = windowZones.pickup || config.timezones.defaultZone;
+    const deliveryZone = windowZones.delivery || config.timezones.defaultZone;
+    const pickupWindowStartTime = timezones.zonedTime(pickupDate, pickupWindowStart || '00:00', pickupZone);
+    const pickupWindowEndTime = timezones.zonedTime(pickupDate, pickupWindowEnd || '23:59', pickupZone);
     
-    // Parse pickup window
-    const pickupDateObj = new Date(pickupDate);
-    const [pickupStartHour, pickupStartMin] = (pickupWindowStart || '00:00').split(':').map(Number);
-    const [pickupEndHour, pickupEndMin] = (pickupWindowEnd || '23:59').split(':').map(Number);
+    // Parse delivery window
+    let deliveryWindowEndTime = null;
+    if (deliveryWindowEnd && deliveryDate) {
+      deliveryWindowEndTime = timezones.zonedTime(deliveryDate, deliveryWindowEnd, deliveryZone);
+    }
     
-    const pickupWindowStartTime = new Date(pickupDateObj);
-    pickupWindowStartTime.setHours(pickupStartHour, pickupStartMin, 0, 0);
+    // Earliest legal arrivals: drive under hours of service, waiting for the
+    // pickup window and loading for 30 min at pickup
+    const clocks = hosClocks || hos.freshClocks(departureTime);
+    const plan = hos.planTrip(clocks, [
+      {
+        label: 'pickup',
+        driveMinutes: driveTimeToPickupHours * 60,
+        windowStart: pickupWindowStartTime,
+        windowEnd: pickupWindowEndTime,
+        serviceMinutes: config.hos.loadingMinutes,
+      },
+      {
+        label: 'delivery',
+        driveMinutes: driveTimeToDeliveryHours * 60,
+        windowEnd: deliveryWindowEndTime,
+      },
+    ], departureTime);
+    const [pickupStop, deliveryStop] = plan.stops;
     
-    const pickupWindowEndTime = new Date(pickupDateObj);
-    pickupWindowEndTime.setHours(pickupEndHour, pickupEndMin, 0, 0);
+    result.pickupArrivalTime = pickupStop.arriveAt.toISOString();
+    result.deliveryArrivalTime = deliveryStop.arriveAt.toISOString();
+    result.pickupArrivalLocal = timezones.toLocalIso(pickupStop.arriveAt, pickupZone);
+    result.deliveryArrivalLocal = timezones.toLocalIso(deliveryStop.arriveAt, deliveryZone);
+    result.hos = hos.formatPlan(plan, clocks);
     
     // Check if driver can arrive within pickup window
-    if (pickupArrival > pickupWindowEndTime) {
+    if (pickupStop.late) {
       result.feasible = false;
-      result.warnings.push('Cannot reach pickup before window closes');
-    } else if (pickupArrival < pickupWindowStartTime) {
+      result.warnings.push(pickupStop.restsBefore > 0
+        ? 'Cannot reach pickup before window closes within hours of service'
+        : 'Cannot reach pickup before window closes');
+    } else if (pickupWindowStartTime && pickupStop.arriveAt < pickupWindowStartTime) {
       // Driver arrives early - that's OK, they just wait
       result.warnings.push('Driver may arrive before pickup window opens');
     }
     
-    // Calculate delivery arrival (assume 30 min at pickup for loading)
-    const loadingTimeMs = 30 * 60 * 1000;
-    const actualPickupTime = Math.max(pickupArrival.getTime(), pickupWindowStartTime.getTime());
-    const deliveryArrival = new Date(actualPickupTime + loadingTimeMs + driveTimeToDeliveryHours * 60 * 60 * 1000);
-    result.deliveryArrivalTime = deliveryArrival.toISOString();
-    
-    // Parse delivery window
-    if (deliveryWindowEnd && deliveryDate) {
-      const deliveryDateObj = new Date(deliveryDate);
-      const [deliveryEndHour, deliveryEndMin] = (deliveryWindowEnd || '23:59').split(':').map(Number);
-      
-      const deliveryWindowEndTime = new Date(deliveryDateObj);
-      deliveryWindowEndTime.setHours(deliveryEndHour, deliveryEndMin, 0, 0);
-      
-      if (deliveryArrival > deliveryWindowEndTime) {
-        result.feasible = false;
-        result.warnings.push('Cannot complete delivery before window closes');
-      }
+    if (deliveryStop.late) {
+      result.feasible = false;
+      result.warnings.push(deliveryStop.restsBefore > 0
+        ? 'Cannot complete delivery before window closes within hours of service'
+        : 'Cannot complete delivery before window closes');
     }
     
+    result.warnings.push(...plan.warnings);
+    
   } catch (error) {
     result.warnings.push(`Time calculation error: ${error.message}`);
   }
@@ -195,34 +220,20 @@ function checkTimeFeasibility(
 // EQUIPMENT MATCHING
 // ============================================
 
+/**
+ * Whether driver equipment is the required type or may substitute for it
+ * (services/equipment.js). Capacity is checked with equipment.checkFit.
+ */
 function checkEquipmentMatch(driverEquipment, requiredEquipment) {
-  if (!requiredEquipment || requiredEquipment === 'not_sure') {
+  if (equipment.isAnyEquipment(requiredEquipment)) {
     return true; // Any equipment works
   }
   
-  // Normalize for comparison
-  const normalize = (eq) => eq?.toLowerCase().replace(/\s+/g, '_') || '';
-  
-  const driverEq = normalize(driverEquipment);
-  const requiredEq = normalize(requiredEquipment);
+  const driverKey = equipment.normalizeEquipment(driverEquipment);
+  const requiredKey = equipment.normalizeEquipment(requiredEquipment);
+  if (!driverKey || !requiredKey) return false;
   
-  // Exact match
-  if (driverEq === requiredEq) return true;
-  
-  // Size compatibility (larger can haul smaller)
-  const sizeUpgrades = {
-    'box_truck_26ft': ['box_truck_24ft', 'box_truck_16ft'],
-    'box_truck_24ft': ['box_truck_16ft'],
-    'dry_van_53ft': ['dry_van_48ft'],
-    'reefer_53ft': ['reefer_48ft'],
-    'flatbed_53ft': ['flatbed_48ft'],
-  };
-  
-  if (sizeUpgrades[driverEq]?.includes(requiredEq)) {
-    return true;
-  }
-  
-  return false;
+  return equipment.substitution(driverKey, requiredKey) !== null;
 }
 
 // ============================================
@@ -235,9 +246,11 @@ function calculateMatchScore(params) {
     detourMiles,
     timeFeasibility,
     equipmentMatch,
+    equipmentReason,
     pickupWindowHours,
     isNearDestination,
     isSameState,
+    isOnline,
     driverMinPayout,
     driverMinRpm,
     loadPayout,
@@ -248,7 +261,7 @@ function calculateMatchScore(params) {
   let score = 100;
   
   // Hard filters - if these fail, score is 0
-  if (!equipmentMatch) return { score: 0, reason: 'Equipment mismatch' };
+  if (!equipmentMatch) return { score: 0, reason: equipmentReason || 'Equipment mismatch' };
   if (!timeFeasibility.feasible) return { score: 0, reason: timeFeasibility.warnings[0] || 'Time infeasible' };
   
   // Check driver's minimum payout/RPM requirements
@@ -275,6 +288,9 @@ function calculateMatchScore(params) {
   if (isSameState) {
     score += SCORING_WEIGHTS.SAME_STATE_BONUS;
   }
+  if (isOnline) {
+    score += SCORING_WEIGHTS.ONLINE_BONUS;
+  }
   
   // Clamp to 0-100
   score = Math.max(0, Math.min(100, score));
@@ -296,6 +312,218 @@ function getMatchLabel(score) {
   return 'Available';
 }
 
+// ============================================
+// SCORE ONE DRIVER
+// Shared by findMatchesForLoad (shipper side) and the driver match feed
+// ============================================
+
+/**
+ * Everything about a load the per-driver scoring needs, computed once
+ */
+function buildLoadContext(load) {
+  // Window times are in each stop's own timezone
+  const [pickupStop, deliveryStop] = loadStops.buildLegacyStops(load);
+  
+  // Calculate pickup window hours
+  let pickupWindowHours = null;
+  if (load.pickup_time_start && load.pickup_time_end) {
+    const [startH, startM] = load.pickup_time_start.split(':').map(Number);
+    const [endH, endM] = load.pickup_time_end.split(':').map(Number);
+    pickupWindowHours = (endH + endM / 60) - (startH + startM / 60);
+  }
+  
+  return {
+    windowZones: {
+      pickup: timezones.stopTimezone(pickupStop),
+      delivery: timezones.stopTimezone(deliveryStop),
+    },
+    // What the freight asks of the equipment (type, weight, dimensions, pieces, features)
+    requirements: equipment.loadRequirements(load),
+    pickupWindowHours,
+    // Calculate load RPM
+    loadRpm: load.distance_miles > 0
+      ? (load.driver_payout || 0) / load.distance_miles
+      : 0,
+  };
+}
+
+/**
+ * Score one availability post (joined with its driver's user columns)
+ * against a load. Returns the match, or null when the driver is filtered out
+ * before scoring (no location, too far, detour too long, service type).
+ *
+ * options: { loadContext, presence, hosClocks, maxDeadheadMiles,
+ *            maxDetourMiles, includeWiderMatches }
+ */
+async function scoreAvailability(load, avail, options) {
+  const {
+    loadContext,
+    presence: driverPresence = null,
+    hosClocks = null,
+    maxDeadheadMiles = DEFAULT_FILTERS.MAX_DEADHEAD_MILES,
+    maxDetourMiles = DEFAULT_FILTERS.MAX_DETOUR_MILES,
+    includeWiderMatches = false,
+  } = options;
+  
+  // Skip if no location data
+  if (!avail.current_lat || !avail.current_lng) return null;
+  
+  const driverMaxDeadhead = avail.max_deadhead_miles || maxDeadheadMiles;
+  const deadheadLimit = Math.min(driverMaxDeadhead, maxDeadheadMiles);
+
+  // Road miles are never shorter than the straight line, so skip routing far-away drivers
+  const straightLineMiles = haversineDistance(
+    parseFloat(avail.current_lat),
+    parseFloat(avail.current_lng),
+    parseFloat(load.pickup_lat),
+    parseFloat(load.pickup_lng)
+  );
+  if (straightLineMiles > deadheadLimit && !includeWiderMatches) return null;
+
+  // Calculate deadhead (driver → pickup, road miles)
+  const deadheadMiles = await routing.getRoadMiles(
+    parseFloat(avail.current_lat),
+    parseFloat(avail.current_lng),
+    parseFloat(load.pickup_lat),
+    parseFloat(load.pickup_lng)
+  );
+  
+  // Skip if deadhead exceeds driver's preference or hard limit
+  if (deadheadMiles > deadheadLimit) {
+    if (!includeWiderMatches) return null;
+  }
+  
+  // Calculate detour (if driver has a destination)
+  let detourMiles = 0;
+  let isNearDestination = false;
+  let isSameState = false;
+  
+  if (avail.destination_lat && avail.destination_lng) {
+    detourMiles = await calculateDetour(
+      parseFloat(avail.current_lat),
+      parseFloat(avail.current_lng),
+      parseFloat(avail.destination_lat),
+      parseFloat(avail.destination_lng),
+      parseFloat(load.pickup_lat),
+      parseFloat(load.pickup_lng),
+      parseFloat(load.delivery_lat),
+      parseFloat(load.delivery_lng)
+    );
+    
+    // Check if delivery is near driver's destination
+    const deliveryToDestDist = haversineDistance(
+      parseFloat(load.delivery_lat),
+      parseFloat(load.delivery_lng),
+      parseFloat(avail.destination_lat),
+      parseFloat(avail.destination_lng)
+    );
+    isNearDestination = deliveryToDestDist < 50; // Within 50 miles
+    
+    // Check same state
+    isSameState = avail.destination_state === load.delivery_state;
+  }
+  
+  // Skip if detour exceeds limit
+  if (detourMiles > maxDetourMiles && !includeWiderMatches) return null;
+  
+  // Check equipment type, capacity and features
+  const equipmentFit = equipment.checkFit(equipment.fromAvailability(avail), loadContext.requirements);
+  
+  // Check service type accepted
+  const serviceTypes = avail.service_types_accepted || ['standard'];
+  const loadType = load.load_type || 'standard';
+  if (!serviceTypes.includes(loadType) && !serviceTypes.includes('all')) {
+    return null; // Driver doesn't accept this load type
+  }
+  
+  // Check time feasibility
+  const timeFeasibility = await checkTimeFeasibility(
+    parseFloat(avail.current_lat),
+    parseFloat(avail.current_lng),
+    parseFloat(load.pickup_lat),
+    parseFloat(load.pickup_lng),
+    parseFloat(load.delivery_lat),
+    parseFloat(load.delivery_lng),
+    avail.available_from,
+    load.pickup_time_start,
+    load.pickup_time_end,
+    load.delivery_time_start,
+    load.delivery_time_end,
+    load.pickup_date,
+    load.delivery_date,
+    hosClocks,
+    loadContext.windowZones
+  );
+  
+  // Calculate match score
+  const { score, reason } = calculateMatchScore({
+    deadheadMiles,
+    detourMiles,
+    timeFeasibility,
+    equipmentMatch: equipmentFit.ok,
+    equipmentReason: equipmentFit.reasons[0],
+    pickupWindowHours: loadContext.pickupWindowHours,
+    isNearDestination,
+    isSameState,
+    isOnline: driverPresence?.online || false,
+    driverMinPayout: avail.min_payout ? parseFloat(avail.min_payout) : null,
+    driverMinRpm: avail.min_rate_per_mile ? parseFloat(avail.min_rate_per_mile) : null,
+    loadPayout: load.driver_payout ? parseFloat(load.driver_payout) : 0,
+    loadRpm: loadContext.loadRpm,
+  });
+  
+  return {
+    driverId: avail.driver_id,
+    availabilityId: avail.id,
+    driver: {
+      id: avail.user_id,
+      firstName: avail.first_name,
+      lastName: avail.last_name,
+      name: `${avail.first_name} ${avail.last_name}`.trim(),
+      phone: avail.phone,
+      rating: avail.rating ? parseFloat(avail.rating) : null,
+      totalDeliveries: avail.total_deliveries || 0,
+      profileImageUrl: avail.profile_image_url,
+    },
+    equipment: avail.equipment_type || avail.vehicle_type,
+    equipmentFit: equipment.formatFit(equipmentFit),
+    score,
+    matchLabel: getMatchLabel(score),
+    deadheadMiles: Math.round(deadheadMiles),
+    detourMiles: Math.round(detourMiles),
+    etaToPickupMinutes: timeFeasibility.etaToPickup,
+    pickupArrivalTime: timeFeasibility.pickupArrivalTime,
+    deliveryArrivalTime: timeFeasibility.deliveryArrivalTime,
+    pickupArrivalLocal: timeFeasibility.pickupArrivalLocal,
+    deliveryArrivalLocal: timeFeasibility.deliveryArrivalLocal,
+    timeFeasible: timeFeasibility.feasible,
+    timeWarnings: timeFeasibility.warnings,
+    hos: timeFeasibility.hos,
+    skipReason: reason,
+    online: driverPresence?.online || false,
+    lastSeenAt: driverPresence?.lastSeenAt || null,
+    // Driver's availability details
+    availability: {
+      mode: avail.mode,
+      startCity: avail.start_city,
+      destinationCity: avail.destination_city,
+      destinationState: avail.destination_state,
+      departureWindow: avail.available_from,
+    },
+  };
+}
+
+// Availability posts joined with the columns scoreAvailability reads from users
+const AVAILABILITY_SELECT = `
+  SELECT 
+    da.*,
+    u.id as user_id, u.first_name, u.last_name, u.phone,
+    u.rating, u.total_deliveries, u.profile_image_url,
+    u.vehicle_type, u.equipment_features as user_equipment_features
+  FROM driver_availability da
+  JOIN users u ON da.driver_id = u.id
+`;
+
 // ============================================
 // MAIN MATCHING FUNCTION
 // Find and score all matching drivers for a load
@@ -334,166 +562,44 @@ async function findMatchesForLoad(loadId, options = {}) {
     throw new Error('Load missing location coordinates');
   }
   
-  // 2. Get active driver availability posts that could match
+  const loadContext = buildLoadContext(load);
+  
+  // 2. Get active driver availability posts open on the pickup day. Recurring
+  // rules are matched through their expanded instances, not directly.
   const availabilityResult = await pool.query(`
-    SELECT 
-      da.*,
-      u.id as user_id, u.first_name, u.last_name, u.phone,
-      u.rating, u.total_deliveries, u.profile_image_url
-    FROM driver_availability da
-    JOIN users u ON da.driver_id = u.id
+    ${AVAILABILITY_SELECT}
     WHERE da.is_active = true
-      AND da.available_from <= $1
-      AND (da.available_until IS NULL OR da.available_until >= $1)
+      AND da.is_recurring IS NOT TRUE
+      AND da.available_from < $1::date + 1
+      AND (da.available_until IS NULL OR da.available_until >= $1::date)
       AND u.is_active = true
       AND u.role = 'driver'
   `, [load.pickup_date || new Date()]);
   
+  // Realtime presence: online drivers can respond to an offer right away
+  const presenceByDriver = await presence.getPresence(availabilityResult.rows.map(a => a.driver_id));
+  
+  // Hours of service: remaining driving/on-duty time limits how fast a driver can get there
+  const hosByDriver = await hos.getClocksForDrivers(availabilityResult.rows.map(a => a.driver_id));
+  
   const matches = [];
   
   // 3. Score each driver
   for (const avail of availabilityResult.rows) {
-    // Skip if no location data
-    if (!avail.current_lat || !avail.current_lng) continue;
-    
-    // Calculate deadhead (driver → pickup)
-    const deadheadMiles = haversineDistance(
-      parseFloat(avail.current_lat),
-      parseFloat(avail.current_lng),
-      parseFloat(load.pickup_lat),
-      parseFloat(load.pickup_lng)
-    );
-    
-    // Skip if deadhead exceeds driver's preference or hard limit
-    const driverMaxDeadhead = avail.max_detour_miles || maxDeadheadMiles;
-    if (deadheadMiles > Math.min(driverMaxDeadhead, maxDeadheadMiles)) {
-      if (!includeWiderMatches) continue;
-    }
-    
-    // Calculate detour (if driver has a destination)
-    let detourMiles = 0;
-    let isNearDestination = false;
-    let isSameState = false;
-    
-    if (avail.destination_lat && avail.destination_lng) {
-      detourMiles = calculateDetour(
-        parseFloat(avail.current_lat),
-        parseFloat(avail.current_lng),
-        parseFloat(avail.destination_lat),
-        parseFloat(avail.destination_lng),
-        parseFloat(load.pickup_lat),
-        parseFloat(load.pickup_lng),
-        parseFloat(load.delivery_lat),
-        parseFloat(load.delivery_lng)
-      );
-      
-      // Check if delivery is near driver's destination
-      const deliveryToDestDist = haversineDistance(
-        parseFloat(load.delivery_lat),
-        parseFloat(load.delivery_lng),
-        parseFloat(avail.destination_lat),
-        parseFloat(avail.destination_lng)
-      );
-      isNearDestination = deliveryToDestDist < 50; // Within 50 miles
-      
-      // Check same state
-      isSameState = avail.destination_state === load.delivery_state;
-    }
-    
-    // Skip if detour exceeds limit
-    if (detourMiles > maxDetourMiles && !includeWiderMatches) continue;
-    
-    // Check equipment match
-    const equipmentMatch = checkEquipmentMatch(avail.equipment_type, load.vehicle_type_required);
-    
-    // Check service type accepted
-    const serviceTypes = avail.service_types_accepted || ['standard'];
-    const loadType = load.load_type || 'standard';
-    if (!serviceTypes.includes(loadType) && !serviceTypes.includes('all')) {
-      continue; // Driver doesn't accept this load type
-    }
-    
-    // Check time feasibility
-    const timeFeasibility = checkTimeFeasibility(
-      parseFloat(avail.current_lat),
-      parseFloat(avail.current_lng),
-      parseFloat(load.pickup_lat),
-      parseFloat(load.pickup_lng),
-      parseFloat(load.delivery_lat),
-      parseFloat(load.delivery_lng),
-      avail.available_from,
-      load.pickup_time_start,
-      load.pickup_time_end,
-      load.delivery_time_start,
-      load.delivery_time_end,
-      load.pickup_date,
-      load.delivery_date
-    );
-    
-    // Calculate pickup window hours
-    let pickupWindowHours = null;
-    if (load.pickup_time_start && load.pickup_time_end) {
-      const [startH, startM] = load.pickup_time_start.split(':').map(Number);
-      const [endH, endM] = load.pickup_time_end.split(':').map(Number);
-      pickupWindowHours = (endH + endM / 60) - (startH + startM / 60);
-    }
-    
-    // Calculate load RPM
-    const loadRpm = load.distance_miles > 0 
-      ? (load.driver_payout || 0) / load.distance_miles 
-      : 0;
-    
-    // Calculate match score
-    const { score, reason } = calculateMatchScore({
-      deadheadMiles,
-      detourMiles,
-      timeFeasibility,
-      equipmentMatch,
-      pickupWindowHours,
-      isNearDestination,
-      isSameState,
-      driverMinPayout: avail.min_payout ? parseFloat(avail.min_payout) : null,
-      driverMinRpm: avail.min_rate_per_mile ? parseFloat(avail.min_rate_per_mile) : null,
-      loadPayout: load.driver_payout ? parseFloat(load.driver_payout) : 0,
-      loadRpm,
+    const match = await scoreAvailability(load, avail, {
+      loadContext,
+      presence: presenceByDriver[avail.driver_id] || null,
+      hosClocks: hosByDriver[avail.driver_id] || null,
+      maxDeadheadMiles,
+      maxDetourMiles,
+      includeWiderMatches,
     });
+    if (!match) continue;
     
     // Skip low scores unless including wider matches
-    if (score < minScore && !includeWiderMatches) continue;
+    if (match.score < minScore && !includeWiderMatches) continue;
     
-    matches.push({
-      driverId: avail.driver_id,
-      availabilityId: avail.id,
-      driver: {
-        id: avail.user_id,
-        firstName: avail.first_name,
-        lastName: avail.last_name,
-        name: `${avail.first_name} ${avail.last_name}`.trim(),
-        phone: avail.phone,
-        rating: avail.rating ? parseFloat(avail.rating) : null,
-        totalDeliveries: avail.total_deliveries || 0,
-        profileImageUrl: avail.profile_image_url,
-      },
-      equipment: avail.equipment_type,
-      score,
-      matchLabel: getMatchLabel(score),
-      deadheadMiles: Math.round(deadheadMiles),
-      detourMiles: Math.round(detourMiles),
-      etaToPickupMinutes: timeFeasibility.etaToPickup,
-      pickupArrivalTime: timeFeasibility.pickupArrivalTime,
-      deliveryArrivalTime: timeFeasibility.deliveryArrivalTime,
-      timeFeasible: timeFeasibility.feasible,
-      timeWarnings: timeFeasibility.warnings,
-      skipReason: reason,
-      // Driver's availability details
-      availability: {
-        mode: avail.mode,
-        startCity: avail.start_city,
-        destinationCity: avail.destination_city,
-        destinationState: avail.destination_state,
-        departureWindow: avail.available_from,
-      },
-    });
+    matches.push(match);
   }
   
   // 4. Sort by score (highest first)
@@ -540,6 +646,9 @@ async function hasGoodMatches(loadId) {
 
 module.exports = {
   findMatchesForLoad,
+  buildLoadContext,
+  scoreAvailability,
+  AVAILABILITY_SELECT,
   hasGoodMatches,
   calculateMatchScore,
   haversineDistance,
@@ -142,6 +142,63 @@ const NOTIFICATION_TEMPLATES = {
     data: { type: 'load_cancelled', loadId: data.loadId },
   }),
 
+  LOAD_RELEASED_TO_PUBLIC: (data) => ({
+    title: '📣 Load Now Public',
+    body: `Preferred window ended for ${data.pickupCity} → ${data.deliveryCity}. The load is now on the public board.`,
+    data: { type: 'load_released', loadId: data.loadId },
+  }),
+
+  LOAD_TENDERED: (data) => ({
+    title: '🎯 Load Tendered to You',
+    body: `${data.pickupCity} → ${data.deliveryCity} for $${data.pay}. Exclusive for the next ${data.windowMinutes} minutes.`,
+    data: { type: 'load_tendered', loadId: data.loadId },
+  }),
+
+  // Scheduled / expiry notifications
+  OFFER_EXPIRED: (data) => ({
+    title: '⌛ Offer Expired',
+    body: `Your $${data.amount} offer for ${data.pickupCity} → ${data.deliveryCity} expired without a response.`,
+    data: { type: 'offer_expired', loadId: data.loadId, offerId: data.offerId },
+  }),
+
+  QR_CODE_EXPIRED: (data) => ({
+    title: '⌛ Delivery QR Code Expired',
+    body: `The confirmation QR code for delivery to ${data.deliveryCity} expired. Generate a new one or capture photo/signature.`,
+    data: { type: 'qr_expired', loadId: data.loadId, closeoutId: data.closeoutId },
+  }),
+
+  DOCUMENT_EXPIRING: (data) => ({
+    title: data.daysLeft > 0 ? '📄 Document Expiring Soon' : '⚠️ Document Expired',
+    body: data.daysLeft > 0
+      ? `${data.ownerName ? data.ownerName + "'s " : 'Your '}${data.documentLabel} expires in ${data.daysLeft} day${data.daysLeft === 1 ? '' : 's'}.`
+      : `${data.ownerName ? data.ownerName + "'s " : 'Your '}${data.documentLabel} has expired.`,
+    data: { type: 'document_expiring', documentId: data.documentId, userId: data.userId },
+  }),
+
+  DETENTION_STARTED: (data) => ({
+    title: '⏱️ Detention Started',
+    body: `Driver has been at the ${data.stopType} in ${data.city} past the ${data.freeMinutes} minutes of free time. Detention is accruing at $${data.rate}/hr.`,
+    data: { type: 'detention_started', loadId: data.loadId, stopId: data.stopId, accessorialId: data.accessorialId },
+  }),
+
+  LOAD_RUNNING_LATE: (data) => ({
+    title: '⏰ Running Late',
+    body: `${data.driverName} is running late to ${data.city}. New ETA ${data.eta}, ${data.minutesLate} min past the ${data.windowEnd} window.`,
+    data: { type: 'load_running_late', loadId: data.loadId, stopId: data.stopId },
+  }),
+
+  LOAD_MATCH: (data) => ({
+    title: '🎯 Load Match',
+    body: `${data.pickupCity} → ${data.deliveryCity}: $${data.payout} payout, ${data.deadheadMiles} mi deadhead.`,
+    data: { type: 'load_match', loadId: data.loadId },
+  }),
+
+  LOAD_MESSAGE: (data) => ({
+    title: `💬 ${data.senderName}`,
+    body: `${data.route}: ${data.preview}`,
+    data: { type: 'load_message', loadId: data.loadId, messageId: String(data.messageId) },
+  }),
+
   // General
   GENERIC: (data) => ({
     title: data.title || 'Hotshot',
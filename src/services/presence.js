@@ -0,0 +1,244 @@
+// backend_api/src/services/presence.js
+// Who is connected to realtime right now, and when each device was last seen
+//
+// Socket connections mark a user online per device; every instance
+// heartbeats its own sockets each config.presence.heartbeatSeconds, so a
+// user counts as online while some instance saw them within
+// onlineWindowSeconds (a crashed instance's users age out on their own).
+//
+// Redis keys (shared by all instances):
+//   presence:online              ZSET userId -> last seen (ms)
+//   presence:role:{role}         ZSET userId -> last seen (ms), per user role
+//   presence:devices:{userId}    SET of device ids
+//   presence:device:{userId}:{deviceId}  HASH platform, appVersion, connectedAt, lastSeenAt, online
+//
+// Without Redis the same data is kept in process memory (single instance).
+
+const { redisClient } = require('../db/redis');
+const config = require('../config');
+
+const KEYS = {
+  online: 'presence:online',
+  role: (role) => `presence:role:${role}`,
+  devices: (userId) => `presence:devices:${userId}`,
+  device: (userId, deviceId) => `presence:device:${userId}:${deviceId}`,
+};
+
+const UNKNOWN_DEVICE = 'unknown';
+
+// In-memory fallback: userId -> { role, connected, lastSeen, devices: Map(deviceId -> device) }
+const memory = new Map();
+
+const useRedis = () => Boolean(redisClient && redisClient.isOpen);
+
+const onlineSince = () => Date.now() - config.presence.onlineWindowSeconds * 1000;
+
+const deviceTtlSeconds = () => config.presence.deviceRetentionDays * 24 * 60 * 60;
+
+/**
+ * Device descriptor from a socket handshake (auth or query)
+ */
+const deviceFromHandshake = (handshake = {}) => {
+  const source = { ...(handshake.query || {}), ...(handshake.auth || {}) };
+  return {
+    deviceId: String(source.deviceId || UNKNOWN_DEVICE).slice(0, 100),
+    platform: source.platform ? String(source.platform).slice(0, 20) : null,
+    appVersion: source.appVersion ? String(source.appVersion).slice(0, 20) : null,
+  };
+};
+
+// ============================================
+// UPDATES
+// ============================================
+
+/**
+ * A socket connected: user online, device online
+ */
+const connect = async ({ userId, role }, { deviceId, platform, appVersion }) => {
+  const now = Date.now();
+
+  if (!useRedis()) {
+    const entry = memory.get(userId) || { role, connected: true, lastSeen: now, devices: new Map() };
+    entry.role = role;
+    entry.connected = true;
+    entry.lastSeen = now;
+    entry.devices.set(deviceId, { deviceId, platform, appVersion, connectedAt: now, lastSeenAt: now, online: true });
+    memory.set(userId, entry);
+    return;
+  }
+
+  await redisClient.multi()
+    .zAdd(KEYS.online, { score: now, value: userId })
+    .zAdd(KEYS.role(role), { score: now, value: userId })
+    .sAdd(KEYS.devices(userId), deviceId)
+    .expire(KEYS.devices(userId), deviceTtlSeconds())
+    .hSet(KEYS.device(userId, deviceId), {
+      platform: platform || '',
+      appVersion: appVersion || '',
+      connectedAt: String(now),
+      lastSeenAt: String(now),
+      online: '1',
+    })
+    .expire(KEYS.device(userId, deviceId), deviceTtlSeconds())
+    .exec();
+};
+
+/**
+ * Refresh last-seen for connected sockets: [{ userId, role, deviceId }]
+ */
+const heartbeat = async (entries) => {
+  const now = Date.now();
+
+  if (!useRedis()) {
+    for (const { userId, deviceId } of entries) {
+      const entry = memory.get(userId);
+      if (!entry) continue;
+      entry.connected = true;
+      entry.lastSeen = now;
+      const device = entry.devices.get(deviceId);
+      if (device) device.lastSeenAt = now;
+    }
+    return;
+  }
+
+  const multi = redisClient.multi();
+  const roles = new Set();
+  for (const { userId, role, deviceId } of entries) {
+    roles.add(role);
+    multi
+      .zAdd(KEYS.online, { score: now, value: userId })
+      .zAdd(KEYS.role(role), { score: now, value: userId })
+      .hSet(KEYS.device(userId, deviceId), { lastSeenAt: String(now), online: '1' });
+  }
+  // Users whose every instance went quiet drop out of the online sets
+  multi.zRemRangeByScore(KEYS.online, '-inf', onlineSince());
+  for (const role of roles) {
+    multi.zRemRangeByScore(KEYS.role(role), '-inf', onlineSince());
+  }
+  await multi.exec();
+};
+
+/**
+ * A socket disconnected. userConnected / deviceConnected: whether this
+ * instance still has other sockets for the user / device.
+ */
+const disconnect = async ({ userId, role }, deviceId, { userConnected = false, deviceConnected = false } = {}) => {
+  const now = Date.now();
+
+  if (!useRedis()) {
+    const entry = memory.get(userId);
+    if (!entry) return;
+    entry.lastSeen = now;
+    const device = entry.devices.get(deviceId);
+    if (device) {
+      device.lastSeenAt = now;
+      device.online = deviceConnected;
+    }
+    entry.connected = userConnected;
+    return;
+  }
+
+  const multi = redisClient.multi()
+    .hSet(KEYS.device(userId, deviceId), { lastSeenAt: String(now), online: deviceConnected ? '1' : '0' });
+  // Sockets on other instances put the user back on their next heartbeat
+  if (!userConnected) {
+    multi.zRem(KEYS.online, userId).zRem(KEYS.role(role), userId);
+  }
+  await multi.exec();
+};
+
+// ============================================
+// QUERIES
+// ============================================
+
+const parseDevice = (deviceId, hash) => ({
+  deviceId,
+  platform: hash.platform || null,
+  appVersion: hash.appVersion || null,
+  online: hash.online === '1' || hash.online === true,
+  connectedAt: hash.connectedAt ? new Date(parseInt(hash.connectedAt)).toISOString() : null,
+  lastSeenAt: hash.lastSeenAt ? new Date(parseInt(hash.lastSeenAt)).toISOString() : null,
+});
+
+/**
+ * Presence for several users: { [userId]: { online, lastSeenAt, devices } }.
+ * A device only counts as online while its user is.
+ */
+const getPresence = async (userIds) => {
+  const since = onlineSince();
+  const presence = {};
+  if (userIds.length === 0) return presence;
+
+  if (!useRedis()) {
+    for (const userId of userIds) {
+      const entry = memory.get(userId);
+      const online = !!entry && entry.connected && entry.lastSeen >= since;
+      presence[userId] = {
+        online,
+        lastSeenAt: entry ? new Date(entry.lastSeen).toISOString() : null,
+        devices: entry
+          ? [...entry.devices.values()].map((d) => parseDevice(d.deviceId, { ...d, online: online && d.online }))
+          : [],
+      };
+    }
+    return presence;
+  }
+
+  // Two round trips for any number of users: scores and device ids, then device hashes
+  const lookup = redisClient.multi();
+  for (const userId of userIds) {
+    lookup.zScore(KEYS.online, userId).sMembers(KEYS.devices(userId));
+  }
+  const replies = await lookup.exec();
+  const scores = userIds.map((_, i) => (replies[i * 2] === null ? null : Number(replies[i * 2])));
+  const deviceIds = userIds.map((_, i) => replies[i * 2 + 1] || []);
+
+  const hashes = redisClient.multi();
+  userIds.forEach((userId, i) => {
+    for (const deviceId of deviceIds[i]) hashes.hGetAll(KEYS.device(userId, deviceId));
+  });
+  const hashReplies = deviceIds.some((ids) => ids.length > 0) ? await hashes.exec() : [];
+
+  let next = 0;
+  for (let i = 0; i < userIds.length; i++) {
+    const userId = userIds[i];
+    const devices = [];
+    for (const deviceId of deviceIds[i]) {
+      const hash = hashReplies[next++];
+      if (hash && Object.keys(hash).length) devices.push(parseDevice(deviceId, hash));
+    }
+
+    const online = scores[i] !== null && scores[i] >= since;
+    const lastSeen = Math.max(scores[i] || 0, ...devices.map((d) => (d.lastSeenAt ? Date.parse(d.lastSeenAt) : 0)));
+    presence[userId] = {
+      online,
+      lastSeenAt: lastSeen ? new Date(lastSeen).toISOString() : null,
+      devices: devices.map((d) => ({ ...d, online: online && d.online })),
+    };
+  }
+  return presence;
+};
+
+/**
+ * User ids online now, optionally only those with the given user role
+ */
+const getOnlineUserIds = async (role = null) => {
+  const since = onlineSince();
+
+  if (!useRedis()) {
+    return [...memory.entries()]
+      .filter(([, entry]) => entry.connected && entry.lastSeen >= since && (!role || entry.role === role))
+      .map(([userId]) => userId);
+  }
+
+  return redisClient.zRangeByScore(role ? KEYS.role(role) : KEYS.online, since, '+inf');
+};
+
+module.exports = {
+  deviceFromHandshake,
+  connect,
+  heartbeat,
+  disconnect,
+  getPresence,
+  getOnlineUserIds,
+};
@@ -1,99 +1,411 @@
-// Generated by ScriptBuilder - 307 – Pricing Service
-// Feature: pricing | Role: service
-
-// =========================================================
-// 008 – Pricing Service
-// Feature: pricing
-// Role: service
-// Group: Services
-// =========================================================
-// FILE: src/services/pricing.js
-// =========================================================
+// backend_api/src/services/pricing.js
+// Rating engine: the single source of price, platform fee and driver payout
+//
+// Rates come from the active row in rate_tables (versioned JSON config set by
+// admins). Every rated amount carries the table version and itemized line
+// items so loads, offers, invoices and closeouts can show where a number came
+// from. DEFAULT_RATE_TABLE (version 0) is used until a table is activated.
 
+const { pool } = require('../db/pool');
 const config = require('../config');
+const laneRates = require('./laneRates');
+const fuelSurcharge = require('./fuelSurcharge');
+
+// ============================================
+// EQUIPMENT / BENCHMARKS
+// ============================================
+
+// Maps display names to market_benchmarks.equipment_group keys
+const EQUIPMENT_TO_GROUP = {
+  'Cargo Van': 'cargo_van',
+  'Sprinter Van': 'sprinter_van',
+  'Box Truck 16ft': 'box_truck_16',
+  'Box Truck 24ft': 'box_truck_24',
+  'Box Truck 26ft': 'box_truck_26',
+  'Dry Van 48ft': 'dry_van_48',
+  'Dry Van 53ft': 'dry_van_53',
+  'Reefer 48ft': 'reefer_48',
+  'Reefer 53ft': 'reefer_53',
+  'Flatbed 48ft': 'flatbed_48',
+  'Flatbed 53ft': 'flatbed_53',
+  'Step Deck': 'step_deck',
+  'Conestoga': 'conestoga',
+  'Hotshot Trailer': 'hotshot_trailer',
+  'Pickup w/ Trailer': 'pickup_trailer',
+  'Power Only': 'power_only',
+  'Double Drop': 'double_drop',
+  'Lowboy': 'lowboy',
+  'RGN': 'rgn',
+  'Tanker': 'tanker',
+  'Car Hauler': 'car_hauler',
+};
+
+// Default benchmarks (fallback if market_benchmarks is empty)
+const DEFAULT_BENCHMARKS = {
+  cargo_van: 1.25,
+  sprinter_van: 1.40,
+  box_truck_16: 1.65,
+  box_truck_24: 1.80,
+  box_truck_26: 1.90,
+  dry_van_48: 2.10,
+  dry_van_53: 2.25,
+  reefer_48: 2.50,
+  reefer_53: 2.65,
+  flatbed_48: 2.40,
+  flatbed_53: 2.55,
+  step_deck: 2.70,
+  conestoga: 2.85,
+  hotshot_trailer: 1.75,
+  pickup_trailer: 1.50,
+  power_only: 1.60,
+  double_drop: 3.00,
+  lowboy: 3.25,
+  rgn: 3.40,
+  tanker: 2.60,
+  car_hauler: 2.30,
+};
+
+const toEquipmentGroup = (equipment) =>
+  EQUIPMENT_TO_GROUP[equipment] || equipment?.toLowerCase().replace(/\s+/g, '_') || 'dry_van_53';
+
+/**
+ * Latest benchmark RPM for an equipment type: { equipmentGroup, benchmarkRpm, benchmarkDate, source }
+ */
+const getBenchmark = async (equipment, client = pool) => {
+  const equipmentGroup = toEquipmentGroup(equipment);
+
+  const result = await client.query(`
+    SELECT benchmark_rpm, date, source FROM market_benchmarks
+    WHERE equipment_group = $1 AND date <= CURRENT_DATE
+    ORDER BY date DESC LIMIT 1
+  `, [equipmentGroup]);
+
+  const row = result.rows[0];
+  if (row?.benchmark_rpm) {
+    return { equipmentGroup, benchmarkRpm: parseFloat(row.benchmark_rpm), benchmarkDate: row.date, source: row.source };
+  }
+
+  return { equipmentGroup, benchmarkRpm: DEFAULT_BENCHMARKS[equipmentGroup] || null, benchmarkDate: null, source: 'default' };
+};
+
+// ============================================
+// RATE TABLES
+// ============================================
+
+const DEFAULT_RATE_TABLE = {
+  version: 0,
+  name: 'Built-in defaults',
+  config: {
+    defaultRpm: 2.00,
+    loadTypes: {
+      standard: { baseFee: 150, urgencyMultiplier: 1.0, marketAdjustment: 0.97 },
+      hotshot: { baseFee: 200, urgencyMultiplier: 1.25, marketAdjustment: 1.15 },
+      emergency: { baseFee: 250, urgencyMultiplier: 1.50, marketAdjustment: 1.35 },
+    },
+    // Backhaul saver (standard loads only): lower target RPM, then a discount on the total
+    backhaul: { marketAdjustment: 0.82, discountPct: 0.20 },
+    // Short hauls cost more per mile
+    distancePremiums: [
+      { upToMiles: 50, multiplier: 1.35 },
+      { upToMiles: 100, multiplier: 1.20 },
+      { upToMiles: 200, multiplier: 1.10 },
+    ],
+    minimumCharges: [
+      { upToMiles: 25, amount: 200 },
+      { upToMiles: 50, amount: 275 },
+      { upToMiles: 100, amount: 350 },
+    ],
+    platformFee: {
+      tiers: [
+        { upTo: 500, pct: 0.15 },
+        { upTo: 1500, pct: 0.12 },
+        { upTo: null, pct: 0.10 },
+      ],
+      min: 25,
+      max: 250,
+    },
+  },
+};
+
+const TABLE_CACHE_MS = 60 * 1000;
+let cachedTable = null;
+let cachedAt = 0;
 
 /**
- * Calculate load price based on distance, weight, and config
- * 
- * Formula:
- *   basePrice = baseFee + (distance * perMileRate) + (overweightLbs * perPoundRate)
- *   fuelSurcharge = basePrice * fuelSurchargePercent
- *   platformFee = (basePrice + fuelSurcharge) * platformFeePercent
- *   totalPrice = basePrice + fuelSurcharge + platformFee
- *   driverPayout = totalPrice - platformFee
+ * Active rate table { version, name, config } (cached briefly)
  */
-const calculatePrice = (distanceMiles, weightLbs, options = {}) => {
-  const {
-    baseFee = config.pricing.baseFee,
-    perMileRate = config.pricing.perMileRate,
-    perPoundRate = config.pricing.perPoundRate,
-    fuelSurchargePercent = config.pricing.fuelSurchargePercent,
-    platformFeePercent = config.pricing.platformFeePercent,
-    minPrice = config.pricing.minPrice,
-  } = options;
-  
-  // Base calculation
-  const distanceCharge = distanceMiles * perMileRate;
-  
-  // Weight surcharge for loads over 500 lbs
-  const overweightLbs = Math.max(0, weightLbs - 500);
-  const weightCharge = overweightLbs * perPoundRate;
-  
-  // Base price
-  let basePrice = baseFee + distanceCharge + weightCharge;
-  
-  // Fuel surcharge
-  const fuelSurcharge = basePrice * (fuelSurchargePercent / 100);
-  
-  // Subtotal before platform fee
-  const subtotal = basePrice + fuelSurcharge;
-  
-  // Platform fee
-  const platformFee = subtotal * (platformFeePercent / 100);
-  
-  // Total price (what shipper pays)
-  let totalPrice = subtotal + platformFee;
-  
-  // Enforce minimum price
-  if (totalPrice < minPrice) {
-    totalPrice = minPrice;
+const getActiveRateTable = async (client = pool) => {
+  if (cachedTable && Date.now() - cachedAt < TABLE_CACHE_MS) return cachedTable;
+
+  const result = await client.query(
+    `SELECT version, name, config FROM rate_tables WHERE status = 'active' LIMIT 1`
+  );
+
+  cachedTable = result.rows[0] || DEFAULT_RATE_TABLE;
+  cachedAt = Date.now();
+  return cachedTable;
+};
+
+const clearRateTableCache = () => {
+  cachedTable = null;
+};
+
+const isPositive = (n) => typeof n === 'number' && Number.isFinite(n) && n > 0;
+const isRate = (n) => typeof n === 'number' && Number.isFinite(n) && n >= 0 && n < 1;
+
+/**
+ * Validate a rate table config. Returns a list of errors (empty when valid).
+ */
+const validateRateTable = (config) => {
+  const errors = [];
+  if (!config || typeof config !== 'object') return ['config must be an object'];
+
+  if (!isPositive(config.defaultRpm)) errors.push('defaultRpm must be a positive number');
+
+  const loadTypes = Object.entries(config.loadTypes || {});
+  if (!loadTypes.some(([name]) => name === 'standard')) errors.push('loadTypes.standard is required');
+  for (const [name, lt] of loadTypes) {
+    if (!lt || typeof lt !== 'object') {
+      errors.push(`loadTypes.${name} must be an object`);
+      continue;
+    }
+    if (!(lt.baseFee >= 0)) errors.push(`loadTypes.${name}.baseFee must be >= 0`);
+    if (!isPositive(lt.urgencyMultiplier)) errors.push(`loadTypes.${name}.urgencyMultiplier must be positive`);
+    if (!isPositive(lt.marketAdjustment)) errors.push(`loadTypes.${name}.marketAdjustment must be positive`);
+  }
+
+  if (config.backhaul) {
+    if (!isPositive(config.backhaul.marketAdjustment)) errors.push('backhaul.marketAdjustment must be positive');
+    if (!isRate(config.backhaul.discountPct)) errors.push('backhaul.discountPct must be between 0 and 1');
+  }
+
+  for (const key of ['distancePremiums', 'minimumCharges']) {
+    const bands = config[key] || [];
+    if (!Array.isArray(bands)) errors.push(`${key} must be an array`);
+    else if (bands.some((b, i) => !isPositive(b?.upToMiles) || (i > 0 && b.upToMiles <= bands[i - 1].upToMiles))) {
+      errors.push(`${key} must have ascending upToMiles`);
+    }
   }
-  
-  // Driver payout (total minus platform fee)
-  const driverPayout = totalPrice - platformFee;
-  
+
+  const fee = config.platformFee || {};
+  const tiers = Array.isArray(fee.tiers) ? fee.tiers : [];
+  if (!tiers.length) errors.push('platformFee.tiers is required');
+  if (tiers.some((t) => !isRate(t?.pct))) errors.push('platformFee.tiers[].pct must be between 0 and 1');
+  if (tiers.length && tiers[tiers.length - 1]?.upTo !== null) errors.push('last platformFee tier must have upTo: null');
+  if (fee.min != null && fee.max != null && fee.min > fee.max) errors.push('platformFee.min must not exceed max');
+
+  return errors;
+};
+
+// ============================================
+// RATING
+// ============================================
+
+const round = (n) => Math.round(n * 100) / 100;
+
+const bandFor = (bands, miles) => (bands || []).find((b) => miles <= b.upToMiles);
+
+/**
+ * Platform fee and driver payout for a total, per the table's fee tiers
+ */
+const splitTotal = (total, table) => {
+  const { tiers, min = 0, max = Infinity } = table.config.platformFee;
+  const tier = tiers.find((t) => t.upTo === null || total <= t.upTo) || tiers[tiers.length - 1];
+  const platformFee = Math.min(total, Math.min(max ?? Infinity, Math.max(min ?? 0, total * tier.pct)));
+
   return {
-    basePrice: round2(basePrice),
-    fuelSurcharge: round2(fuelSurcharge),
-    platformFee: round2(platformFee),
-    totalPrice: round2(totalPrice),
-    driverPayout: round2(driverPayout),
-    breakdown: {
-      baseFee: round2(baseFee),
-      distanceCharge: round2(distanceCharge),
-      weightCharge: round2(weightCharge),
-      distanceMiles: round2(distanceMiles),
-      weightLbs,
+    platformFee: round(platformFee),
+    platformFeePct: Math.round(tier.pct * 100),
+    driverPayout: round(round(total) - round(platformFee)),
+  };
+};
+
+// Fuel charge without its line item, as stored on ratings
+const fuelSummary = (fuelCharge) => {
+  if (!fuelCharge) return null;
+  const { lineItem, ...summary } = fuelCharge;
+  return summary;
+};
+
+/**
+ * Price a shipment from the table (pure; benchmark and table passed in).
+ * Returns the itemized quote; the flat fields match the original
+ * GET /rates/quote response.
+ */
+const calculateQuote = ({
+  distanceMiles,
+  loadType = 'standard',
+  isBackhaulSaver = false,
+  benchmarkRpm = null,
+  equipment = null,
+  expeditedFee = 0,
+  fuel = null,            // { schedule, index } from fuelSurcharge.getFuelContext
+}, table = DEFAULT_RATE_TABLE) => {
+  const { config } = table;
+  const loadConfig = config.loadTypes[loadType] || config.loadTypes.standard;
+  const rpm = benchmarkRpm || config.defaultRpm;
+  const backhaul = isBackhaulSaver && loadType === 'standard' && config.backhaul;
+
+  const distancePremium = bandFor(config.distancePremiums, distanceMiles)?.multiplier || 1.0;
+  const marketAdjustment = backhaul ? config.backhaul.marketAdjustment : loadConfig.marketAdjustment;
+  const ratePerMile = rpm * marketAdjustment * distancePremium * loadConfig.urgencyMultiplier;
+
+  const baseFee = loadConfig.baseFee;
+  const mileageCharge = ratePerMile * distanceMiles;
+  const subtotal = baseFee + mileageCharge;
+
+  const minCharge = bandFor(config.minimumCharges, distanceMiles)?.amount || 0;
+  const minChargeApplied = Math.max(0, minCharge - subtotal);
+  const totalBeforeDiscount = subtotal + minChargeApplied;
+
+  const backhaulDiscountAmount = backhaul ? totalBeforeDiscount * config.backhaul.discountPct : 0;
+  const fuelCharge = fuelSurcharge.buildFuelCharge(fuel, { distanceMiles, linehaulAmount: mileageCharge });
+  const fuelAmount = fuelCharge?.amount || 0;
+  const expedited = parseFloat(expeditedFee) || 0;
+  const total = totalBeforeDiscount - backhaulDiscountAmount + fuelAmount + expedited;
+
+  const lineItems = [
+    { code: 'base_fee', label: `Base Rate (${loadType.toUpperCase()})`, amount: round(baseFee) },
+    {
+      code: 'linehaul',
+      label: `Mileage (${Math.round(distanceMiles)} mi × $${round(ratePerMile).toFixed(2)})`,
+      quantity: distanceMiles,
+      rate: round(ratePerMile),
+      amount: round(mileageCharge),
     },
+  ];
+  if (minChargeApplied > 0) {
+    lineItems.push({ code: 'minimum_charge', label: 'Minimum charge adjustment', amount: round(minChargeApplied) });
+  }
+  if (backhaulDiscountAmount > 0) {
+    lineItems.push({ code: 'backhaul_discount', label: 'Backhaul saver discount', amount: -round(backhaulDiscountAmount) });
+  }
+  if (fuelAmount > 0) {
+    lineItems.push(fuelCharge.lineItem);
+  }
+  if (expedited > 0) {
+    lineItems.push({ code: 'expedited', label: 'Expedited Fee', amount: round(expedited) });
+  }
+
+  return {
+    // Input echo
+    distanceMiles,
+    loadType,
+    equipment,
+    isBackhaulSaver: !!backhaul,
+
+    // Breakdown
+    baseFee: round(baseFee),
+    benchmarkRpmUsed: round(rpm),
+    ratePerMile: round(ratePerMile),
+    mileageCharge: round(mileageCharge),
+    distancePremium: round(distancePremium),
+    urgencyMultiplier: round(loadConfig.urgencyMultiplier),
+    minChargeApplied: round(minChargeApplied),
+    subtotal: round(subtotal),
+    totalBeforeDiscount: round(totalBeforeDiscount),
+    backhaulDiscountAmount: round(backhaulDiscountAmount),
+    fuelSurcharge: round(fuelAmount),
+    fuel: fuelSummary(fuelCharge),
+    expeditedFee: round(expedited),
+
+    // Final numbers
+    total: round(total),
+    ...splitTotal(total, table),
+
+    rateTableVersion: table.version,
+    lineItems,
   };
 };
 
 /**
- * Estimate price before geocoding (rough estimate)
+ * Rate a shipment against the active table and current benchmark.
+ * With origin/destination ({ zip, state }) and lane blending enabled, the
+ * benchmark is blended with our own lane history (services/laneRates.js).
+ * Fuel surcharge uses orgId's schedule (else the platform schedule) and the
+ * diesel index in effect on pickupDate (default today).
  */
-const estimatePrice = (estimatedMiles, weightLbs) => {
-  const result = calculatePrice(estimatedMiles, weightLbs);
+const rateShipment = async ({
+  distanceMiles, loadType, isBackhaulSaver, equipment, expeditedFee, origin, destination, orgId, pickupDate,
+}, client = pool) => {
+  const table = await getActiveRateTable(client);
+  const benchmark = await getBenchmark(equipment, client);
+  const fuel = await fuelSurcharge.getFuelContext({ orgId, date: pickupDate || new Date() }, client);
+
+  let benchmarkRpm = benchmark.benchmarkRpm;
+  let laneHistory = null;
+  if (config.pricing.laneBlend.enabled && origin && destination) {
+    const laneRate = await laneRates.getLaneRate({ origin, destination, equipmentGroup: benchmark.equipmentGroup }, client);
+    if (laneRate) {
+      const blend = laneRates.blendRpm(benchmarkRpm || table.config.defaultRpm, laneRate);
+      benchmarkRpm = blend.rpm;
+      laneHistory = { ...laneRate, weight: blend.weight, marketBenchmarkRpm: benchmark.benchmarkRpm };
+    }
+  }
+
+  const quote = calculateQuote({
+    distanceMiles,
+    loadType,
+    isBackhaulSaver,
+    benchmarkRpm,
+    equipment,
+    expeditedFee,
+    fuel,
+  }, table);
+
   return {
-    ...result,
-    isEstimate: true,
-    note: 'Final price calculated after address verification',
+    ...quote,
+    equipmentGroup: benchmark.equipmentGroup,
+    benchmarkDate: benchmark.benchmarkDate,
+    benchmarkSource: benchmark.source,
+    laneHistory,
+    source: 'rate_table',
   };
 };
 
-// Round to 2 decimal places
-const round2 = (num) => Math.round(num * 100) / 100;
+/**
+ * Fee split for an amount set outside the table (posted price, offer, broker carrier pay).
+ * Pass fuel ({ schedule, index }) and distanceMiles to add a contracted fuel surcharge.
+ */
+const rateAmount = async (amount, {
+  label = 'Linehaul', source = 'posted', expeditedFee = 0, fuel = null, distanceMiles = 0,
+} = {}, client = pool) => {
+  const table = await getActiveRateTable(client);
+  const expedited = parseFloat(expeditedFee) || 0;
+  const linehaul = parseFloat(amount) || 0;
+  const fuelCharge = fuelSurcharge.buildFuelCharge(fuel, { distanceMiles, linehaulAmount: linehaul });
+  const fuelAmount = fuelCharge?.amount || 0;
+  const total = linehaul + fuelAmount + expedited;
+
+  const lineItems = [{ code: 'linehaul', label, amount: round(linehaul) }];
+  if (fuelAmount > 0) {
+    lineItems.push(fuelCharge.lineItem);
+  }
+  if (expedited > 0) {
+    lineItems.push({ code: 'expedited', label: 'Expedited Fee', amount: round(expedited) });
+  }
+
+  return {
+    total: round(total),
+    ...splitTotal(total, table),
+    fuelSurcharge: round(fuelAmount),
+    fuel: fuelSummary(fuelCharge),
+    rateTableVersion: table.version,
+    lineItems,
+    source,
+  };
+};
 
 module.exports = {
-  calculatePrice,
-  estimatePrice,
+  EQUIPMENT_TO_GROUP,
+  DEFAULT_BENCHMARKS,
+  DEFAULT_RATE_TABLE,
+  toEquipmentGroup,
+  getBenchmark,
+  getActiveRateTable,
+  clearRateTableCache,
+  validateRateTable,
+  calculateQuote,
+  rateShipment,
+  rateAmount,
 };
@@ -0,0 +1,397 @@
+// backend_api/src/services/quotes.js
+// Saved rate quotes
+//
+// A quote stores everything the rating engine produced (line items, rate table
+// version, benchmark) so the price can be honored later even after benchmarks
+// or tables change. Open quotes expire after config.pricing.quoteValidityHours;
+// converting one into a load locks the load's price, fee and payout to it, so
+// the load has to be the shipment that was quoted: same endpoints and
+// equipment, about the same road miles (checkLoadAgainstQuote).
+
+const crypto = require('crypto');
+const { pool } = require('../db/pool');
+const config = require('../config');
+const geocoding = require('./geocoding');
+const routing = require('./routing');
+const pricing = require('./pricing');
+const equipment = require('./equipment');
+const { haversineMiles } = require('./geo');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Shared links show where a quote runs, not the exact addresses (as trackingLinks)
+const SHARED_COORDINATE_DECIMALS = 2;
+
+const isQuoteId = (value) => UUID_PATTERN.test(String(value || ''));
+
+// ============================================
+// INPUT
+// ============================================
+
+/**
+ * Resolve a quote endpoint (prefix = 'origin' | 'destination') from request
+ * params: Lat+Lng, else City/State/Zip through the geocoder.
+ * Returns { lat, lng, city, state, zip } or null.
+ */
+const resolveQuotePoint = async (params, prefix) => {
+  const city = params[`${prefix}City`] || null;
+  const state = params[`${prefix}State`] || null;
+  const zip = params[`${prefix}Zip`] || null;
+
+  const lat = parseFloat(params[`${prefix}Lat`]);
+  const lng = parseFloat(params[`${prefix}Lng`]);
+  if (Number.isFinite(lat) && Number.isFinite(lng)) return { lat, lng, city, state, zip };
+
+  if (!city && !state && !zip) return null;
+
+  const geo = await geocoding.geocodeAddress(null, city, state, zip);
+  return geo ? { lat: geo.latitude, lng: geo.longitude, city, state, zip } : null;
+};
+
+/**
+ * Rate a shipment for a quote. distanceMiles wins; otherwise origin and
+ * destination are routed for road miles. orgId picks the fuel schedule and
+ * params.pickupDate the fuel index week.
+ * Returns { ok: true, origin, destination, route, rating } or { ok: false, error }.
+ */
+const priceQuote = async (params, { orgId = null } = {}) => {
+  const origin = await resolveQuotePoint(params, 'origin');
+  const destination = await resolveQuotePoint(params, 'destination');
+
+  let miles = parseFloat(params.distanceMiles);
+  let route = null;
+  if (!miles && origin && destination) {
+    route = await routing.getRoute([origin, destination]);
+    miles = route?.distanceMiles;
+  }
+
+  if (!miles || miles <= 0) {
+    return { ok: false, error: 'Valid distanceMiles or origin and destination required' };
+  }
+
+  const rating = await pricing.rateShipment({
+    distanceMiles: miles,
+    loadType: params.loadType || 'standard',
+    isBackhaulSaver: params.isBackhaulSaver === true || params.isBackhaulSaver === 'true',
+    equipment: params.equipment,
+    expeditedFee: params.expeditedFee,
+    origin,
+    destination,
+    orgId,
+    pickupDate: params.pickupDate,
+  });
+
+  return { ok: true, origin, destination, route, rating };
+};
+
+// ============================================
+// QUOTES
+// ============================================
+
+const generateQuoteNumber = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `Q-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+/**
+ * Persist a priced quote (output of priceQuote)
+ */
+const createQuote = async ({ userId, orgId, origin, destination, route, rating }, client = pool) => {
+  const result = await client.query(`
+    INSERT INTO quotes (
+      quote_number, user_id, org_id,
+      origin_city, origin_state, origin_zip, origin_lat, origin_lng,
+      destination_city, destination_state, destination_zip, destination_lat, destination_lng,
+      distance_miles, drive_time_minutes, route_polyline, route_provider,
+      load_type, equipment, is_backhaul_saver, expedited_fee,
+      rate_table_version, equipment_group, benchmark_rpm, benchmark_date, benchmark_source,
+      total, platform_fee, driver_payout, breakdown, fuel_surcharge,
+      expires_at
+    ) VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17,
+      $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31,
+      CURRENT_TIMESTAMP + ($32 || ' hours')::interval
+    ) RETURNING *
+  `, [
+    generateQuoteNumber(), userId, orgId || null,
+    origin?.city || null, origin?.state || null, origin?.zip || null, origin?.lat ?? null, origin?.lng ?? null,
+    destination?.city || null, destination?.state || null, destination?.zip || null,
+    destination?.lat ?? null, destination?.lng ?? null,
+    rating.distanceMiles, route?.durationMinutes || null, route?.polyline || null, route?.provider || null,
+    rating.loadType, rating.equipment || null, rating.isBackhaulSaver, rating.expeditedFee,
+    rating.rateTableVersion, rating.equipmentGroup, rating.benchmarkRpmUsed, rating.benchmarkDate, rating.benchmarkSource,
+    rating.total, rating.platformFee, rating.driverPayout, JSON.stringify(rating), rating.fuelSurcharge || 0,
+    String(config.pricing.quoteValidityHours),
+  ]);
+  return result.rows[0];
+};
+
+/**
+ * Quote visible to a user: their own, or any quote from their org
+ */
+const getQuoteForUser = async (quoteId, userId, orgId, client = pool) => {
+  if (!isQuoteId(quoteId)) return null;
+  const result = await client.query(`
+    SELECT * FROM quotes
+    WHERE id = $1 AND (user_id = $2 OR (org_id IS NOT NULL AND org_id = $3))
+  `, [quoteId, userId, orgId || null]);
+  return result.rows[0] || null;
+};
+
+const getQuoteByShareToken = async (token) => {
+  const result = await pool.query('SELECT * FROM quotes WHERE share_token = $1', [token]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Quotes for a user and their org, newest first.
+ * status may be 'open', 'expired', 'converted' or 'cancelled'.
+ */
+const listQuotes = async ({ userId, orgId, status, limit = 50, offset = 0 }) => {
+  const params = [userId, orgId || null];
+  let statusClause = '';
+  if (status === 'open') {
+    statusClause = "AND status = 'open' AND expires_at > CURRENT_TIMESTAMP";
+  } else if (status === 'expired') {
+    statusClause = "AND status = 'open' AND expires_at <= CURRENT_TIMESTAMP";
+  } else if (status) {
+    params.push(status);
+    statusClause = `AND status = $${params.length}`;
+  }
+
+  params.push(limit, offset);
+  const result = await pool.query(`
+    SELECT * FROM quotes
+    WHERE (user_id = $1 OR (org_id IS NOT NULL AND org_id = $2))
+      ${statusClause}
+    ORDER BY created_at DESC
+    LIMIT $${params.length - 1} OFFSET $${params.length}
+  `, params);
+  return result.rows;
+};
+
+/**
+ * Create (or return the existing) share token for a quote
+ */
+const shareQuote = async (quoteId) => {
+  const result = await pool.query(`
+    UPDATE quotes
+    SET share_token = COALESCE(share_token, $2)
+    WHERE id = $1
+    RETURNING *
+  `, [quoteId, crypto.randomBytes(24).toString('hex')]);
+  return result.rows[0];
+};
+
+const unshareQuote = async (quoteId) => {
+  const result = await pool.query(
+    'UPDATE quotes SET share_token = NULL WHERE id = $1 RETURNING *',
+    [quoteId]
+  );
+  return result.rows[0];
+};
+
+const cancelQuote = async (quoteId) => {
+  const result = await pool.query(`
+    UPDATE quotes
+    SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'open'
+    RETURNING *
+  `, [quoteId]);
+  return result.rows[0] || null;
+};
+
+// ============================================
+// CONVERSION
+// ============================================
+
+/**
+ * Open, expired, converted or cancelled (expiry is derived from expires_at)
+ */
+const getQuoteStatus = (quote) => {
+  if (quote.status === 'open' && new Date(quote.expires_at) <= new Date()) return 'expired';
+  return quote.status;
+};
+
+/**
+ * Lock a quote for conversion inside the load-creation transaction.
+ * Returns { ok: true, quote } or { ok: false, error, status }.
+ */
+const claimQuote = async (quoteId, userId, orgId, client) => {
+  if (!isQuoteId(quoteId)) return { ok: false, error: 'Quote not found', status: 404 };
+  const result = await client.query(`
+    SELECT * FROM quotes
+    WHERE id = $1 AND (user_id = $2 OR (org_id IS NOT NULL AND org_id = $3))
+    FOR UPDATE
+  `, [quoteId, userId, orgId || null]);
+
+  const quote = result.rows[0];
+  if (!quote) return { ok: false, error: 'Quote not found', status: 404 };
+
+  const status = getQuoteStatus(quote);
+  if (status !== 'open') {
+    return { ok: false, error: `Quote is ${status}`, status: 409 };
+  }
+  return { ok: true, quote };
+};
+
+/**
+ * Whether a load is the shipment a quote priced: first pickup and last
+ * delivery within config.pricing.quoteMatch.endpointMiles of the quote's
+ * origin and destination, road miles within distancePct of the quote's, and
+ * the same equipment. stops are geocoded, normalized stops.
+ * Returns { ok: true } or { ok: false, reasons }.
+ */
+const checkLoadAgainstQuote = (quote, { firstPickup, lastDelivery, distanceMiles, equipment: loadEquipment }) => {
+  const { endpointMiles, distancePct } = config.pricing.quoteMatch;
+  const reasons = [];
+
+  const checkPoint = (stop, lat, lng, label) => {
+    if (lat === null || lng === null) return;
+    const { lat: stopLat, lng: stopLng } = geocoding.estimatePoint(stop);
+    if (stopLat === null || stopLng === null) {
+      reasons.push(`${label} could not be located to compare with the quote`);
+      return;
+    }
+    const miles = haversineMiles(stopLat, stopLng, parseFloat(lat), parseFloat(lng));
+    if (miles > endpointMiles) {
+      reasons.push(`${label} is ${Math.round(miles)} miles from the quoted ${label.toLowerCase()}`);
+    }
+  };
+  checkPoint(firstPickup, quote.origin_lat, quote.origin_lng, 'Pickup');
+  checkPoint(lastDelivery, quote.destination_lat, quote.destination_lng, 'Delivery');
+
+  const quotedMiles = parseFloat(quote.distance_miles);
+  const miles = parseFloat(distanceMiles);
+  if (quotedMiles > 0 && miles > 0 && Math.abs(miles - quotedMiles) > quotedMiles * distancePct / 100) {
+    reasons.push(`Load is ${Math.round(miles)} miles; the quote was for ${Math.round(quotedMiles)}`);
+  }
+
+  if (quote.equipment && loadEquipment &&
+      equipment.normalizeEquipment(loadEquipment) !== equipment.normalizeEquipment(quote.equipment)) {
+    reasons.push(`Load requires ${loadEquipment}; the quote was for ${quote.equipment}`);
+  }
+
+  return reasons.length ? { ok: false, reasons } : { ok: true };
+};
+
+/**
+ * Mark a claimed quote converted into loadId
+ */
+const markConverted = async (quoteId, loadId, client) => {
+  const result = await client.query(`
+    UPDATE quotes
+    SET status = 'converted', converted_load_id = $2, converted_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [quoteId, loadId]);
+  return result.rows[0];
+};
+
+/**
+ * The stored rating, in the shape pricing.rateShipment returns, tagged with the quote
+ */
+const quoteRating = (quote) => ({
+  ...quote.breakdown,
+  source: 'quote',
+  quoteId: quote.id,
+  quoteNumber: quote.quote_number,
+});
+
+// ============================================
+// FORMATTING
+// ============================================
+
+/**
+ * Shared links get the customer-facing price only (no fee split or owner)
+ */
+const formatQuoteResponse = (quote, { shared = false } = {}) => {
+  const parseNum = (value) => (value === null || value === undefined ? null : parseFloat(value));
+  const coordinate = (value) => {
+    const n = parseNum(value);
+    if (n === null || !shared) return n;
+    const factor = 10 ** SHARED_COORDINATE_DECIMALS;
+    return Math.round(n * factor) / factor;
+  };
+  const breakdown = quote.breakdown || {};
+
+  const response = {
+    id: quote.id,
+    quoteNumber: quote.quote_number,
+    status: getQuoteStatus(quote),
+    origin: {
+      city: quote.origin_city,
+      state: quote.origin_state,
+      zip: quote.origin_zip,
+      lat: coordinate(quote.origin_lat),
+      lng: coordinate(quote.origin_lng),
+    },
+    destination: {
+      city: quote.destination_city,
+      state: quote.destination_state,
+      zip: quote.destination_zip,
+      lat: coordinate(quote.destination_lat),
+      lng: coordinate(quote.destination_lng),
+    },
+    distanceMiles: parseNum(quote.distance_miles),
+    driveTimeMinutes: quote.drive_time_minutes,
+    routePolyline: quote.route_polyline,
+    routeProvider: quote.route_provider,
+    loadType: quote.load_type,
+    equipment: quote.equipment,
+    isBackhaulSaver: quote.is_backhaul_saver,
+    expeditedFee: parseNum(quote.expedited_fee),
+    fuelSurcharge: parseNum(quote.fuel_surcharge) || 0,
+    fuel: breakdown.fuel || null,
+    total: parseNum(quote.total),
+    lineItems: breakdown.lineItems || [],
+    rateTableVersion: quote.rate_table_version,
+    benchmark: {
+      equipmentGroup: quote.equipment_group,
+      benchmarkRpm: parseNum(quote.benchmark_rpm),
+      date: quote.benchmark_date,
+      source: quote.benchmark_source,
+    },
+    expiresAt: quote.expires_at,
+    createdAt: quote.created_at,
+  };
+
+  if (shared) {
+    // The route line would trace the exact addresses
+    delete response.routePolyline;
+    return response;
+  }
+
+  return {
+    ...response,
+    platformFee: parseNum(quote.platform_fee),
+    platformFeePct: breakdown.platformFeePct ?? null,
+    driverPayout: parseNum(quote.driver_payout),
+    breakdown,
+    shareToken: quote.share_token,
+    userId: quote.user_id,
+    orgId: quote.org_id,
+    convertedLoadId: quote.converted_load_id,
+    convertedAt: quote.converted_at,
+    cancelledAt: quote.cancelled_at,
+  };
+};
+
+module.exports = {
+  resolveQuotePoint,
+  priceQuote,
+  createQuote,
+  getQuoteForUser,
+  getQuoteByShareToken,
+  listQuotes,
+  shareQuote,
+  unshareQuote,
+  cancelQuote,
+  getQuoteStatus,
+  isQuoteId,
+  claimQuote,
+  checkLoadAgainstQuote,
+  markConverted,
+  quoteRating,
+  formatQuoteResponse,
+};
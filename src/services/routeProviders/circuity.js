@@ -0,0 +1,30 @@
+// backend_api/src/services/routeProviders/circuity.js
+// Offline router: great-circle distance scaled by a circuity factor
+//
+// US road distance averages ~1.2x the straight line. Drive time assumes a
+// constant truck average speed. The polyline is the straight waypoint path.
+
+const config = require('../../config');
+const { haversineMiles, encodePolyline } = require('../geo');
+
+const route = async (waypoints) => {
+  const { circuityFactor, avgSpeedMph } = config.routing;
+
+  const legs = [];
+  for (let i = 1; i < waypoints.length; i++) {
+    const miles = haversineMiles(waypoints[i - 1].lat, waypoints[i - 1].lng, waypoints[i].lat, waypoints[i].lng) * circuityFactor;
+    legs.push({ distanceMiles: miles, durationMinutes: (miles / avgSpeedMph) * 60 });
+  }
+
+  return {
+    legs,
+    polyline: encodePolyline(waypoints),
+    precision: 'estimated',
+  };
+};
+
+module.exports = {
+  name: 'circuity',
+  isConfigured: () => true,
+  route,
+};
@@ -0,0 +1,38 @@
+// backend_api/src/services/routeProviders/osrm.js
+// Road router: any OSRM-compatible HTTP service (OSRM, Valhalla's OSRM endpoint, a local stand-in)
+// http://project-osrm.org/docs/v5.24.0/api/#route-service
+
+const axios = require('axios');
+const config = require('../../config');
+const { METERS_PER_MILE } = require('../geo');
+
+const route = async (waypoints) => {
+  const coords = waypoints.map((p) => `${p.lng},${p.lat}`).join(';');
+
+  const response = await axios.get(`${config.routing.osrmUrl.replace(/\/$/, '')}/route/v1/driving/${coords}`, {
+    params: { overview: 'simplified', geometries: 'polyline', steps: false },
+    timeout: config.routing.timeoutMs,
+  });
+
+  const { code, routes, message } = response.data;
+  if (code === 'NoRoute') return null;
+  if (code !== 'Ok' || !routes?.length) {
+    throw new Error(`OSRM route failed: ${code}${message ? ` (${message})` : ''}`);
+  }
+
+  const best = routes[0];
+  return {
+    legs: best.legs.map((leg) => ({
+      distanceMiles: leg.distance / METERS_PER_MILE,
+      durationMinutes: leg.duration / 60,
+    })),
+    polyline: best.geometry,
+    precision: 'road',
+  };
+};
+
+module.exports = {
+  name: 'osrm',
+  isConfigured: () => !!config.routing.osrmUrl,
+  route,
+};
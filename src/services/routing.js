@@ -0,0 +1,109 @@
+// backend_api/src/services/routing.js
+// Road distance, drive time and route geometry
+//
+// Uses the configured provider (ROUTING_PROVIDER=osrm with OSRM_URL), falling
+// back to the circuity estimate when it is unset, down or has no route.
+// Matching scores many drivers per load, so legs are memoized in-process.
+
+const config = require('../config');
+const { haversineMiles } = require('./geo');
+const circuity = require('./routeProviders/circuity');
+const osrm = require('./routeProviders/osrm');
+
+const providers = { circuity, osrm };
+
+const CACHE_MAX_ENTRIES = 5000;
+const routeCache = new Map();
+
+/**
+ * Add a routing backend: { name, isConfigured(), route(waypoints) -> { legs, polyline, precision } }
+ */
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const getProviderChain = () => {
+  const primary = providers[config.routing.provider];
+  const chain = primary && primary.isConfigured() ? [primary] : [];
+  if (!chain.includes(circuity)) chain.push(circuity);
+  return chain;
+};
+
+const toPoint = (p) => ({ lat: parseFloat(p.lat), lng: parseFloat(p.lng) });
+
+const cacheKey = (waypoints) => waypoints.map((p) => `${p.lat.toFixed(4)},${p.lng.toFixed(4)}`).join(';');
+
+const remember = (key, value) => {
+  if (routeCache.size >= CACHE_MAX_ENTRIES) {
+    routeCache.delete(routeCache.keys().next().value);
+  }
+  routeCache.set(key, value);
+};
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Route through ordered waypoints [{ lat, lng }, ...]
+ *
+ * Returns { distanceMiles, durationMinutes, polyline, provider, precision, legs }
+ * where precision is 'road' (routed) or 'estimated' (circuity fallback).
+ * Returns null when fewer than two usable waypoints are given.
+ */
+const getRoute = async (waypoints) => {
+  const points = (waypoints || [])
+    .map(toPoint)
+    .filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lng));
+  if (points.length < 2) return null;
+
+  const key = cacheKey(points);
+  if (routeCache.has(key)) return routeCache.get(key);
+
+  for (const provider of getProviderChain()) {
+    try {
+      const routed = await provider.route(points);
+      if (!routed) continue;
+
+      const legs = routed.legs.map((leg) => ({
+        distanceMiles: round(leg.distanceMiles),
+        durationMinutes: Math.round(leg.durationMinutes),
+      }));
+
+      const result = {
+        distanceMiles: round(routed.legs.reduce((sum, leg) => sum + leg.distanceMiles, 0)),
+        durationMinutes: Math.round(routed.legs.reduce((sum, leg) => sum + leg.durationMinutes, 0)),
+        polyline: routed.polyline,
+        provider: provider.name,
+        precision: routed.precision,
+        legs,
+      };
+
+      remember(key, result);
+      return result;
+    } catch (error) {
+      console.error(`[Routing] ${provider.name} failed:`, error.message);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Road miles between two points
+ */
+const getRoadMiles = async (fromLat, fromLng, toLat, toLng) => {
+  const route = await getRoute([{ lat: fromLat, lng: fromLng }, { lat: toLat, lng: toLng }]);
+  return route ? route.distanceMiles : haversineMiles(fromLat, fromLng, toLat, toLng) * config.routing.circuityFactor;
+};
+
+/**
+ * Drive minutes for a distance at the configured truck average speed
+ */
+const estimateDriveMinutes = (distanceMiles, avgSpeedMph = config.routing.avgSpeedMph) =>
+  Math.round((distanceMiles / avgSpeedMph) * 60);
+
+module.exports = {
+  registerProvider,
+  getRoute,
+  getRoadMiles,
+  estimateDriveMinutes,
+};
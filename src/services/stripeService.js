@@ -133,6 +133,43 @@ const createPaymentIntent = async (loadId, amount, customerId, paymentMethodId =
   };
 };
 
+/**
+ * Change the amount of a payment intent the customer has not confirmed yet
+ */
+const updatePaymentAmount = async (paymentIntentId, amount) => {
+  const paymentIntent = await stripe.paymentIntents.update(paymentIntentId, {
+    amount: Math.round(amount * 100),
+  });
+  return { paymentIntentId: paymentIntent.id, status: paymentIntent.status };
+};
+
+/**
+ * Authorize a new total on the card behind an existing authorization.
+ * A hold cannot grow, so this is a fresh manual-capture intent on the same
+ * customer and payment method; the caller cancels the old one once the new
+ * intent is stored.
+ */
+const reauthorizePayment = async (paymentIntentId, amount) => {
+  const original = await stripe.paymentIntents.retrieve(paymentIntentId);
+  if (!original.payment_method) {
+    throw new Error('Original payment has no payment method to re-authorize');
+  }
+
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: Math.round(amount * 100),
+    currency: original.currency,
+    customer: original.customer,
+    payment_method: original.payment_method,
+    capture_method: 'manual',
+    confirm: true,
+    off_session: true,
+    metadata: original.metadata,
+    description: original.description,
+  });
+
+  return { paymentIntentId: paymentIntent.id, status: paymentIntent.status };
+};
+
 /**
  * Capture a payment (after delivery confirmed)
  */
@@ -269,8 +306,9 @@ const getConnectAccountStatus = async (accountId) => {
 /**
  * Transfer funds to driver's Connect account
  * Called after load is delivered and payment captured
+ * Pass idempotencyKey so a retried call returns the first transfer
  */
-const transferToDriver = async (driverAccountId, amount, loadId) => {
+const transferToDriver = async (driverAccountId, amount, loadId, { idempotencyKey } = {}) => {
   const amountInCents = Math.round(amount * 100);
   
   const transfer = await stripe.transfers.create({
@@ -279,7 +317,7 @@ const transferToDriver = async (driverAccountId, amount, loadId) => {
     destination: driverAccountId,
     metadata: { loadId },
     description: `Payout for Load #${loadId.slice(-8)}`,
-  });
+  }, idempotencyKey ? { idempotencyKey } : undefined);
   
   return {
     transferId: transfer.id,
@@ -371,6 +409,8 @@ module.exports = {
   setDefaultPaymentMethod,
   // Payment Intents
   createPaymentIntent,
+  updatePaymentAmount,
+  reauthorizePayment,
   capturePayment,
   cancelPayment,
   refundPayment,
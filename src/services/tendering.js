@@ -0,0 +1,465 @@
+// backend_api/src/services/tendering.js
+// Tender waterfall for broker preferred_first loads
+//
+// Brokers rank their network carriers into tiers (broker_carriers.tender_tier,
+// 1 = preferred). A load is tendered step by step: each step opens the load to
+// one more tier for a timed exclusive window. Tiers accumulate, so tier 1 keeps
+// access while tier 2 has its window. After the last step the load goes to the
+// public board.
+
+const { pool, withTransaction } = require('../db/pool');
+const notificationService = require('./notificationService');
+
+const MAX_TIER = 5;
+const MIN_WINDOW_MINUTES = 5;
+const MAX_WINDOW_MINUTES = 24 * 60;
+const DEFAULT_WINDOW_MINUTES = 30;
+
+// Carriers without an explicit tier: preferred -> 1, everyone else -> 2
+const effectiveTierSql = (alias = 'bc') =>
+  `COALESCE(${alias}.tender_tier, CASE WHEN ${alias}.is_preferred THEN 1 ELSE 2 END)`;
+
+const ACTIVE_NETWORK_SQL = `
+  bc.status = 'active'
+  AND bc.blocked_at IS NULL
+  AND bc.carrier_org_id IS NOT NULL
+`;
+
+// ============================================
+// INPUT
+// ============================================
+
+/**
+ * Validate body.tenderTiers: [{ tier, windowMinutes }] in ascending tier order.
+ * Returns { tiers, errors }; tiers is null when none were given.
+ */
+const normalizeTenderTiers = (tenderTiers, defaultWindowMinutes) => {
+  if (tenderTiers === undefined || tenderTiers === null) {
+    return { tiers: null, errors: [] };
+  }
+  if (!Array.isArray(tenderTiers) || tenderTiers.length === 0) {
+    return { tiers: null, errors: ['tenderTiers must be a non-empty array'] };
+  }
+
+  const errors = [];
+  const tiers = tenderTiers.map((t, i) => {
+    const tier = parseInt(t.tier, 10);
+    const windowMinutes = parseInt(t.windowMinutes ?? defaultWindowMinutes ?? DEFAULT_WINDOW_MINUTES, 10);
+
+    if (!Number.isInteger(tier) || tier < 1 || tier > MAX_TIER) {
+      errors.push(`Tier ${i + 1}: tier must be between 1 and ${MAX_TIER}`);
+    }
+    if (!Number.isInteger(windowMinutes) || windowMinutes < MIN_WINDOW_MINUTES || windowMinutes > MAX_WINDOW_MINUTES) {
+      errors.push(`Tier ${i + 1}: windowMinutes must be between ${MIN_WINDOW_MINUTES} and ${MAX_WINDOW_MINUTES}`);
+    }
+    if (i > 0 && tier <= parseInt(tenderTiers[i - 1].tier, 10)) {
+      errors.push(`Tier ${i + 1}: tiers must be in ascending order`);
+    }
+
+    return { tier, windowMinutes };
+  });
+
+  return { tiers, errors };
+};
+
+// ============================================
+// NETWORK
+// ============================================
+
+/**
+ * Active carriers per tier in a broker's network: [{ tier, carrierCount }]
+ */
+const getNetworkTiers = async (brokerOrgId, client = pool) => {
+  const result = await client.query(`
+    SELECT ${effectiveTierSql()} as tier, COUNT(*) as carrier_count
+    FROM broker_carriers bc
+    WHERE bc.broker_org_id = $1 AND ${ACTIVE_NETWORK_SQL}
+    GROUP BY 1
+    ORDER BY 1
+  `, [brokerOrgId]);
+
+  return result.rows.map((r) => ({ tier: parseInt(r.tier, 10), carrierCount: parseInt(r.carrier_count, 10) }));
+};
+
+/**
+ * Carrier orgs whose tier falls in (fromTier, toTier]
+ */
+const getTierCarriers = async (brokerOrgId, fromTier, toTier, client = pool) => {
+  const result = await client.query(`
+    SELECT bc.carrier_org_id, ${effectiveTierSql()} as tier
+    FROM broker_carriers bc
+    WHERE bc.broker_org_id = $1 AND ${ACTIVE_NETWORK_SQL}
+      AND ${effectiveTierSql()} > $2
+      AND ${effectiveTierSql()} <= $3
+  `, [brokerOrgId, fromTier, toTier]);
+
+  return result.rows;
+};
+
+/**
+ * Waterfall steps for a new load. Uses the requested tiers, or every tier
+ * present in the network. Steps that would add no new carriers are dropped.
+ */
+const planWaterfall = async (brokerOrgId, requestedTiers, defaultWindowMinutes, client = pool) => {
+  const network = await getNetworkTiers(brokerOrgId, client);
+  const tiers = requestedTiers || network.map((n) => ({
+    tier: n.tier,
+    windowMinutes: parseInt(defaultWindowMinutes, 10) || DEFAULT_WINDOW_MINUTES,
+  }));
+
+  const steps = [];
+  let previousTier = 0;
+
+  for (const t of tiers) {
+    const carrierCount = network
+      .filter((n) => n.tier > previousTier && n.tier <= t.tier)
+      .reduce((sum, n) => sum + n.carrierCount, 0);
+
+    if (carrierCount > 0) {
+      steps.push({ step: steps.length + 1, tier: t.tier, windowMinutes: t.windowMinutes, carrierCount });
+      previousTier = t.tier;
+    }
+  }
+
+  return steps;
+};
+
+// ============================================
+// WATERFALL LIFECYCLE
+// ============================================
+
+const getActiveTender = async (loadId, client = pool) => {
+  const result = await client.query(
+    `SELECT * FROM load_tenders WHERE load_id = $1 AND status = 'active' LIMIT 1`,
+    [loadId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Activate the next pending step and move the public release time to the
+ * end of the remaining windows. With no steps left the load is released now.
+ * Returns { load, tender } (tender null when the waterfall is finished).
+ */
+const openNextTender = async (loadId, client) => {
+  const nextResult = await client.query(`
+    SELECT * FROM load_tenders
+    WHERE load_id = $1 AND status = 'pending'
+    ORDER BY step ASC
+    LIMIT 1
+  `, [loadId]);
+  const next = nextResult.rows[0];
+
+  if (!next) {
+    const loadResult = await client.query(`
+      UPDATE loads
+      SET current_tender_tier = NULL,
+          release_to_public_at = LEAST(COALESCE(release_to_public_at, CURRENT_TIMESTAMP), CURRENT_TIMESTAMP),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [loadId]);
+    return { load: loadResult.rows[0], tender: null };
+  }
+
+  const remaining = await client.query(
+    `SELECT COALESCE(SUM(window_minutes), 0) as minutes FROM load_tenders WHERE load_id = $1 AND status = 'pending'`,
+    [loadId]
+  );
+
+  const tenderResult = await client.query(`
+    UPDATE load_tenders
+    SET status = 'active',
+        opened_at = CURRENT_TIMESTAMP,
+        expires_at = CURRENT_TIMESTAMP + INTERVAL '1 minute' * window_minutes
+    WHERE id = $1
+    RETURNING *
+  `, [next.id]);
+
+  const loadResult = await client.query(`
+    UPDATE loads
+    SET current_tender_tier = $2,
+        release_to_public_at = CURRENT_TIMESTAMP + INTERVAL '1 minute' * $3,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [loadId, next.tier, parseInt(remaining.rows[0].minutes, 10)]);
+
+  return { load: loadResult.rows[0], tender: tenderResult.rows[0] };
+};
+
+/**
+ * Insert the planned steps for a new load and open the first one.
+ * Call inside the load's creation transaction.
+ */
+const createWaterfall = async (loadId, steps, client) => {
+  for (const s of steps) {
+    await client.query(`
+      INSERT INTO load_tenders (load_id, step, tier, window_minutes, carrier_count)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [loadId, s.step, s.tier, s.windowMinutes, s.carrierCount]);
+  }
+
+  return openNextTender(loadId, client);
+};
+
+/**
+ * End every open step (load booked, released early or cancelled)
+ */
+const closeWaterfall = async (loadId, reason, client = pool) => {
+  const result = await client.query(`
+    UPDATE load_tenders
+    SET status = 'closed', closed_at = CURRENT_TIMESTAMP, close_reason = $2
+    WHERE load_id = $1 AND status IN ('pending', 'active')
+    RETURNING id
+  `, [loadId, reason]);
+
+  await client.query(
+    `UPDATE loads SET current_tender_tier = NULL WHERE id = $1 AND current_tender_tier IS NOT NULL`,
+    [loadId]
+  );
+
+  return result.rows.length;
+};
+
+/**
+ * Close the active step and open the next.
+ *
+ * reason 'expired' (window ran out) or 'all_declined' (every eligible carrier passed).
+ * expectedTenderId guards against stale jobs for a step that already ended.
+ *
+ * Returns null when nothing changed, otherwise
+ * { load, closedTender, tender, previousTier } or { closed: true } when the
+ * load is no longer tenderable.
+ */
+const advanceTender = async (loadId, { reason = 'expired', expectedTenderId = null } = {}) => {
+  return withTransaction(async (client) => {
+    const loadResult = await client.query('SELECT * FROM loads WHERE id = $1 FOR UPDATE', [loadId]);
+    const load = loadResult.rows[0];
+    if (!load) return null;
+
+    if (load.status !== 'posted' || load.released_early_at) {
+      const closed = await closeWaterfall(loadId, load.status !== 'posted' ? 'booked' : 'released', client);
+      return closed > 0 ? { closed: true, load } : null;
+    }
+
+    const active = await getActiveTender(loadId, client);
+    if (!active) return null;
+    if (expectedTenderId && active.id !== parseInt(expectedTenderId, 10)) return null;
+    if (reason === 'expired' && new Date(active.expires_at) > new Date()) return null;
+
+    const closedResult = await client.query(`
+      UPDATE load_tenders
+      SET status = $2, closed_at = CURRENT_TIMESTAMP, close_reason = $3
+      WHERE id = $1
+      RETURNING *
+    `, [active.id, reason === 'all_declined' ? 'declined' : 'expired', reason]);
+
+    const opened = await openNextTender(loadId, client);
+
+    return {
+      load: opened.load,
+      tender: opened.tender,
+      closedTender: closedResult.rows[0],
+      previousTier: active.tier,
+    };
+  });
+};
+
+// ============================================
+// EVENTS
+// ============================================
+
+/**
+ * Log notified/viewed/declined for a carrier org (first occurrence per step)
+ */
+const recordTenderEvent = async ({ loadId, tenderId, carrierOrgId, userId = null, event, reason = null }, client = pool) => {
+  const result = await client.query(`
+    INSERT INTO load_tender_events (load_id, tender_id, carrier_org_id, user_id, event, reason)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (tender_id, carrier_org_id, event) DO NOTHING
+    RETURNING *
+  `, [loadId, tenderId, carrierOrgId, userId, event, reason]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Log views of loads a carrier is seeing through an active tender
+ */
+const recordViews = async (loadIds, carrierOrgId, userId) => {
+  if (!loadIds.length || !carrierOrgId) return;
+
+  await pool.query(`
+    INSERT INTO load_tender_events (load_id, tender_id, carrier_org_id, user_id, event)
+    SELECT t.load_id, t.id, $2, $3, 'viewed'
+    FROM load_tenders t
+    WHERE t.load_id = ANY($1) AND t.status = 'active'
+    ON CONFLICT (tender_id, carrier_org_id, event) DO NOTHING
+  `, [loadIds, carrierOrgId, userId]);
+};
+
+/**
+ * Carrier passes on the active tender.
+ * Returns { ok, tender, allDeclined } or { ok: false, error, status }.
+ */
+const declineTender = async (loadId, carrierOrgId, userId, reason = null) => {
+  const loadResult = await pool.query(
+    'SELECT id, status, posted_by_org_id, current_tender_tier FROM loads WHERE id = $1',
+    [loadId]
+  );
+  const load = loadResult.rows[0];
+  if (!load) return { ok: false, status: 404, error: 'Load not found' };
+
+  const tender = await getActiveTender(loadId);
+  if (load.status !== 'posted' || !tender) {
+    return { ok: false, status: 400, error: 'Load is not currently being tendered' };
+  }
+
+  const eligible = await pool.query(`
+    SELECT 1 FROM broker_carriers bc
+    WHERE bc.broker_org_id = $1 AND bc.carrier_org_id = $2 AND ${ACTIVE_NETWORK_SQL}
+      AND ${effectiveTierSql()} <= $3
+  `, [load.posted_by_org_id, carrierOrgId, tender.tier]);
+
+  if (eligible.rows.length === 0) {
+    return { ok: false, status: 403, error: 'This load has not been tendered to your organization' };
+  }
+
+  await recordTenderEvent({ loadId, tenderId: tender.id, carrierOrgId, userId, event: 'declined', reason });
+
+  // Everyone who can currently see the load has passed (at this or an earlier step)
+  const outstanding = await pool.query(`
+    SELECT COUNT(*) as count
+    FROM broker_carriers bc
+    WHERE bc.broker_org_id = $1 AND ${ACTIVE_NETWORK_SQL}
+      AND ${effectiveTierSql()} <= $2
+      AND NOT EXISTS (
+        SELECT 1 FROM load_tender_events e
+        WHERE e.load_id = $3 AND e.carrier_org_id = bc.carrier_org_id AND e.event = 'declined'
+      )
+  `, [load.posted_by_org_id, tender.tier, loadId]);
+
+  return { ok: true, tender, allDeclined: parseInt(outstanding.rows[0].count, 10) === 0 };
+};
+
+// ============================================
+// NOTIFICATIONS
+// ============================================
+
+/**
+ * Notify carriers newly included by `tender` (tiers above previousTier)
+ * and log them as notified. Returns the number of carrier orgs reached.
+ */
+const notifyTender = async (load, tender, previousTier = 0) => {
+  const carriers = await getTierCarriers(load.posted_by_org_id, previousTier, tender.tier);
+
+  for (const carrier of carriers) {
+    const users = await pool.query(`
+      SELECT user_id FROM memberships
+      WHERE org_id = $1 AND is_active = true AND role IN ('carrier_admin', 'dispatcher')
+    `, [carrier.carrier_org_id]);
+
+    for (const user of users.rows) {
+      await notificationService.sendNotification(user.user_id, 'LOAD_TENDERED', {
+        loadId: load.id,
+        pickupCity: load.pickup_city,
+        deliveryCity: load.delivery_city,
+        pay: load.carrier_pay || load.price,
+        windowMinutes: tender.window_minutes,
+      });
+    }
+
+    await recordTenderEvent({
+      loadId: load.id,
+      tenderId: tender.id,
+      carrierOrgId: carrier.carrier_org_id,
+      event: 'notified',
+    });
+  }
+
+  return carriers.length;
+};
+
+// ============================================
+// READ
+// ============================================
+
+const formatTenderResponse = (row) => ({
+  id: row.id,
+  step: row.step,
+  tier: row.tier,
+  windowMinutes: row.window_minutes,
+  status: row.status,
+  carrierCount: row.carrier_count || 0,
+  openedAt: row.opened_at,
+  expiresAt: row.expires_at,
+  closedAt: row.closed_at,
+  closeReason: row.close_reason,
+  notifiedCount: parseInt(row.notified_count, 10) || 0,
+  viewedCount: parseInt(row.viewed_count, 10) || 0,
+  declinedCount: parseInt(row.declined_count, 10) || 0,
+});
+
+const formatTenderEvent = (row) => ({
+  id: row.id,
+  tenderId: row.tender_id,
+  step: row.step,
+  carrierOrgId: row.carrier_org_id,
+  carrierName: row.carrier_name,
+  userId: row.user_id,
+  event: row.event,
+  reason: row.reason,
+  createdAt: row.created_at,
+});
+
+/**
+ * Steps with per-step counts, plus the full event log
+ */
+const getWaterfall = async (loadId) => {
+  const tenders = await pool.query(`
+    SELECT t.*,
+      COUNT(e.id) FILTER (WHERE e.event = 'notified') as notified_count,
+      COUNT(e.id) FILTER (WHERE e.event = 'viewed') as viewed_count,
+      COUNT(e.id) FILTER (WHERE e.event = 'declined') as declined_count
+    FROM load_tenders t
+    LEFT JOIN load_tender_events e ON e.tender_id = t.id
+    WHERE t.load_id = $1
+    GROUP BY t.id
+    ORDER BY t.step ASC
+  `, [loadId]);
+
+  const events = await pool.query(`
+    SELECT e.*, t.step, o.name as carrier_name
+    FROM load_tender_events e
+    JOIN load_tenders t ON e.tender_id = t.id
+    LEFT JOIN orgs o ON e.carrier_org_id = o.id
+    WHERE e.load_id = $1
+    ORDER BY e.created_at ASC
+  `, [loadId]);
+
+  return {
+    tenders: tenders.rows.map(formatTenderResponse),
+    events: events.rows.map(formatTenderEvent),
+  };
+};
+
+module.exports = {
+  MAX_TIER,
+  MIN_WINDOW_MINUTES,
+  MAX_WINDOW_MINUTES,
+  effectiveTierSql,
+  normalizeTenderTiers,
+  getNetworkTiers,
+  planWaterfall,
+  createWaterfall,
+  closeWaterfall,
+  advanceTender,
+  getActiveTender,
+  recordTenderEvent,
+  recordViews,
+  declineTender,
+  notifyTender,
+  getWaterfall,
+  formatTenderResponse,
+};
@@ -0,0 +1,278 @@
+// backend_api/src/services/timezones.js
+// IANA timezones for stops and stop-local appointment times
+//
+// A stop's zone comes from its coordinates (tz-lookup, offline boundary
+// data), else its ZIP (3-digit prefix table below), else its state, else
+// config.timezones.defaultZone. Appointment windows are entered as a DATE
+// plus TIME on the stop's wall clock; zonedTime turns them into instants
+// (DST included) so a Central pickup and an Eastern delivery compare
+// correctly no matter where the server runs. People-facing times
+// (notifications, invoices, review flags) are rendered in the stop's zone.
+
+const tzlookup = require('tz-lookup');
+const config = require('../config');
+
+const ET = 'America/New_York';
+const CT = 'America/Chicago';
+const MT = 'America/Denver';
+const PT = 'America/Los_Angeles';
+
+// [first ZIP3, last ZIP3, zone]; split states follow the prefix's main area
+const ZIP3_ZONES = [
+  [5, 5, ET],
+  [6, 9, 'America/Puerto_Rico'],
+  [10, 69, ET],                   // New England
+  [70, 89, ET],                   // NJ
+  [100, 149, ET],                 // NY
+  [150, 199, ET],                 // PA, DE
+  [200, 268, ET],                 // DC, MD, VA, WV
+  [270, 323, ET],                 // NC, SC, GA, north Florida
+  [324, 325, CT],                 // Florida panhandle
+  [326, 349, ET],                 // FL
+  [350, 372, CT],                 // AL, TN (Nashville)
+  [373, 374, ET],                 // TN (Chattanooga)
+  [375, 375, CT],                 // TN (Memphis)
+  [376, 379, ET],                 // TN (Johnson City, Knoxville)
+  [380, 397, CT],                 // TN (west), MS
+  [398, 418, ET],                 // GA, KY (east)
+  [420, 427, CT],                 // KY (west)
+  [430, 462, ET],                 // OH, IN
+  [463, 464, CT],                 // IN (Gary)
+  [465, 475, ET],                 // IN
+  [476, 477, CT],                 // IN (Evansville)
+  [478, 479, ET],                 // IN
+  [480, 499, 'America/Detroit'],  // MI
+  [500, 576, CT],                 // IA, WI, MN, SD (east)
+  [577, 577, MT],                 // SD (Rapid City)
+  [580, 585, CT],                 // ND
+  [586, 586, MT],                 // ND (Dickinson)
+  [587, 588, CT],                 // ND
+  [590, 599, MT],                 // MT
+  [600, 692, CT],                 // IL, MO, KS, NE
+  [693, 693, MT],                 // NE (panhandle)
+  [700, 797, CT],                 // LA, AR, OK, TX
+  [798, 799, MT],                 // TX (El Paso)
+  [800, 831, MT],                 // CO, WY
+  [832, 834, 'America/Boise'],    // ID (south)
+  [835, 835, PT],                 // ID (Lewiston)
+  [836, 837, 'America/Boise'],    // ID (Boise)
+  [838, 838, PT],                 // ID (north)
+  [840, 847, MT],                 // UT
+  [850, 865, 'America/Phoenix'],  // AZ
+  [870, 885, MT],                 // NM, TX (El Paso)
+  [889, 961, PT],                 // NV, CA
+  [967, 968, 'Pacific/Honolulu'],
+  [969, 969, 'Pacific/Guam'],
+  [970, 994, PT],                 // OR, WA
+  [995, 999, 'America/Anchorage'],
+];
+
+// Zone covering most of each state
+const STATE_ZONES = {
+  AL: CT, AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: CT, CA: PT,
+  CO: MT, CT: ET, DE: ET, DC: ET, FL: ET, GA: ET, HI: 'Pacific/Honolulu',
+  ID: 'America/Boise', IL: CT, IN: 'America/Indiana/Indianapolis', IA: CT,
+  KS: CT, KY: ET, LA: CT, ME: ET, MD: ET, MA: ET, MI: 'America/Detroit',
+  MN: CT, MS: CT, MO: CT, MT: MT, NE: CT, NV: PT, NH: ET, NJ: ET, NM: MT,
+  NY: ET, NC: ET, ND: CT, OH: ET, OK: CT, OR: PT, PA: ET, RI: ET, SC: ET,
+  SD: CT, TN: CT, TX: CT, UT: MT, VT: ET, VA: ET, WA: PT, WV: ET, WI: CT,
+  WY: MT, PR: 'America/Puerto_Rico',
+};
+
+// ============================================
+// LOOKUP
+// ============================================
+
+const isValidZone = (zone) => {
+  if (!zone || typeof zone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const zoneForCoordinates = (lat, lng) => {
+  const latNum = parseFloat(lat);
+  const lngNum = parseFloat(lng);
+  if (!Number.isFinite(latNum) || !Number.isFinite(lngNum)) return null;
+  if (Math.abs(latNum) > 90 || Math.abs(lngNum) > 180) return null;
+  try {
+    return tzlookup(latNum, lngNum);
+  } catch (error) {
+    return null;
+  }
+};
+
+const zoneForZip = (zip) => {
+  const match = /^(\d{3})\d{2}/.exec(String(zip || '').trim());
+  if (!match) return null;
+  const prefix = parseInt(match[1], 10);
+  const range = ZIP3_ZONES.find(([first, last]) => prefix >= first && prefix <= last);
+  return range ? range[2] : null;
+};
+
+/**
+ * IANA zone for a place: { timezone, source } where source is
+ * provided / coordinates / zip / state / default
+ */
+const resolveTimezone = ({ timezone, lat, lng, zip, state } = {}) => {
+  if (isValidZone(timezone)) return { timezone, source: 'provided' };
+
+  const byCoordinates = zoneForCoordinates(lat, lng);
+  if (byCoordinates) return { timezone: byCoordinates, source: 'coordinates' };
+
+  const byZip = zoneForZip(zip);
+  if (byZip) return { timezone: byZip, source: 'zip' };
+
+  const byState = STATE_ZONES[String(state || '').trim().toUpperCase()];
+  if (byState) return { timezone: byState, source: 'state' };
+
+  return { timezone: config.timezones.defaultZone, source: 'default' };
+};
+
+// ============================================
+// ZONED TIME
+// ============================================
+
+const partsFormatters = new Map();
+
+/**
+ * Wall-clock fields of an instant in a zone:
+ * { year, month, day, hour, minute, second, weekday }
+ */
+const localParts = (date, zone) => {
+  if (!partsFormatters.has(zone)) {
+    partsFormatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+      weekday: 'short',
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of partsFormatters.get(zone).formatToParts(new Date(date))) {
+    if (type === 'literal') continue;
+    parts[type] = type === 'weekday' ? value : parseInt(value, 10);
+  }
+  return parts;
+};
+
+/**
+ * Minutes the zone is ahead of UTC at an instant (e.g. -300 for CDT)
+ */
+const offsetMinutes = (date, zone) => {
+  const instant = new Date(date);
+  const p = localParts(instant, zone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - (instant.getTime() - instant.getMilliseconds())) / 60000);
+};
+
+/**
+ * YYYY-MM-DD for a DATE column value (pg returns DATEs as local midnight) or string
+ */
+const dateKey = (date) => (date instanceof Date
+  ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+  : String(date).slice(0, 10));
+
+/**
+ * Instant of a local date + TIME on a zone's wall clock, or null.
+ * Times skipped by spring-forward land just after the gap; repeated
+ * fall-back times resolve to the first occurrence.
+ */
+const zonedTime = (date, time, zone) => {
+  if (!date || !time) return null;
+  const [y, m, d] = dateKey(date).split('-').map(Number);
+  const [hh, mm, ss = 0] = String(time).slice(0, 8).split(':').map(Number);
+  if ([y, m, d, hh, mm, ss].some((n) => !Number.isFinite(n))) return null;
+
+  const wall = Date.UTC(y, m - 1, d, hh, mm, ss);
+  const guess = wall - offsetMinutes(wall, zone) * 60000;
+  const instant = wall - offsetMinutes(guess, zone) * 60000;
+  const check = localParts(instant, zone);
+  return new Date(check.hour === hh && check.minute === mm ? instant : guess);
+};
+
+// ============================================
+// STOPS
+// ============================================
+
+/**
+ * Zone for a stop row (stored, else resolved from its location)
+ */
+const stopTimezone = (stop) => (isValidZone(stop.timezone)
+  ? stop.timezone
+  : resolveTimezone({ lat: stop.lat, lng: stop.lng, zip: stop.zip, state: stop.state }).timezone);
+
+/**
+ * Appointment window of a stop row as instants: { timezone, start, end }
+ * (start/end null without an appointment)
+ */
+const stopWindow = (stop) => {
+  const timezone = stopTimezone(stop);
+  return {
+    timezone,
+    start: stop.window_start_at
+      ? new Date(stop.window_start_at)
+      : zonedTime(stop.scheduled_date, stop.window_start, timezone),
+    end: stop.window_end_at
+      ? new Date(stop.window_end_at)
+      : zonedTime(stop.scheduled_date, stop.window_end, timezone),
+  };
+};
+
+/**
+ * Resolve zone and window instants on normalized (camelCase) stops before
+ * they are stored. Mutates and returns the stops.
+ */
+const applyToStops = (stops) => {
+  for (const stop of stops) {
+    const { timezone, source } = resolveTimezone(stop);
+    stop.timezone = timezone;
+    stop.timezoneSource = source;
+    stop.windowStartAt = zonedTime(stop.scheduledDate, stop.windowStart, timezone);
+    stop.windowEndAt = zonedTime(stop.scheduledDate, stop.windowEnd, timezone);
+  }
+  return stops;
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+/**
+ * Stop-local time for people, e.g. "Oct 19, 3:45 PM CDT"
+ */
+const formatLocal = (date, zone, options = { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) => (date
+  ? new Date(date).toLocaleString('en-US', { ...options, timeZone: zone, timeZoneName: 'short' })
+  : null);
+
+/**
+ * ISO 8601 with the zone's offset, e.g. "2026-10-19T09:00:00-05:00"
+ */
+const toLocalIso = (date, zone) => {
+  if (!date) return null;
+  const p = localParts(date, zone);
+  const offset = offsetMinutes(date, zone);
+  const pad = (n) => String(n).padStart(2, '0');
+  const sign = offset < 0 ? '-' : '+';
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+};
+
+module.exports = {
+  isValidZone,
+  zoneForCoordinates,
+  zoneForZip,
+  resolveTimezone,
+  localParts,
+  offsetMinutes,
+  zonedTime,
+  stopTimezone,
+  stopWindow,
+  applyToStops,
+  formatLocal,
+  toLocalIso,
+};
@@ -0,0 +1,280 @@
+// backend_api/src/services/trackingLinks.js
+// Public, read-only tracking links for a load
+//
+// A link token is "<tokenId>.<signature>": tokenId is random and stored,
+// the signature is an HMAC (config.trackingLinks.secret) over the tokenId,
+// load and expiry, so a guessed or edited token fails before any data is
+// read and the owner can re-display a link without storing the token.
+// Links expire, can be revoked, and carry their own privacy settings
+// (location rounding, driver name/phone).
+
+const crypto = require('crypto');
+const { pool } = require('../db/pool');
+const config = require('../config');
+const loadStops = require('./loadStops');
+const { ACTIVE_LOAD_STATUSES } = require('./geofence');
+const eta = require('./eta');
+
+const LOCATION_PRECISIONS = ['hidden', 'coarse', 'approximate'];
+
+// Decimal places kept per precision (0.1 deg ~ 11 km, 0.01 deg ~ 1 km)
+const PRECISION_DECIMALS = { coarse: 1, approximate: 2 };
+
+// ============================================
+// TOKENS
+// ============================================
+
+const sign = (tokenId, loadId, expiresAt) => crypto
+  .createHmac('sha256', config.trackingLinks.secret)
+  .update(`${tokenId}.${loadId}.${new Date(expiresAt).getTime()}`)
+  .digest('base64url')
+  .slice(0, 32);
+
+const buildToken = (link) => `${link.token_id}.${sign(link.token_id, link.load_id, link.expires_at)}`;
+
+const buildUrl = (token) => `${config.trackingLinks.baseUrl}/track/${token}`;
+
+/**
+ * Link for a token if the signature checks out (expiry/revocation not checked)
+ */
+const findByToken = async (token) => {
+  const [tokenId, signature] = String(token || '').split('.');
+  if (!tokenId || !signature) return null;
+
+  const result = await pool.query('SELECT * FROM tracking_links WHERE token_id = $1', [tokenId]);
+  const link = result.rows[0];
+  if (!link) return null;
+
+  const expected = Buffer.from(sign(link.token_id, link.load_id, link.expires_at));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  return link;
+};
+
+/**
+ * 'active', 'expired' or 'revoked'
+ */
+const getLinkStatus = (link) => {
+  if (link.revoked_at) return 'revoked';
+  if (new Date(link.expires_at) <= new Date()) return 'expired';
+  return 'active';
+};
+
+// ============================================
+// LINKS
+// ============================================
+
+/**
+ * Validate create options. Returns { ok: true, options } or { ok: false, error }.
+ */
+const validateLinkOptions = (body = {}) => {
+  const { defaultValidityHours, maxValidityHours } = config.trackingLinks;
+
+  const hours = body.expiresInHours === undefined ? defaultValidityHours : parseFloat(body.expiresInHours);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > maxValidityHours) {
+    return { ok: false, error: `expiresInHours must be between 0 and ${maxValidityHours}` };
+  }
+
+  const locationPrecision = body.locationPrecision || 'coarse';
+  if (!LOCATION_PRECISIONS.includes(locationPrecision)) {
+    return { ok: false, error: `locationPrecision must be one of: ${LOCATION_PRECISIONS.join(', ')}` };
+  }
+
+  if (body.label && String(body.label).length > 100) {
+    return { ok: false, error: 'label must be 100 characters or fewer' };
+  }
+
+  return {
+    ok: true,
+    options: {
+      label: body.label ? String(body.label).trim() : null,
+      expiresAt: new Date(Date.now() + hours * 3600000),
+      locationPrecision,
+      showDriverName: body.showDriverName !== false,
+      showDriverPhone: body.showDriverPhone === true,
+    },
+  };
+};
+
+const createLink = async (loadId, userId, options) => {
+  const result = await pool.query(`
+    INSERT INTO tracking_links (
+      load_id, token_id, label, location_precision, show_driver_name, show_driver_phone, expires_at, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [
+    loadId, crypto.randomBytes(12).toString('base64url'), options.label, options.locationPrecision,
+    options.showDriverName, options.showDriverPhone, options.expiresAt, userId,
+  ]);
+  return result.rows[0];
+};
+
+const listLinks = async (loadId) => {
+  const result = await pool.query(
+    'SELECT * FROM tracking_links WHERE load_id = $1 ORDER BY created_at DESC',
+    [loadId]
+  );
+  return result.rows;
+};
+
+/**
+ * Revoke a link on a load. Returns the link, or null when not found.
+ */
+const revokeLink = async (loadId, linkId, userId) => {
+  const result = await pool.query(`
+    UPDATE tracking_links
+    SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP), revoked_by = COALESCE(revoked_by, $3)
+    WHERE id = $1 AND load_id = $2
+    RETURNING *
+  `, [linkId, loadId, userId]);
+  return result.rows[0] || null;
+};
+
+// ============================================
+// PUBLIC VIEW
+// ============================================
+
+const roundCoordinate = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Read-only view of a load through a link token.
+ * Returns { ok: true, view } or { ok: false, error, status }.
+ */
+const getPublicView = async (token) => {
+  const link = await findByToken(token);
+  if (!link) return { ok: false, error: 'Tracking link not found', status: 404 };
+
+  const linkStatus = getLinkStatus(link);
+  if (linkStatus !== 'active') {
+    return { ok: false, error: `Tracking link has ${linkStatus === 'revoked' ? 'been revoked' : 'expired'}`, status: 410 };
+  }
+
+  const loadResult = await pool.query(`
+    SELECT l.*, d.first_name AS driver_first_name, d.last_name AS driver_last_name, d.phone AS driver_phone
+    FROM loads l
+    LEFT JOIN users d ON l.driver_id = d.id
+    WHERE l.id = $1
+  `, [link.load_id]);
+  const load = loadResult.rows[0];
+  if (!load) return { ok: false, error: 'Tracking link not found', status: 404 };
+
+  await pool.query(
+    'UPDATE tracking_links SET view_count = view_count + 1, last_viewed_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [link.id]
+  );
+
+  // Location only while the driver is working the load
+  let location = null;
+  if (link.location_precision !== 'hidden' && load.driver_id && ACTIVE_LOAD_STATUSES.includes(load.status)) {
+    const position = await eta.getDriverPosition(load.driver_id);
+    if (position) {
+      const decimals = PRECISION_DECIMALS[link.location_precision];
+      location = {
+        lat: roundCoordinate(position.lat, decimals),
+        lng: roundCoordinate(position.lng, decimals),
+        precision: link.location_precision,
+        updatedAt: position.at,
+      };
+    }
+  }
+
+  let driver = null;
+  if (load.driver_id && (link.show_driver_name || link.show_driver_phone)) {
+    driver = {
+      name: link.show_driver_name && load.driver_first_name
+        ? `${load.driver_first_name} ${(load.driver_last_name || '').slice(0, 1)}.`.replace(/ \.$/, '')
+        : null,
+      phone: link.show_driver_phone ? load.driver_phone : null,
+    };
+  }
+
+  const stops = await loadStops.getStopsForLoad(load);
+  const storedEta = eta.formatStoredEta(load);
+
+  return {
+    ok: true,
+    view: {
+      load: {
+        id: load.id,
+        referenceNumber: load.customer_load_number || null,
+        status: load.status,
+        pickupCity: load.pickup_city,
+        pickupState: load.pickup_state,
+        deliveryCity: load.delivery_city,
+        deliveryState: load.delivery_state,
+        pickedUpAt: load.picked_up_at,
+        deliveredAt: load.delivered_at,
+      },
+      location,
+      eta: {
+        pickupEta: storedEta.pickupEta,
+        deliveryEta: storedEta.deliveryEta,
+        updatedAt: storedEta.updatedAt,
+      },
+      stops: stops.map((s) => ({
+        sequence: s.sequence,
+        stopType: s.stop_type,
+        status: s.status || 'pending',
+        city: s.city,
+        state: s.state,
+        scheduledDate: s.scheduled_date,
+        windowStart: s.window_start,
+        windowEnd: s.window_end,
+        etaAt: s.eta_at || null,
+        arrivedAt: s.arrived_at || null,
+        departedAt: s.departed_at || null,
+        completedAt: s.completed_at || null,
+      })),
+      driver,
+      link: {
+        label: link.label,
+        expiresAt: link.expires_at,
+      },
+    },
+  };
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+/**
+ * Link for its owners (includes the token and URL)
+ */
+const formatLink = (link) => {
+  const token = buildToken(link);
+  return {
+    id: link.id,
+    loadId: link.load_id,
+    label: link.label,
+    status: getLinkStatus(link),
+    token,
+    url: buildUrl(token),
+    apiPath: `/api/tracking/public/${token}`,
+    locationPrecision: link.location_precision,
+    showDriverName: link.show_driver_name,
+    showDriverPhone: link.show_driver_phone,
+    expiresAt: link.expires_at,
+    revokedAt: link.revoked_at,
+    viewCount: link.view_count,
+    lastViewedAt: link.last_viewed_at,
+    createdBy: link.created_by,
+    createdAt: link.created_at,
+  };
+};
+
+module.exports = {
+  LOCATION_PRECISIONS,
+  findByToken,
+  getLinkStatus,
+  validateLinkOptions,
+  createLink,
+  listLinks,
+  revokeLink,
+  getPublicView,
+  formatLink,
+};